@@ -285,7 +285,7 @@ export const processCourseImageUpload = async (file) => {
 /**
  * Process generic image upload after multer (type-based folder selection)
  * @param {Object} file - Multer file object
- * @param {string} type - Upload type: 'educator', 'course', 'test', 'misc'
+ * @param {string} type - Upload type: 'educator', 'course', 'test', 'question', 'misc'
  * @returns {Promise<Object>} - Upload result with url and fileId
  */
 export const processGenericImageUpload = async (file, type = "misc") => {
@@ -307,6 +307,9 @@ export const processGenericImageUpload = async (file, type = "misc") => {
     case "test":
       folder = "facultypedia/tests";
       break;
+    case "question":
+      folder = "facultypedia/questions";
+      break;
   }
 
   const result = await uploadImageToImageKit(
@@ -0,0 +1,26 @@
+// Read when an offline package is first used, so the server still boots
+// without OFFLINE_PACKAGE_SECRET and only offline attempts are unavailable
+export const getOfflinePackageConfig = () => {
+  const {
+    OFFLINE_PACKAGE_SECRET,
+    OFFLINE_PACKAGE_VALID_HOURS = "72",
+    OFFLINE_SYNC_GRACE_HOURS = "48",
+  } = process.env;
+
+  // A guessable default would let anyone decrypt packages and forge answer logs
+  if (!OFFLINE_PACKAGE_SECRET) {
+    throw new Error(
+      "OFFLINE_PACKAGE_SECRET is missing. Please set it to a long random string."
+    );
+  }
+
+  return {
+    // Per-attempt encryption and signing keys are derived from this secret
+    secret: OFFLINE_PACKAGE_SECRET,
+    // How long an unscheduled test can be taken offline after download
+    validHours: parseInt(OFFLINE_PACKAGE_VALID_HOURS),
+    // How long after the package expires its answer log may still be uploaded;
+    // scheduled tests also stop taking logs once their results are released
+    syncGraceHours: parseInt(OFFLINE_SYNC_GRACE_HOURS),
+  };
+};
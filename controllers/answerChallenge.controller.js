@@ -0,0 +1,199 @@
+import {
+  addStudentChallengeMessage,
+  createChallenge,
+  getChallengeForReview,
+  getChallengeQueue,
+  getStudentChallenge,
+  listStudentChallenges,
+  resolveChallenge,
+} from "../services/answerChallenge.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Challenge the answer key of a question in a submitted attempt
+ * POST /api/answer-challenges
+ */
+export const raiseAnswerChallenge = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { attemptId, questionId, reason, proposedAnswer } = req.body;
+    const challenge = await createChallenge(req.auth.studentId, {
+      attemptId,
+      questionId,
+      reason,
+      proposedAnswer,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Challenge submitted",
+      data: challenge,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error raising answer challenge");
+  }
+};
+
+/**
+ * The authenticated student's challenges
+ * GET /api/answer-challenges/mine
+ */
+export const getMyAnswerChallenges = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { status, page, limit } = req.query;
+    const data = await listStudentChallenges(req.auth.studentId, {
+      status,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Challenges retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching answer challenges");
+  }
+};
+
+/**
+ * One of the student's challenges with its discussion
+ * GET /api/answer-challenges/mine/:challengeId
+ */
+export const getMyAnswerChallenge = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await getStudentChallenge(req.params.challengeId, req.auth.studentId);
+
+    res.status(200).json({
+      success: true,
+      message: "Challenge retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching answer challenge");
+  }
+};
+
+/**
+ * Follow up on a challenge discussion
+ * POST /api/answer-challenges/mine/:challengeId/messages
+ */
+export const postAnswerChallengeMessage = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const message = await addStudentChallengeMessage(
+      req.params.challengeId,
+      req.auth.studentId,
+      req.body.message
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Message sent",
+      data: message,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error posting challenge message");
+  }
+};
+
+/**
+ * Challenges awaiting review, grouped by question
+ * GET /api/answer-challenges/queue
+ */
+export const getAnswerChallengeQueue = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { status, testId, page, limit } = req.query;
+    const data = await getChallengeQueue(req.auth, { status, testId, page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: "Challenge queue retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching challenge queue");
+  }
+};
+
+/**
+ * A challenge with its discussion, for review
+ * GET /api/answer-challenges/:challengeId
+ */
+export const getAnswerChallenge = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await getChallengeForReview(req.params.challengeId, req.auth);
+
+    res.status(200).json({
+      success: true,
+      message: "Challenge retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching answer challenge");
+  }
+};
+
+/**
+ * Accept (regrading affected attempts) or reject a challenge
+ * PUT /api/answer-challenges/:challengeId/resolve
+ */
+export const resolveAnswerChallenge = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { decision, note, correctOptions, tolerance } = req.body;
+    const data = await resolveChallenge(req.params.challengeId, req.auth, {
+      decision,
+      note,
+      correctOptions,
+      tolerance,
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        decision === "accept"
+          ? `${data.challenges.length} challenge(s) accepted`
+          : "Challenge rejected",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error resolving answer challenge");
+  }
+};
+
+export default {
+  raiseAnswerChallenge,
+  getMyAnswerChallenges,
+  getMyAnswerChallenge,
+  postAnswerChallengeMessage,
+  getAnswerChallengeQueue,
+  getAnswerChallenge,
+  resolveAnswerChallenge,
+};
@@ -0,0 +1,122 @@
+import {
+  createBundle,
+  getBundle,
+  listBundles,
+  updateBundle,
+} from "../services/bundle.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Bundles on sale
+ * GET /api/bundles
+ */
+export const getBundles = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { educatorId, specialization, search, page, limit } = req.query;
+    const data = await listBundles({ educatorId, specialization, search, page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: "Bundles retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching bundles");
+  }
+};
+
+/**
+ * Bundles the admin or educator can manage, including inactive ones
+ * GET /api/bundles/manage
+ */
+export const getManagedBundles = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { educatorId, specialization, search, page, limit } = req.query;
+    const data = await listBundles(
+      { educatorId, specialization, search, page, limit },
+      req.auth
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Bundles retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching bundles");
+  }
+};
+
+/**
+ * A bundle and its components
+ * GET /api/bundles/:bundleId
+ */
+export const getBundleById = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const bundle = await getBundle(req.params.bundleId);
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle retrieved successfully",
+      data: bundle,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching bundle");
+  }
+};
+
+/**
+ * Put a bundle of products on sale at one price
+ * POST /api/bundles
+ */
+export const createProductBundle = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const bundle = await createBundle(req.auth, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Bundle created",
+      data: bundle,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error creating bundle");
+  }
+};
+
+/**
+ * Edit or deactivate a bundle
+ * PUT /api/bundles/:bundleId
+ */
+export const updateProductBundle = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const bundle = await updateBundle(req.params.bundleId, req.auth, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Bundle updated",
+      data: bundle,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error updating bundle");
+  }
+};
@@ -0,0 +1,109 @@
+import {
+  createCoupon,
+  listCoupons,
+  previewCoupon,
+  updateCoupon,
+} from "../services/coupon.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Create a coupon. Admin coupons are platform-wide; educator coupons only
+ * apply to that educator's products
+ * POST /api/coupons
+ */
+export const createCouponCode = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const coupon = await createCoupon(req.auth, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Coupon created",
+      data: coupon,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error creating coupon");
+  }
+};
+
+/**
+ * Coupons of the authenticated educator, or all coupons for admins
+ * GET /api/coupons
+ */
+export const getCoupons = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { scope, educatorId, isActive, search, page, limit } = req.query;
+    const data = await listCoupons(req.auth, {
+      scope,
+      educatorId,
+      isActive,
+      search,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Coupons retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching coupons");
+  }
+};
+
+/**
+ * Edit or deactivate a coupon
+ * PUT /api/coupons/:couponId
+ */
+export const updateCouponCode = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const coupon = await updateCoupon(req.params.couponId, req.auth, req.body);
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon updated",
+      data: coupon,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error updating coupon");
+  }
+};
+
+/**
+ * Price a product with a coupon code before checkout
+ * POST /api/coupons/preview
+ */
+export const previewCouponCode = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { code, productType, productId } = req.body;
+    const data = await previewCoupon(req.auth.studentId, {
+      code,
+      productType,
+      productId,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Coupon applied",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error previewing coupon");
+  }
+};
@@ -0,0 +1,107 @@
+import {
+  listInstallmentDues,
+  listStudentInstallmentEnrollments,
+  payNextInstallment,
+  startInstallmentPurchase,
+} from "../services/installment.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Start paying for a course in instalments and open the first instalment's order
+ * POST /api/payments/installments
+ */
+export const createInstallmentEnrollment = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await startInstallmentPurchase(req.student, req.body.courseId);
+
+    res.status(201).json({
+      success: true,
+      message: "Payment order created for the first instalment",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error starting instalment plan");
+  }
+};
+
+/**
+ * Open the order for the next unpaid instalment of a plan
+ * POST /api/payments/installments/:enrollmentId/orders
+ */
+export const createNextInstallmentOrder = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await payNextInstallment(req.student, req.params.enrollmentId);
+
+    res.status(201).json({
+      success: true,
+      message: `Payment order created for instalment ${data.installment.number}`,
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error creating instalment order");
+  }
+};
+
+/**
+ * The authenticated student's instalment plans
+ * GET /api/payments/installments
+ */
+export const getMyInstallmentEnrollments = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { page, limit } = req.query;
+    const data = await listStudentInstallmentEnrollments(req.auth.studentId, {
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Instalment plans retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching instalment plans");
+  }
+};
+
+/**
+ * Outstanding instalment dues across all students
+ * GET /api/admin/installments/dues
+ */
+export const getInstallmentDues = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { status, overdueOnly, educatorId, courseId, page, limit } = req.query;
+    const data = await listInstallmentDues({
+      status,
+      overdueOnly,
+      educatorId,
+      courseId,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Instalment dues retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching instalment dues");
+  }
+};
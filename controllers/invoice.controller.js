@@ -0,0 +1,116 @@
+import Invoice from "../models/invoice.js";
+import PaymentIntent from "../models/paymentIntent.js";
+import { getPaymentInvoice } from "../services/invoice.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+const sendInvoicePdf = (res, { invoice, pdfBuffer }) => {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${invoice.invoiceNumber.replace(/\//g, "-")}.pdf"`,
+    "X-Invoice-Number": invoice.invoiceNumber,
+  });
+  res.status(200).send(pdfBuffer);
+};
+
+/**
+ * The authenticated student's payments, with the invoice number of each paid one
+ * GET /api/payments/mine
+ */
+export const getMyPayments = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const pageNumber = Math.max(1, parseInt(req.query.page) || 1);
+    const pageSize = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+    const filter = { studentId: req.auth.studentId };
+    if (req.query.status) {
+      filter.status = req.query.status;
+    }
+
+    const [payments, total] = await Promise.all([
+      PaymentIntent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNumber - 1) * pageSize)
+        .limit(pageSize)
+        .select(
+          "productType productId productSnapshot.title amount listAmount coupon.code coupon.discountAmount refundedAmount currency status razorpayPaymentId createdAt"
+        )
+        .lean(),
+      PaymentIntent.countDocuments(filter),
+    ]);
+
+    const invoices = await Invoice.find({
+      paymentIntentId: { $in: payments.map((payment) => payment._id) },
+    })
+      .select("paymentIntentId invoiceNumber issuedAt")
+      .lean();
+    const invoiceByPayment = new Map(
+      invoices.map((invoice) => [invoice.paymentIntentId.toString(), invoice])
+    );
+
+    const totalPages = Math.ceil(total / pageSize);
+    res.status(200).json({
+      success: true,
+      message: "Payments retrieved successfully",
+      data: {
+        payments: payments.map((payment) => {
+          const invoice = invoiceByPayment.get(payment._id.toString());
+          return {
+            ...payment,
+            invoice: invoice
+              ? { invoiceNumber: invoice.invoiceNumber, issuedAt: invoice.issuedAt }
+              : null,
+            hasInvoice: ["succeeded", "refunded"].includes(payment.status),
+          };
+        }),
+        pagination: {
+          currentPage: pageNumber,
+          totalPages,
+          totalEntries: total,
+          hasNextPage: pageNumber < totalPages,
+          hasPrevPage: pageNumber > 1,
+        },
+      },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching student payments");
+  }
+};
+
+/**
+ * Download the GST invoice of one of the student's payments
+ * GET /api/payments/:id/invoice
+ */
+export const downloadMyPaymentInvoice = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const result = await getPaymentInvoice(req.params.id, {
+      studentId: req.auth.studentId,
+    });
+    sendInvoicePdf(res, result);
+  } catch (error) {
+    respondServiceError(res, error, "Error downloading invoice");
+  }
+};
+
+/**
+ * Download the GST invoice of any payment
+ * GET /api/admin/payments/:id/invoice
+ */
+export const downloadPaymentInvoiceAdmin = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const result = await getPaymentInvoice(req.params.id);
+    sendInvoicePdf(res, result);
+  } catch (error) {
+    respondServiceError(res, error, "Error downloading invoice");
+  }
+};
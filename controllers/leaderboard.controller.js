@@ -0,0 +1,122 @@
+import {
+  getTestLeaderboard as fetchTestLeaderboard,
+  getTestPosition,
+  getTestSeriesLeaderboard as fetchTestSeriesLeaderboard,
+  getTestSeriesPosition,
+} from "../services/leaderboard.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Get the leaderboard for a test
+ * GET /api/tests/:id/leaderboard
+ */
+export const getTestLeaderboard = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const data = await fetchTestLeaderboard(req.params.id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: "Test leaderboard retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching test leaderboard");
+  }
+};
+
+/**
+ * Get the authenticated student's position on a test
+ * GET /api/tests/:id/leaderboard/me
+ */
+export const getMyTestPosition = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const position = await getTestPosition(req.params.id, req.auth.studentId);
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        message: "No submitted attempt found for this test",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Test position retrieved successfully",
+      data: position,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching test position");
+  }
+};
+
+/**
+ * Get the cumulative leaderboard for a test series
+ * GET /api/test-series/:id/leaderboard
+ */
+export const getTestSeriesLeaderboard = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const data = await fetchTestSeriesLeaderboard(req.params.id, {
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Test series leaderboard retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching test series leaderboard");
+  }
+};
+
+/**
+ * Get the authenticated student's cumulative position in a test series
+ * GET /api/test-series/:id/leaderboard/me
+ */
+export const getMyTestSeriesPosition = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const position = await getTestSeriesPosition(
+      req.params.id,
+      req.auth.studentId
+    );
+    if (!position) {
+      return res.status(404).json({
+        success: false,
+        message: "No submitted attempts found for this test series",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Test series position retrieved successfully",
+      data: position,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching test series position");
+  }
+};
+
+export default {
+  getTestLeaderboard,
+  getMyTestPosition,
+  getTestSeriesLeaderboard,
+  getMyTestSeriesPosition,
+};
@@ -0,0 +1,165 @@
+import {
+  addBookmark,
+  getMistakeNotebook,
+  listBookmarks,
+  removeBookmark,
+  startNotebookPractice,
+  updateBookmarkNote,
+} from "../services/notebook.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * List the authenticated student's bookmarked questions
+ * GET /api/notebook/bookmarks
+ */
+export const getBookmarks = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await listBookmarks(req.student._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      message: "Bookmarks retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching bookmarks");
+  }
+};
+
+/**
+ * Bookmark a question from a submitted attempt
+ * POST /api/notebook/bookmarks
+ */
+export const createBookmark = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const bookmark = await addBookmark(req.student._id, {
+      attemptId: req.body.attemptId,
+      questionId: req.body.questionId,
+      note: req.body.note,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Question bookmarked",
+      data: bookmark,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error bookmarking question");
+  }
+};
+
+/**
+ * Update the note on a bookmark
+ * PATCH /api/notebook/bookmarks/:bookmarkId
+ */
+export const updateBookmark = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const bookmark = await updateBookmarkNote(
+      req.student._id,
+      req.params.bookmarkId,
+      req.body.note
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Bookmark updated",
+      data: bookmark,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error updating bookmark");
+  }
+};
+
+/**
+ * Remove a bookmark
+ * DELETE /api/notebook/bookmarks/:bookmarkId
+ */
+export const deleteBookmark = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    await removeBookmark(req.student._id, req.params.bookmarkId);
+
+    res.status(200).json({
+      success: true,
+      message: "Bookmark removed",
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error removing bookmark");
+  }
+};
+
+/**
+ * The authenticated student's mistake notebook
+ * GET /api/notebook/mistakes
+ */
+export const getMistakes = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await getMistakeNotebook(req.student._id, req.query);
+
+    res.status(200).json({
+      success: true,
+      message: "Mistake notebook retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching mistake notebook");
+  }
+};
+
+/**
+ * Re-practise notebook questions as a custom practice session
+ * POST /api/notebook/practice
+ */
+export const practiceNotebook = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { source, subject, topic, difficulty, includeResolved, limit } = req.body;
+    const data = await startNotebookPractice(req.student._id, {
+      source,
+      subject,
+      topic,
+      difficulty,
+      includeResolved,
+      limit,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Practice session started",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error starting notebook practice");
+  }
+};
+
+export default {
+  getBookmarks,
+  createBookmark,
+  updateBookmark,
+  deleteBookmark,
+  getMistakes,
+  practiceNotebook,
+};
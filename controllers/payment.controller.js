@@ -1,5 +1,4 @@
 import crypto from "crypto";
-import { validationResult } from "express-validator";
 import PaymentIntent from "../models/paymentIntent.js";
 import {
   enrollStudentInProduct,
@@ -14,21 +13,27 @@ import {
 } from "../config/razorpay.js";
 import Payout from "../models/payout.js";
 import { sendInvoiceEmail } from "../util/email.js";
-import { generatePayoutInvoice } from "../services/invoice.service.js";
+import {
+  emailPaymentInvoice,
+  generatePayoutInvoice,
+  issuePaymentInvoice,
+} from "../services/invoice.service.js";
 import { upsertMonthlyPayoutForEducator } from "../services/payout.service.js";
-
-const respondValidationErrors = (req, res) => {
-  const errors = validationResult(req);
-  if (!errors.isEmpty()) {
-    res.status(400).json({
-      success: false,
-      message: "Validation errors",
-      errors: errors.array(),
-    });
-    return true;
-  }
-  return false;
-};
+import { handleRefundWebhook } from "../services/refund.service.js";
+import {
+  applyCoupon,
+  buildCouponSnapshot,
+  cancelCouponReservation,
+  reclaimCouponRedemption,
+  releaseCouponRedemption,
+  reserveCouponRedemption,
+} from "../services/coupon.service.js";
+import { getBundleRevenueSplit } from "../services/bundle.service.js";
+import {
+  hasOpenInstallmentEnrollment,
+  recordInstallmentPayment,
+} from "../services/installment.service.js";
+import { respondValidationErrors } from "../util/http.js";
 
 const buildProductSnapshot = (productType, product) => {
   const snapshot = {
@@ -49,20 +54,30 @@ const buildProductSnapshot = (productType, product) => {
     snapshot.fees = product.liveClassesFee;
     snapshot.classTiming = product.classTiming;
     snapshot.classDuration = product.classDuration;
+  } else if (productType === "bundle") {
+    snapshot.price = product.price;
+    snapshot.items = product.items.map((item) => ({
+      productType: item.productType,
+      productId: item.productId,
+      educatorId: item.educatorId,
+    }));
+    snapshot.revenueSplit = getBundleRevenueSplit(product);
   }
   return snapshot;
 };
 
 export const createPaymentOrder = async (req, res) => {
+  let reservedCoupon;
+  let paymentIntent;
   try {
     if (respondValidationErrors(req, res)) {
       return;
     }
 
-    const { productType, productId } = req.body;
+    const { productType, productId, couponCode } = req.body;
     const student = req.student;
     const studentId = req.auth.studentId;
-    const { product, price } = await getProductDetails(productType, productId);
+    const { product, price } = await getProductDetails(productType, productId, studentId);
 
     if (isStudentAlreadyEnrolled(productType, product, studentId)) {
       return res.status(400).json({
@@ -71,13 +86,40 @@ export const createPaymentOrder = async (req, res) => {
       });
     }
 
-    const amountInPaise = Math.round(price * 100);
+    // A student suspended on an instalment plan catches up on it instead
+    if (productType === "course" && (await hasOpenInstallmentEnrollment(studentId, productId))) {
+      return res.status(409).json({
+        success: false,
+        message: "You are paying for this course in instalments",
+      });
+    }
+
+    // The coupon is checked and applied here; the client only sends the code
+    let payablePrice = price;
+    let coupon;
+    if (couponCode) {
+      const applied = await applyCoupon({
+        code: couponCode,
+        studentId,
+        productType,
+        product,
+        price,
+      });
+      await reserveCouponRedemption(applied.coupon, { studentId, productId: product._id });
+      reservedCoupon = applied.coupon;
+      payablePrice = applied.finalPrice;
+      coupon = buildCouponSnapshot(applied.coupon, applied.discount);
+    }
 
-    const paymentIntent = await PaymentIntent.create({
+    const amountInPaise = Math.round(payablePrice * 100);
+
+    paymentIntent = await PaymentIntent.create({
       studentId,
       productId,
       productType,
       amount: amountInPaise,
+      listAmount: Math.round(price * 100),
+      coupon,
       currency: "INR",
       status: "pending",
       productSnapshot: buildProductSnapshot(productType, product),
@@ -100,6 +142,7 @@ export const createPaymentOrder = async (req, res) => {
         studentId: studentId.toString(),
         productId: productId.toString(),
         productType,
+        ...(coupon && { couponCode: coupon.code }),
       },
     });
 
@@ -115,6 +158,13 @@ export const createPaymentOrder = async (req, res) => {
         amount: order.amount,
         currency: order.currency,
         intentId: paymentIntent._id,
+        coupon: coupon
+          ? {
+              code: coupon.code,
+              listPrice: price,
+              discount: coupon.discountAmount / 100,
+            }
+          : undefined,
         razorpayKey: getRazorpayKeyId(),
         product: {
           title: product.title,
@@ -124,17 +174,28 @@ export const createPaymentOrder = async (req, res) => {
     });
   } catch (error) {
     console.error("Error creating payment order:", error);
+    // An order that could not be opened gives its coupon redemption back
+    if (reservedCoupon) {
+      try {
+        await (paymentIntent
+          ? releaseCouponRedemption(paymentIntent)
+          : cancelCouponReservation(reservedCoupon._id));
+      } catch (releaseError) {
+        console.error("Failed to release coupon redemption:", releaseError);
+      }
+    }
     const statusCode =
-      error.message &&
-      [
-        "Unsupported product type",
-        "Unable to find",
-        "is inactive",
-        "has reached capacity",
-        "has invalid price",
-      ].some((msg) => error.message.includes(msg))
+      error.statusCode ||
+      (error.message &&
+        [
+          "Unsupported product type",
+          "Unable to find",
+          "is inactive",
+          "has reached capacity",
+          "has invalid price",
+        ].some((msg) => error.message.includes(msg))
         ? 400
-        : 500;
+        : 500);
 
     res.status(statusCode).json({
       success: false,
@@ -192,27 +253,50 @@ const handleSuccessfulPayment = async (intent, paymentEntity, eventName) => {
   intent.lastEvent = eventName;
   await intent.save();
 
-  await enrollStudentInProduct(
-    intent.productType,
-    intent.productId,
-    intent.studentId,
-    intent.productSnapshot || {}
-  );
+  // A checkout paid after it expired or failed takes its coupon back
+  try {
+    await reclaimCouponRedemption(intent);
+  } catch (couponError) {
+    console.error("Failed to reclaim coupon redemption after payment:", couponError);
+  }
+
+  // An instalment only grants access while the student's plan is in good standing
+  if (intent.installment?.enrollmentId) {
+    await recordInstallmentPayment(intent);
+  } else {
+    const enrollmentFailures = await enrollStudentInProduct(
+      intent.productType,
+      intent.productId,
+      intent.studentId,
+      intent.productSnapshot || {}
+    );
+    if (enrollmentFailures?.length) {
+      intent.enrollmentFailures = enrollmentFailures;
+      await intent.save();
+    }
+  }
 
   // Keep monthly payout records in sync so admin payout tab reflects fresh sales.
+  // Bundles pay every educator in their revenue split.
   try {
+    const splitEducatorIds = (intent.productSnapshot?.revenueSplit || []).map(
+      (entry) => entry.educatorId
+    );
     const educatorId =
       intent.productSnapshot?.educator?._id ||
       intent.productSnapshot?.educator ||
       null;
+    const educatorIds = splitEducatorIds.length
+      ? splitEducatorIds
+      : [educatorId].filter(Boolean);
 
-    if (educatorId) {
-      const createdAt = intent.createdAt ? new Date(intent.createdAt) : new Date();
-      const month = createdAt.getMonth() + 1;
-      const year = createdAt.getFullYear();
+    const createdAt = intent.createdAt ? new Date(intent.createdAt) : new Date();
+    const month = createdAt.getMonth() + 1;
+    const year = createdAt.getFullYear();
 
+    for (const payoutEducatorId of educatorIds) {
       await upsertMonthlyPayoutForEducator({
-        educatorId,
+        educatorId: payoutEducatorId,
         month,
         year,
       });
@@ -221,6 +305,16 @@ const handleSuccessfulPayment = async (intent, paymentEntity, eventName) => {
     console.error("Failed to sync payout after successful payment:", payoutSyncError);
   }
 
+  // Every paid order gets a numbered GST invoice, emailed to the student
+  try {
+    const invoice = await issuePaymentInvoice(intent);
+    if (!invoice.emailedAt) {
+      await emailPaymentInvoice(invoice);
+    }
+  } catch (invoiceError) {
+    console.error("Failed to issue invoice after successful payment:", invoiceError);
+  }
+
   return intent;
 };
 
@@ -229,6 +323,7 @@ const handleFailedPayment = async (intent, paymentEntity, eventName) => {
   intent.errorReason = paymentEntity.error_description || "Payment failed";
   intent.lastEvent = eventName;
   await intent.save();
+  await releaseCouponRedemption(intent);
   return intent;
 };
 
@@ -573,6 +668,28 @@ export const handleRazorpayWebhook = async (req, res) => {
       });
     }
 
+    // Handle Refund Events; these also carry the payment entity, so they must
+    // not fall through to the payment status handling below
+    if (eventName.startsWith("refund.")) {
+      const refundEntity = payload.payload?.refund?.entity;
+      const refund = await handleRefundWebhook(eventName, refundEntity);
+
+      if (!refund) {
+        console.warn(
+          `[Webhook] Refund not found for ${eventName}: ${refundEntity?.id || "missing"}`
+        );
+      }
+
+      // Return 200 even if refund not found (to prevent retries)
+      return res.status(200).json({
+        success: true,
+        message: "Refund webhook processed",
+        data: refund
+          ? { refundId: refund._id, status: refund.status, event: eventName }
+          : undefined,
+      });
+    }
+
     const paymentEntity = payload.payload?.payment?.entity;
     const orderEntity = payload.payload?.order?.entity;
     const orderId = paymentEntity?.order_id || orderEntity?.id;
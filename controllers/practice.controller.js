@@ -0,0 +1,126 @@
+import {
+  answerPracticeQuestion,
+  endPracticeSession,
+  getPracticeSession,
+  getTopicMastery,
+  startPracticeSession,
+} from "../services/practice.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Start an adaptive practice session and get its first question
+ * POST /api/practice/sessions
+ */
+export const startPractice = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await startPracticeSession(req.student._id, req.body);
+
+    res.status(201).json({
+      success: true,
+      message: "Practice session started",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error starting practice session");
+  }
+};
+
+/**
+ * Get a practice session and the question waiting for an answer
+ * GET /api/practice/sessions/:sessionId
+ */
+export const getPractice = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await getPracticeSession(req.params.sessionId, req.student._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Practice session retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching practice session");
+  }
+};
+
+/**
+ * Answer the current practice question and get feedback plus the next question
+ * POST /api/practice/sessions/:sessionId/answer
+ */
+export const answerPractice = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await answerPracticeQuestion(
+      req.params.sessionId,
+      req.student._id,
+      req.body
+    );
+
+    res.status(200).json({
+      success: true,
+      message: data.nextQuestion
+        ? "Answer graded"
+        : "Answer graded; no more questions in this practice scope",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error grading practice answer");
+  }
+};
+
+/**
+ * End a practice session
+ * POST /api/practice/sessions/:sessionId/end
+ */
+export const endPractice = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const session = await endPracticeSession(req.params.sessionId, req.student._id);
+
+    res.status(200).json({
+      success: true,
+      message: "Practice session ended",
+      data: { session },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error ending practice session");
+  }
+};
+
+/**
+ * The student's per-topic mastery, weakest first
+ * GET /api/practice/mastery
+ */
+export const getMyTopicMastery = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const topics = await getTopicMastery(req.student._id, {
+      subject: req.query.subject,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Topic mastery retrieved successfully",
+      data: { topics },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching topic mastery");
+  }
+};
@@ -0,0 +1,158 @@
+import {
+  getAttemptProctoring,
+  listProctoredAttempts,
+  recordProctoringEvents,
+  reviewProctoredAttempt,
+} from "../services/proctoring.service.js";
+import { invalidateAttempt } from "../services/testAttempt.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Report proctoring events from the test client
+ * POST /api/test-attempts/:attemptId/proctoring-events
+ */
+export const reportProctoringEvents = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const result = await recordProctoringEvents(
+      req.params.attemptId,
+      req.auth.studentId,
+      req.body.events,
+      {
+        sessionId: req.body.sessionId,
+        ip: req.ip,
+        userAgent: req.get("user-agent"),
+      }
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Proctoring events recorded",
+      data: result,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error recording proctoring events");
+  }
+};
+
+/**
+ * Attempts for proctoring review, most suspicious first
+ * GET /api/test-attempts/proctoring
+ */
+export const getProctoredAttempts = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { testId, flagged, reviewStatus, minScore, invalidated, page, limit } =
+      req.query;
+    const result = await listProctoredAttempts(req.auth, {
+      testId,
+      flagged,
+      reviewStatus,
+      minScore,
+      invalidated,
+      page,
+      limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Proctored attempts retrieved successfully",
+      data: result,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching proctored attempts");
+  }
+};
+
+/**
+ * Proctoring events and suspicion breakdown of one attempt
+ * GET /api/test-attempts/:attemptId/proctoring
+ */
+export const getTestAttemptProctoring = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const proctoring = await getAttemptProctoring(req.params.attemptId, req.auth);
+
+    res.status(200).json({
+      success: true,
+      message: "Attempt proctoring retrieved successfully",
+      data: proctoring,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching attempt proctoring");
+  }
+};
+
+/**
+ * Record a verdict on an attempt's proctoring signals
+ * PATCH /api/test-attempts/:attemptId/proctoring/review
+ */
+export const reviewTestAttemptProctoring = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const attempt = await reviewProctoredAttempt(req.params.attemptId, req.auth, {
+      status: req.body.status,
+      notes: req.body.notes,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Proctoring review saved",
+      data: attempt,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error reviewing attempt proctoring");
+  }
+};
+
+/**
+ * Invalidate a submitted attempt, removing it from leaderboards
+ * PUT /api/admin/test-attempts/:attemptId/invalidate
+ */
+export const invalidateTestAttempt = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const attempt = await invalidateAttempt(
+      req.params.attemptId,
+      req.admin._id,
+      req.body.reason
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Attempt invalidated",
+      data: {
+        attemptId: attempt._id,
+        testId: attempt.testId,
+        studentId: attempt.studentId,
+        invalidatedAt: attempt.invalidatedAt,
+        invalidationReason: attempt.invalidationReason,
+      },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error invalidating test attempt");
+  }
+};
+
+export default {
+  reportProctoringEvents,
+  getProctoredAttempts,
+  getTestAttemptProctoring,
+  reviewTestAttemptProctoring,
+  invalidateTestAttempt,
+};
@@ -1,7 +1,32 @@
 import Question from "../models/question.js";
+import Passage from "../models/passage.js";
 import Educator from "../models/educator.js";
 import { validationResult } from "express-validator";
 import { parse } from "csv-parse/sync";
+import { processGenericImageUpload } from "../config/imagekit.js";
+import { MAX_QUESTION_IMAGES } from "../util/constants.js";
+import { computeContentHash } from "../util/questionSimilarity.js";
+import {
+  findDuplicateQuestions,
+  loadDuplicateIndex,
+} from "../services/questionDuplicate.service.js";
+import { reviseQuestion } from "../services/questionVersion.service.js";
+import { toStudentQuestionView } from "../services/testAttempt.service.js";
+import {
+  sanitizeQuestionContent,
+  sanitizeRichText,
+} from "../util/richText.js";
+import {
+  VALID_QUESTION_TYPES,
+  assertValidQuestionPayload,
+} from "../util/validation.js";
+
+// Only educators and admins may read a question's answer key and
+// explanation; everyone else gets the view a student sees in a test
+const toQuestionView = (req, question) =>
+  ["admin", "educator"].includes(req.auth?.userType)
+    ? question
+    : toStudentQuestionView(question);
 
 // Create a new question
 export const createQuestion = async (req, res) => {
@@ -20,36 +45,62 @@ export const createQuestion = async (req, res) => {
       questionType,
       educatorId,
       questionImage,
+      questionImages,
       subject,
       specialization,
       class: classes,
       topics,
       options,
+      optionImages,
       correctOptions,
+      tolerance,
+      matrix,
+      assertion,
+      reason,
+      passage,
       difficulty,
       marks,
       explanation,
+      explanationImages,
       tags,
     } = req.body;
 
+    if (passage && !(await Passage.exists({ _id: passage, isActive: true }))) {
+      return res.status(400).json({
+        success: false,
+        message: "Passage not found",
+      });
+    }
+
     // Create new question
     const newQuestion = new Question({
       title,
       questionType,
       educatorId,
       questionImage,
+      questionImages,
       subject,
       specialization,
       class: classes,
       topics,
       options,
+      optionImages,
       correctOptions,
+      tolerance,
+      matrix,
+      assertion,
+      reason,
+      passage,
       difficulty,
       marks,
       explanation,
+      explanationImages,
       tags,
     });
 
+    // Flag, but do not block, probable duplicates in the educator's bank
+    const duplicates = await findDuplicateQuestions(newQuestion);
+
     const savedQuestion = await newQuestion.save();
 
     if (educatorId) {
@@ -62,8 +113,11 @@ export const createQuestion = async (req, res) => {
 
     res.status(201).json({
       success: true,
-      message: "Question created successfully",
+      message: duplicates.length
+        ? "Question created successfully; it looks like a duplicate of existing questions"
+        : "Question created successfully",
       data: savedQuestion,
+      duplicates,
     });
   } catch (error) {
     console.error("Error creating question:", error);
@@ -170,7 +224,7 @@ export const getAllQuestions = async (req, res) => {
       success: true,
       message: "Questions retrieved successfully",
       data: {
-        questions,
+        questions: questions.map((question) => toQuestionView(req, question)),
         pagination: {
           currentPage: parseInt(page),
           totalPages,
@@ -197,7 +251,8 @@ export const getQuestionById = async (req, res) => {
 
     const question = await Question.findById(id)
       .populate("educatorId", "fullName username email profilePicture")
-      .populate("tests", "title description");
+      .populate("tests", "title description")
+      .populate("passage", "title content image");
 
     if (!question) {
       return res.status(404).json({
@@ -209,7 +264,7 @@ export const getQuestionById = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Question retrieved successfully",
-      data: question,
+      data: toQuestionView(req, question),
     });
   } catch (error) {
     console.error("Error fetching question:", error);
@@ -228,7 +283,8 @@ export const getQuestionBySlug = async (req, res) => {
 
     const question = await Question.findOne({ slug, isActive: true })
       .populate("educatorId", "fullName username email profilePicture")
-      .populate("tests", "title description");
+      .populate("tests", "title description")
+      .populate("passage", "title content image");
 
     if (!question) {
       return res.status(404).json({
@@ -240,7 +296,7 @@ export const getQuestionBySlug = async (req, res) => {
     res.status(200).json({
       success: true,
       message: "Question retrieved successfully",
-      data: question,
+      data: toQuestionView(req, question),
     });
   } catch (error) {
     console.error("Error fetching question:", error);
@@ -266,7 +322,7 @@ export const updateQuestion = async (req, res) => {
       });
     }
 
-    const updateData = { ...req.body };
+    const updateData = sanitizeQuestionContent({ ...req.body });
 
     // If title is being updated, regenerate slug
     if (updateData.title) {
@@ -279,23 +335,39 @@ export const updateQuestion = async (req, res) => {
       updateData.slug = newSlug;
     }
 
-    const updatedQuestion = await Question.findByIdAndUpdate(id, updateData, {
-      new: true,
-      runValidators: true,
-    })
-      .populate("educatorId", "fullName username email")
-      .populate("tests", "title");
+    // The version is managed by reviseQuestion, never set by the client
+    delete updateData.version;
+
+    // Questions already served in attempts keep their old content as a version
+    const revision = await reviseQuestion(id, () =>
+      Question.findByIdAndUpdate(id, updateData, {
+        new: true,
+        runValidators: true,
+      })
+        .populate("educatorId", "fullName username email")
+        .populate("tests", "title")
+    );
 
-    if (!updatedQuestion) {
+    if (!revision) {
       return res.status(404).json({
         success: false,
         message: "Question not found",
       });
     }
+    const updatedQuestion = revision.question;
+
+    // findByIdAndUpdate skips the validate hook that maintains contentHash
+    const contentHash = computeContentHash(updatedQuestion);
+    if (contentHash !== updatedQuestion.contentHash) {
+      updatedQuestion.contentHash = contentHash;
+      await Question.updateOne({ _id: id }, { contentHash });
+    }
 
     res.status(200).json({
       success: true,
-      message: "Question updated successfully",
+      message: revision.versioned
+        ? `Question updated to version ${updatedQuestion.version}; past attempts keep version ${revision.previousVersion}`
+        : "Question updated successfully",
       data: updatedQuestion,
     });
   } catch (error) {
@@ -358,28 +430,47 @@ export const bulkCreateQuestions = async (req, res) => {
 
     const results = [];
     let created = 0;
+    const duplicateIndexes = new Map();
 
     for (let index = 0; index < questionsInput.length; index += 1) {
       const raw = questionsInput[index] || {};
       try {
+        assertValidQuestionPayload(raw);
+
         const newQuestion = new Question({
           title: raw.title,
           questionType: raw.questionType,
           educatorId: raw.educatorId,
           questionImage: raw.questionImage,
+          questionImages: raw.questionImages,
           subject: raw.subject,
           specialization: raw.specialization,
           class: raw.class,
           topics: raw.topics,
           options: raw.options,
+          optionImages: raw.optionImages,
           correctOptions: raw.correctOptions,
+          tolerance: raw.tolerance,
+          matrix: raw.matrix,
+          assertion: raw.assertion,
+          reason: raw.reason,
+          passage: raw.passage,
           difficulty: raw.difficulty,
           marks: raw.marks,
           explanation: raw.explanation,
+          explanationImages: raw.explanationImages,
           tags: raw.tags,
         });
 
+        const educatorKey = String(raw.educatorId);
+        if (!duplicateIndexes.has(educatorKey)) {
+          duplicateIndexes.set(educatorKey, await loadDuplicateIndex(raw.educatorId));
+        }
+        const duplicateIndex = duplicateIndexes.get(educatorKey);
+        const duplicates = duplicateIndex.findMatches(newQuestion);
+
         const savedQuestion = await newQuestion.save();
+        duplicateIndex.add(savedQuestion);
 
         if (raw.educatorId) {
           await Educator.findByIdAndUpdate(
@@ -389,7 +480,7 @@ export const bulkCreateQuestions = async (req, res) => {
           );
         }
 
-        results.push({ index, success: true, data: savedQuestion });
+        results.push({ index, success: true, data: savedQuestion, duplicates });
         created += 1;
       } catch (error) {
         results.push({
@@ -440,7 +531,7 @@ export const getQuestionsByEducator = async (req, res) => {
       success: true,
       message: "Questions retrieved successfully",
       data: {
-        questions,
+        questions: questions.map((question) => toQuestionView(req, question)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalQuestions / parseInt(limit)),
@@ -481,7 +572,7 @@ export const getQuestionsBySubject = async (req, res) => {
       success: true,
       message: "Questions retrieved successfully",
       data: {
-        questions,
+        questions: questions.map((question) => toQuestionView(req, question)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalQuestions / parseInt(limit)),
@@ -522,7 +613,7 @@ export const getQuestionsBySpecialization = async (req, res) => {
       success: true,
       message: "Questions retrieved successfully",
       data: {
-        questions,
+        questions: questions.map((question) => toQuestionView(req, question)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalQuestions / parseInt(limit)),
@@ -563,7 +654,7 @@ export const getQuestionsByDifficulty = async (req, res) => {
       success: true,
       message: "Questions retrieved successfully",
       data: {
-        questions,
+        questions: questions.map((question) => toQuestionView(req, question)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalQuestions / parseInt(limit)),
@@ -604,7 +695,7 @@ export const getQuestionsByClass = async (req, res) => {
       success: true,
       message: "Questions retrieved successfully",
       data: {
-        questions,
+        questions: questions.map((question) => toQuestionView(req, question)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalQuestions / parseInt(limit)),
@@ -654,7 +745,7 @@ export const getQuestionsByTopics = async (req, res) => {
       success: true,
       message: "Questions retrieved successfully",
       data: {
-        questions,
+        questions: questions.map((question) => toQuestionView(req, question)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalQuestions / parseInt(limit)),
@@ -704,7 +795,7 @@ export const getQuestionsByTags = async (req, res) => {
       success: true,
       message: "Questions retrieved successfully",
       data: {
-        questions,
+        questions: questions.map((question) => toQuestionView(req, question)),
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalQuestions / parseInt(limit)),
@@ -857,9 +948,78 @@ export const getQuestionStatistics = async (req, res) => {
   }
 };
 
+const splitList = (value = "") =>
+  value
+    .split(/[,;|]+/)
+    .map((s) => s.trim())
+    .filter(Boolean);
+
+// "A=Column text|B=Other text" -> [{ key: "A", text: "Column text" }, ...]
+const parseCsvMatrixList = (value = "") =>
+  value
+    .split("|")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [key, ...text] = entry.split("=");
+      return { key: key.trim(), text: text.join("=").trim() };
+    });
+
+// Interpret the correctOptions cell according to the question type
+const parseCsvCorrectOptions = (raw, questionType) => {
+  const trimmed = (raw || "").trim();
+  if (!trimmed) return trimmed;
+
+  if (
+    (trimmed.startsWith("[") && trimmed.endsWith("]")) ||
+    (trimmed.startsWith("{") && trimmed.endsWith("}"))
+  ) {
+    try {
+      return JSON.parse(trimmed);
+    } catch (e) {
+      return trimmed; // leave as raw string
+    }
+  }
+
+  if (questionType === "numeric") {
+    // "2.45..2.55" is an accepted range; a plain number uses the tolerance column
+    const range = trimmed.split("..").map((part) => Number(part.trim()));
+    if (range.length === 2) {
+      return { min: range[0], max: range[1] };
+    }
+    return Number(trimmed);
+  }
+
+  if (questionType === "matrix-match") {
+    // "A=P,Q;B=R" -> { A: ["P", "Q"], B: ["R"] }
+    return Object.fromEntries(
+      trimmed
+        .split(";")
+        .map((pair) => pair.split("="))
+        .filter(([row, columns]) => row && columns)
+        .map(([row, columns]) => [
+          row.trim(),
+          columns.split(/[,|]+/).map((c) => c.trim()).filter(Boolean),
+        ])
+    );
+  }
+
+  if (trimmed.includes(",")) {
+    return splitList(trimmed);
+  }
+  if (/^-?\d+$/.test(trimmed)) {
+    return parseInt(trimmed, 10);
+  }
+  return trimmed;
+};
+
 // Bulk upload questions via CSV
 // Expected CSV headers (case-insensitive):
 // title,questionType,educatorId,questionImage,subject,specialization,class,topics,A,B,C,D,correctOptions,difficulty,marksPositive,marksNegative,explanation,tags
+// Optional headers for other question types:
+// E,F,G,H (extra options), tolerance (numeric), matrixRows,matrixColumns ("A=text|B=text"),
+// assertion,reason, partialMarking (true/false),
+// passageId (existing passage) or passage + passageKey (rows sharing a key share one passage)
 export const bulkUploadQuestions = async (req, res) => {
   try {
     if (!req.file || !req.file.buffer) {
@@ -878,6 +1038,8 @@ export const bulkUploadQuestions = async (req, res) => {
 
     const created = [];
     const failed = [];
+    const passagesByKey = new Map();
+    const duplicateIndexes = new Map();
 
     for (let i = 0; i < records.length; i++) {
       const row = records[i];
@@ -893,58 +1055,40 @@ export const bulkUploadQuestions = async (req, res) => {
         ).toLowerCase();
         const educatorId = row.educatorId || row.EducatorId || "";
         const questionImage = row.questionImage || row.QuestionImage || "";
-        const subject = (row.subject || row.Subject || "")
-          .split(/[,;|]+/)
-          .map((s) => s.trim())
-          .filter(Boolean);
-        const specialization = (row.specialization || row.Specialization || "")
-          .split(/[,;|]+/)
-          .map((s) => s.trim())
-          .filter(Boolean);
-        const classArr = (row.class || row.Class || "")
-          .split(/[,;|]+/)
-          .map((s) => s.trim())
-          .filter(Boolean);
-        const topics = (row.topics || row.Topics || "")
-          .split(/[,;|]+/)
-          .map((s) => s.trim())
-          .filter(Boolean);
-        const options = {
-          A: row.A || "",
-          B: row.B || "",
-          C: row.C || "",
-          D: row.D || "",
-        };
-        let correctOptionsRaw =
+        const subject = splitList(row.subject || row.Subject);
+        const specialization = splitList(
+          row.specialization || row.Specialization
+        );
+        const classArr = splitList(row.class || row.Class);
+        const topics = splitList(row.topics || row.Topics);
+        const options = Object.fromEntries(
+          ["A", "B", "C", "D", "E", "F", "G", "H"]
+            .filter((key) => row[key])
+            .map((key) => [key, row[key]])
+        );
+        const correctOptions = parseCsvCorrectOptions(
           row.correctOptions ||
-          row.CorrectOptions ||
-          row.correct ||
-          row.Correct ||
-          "";
-        // try parse JSON array/number or comma separated
-        let correctOptions = correctOptionsRaw;
-        try {
-          if (correctOptionsRaw) {
-            const trimmed = correctOptionsRaw.trim();
-            if (
-              (trimmed.startsWith("[") && trimmed.endsWith("]")) ||
-              (trimmed.startsWith("{") && trimmed.endsWith("}"))
-            ) {
-              correctOptions = JSON.parse(trimmed);
-            } else if (trimmed.includes(",")) {
-              correctOptions = trimmed
-                .split(/[,;|]+/)
-                .map((s) => s.trim())
-                .filter(Boolean);
-            } else if (/^-?\d+$/.test(trimmed)) {
-              correctOptions = parseInt(trimmed, 10);
-            } else {
-              correctOptions = trimmed;
-            }
-          }
-        } catch (e) {
-          // leave as raw string
-        }
+            row.CorrectOptions ||
+            row.correct ||
+            row.Correct ||
+            "",
+          questionType
+        );
+        const tolerance = parseFloat(row.tolerance || row.Tolerance || "0") || 0;
+        const matrix =
+          questionType === "matrix-match"
+            ? {
+                rows: parseCsvMatrixList(row.matrixRows || row.MatrixRows),
+                columns: parseCsvMatrixList(
+                  row.matrixColumns || row.MatrixColumns
+                ),
+              }
+            : undefined;
+        const assertion = row.assertion || row.Assertion || undefined;
+        const reason = row.reason || row.Reason || undefined;
+        const partialMarking =
+          (row.partialMarking || row.PartialMarking || "").toLowerCase() ===
+          "true";
 
         const difficulty = row.difficulty || row.Difficulty || "Medium";
         const marksPositive =
@@ -963,9 +1107,7 @@ export const bulkUploadQuestions = async (req, res) => {
 
         // Basic validation
         if (!title) throw new Error("title is required");
-        if (
-          !["single-select", "multi-select", "integer"].includes(questionType)
-        )
+        if (!VALID_QUESTION_TYPES.includes(questionType))
           throw new Error("invalid questionType");
         if (!educatorId) throw new Error("educatorId is required");
         if (!subject.length) throw new Error("subject is required");
@@ -979,22 +1121,65 @@ export const bulkUploadQuestions = async (req, res) => {
           specialization,
           class: classArr,
           topics,
-          options,
+          options: Object.keys(options).length ? options : undefined,
           correctOptions,
+          tolerance,
+          matrix,
+          assertion,
+          reason,
           difficulty,
-          marks: { positive: marksPositive, negative: marksNegative },
+          marks: {
+            positive: marksPositive,
+            negative: marksNegative,
+            partial: partialMarking,
+          },
           explanation,
           tags,
         };
+        assertValidQuestionPayload(questionObj);
+
+        const passageId = row.passageId || row.PassageId;
+        const passageKey = row.passageKey || row.PassageKey;
+        const passageText = row.passage || row.Passage;
+        if (passageId) {
+          if (!(await Passage.exists({ _id: passageId, isActive: true }))) {
+            throw new Error("passage not found");
+          }
+          questionObj.passage = passageId;
+        } else if (passageKey && passagesByKey.has(passageKey)) {
+          questionObj.passage = passagesByKey.get(passageKey);
+        } else if (passageText) {
+          const passage = await Passage.create({
+            content: passageText,
+            educatorId,
+          });
+          questionObj.passage = passage._id;
+          if (passageKey) {
+            passagesByKey.set(passageKey, passage._id);
+          }
+        } else if (passageKey) {
+          throw new Error(`passage text is required for new passageKey ${passageKey}`);
+        }
+
+        if (!duplicateIndexes.has(educatorId)) {
+          duplicateIndexes.set(educatorId, await loadDuplicateIndex(educatorId));
+        }
+        const duplicateIndex = duplicateIndexes.get(educatorId);
+        const duplicates = duplicateIndex.findMatches(questionObj);
 
         const createdQuestion = await Question.create(questionObj);
+        duplicateIndex.add(createdQuestion);
 
         if (educatorId) {
           await Educator.findByIdAndUpdate(educatorId, {
             $addToSet: { questions: createdQuestion._id },
           });
         }
-        created.push({ row: rowNum, id: createdQuestion._id });
+        created.push({
+          row: rowNum,
+          id: createdQuestion._id,
+          duplicates: duplicates.length ? duplicates : undefined,
+        });
       } catch (err) {
         failed.push({ row: rowNum, error: err.message });
       }
@@ -1019,3 +1204,195 @@ export const bulkUploadQuestions = async (req, res) => {
     });
   }
 };
+
+// Create a comprehension passage that several questions can share
+export const createPassage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const { title, content, image, educatorId } = req.body;
+    const passage = await Passage.create({ title, content, image, educatorId });
+
+    res.status(201).json({
+      success: true,
+      message: "Passage created successfully",
+      data: passage,
+    });
+  } catch (error) {
+    console.error("Error creating passage:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get a passage with the questions attached to it
+export const getPassageById = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const passage = await Passage.findOne({ _id: id, isActive: true });
+    if (!passage) {
+      return res.status(404).json({
+        success: false,
+        message: "Passage not found",
+      });
+    }
+
+    const questions = await Question.find({
+      passage: passage._id,
+      isActive: true,
+    })
+      .select("title questionType difficulty marks slug")
+      .sort({ createdAt: 1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Passage retrieved successfully",
+      data: { ...passage.toObject(), questions },
+    });
+  } catch (error) {
+    console.error("Error fetching passage:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Update a passage
+export const updatePassage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    const updates = {};
+    ["title", "content", "image"].forEach((field) => {
+      if (req.body[field] !== undefined) updates[field] = req.body[field];
+    });
+    if (updates.content) {
+      updates.content = sanitizeRichText(updates.content);
+    }
+
+    const passage = await Passage.findOneAndUpdate(
+      { _id: req.params.id, isActive: true },
+      { $set: updates },
+      { new: true, runValidators: true }
+    );
+
+    if (!passage) {
+      return res.status(404).json({
+        success: false,
+        message: "Passage not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: "Passage updated successfully",
+      data: passage,
+    });
+  } catch (error) {
+    console.error("Error updating passage:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Upload an image for a question, one of its options or its explanation
+export const uploadQuestionImage = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation errors",
+        errors: errors.array(),
+      });
+    }
+
+    if (!req.file || !req.file.buffer) {
+      return res.status(400).json({
+        success: false,
+        message: "Image file is required for this operation",
+      });
+    }
+
+    const question = await Question.findOne({
+      _id: req.params.id,
+      isActive: true,
+    });
+    if (!question) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    const { target, option } = req.body;
+    const listField = {
+      question: "questionImages",
+      explanation: "explanationImages",
+    }[target];
+    if (listField && question[listField].length >= MAX_QUESTION_IMAGES) {
+      return res.status(400).json({
+        success: false,
+        message: `At most ${MAX_QUESTION_IMAGES} images are allowed`,
+      });
+    }
+
+    const uploadResult = await processGenericImageUpload(req.file, "question");
+
+    // Images are versioned content; save() also refreshes contentHash
+    const revision = await reviseQuestion(question._id, async () => {
+      if (listField) {
+        question[listField].push(uploadResult.url);
+      } else {
+        question.set(`optionImages.${option}`, uploadResult.url);
+      }
+      await question.save();
+      return question;
+    });
+    if (!revision) {
+      return res.status(404).json({
+        success: false,
+        message: "Question not found",
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: revision.versioned
+        ? `Question image uploaded; question is now version ${question.version} and past attempts keep version ${revision.previousVersion}`
+        : "Question image uploaded successfully",
+      imageUrl: uploadResult.url,
+      data: question,
+    });
+  } catch (error) {
+    console.error("Error uploading question image:", error);
+    res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
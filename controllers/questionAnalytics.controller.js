@@ -0,0 +1,54 @@
+import {
+  getTestQuestionAnalytics as fetchTestQuestionAnalytics,
+  getQuestionAnalyticsAcrossTests,
+} from "../services/questionAnalytics.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Per-question performance analytics for a test
+ * GET /api/tests/:id/question-analytics
+ */
+export const getTestQuestionAnalytics = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await fetchTestQuestionAnalytics(req.params.id, req.auth);
+
+    res.status(200).json({
+      success: true,
+      message: "Question analytics retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching test question analytics");
+  }
+};
+
+/**
+ * Performance analytics for a question across all linked tests
+ * GET /api/questions/:id/analytics
+ */
+export const getQuestionAnalytics = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await getQuestionAnalyticsAcrossTests(req.params.id, req.auth);
+
+    res.status(200).json({
+      success: true,
+      message: "Question analytics retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching question analytics");
+  }
+};
+
+export default {
+  getTestQuestionAnalytics,
+  getQuestionAnalytics,
+};
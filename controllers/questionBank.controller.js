@@ -0,0 +1,90 @@
+import { matchedData } from "express-validator";
+import {
+  importQuestions,
+  exportQuestions,
+} from "../services/questionBank.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Import a Moodle XML, GIFT or IMS QTI file into an educator's question bank.
+ * Runs as a dry-run unless dryRun=false is sent, so the row-by-row report
+ * can be reviewed before anything is saved.
+ * POST /api/questions/import
+ */
+export const importQuestionBank = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    if (!req.file || !req.file.buffer) {
+      return res
+        .status(400)
+        .json({ success: false, message: "Import file is required" });
+    }
+
+    // Educators always import into their own bank; admins choose the owner
+    const educatorId = req.educator?._id || req.body.educatorId;
+    if (!educatorId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "educatorId is required" });
+    }
+
+    const { format, subject, specialization, topics, difficulty } = req.body;
+    const dryRun = req.body.dryRun !== false;
+
+    const data = await importQuestions({
+      format,
+      content: req.file.buffer.toString("utf8"),
+      educatorId,
+      defaults: {
+        subject,
+        specialization,
+        class: req.body.class,
+        topics,
+        difficulty,
+      },
+      dryRun,
+    });
+
+    res.status(dryRun ? 200 : 201).json({
+      success: true,
+      message: dryRun ? "Import dry-run finished" : "Import finished",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error importing question bank");
+  }
+};
+
+/**
+ * Download questions as Moodle XML, GIFT or IMS QTI
+ * GET /api/questions/export
+ */
+export const exportQuestionBank = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { fileName, contentType, content, exported, skipped } =
+      await exportQuestions({
+        format: req.query.format,
+        educatorId: req.educator?._id || req.query.educatorId,
+        // Express 5 re-parses req.query on every read, so the split list
+        // only survives in the validator's matched data
+        ids: matchedData(req, { locations: ["query"] }).ids,
+      });
+
+    res.set({
+      "Content-Type": contentType,
+      "Content-Disposition": `attachment; filename="${fileName}"`,
+      "X-Exported-Count": String(exported),
+      "X-Skipped-Count": String(skipped.length),
+    });
+    res.status(200).send(content);
+  } catch (error) {
+    respondServiceError(res, error, "Error exporting question bank");
+  }
+};
@@ -0,0 +1,63 @@
+import {
+  getDuplicateClusters,
+  mergeDuplicateQuestions,
+} from "../services/questionDuplicate.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Clusters of probable duplicate questions in an educator's bank
+ * GET /api/questions/duplicates
+ */
+export const getQuestionDuplicateClusters = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    // Educators see their own bank; admins pick one
+    const educatorId = req.educator?._id || req.query.educatorId;
+    if (!educatorId) {
+      return res
+        .status(400)
+        .json({ success: false, message: "educatorId is required" });
+    }
+
+    const clusters = await getDuplicateClusters(educatorId, {
+      threshold: req.query.threshold,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Duplicate clusters retrieved successfully",
+      data: { clusters, count: clusters.length },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching duplicate clusters");
+  }
+};
+
+/**
+ * Merge duplicate questions into one, keeping test references
+ * POST /api/questions/duplicates/merge
+ */
+export const mergeQuestionDuplicates = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await mergeDuplicateQuestions({
+      educatorId: req.educator?._id,
+      keepId: req.body.keepId,
+      mergeIds: req.body.mergeIds,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Questions merged successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error merging duplicate questions");
+  }
+};
@@ -0,0 +1,83 @@
+import { listQuestionVersions } from "../services/questionVersion.service.js";
+import {
+  listQuestionRegrades,
+  regradeQuestion,
+} from "../services/questionRegrade.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Current and earlier versions of a question
+ * GET /api/questions/:id/versions
+ */
+export const getQuestionVersions = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await listQuestionVersions(req.params.id, req.auth);
+
+    res.status(200).json({
+      success: true,
+      message: "Question versions retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching question versions");
+  }
+};
+
+/**
+ * Regrade past attempts against the question's current answer key
+ * POST /api/questions/:id/regrade
+ */
+export const regradeQuestionAttempts = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const regrade = await regradeQuestion(req.params.id, req.auth, {
+      reason: req.body.reason,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: `${regrade.attemptsRegraded} attempt(s) regraded`,
+      data: regrade,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error regrading question");
+  }
+};
+
+/**
+ * Regrade audit of a question
+ * GET /api/questions/:id/regrades
+ */
+export const getQuestionRegrades = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const data = await listQuestionRegrades(req.params.id, req.auth, {
+      page: req.query.page,
+      limit: req.query.limit,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Question regrades retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching question regrades");
+  }
+};
+
+export default {
+  getQuestionVersions,
+  regradeQuestionAttempts,
+  getQuestionRegrades,
+};
@@ -0,0 +1,135 @@
+import {
+  approveRefund,
+  listRefundQueue,
+  listStudentRefunds,
+  rejectRefund,
+  requestRefund,
+} from "../services/refund.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+/**
+ * Request a refund of one of the student's payments
+ * POST /api/payments/:id/refund-requests
+ */
+export const createRefundRequest = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { reason, amount } = req.body;
+    const refund = await requestRefund(req.auth.studentId, req.params.id, {
+      reason,
+      amount,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Refund requested",
+      data: refund,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error requesting refund");
+  }
+};
+
+/**
+ * The authenticated student's refund requests
+ * GET /api/payments/refund-requests
+ */
+export const getMyRefundRequests = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { page, limit } = req.query;
+    const data = await listStudentRefunds(req.auth.studentId, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: "Refund requests retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching refund requests");
+  }
+};
+
+/**
+ * Refund approval queue
+ * GET /api/admin/refunds
+ */
+export const getRefundQueue = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { status, page, limit } = req.query;
+    const data = await listRefundQueue({ status, page, limit });
+
+    res.status(200).json({
+      success: true,
+      message: "Refunds retrieved successfully",
+      data,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching refunds");
+  }
+};
+
+/**
+ * Approve a refund request and issue it through Razorpay
+ * PUT /api/admin/refunds/:refundId/approve
+ */
+export const approveRefundRequest = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { amount, note } = req.body;
+    const refund = await approveRefund(req.params.refundId, req.admin._id, {
+      amount,
+      note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message:
+        refund.status === "processed"
+          ? "Refund processed"
+          : refund.status === "failed"
+          ? "Refund failed at Razorpay"
+          : "Refund initiated",
+      data: refund,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error approving refund");
+  }
+};
+
+/**
+ * Reject a refund request
+ * PUT /api/admin/refunds/:refundId/reject
+ */
+export const rejectRefundRequest = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const refund = await rejectRefund(req.params.refundId, req.admin._id, {
+      note: req.body.note,
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Refund request rejected",
+      data: refund,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error rejecting refund");
+  }
+};
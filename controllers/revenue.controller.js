@@ -52,6 +52,7 @@ const buildBaseMatch = ({ status, productType, dateFrom, dateTo, search }) => {
       { receipt: regex },
       { razorpayPaymentId: regex },
       { razorpayOrderId: regex },
+      { "coupon.code": regex },
     ];
   }
 
@@ -80,8 +81,43 @@ export const getRevenueSummary = async (req, res) => {
           totalSucceeded: {
             $sum: { $cond: [{ $eq: ["$status", "succeeded"] }, "$amount", 0] },
           },
+          // Partial refunds leave the payment succeeded
           totalRefunded: {
-            $sum: { $cond: [{ $eq: ["$status", "refunded"] }, "$amount", 0] },
+            $sum: {
+              $cond: [
+                { $eq: ["$status", "refunded"] },
+                "$amount",
+                { $ifNull: ["$refundedAmount", 0] },
+              ],
+            },
+          },
+          totalPlatformDiscount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$status", "succeeded"] },
+                    { $eq: ["$coupon.fundedBy", "platform"] },
+                  ],
+                },
+                "$coupon.discountAmount",
+                0,
+              ],
+            },
+          },
+          totalEducatorDiscount: {
+            $sum: {
+              $cond: [
+                {
+                  $and: [
+                    { $eq: ["$status", "succeeded"] },
+                    { $eq: ["$coupon.fundedBy", "educator"] },
+                  ],
+                },
+                "$coupon.discountAmount",
+                0,
+              ],
+            },
           },
           totalFailed: {
             $sum: { $cond: [{ $eq: ["$status", "failed"] }, "$amount", 0] },
@@ -99,6 +135,10 @@ export const getRevenueSummary = async (req, res) => {
         totalRevenue: toRupees(summary?.totalSucceeded || 0),
         totalRefunded: toRupees(summary?.totalRefunded || 0),
         totalFailed: toRupees(summary?.totalFailed || 0),
+        totalCouponDiscount: {
+          platform: toRupees(summary?.totalPlatformDiscount || 0),
+          educator: toRupees(summary?.totalEducatorDiscount || 0),
+        },
         totalTransactions: summary?.totalTransactions || 0,
       },
     });
@@ -236,6 +276,11 @@ export const getRevenueTransactions = async (req, res) => {
       productTitle: item.productSnapshot?.title || "Untitled",
       productType: item.productType,
       amount: toRupees(item.amount || 0),
+      listAmount: toRupees(item.listAmount || item.amount || 0),
+      couponCode: item.coupon?.code || "",
+      couponDiscount: toRupees(item.coupon?.discountAmount || 0),
+      discountFundedBy: item.coupon?.fundedBy || null,
+      refundedAmount: toRupees(item.refundedAmount || 0),
       status: item.status,
       paymentId: item.razorpayPaymentId || "",
       orderId: item.razorpayOrderId || "",
@@ -5,6 +5,7 @@ import EducatorModel from "../models/educator.js";
 import { validationResult } from "express-validator";
 import bcrypt from "bcrypt";
 import mongoose from "mongoose";
+import { getVisibleStudentResults } from "../services/testAttempt.service.js";
 
 const CLASS_SLUG_MAP = {
   "class-6th": "Class 6th",
@@ -164,6 +165,13 @@ export const getAllStudents = async (req, res) => {
       .limit(parseInt(limit, 10))
       .lean();
 
+    // Unreleased scores and answer keys the caller may not see are left out
+    await Promise.all(
+      students.map(async (student) =>
+        Object.assign(student, await getVisibleStudentResults(student, req.auth))
+      )
+    );
+
     const totalStudents = await Student.countDocuments(filter);
     const totalPages = Math.ceil(totalStudents / parseInt(limit, 10));
     res.status(200).json({
@@ -214,10 +222,14 @@ export const getStudentById = async (req, res) => {
       });
     }
 
+    // Unreleased scores and answer keys the caller may not see are left out
+    const data = student.toObject();
+    Object.assign(data, await getVisibleStudentResults(data, req.auth));
+
     res.status(200).json({
       success: true,
       message: "Student retrieved successfully",
-      data: student,
+      data,
     });
   } catch (error) {
     console.error("Error fetching student:", error);
@@ -250,10 +262,13 @@ export const getStudentByUsername = async (req, res) => {
       });
     }
 
+    const data = student.toObject();
+    Object.assign(data, await getVisibleStudentResults(data, req.auth));
+
     res.status(200).json({
       success: true,
       message: "Student retrieved successfully",
-      data: student,
+      data,
     });
   } catch (error) {
     console.error("Error fetching student:", error);
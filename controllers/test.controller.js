@@ -1,8 +1,17 @@
-import Test from "../models/test.js";
+import Test, { flattenSectionQuestions } from "../models/test.js";
 import mongoose from "mongoose";
 import { validationResult } from "express-validator";
 import Educator from "../models/educator.js";
 import { generateUniqueSlug } from "../util/slugHelper.js";
+import {
+  canViewAnswerKey,
+  toStudentQuestionView,
+  toStudentTestView,
+} from "../services/testAttempt.service.js";
+import { announceScheduledTest } from "../services/testSchedule.service.js";
+import { getTestWindowError, isQuestionPaperOpen } from "../util/testSchedule.js";
+
+const SCHEDULE_FIELDS = ["startsAt", "endsAt", "resultsReleaseAt"];
 
 // Create a new test
 export const createTest = async (req, res) => {
@@ -39,6 +48,12 @@ export const createTest = async (req, res) => {
       shuffleQuestions,
       showResult,
       allowReview,
+      maxAttemptsPerStudent,
+      attemptCountingPolicy,
+      startsAt,
+      endsAt,
+      resultsReleaseAt,
+      sections,
     } = req.body;
 
     // Generate unique slug
@@ -82,11 +97,22 @@ export const createTest = async (req, res) => {
       shuffleQuestions: shuffleQuestions || false,
       showResult: showResult !== undefined ? showResult : true,
       allowReview: allowReview !== undefined ? allowReview : true,
+      maxAttemptsPerStudent: maxAttemptsPerStudent || undefined,
+      attemptCountingPolicy,
+      startsAt: startsAt || undefined,
+      endsAt: endsAt || undefined,
+      resultsReleaseAt: resultsReleaseAt || undefined,
+      sections: sections || [],
       slug,
     });
 
     const savedTest = await newTest.save();
 
+    // Followers hear about scheduled (mock) tests
+    if (savedTest.startsAt) {
+      await announceScheduledTest(savedTest);
+    }
+
     // Update educator's tests array
     try {
       await mongoose
@@ -263,10 +289,13 @@ export const getTestById = async (req, res) => {
       });
     }
 
+    // Answer keys are only sent to admins, the owner or students allowed to review
+    const showAnswers = await canViewAnswerKey(test, req.auth);
+
     res.status(200).json({
       success: true,
       message: "Test retrieved successfully",
-      data: test,
+      data: showAnswers ? test : toStudentTestView(test),
     });
   } catch (error) {
     console.error("Error fetching test:", error);
@@ -298,10 +327,13 @@ export const getTestBySlug = async (req, res) => {
       });
     }
 
+    // Answer keys are only sent to admins, the owner or students allowed to review
+    const showAnswers = await canViewAnswerKey(test, req.auth);
+
     res.status(200).json({
       success: true,
       message: "Test retrieved successfully",
-      data: test,
+      data: showAnswers ? test : toStudentTestView(test),
     });
   } catch (error) {
     console.error("Error fetching test:", error);
@@ -348,6 +380,25 @@ export const updateTest = async (req, res) => {
       }
     }
 
+    // Sections own the question list; keep the flat list in sync and make
+    // sure timed sections still fit in the test duration
+    if (Array.isArray(updateData.sections)) {
+      updateData.questions = flattenSectionQuestions(updateData.sections);
+
+      const timedMinutes = updateData.sections.reduce(
+        (total, section) => total + (Number(section.duration) || 0),
+        0
+      );
+      const duration =
+        updateData.duration ?? (await Test.findById(id).select("duration"))?.duration;
+      if (duration && timedMinutes > duration) {
+        return res.status(400).json({
+          success: false,
+          message: "Total section duration cannot exceed the test duration",
+        });
+      }
+    }
+
     // Validate passing marks
     if (
       updateData.passingMarks &&
@@ -360,6 +411,34 @@ export const updateTest = async (req, res) => {
       });
     }
 
+    // The schedule is checked as a whole, against the values not being changed
+    let previousStartsAt;
+    const isRescheduled = SCHEDULE_FIELDS.some(
+      (field) => updateData[field] !== undefined
+    );
+    if (isRescheduled || updateData.duration !== undefined) {
+      const current = await Test.findById(id).select(
+        "startsAt endsAt resultsReleaseAt duration"
+      );
+      if (current) {
+        previousStartsAt = current.startsAt;
+        const windowError = getTestWindowError({
+          ...current.toObject(),
+          ...updateData,
+        });
+        if (windowError) {
+          return res.status(400).json({
+            success: false,
+            message: windowError,
+          });
+        }
+      }
+    }
+    if (isRescheduled) {
+      // A new release time means results have to be released again
+      updateData.resultsNotifiedAt = null;
+    }
+
     const updatedTest = await Test.findByIdAndUpdate(id, updateData, {
       new: true,
       runValidators: true,
@@ -374,6 +453,17 @@ export const updateTest = async (req, res) => {
       });
     }
 
+    if (
+      isRescheduled &&
+      updatedTest.startsAt &&
+      updatedTest.startsAt.getTime() !== previousStartsAt?.getTime()
+    ) {
+      await announceScheduledTest({
+        ...updatedTest.toObject(),
+        educatorID: updatedTest.educatorID?._id || updatedTest.educatorID,
+      });
+    }
+
     res.status(200).json({
       success: true,
       message: "Test updated successfully",
@@ -435,7 +525,7 @@ export const deleteTest = async (req, res) => {
 export const addQuestionToTest = async (req, res) => {
   try {
     const { id } = req.params;
-    const { questionId } = req.body;
+    const { questionId, sectionId } = req.body;
 
     const test = await Test.findById(id);
 
@@ -454,8 +544,17 @@ export const addQuestionToTest = async (req, res) => {
       });
     }
 
+    if ((test.sections.length || sectionId) && !test.sections.id(sectionId)) {
+      return res.status(400).json({
+        success: false,
+        message: sectionId
+          ? "Section not found in this test"
+          : "sectionId is required for tests with sections",
+      });
+    }
+
     // Add question to test
-    await test.addQuestion(questionId);
+    await test.addQuestion(questionId, sectionId);
 
     res.status(200).json({
       success: true,
@@ -734,6 +833,9 @@ export const bulkCreateTests = async (req, res) => {
           shuffleQuestions: raw.shuffleQuestions || false,
           showResult: raw.showResult !== undefined ? raw.showResult : true,
           allowReview: raw.allowReview !== undefined ? raw.allowReview : true,
+          maxAttemptsPerStudent: raw.maxAttemptsPerStudent || undefined,
+          attemptCountingPolicy: raw.attemptCountingPolicy,
+          sections: raw.sections || [],
           slug,
         });
 
@@ -853,12 +955,22 @@ export const getTestQuestions = async (req, res) => {
       .select("questions");
 
     const totalQuestions = test.questions.length;
+    const showAnswers = await canViewAnswerKey(test, req.auth);
+    if (!showAnswers && !isQuestionPaperOpen(test)) {
+      return res.status(403).json({
+        success: false,
+        message: "Questions are available once the test starts",
+      });
+    }
 
     res.status(200).json({
       success: true,
       message: "Test questions retrieved successfully",
       data: {
-        questions: questions.questions,
+        questions: showAnswers
+          ? questions.questions
+          : questions.questions.map(toStudentQuestionView),
+        answersVisible: showAnswers,
         pagination: {
           currentPage: parseInt(page),
           totalPages: Math.ceil(totalQuestions / parseInt(limit)),
@@ -0,0 +1,420 @@
+import { matchedData } from "express-validator";
+import {
+  ATTEMPT_GRACE_SECONDS,
+  advanceSection,
+  assertOnlineAttempt,
+  buildSectionSummary,
+  compareAttempts,
+  finalizeIfOverdue,
+  getAttemptHistory,
+  getAttemptForStudent,
+  getAttemptReview,
+  saveAnswers,
+  startAttempt,
+  submitAttempt,
+  withholdUnreleasedResult,
+} from "../services/testAttempt.service.js";
+import { getWaitingRoom } from "../services/testSchedule.service.js";
+import {
+  buildOfflinePackage,
+  startOfflineAttempt,
+  syncOfflineAttempt,
+} from "../services/offlineAttempt.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+const buildAttemptSummary = (attempt) => ({
+  attemptId: attempt._id,
+  testId: attempt.testId,
+  testSeriesId: attempt.testSeriesId,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  deadline: attempt.deadline,
+  serverTime: new Date(),
+  remainingSeconds: attempt.getRemainingSeconds(),
+  currentSection: attempt.getCurrentSection(),
+  submittedAt: attempt.submittedAt,
+  answers: attempt.answers,
+});
+
+const buildGradedSummary = (attempt) => ({
+  attemptId: attempt._id,
+  testId: attempt.testId,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  submittedAt: attempt.submittedAt,
+  submissionType: attempt.submissionType,
+  score: attempt.score,
+  totalMarks: attempt.totalMarks,
+  percentage: attempt.percentage,
+  correct: attempt.correct,
+  incorrect: attempt.incorrect,
+  unattempted: attempt.unattempted,
+  sectionScores: attempt.sectionScores,
+});
+
+/**
+ * Start or resume a test attempt
+ * POST /api/test-attempts
+ */
+export const startTestAttempt = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { attempt, test, questions } = await startAttempt(
+      req.body.testId,
+      req.auth.studentId
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Test attempt started",
+      data: {
+        ...buildAttemptSummary(attempt),
+        test: {
+          id: test._id,
+          title: test.title,
+          instructions: test.instructions,
+          duration: test.duration,
+          overallMarks: test.overallMarks,
+          markingType: test.markingType,
+          negativeMarking: test.negativeMarking,
+          negativeMarkingRatio: test.negativeMarkingRatio,
+        },
+        sections: buildSectionSummary(attempt, test),
+        questions,
+      },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error starting test attempt");
+  }
+};
+
+/**
+ * Get a test attempt owned by the authenticated student
+ * GET /api/test-attempts/:attemptId
+ */
+export const getTestAttempt = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const attempt = await getAttemptForStudent(
+      req.params.attemptId,
+      req.auth.studentId
+    );
+    await finalizeIfOverdue(attempt);
+
+    res.status(200).json({
+      success: true,
+      message: "Test attempt retrieved successfully",
+      data:
+        attempt.status === "submitted"
+          ? await withholdUnreleasedResult(attempt, buildGradedSummary(attempt))
+          : buildAttemptSummary(attempt),
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching test attempt");
+  }
+};
+
+/**
+ * Save answers on an in-progress attempt
+ * PATCH /api/test-attempts/:attemptId/answers
+ */
+export const saveTestAttemptAnswers = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const attempt = await getAttemptForStudent(
+      req.params.attemptId,
+      req.auth.studentId
+    );
+    await saveAnswers(attempt, req.body.answers);
+
+    res.status(200).json({
+      success: true,
+      message: "Answers saved",
+      data: buildAttemptSummary(attempt),
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error saving test attempt answers");
+  }
+};
+
+/**
+ * Close the current timed section and open the next one
+ * POST /api/test-attempts/:attemptId/sections/next
+ */
+export const advanceTestAttemptSection = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const attempt = await getAttemptForStudent(
+      req.params.attemptId,
+      req.auth.studentId
+    );
+    const { test } = await advanceSection(attempt);
+
+    res.status(200).json({
+      success: true,
+      message: "Moved to the next section",
+      data: {
+        ...buildAttemptSummary(attempt),
+        sections: buildSectionSummary(attempt, test),
+      },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error advancing test attempt section");
+  }
+};
+
+/**
+ * Submit an attempt for server-side grading
+ * POST /api/test-attempts/:attemptId/submit
+ */
+export const submitTestAttempt = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const attempt = await getAttemptForStudent(
+      req.params.attemptId,
+      req.auth.studentId
+    );
+
+    assertOnlineAttempt(attempt);
+
+    // Past the grace window only the answers saved in time are graded
+    const isOverdue = attempt.isOverdue(ATTEMPT_GRACE_SECONDS);
+    if (!isOverdue && Array.isArray(req.body.answers) && req.body.answers.length) {
+      await saveAnswers(attempt, req.body.answers);
+    }
+
+    const { result } = await submitAttempt(attempt, {
+      submissionType: isOverdue ? "auto" : "manual",
+    });
+
+    res.status(200).json({
+      success: true,
+      message: "Test submitted successfully",
+      data: await withholdUnreleasedResult(attempt, {
+        ...buildGradedSummary(attempt),
+        result,
+      }),
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error submitting test attempt");
+  }
+};
+
+/**
+ * Review a submitted attempt with answers and explanations
+ * GET /api/test-attempts/:attemptId/review
+ */
+export const getTestAttemptReview = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const attempt = await getAttemptForStudent(
+      req.params.attemptId,
+      req.auth.studentId
+    );
+    await finalizeIfOverdue(attempt);
+    const questions = await getAttemptReview(attempt);
+
+    res.status(200).json({
+      success: true,
+      message: "Attempt review retrieved successfully",
+      data: {
+        ...buildGradedSummary(attempt),
+        questions,
+      },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching attempt review");
+  }
+};
+
+/**
+ * Waiting room for a scheduled test: window, countdown and enrolment
+ * GET /api/test-attempts/tests/:testId/waiting-room
+ */
+export const getTestWaitingRoom = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const waitingRoom = await getWaitingRoom(req.params.testId, req.auth.studentId);
+
+    res.status(200).json({
+      success: true,
+      message: "Waiting room retrieved successfully",
+      data: waitingRoom,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching waiting room");
+  }
+};
+
+/**
+ * The authenticated student's attempts on a test
+ * GET /api/test-attempts/tests/:testId/history
+ */
+export const getTestAttemptHistory = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const history = await getAttemptHistory(req.params.testId, req.auth.studentId);
+
+    res.status(200).json({
+      success: true,
+      message: "Attempt history retrieved successfully",
+      data: history,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching attempt history");
+  }
+};
+
+/**
+ * Compare the authenticated student's attempts on a test side by side
+ * GET /api/test-attempts/tests/:testId/compare
+ */
+export const compareTestAttempts = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const comparison = await compareAttempts(
+      req.params.testId,
+      req.auth.studentId,
+      // Express 5 re-parses req.query on every read, so the split list
+      // only survives in the validator's matched data
+      matchedData(req, { locations: ["query"] }).attemptIds
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Attempts compared successfully",
+      data: comparison,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error comparing test attempts");
+  }
+};
+
+/**
+ * Download an encrypted test package to take offline
+ * GET /api/test-attempts/tests/:testId/offline-package
+ */
+export const getOfflineTestPackage = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const offlinePackage = await buildOfflinePackage(
+      req.params.testId,
+      req.auth.studentId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Offline test package ready",
+      data: offlinePackage,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error building offline test package");
+  }
+};
+
+/**
+ * Begin a downloaded offline attempt and get the keys to its package
+ * POST /api/test-attempts/:attemptId/offline-start
+ */
+export const startOfflineTestAttempt = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const offlineStart = await startOfflineAttempt(
+      req.params.attemptId,
+      req.auth.studentId
+    );
+
+    res.status(200).json({
+      success: true,
+      message: "Offline attempt started",
+      data: offlineStart,
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error starting offline test attempt");
+  }
+};
+
+/**
+ * Upload the signed answer log of an offline attempt for grading
+ * POST /api/test-attempts/:attemptId/sync
+ */
+export const syncOfflineTestAttempt = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const { attempt, result, duplicate } = await syncOfflineAttempt(
+      req.params.attemptId,
+      req.auth.studentId,
+      { log: req.body.log, signature: req.body.signature }
+    );
+
+    res.status(200).json({
+      success: true,
+      message: duplicate ? "Answer log was already synced" : "Offline attempt synced and graded",
+      data: await withholdUnreleasedResult(attempt, {
+        ...buildGradedSummary(attempt),
+        offlineSync: {
+          syncedAt: attempt.offlineSync.syncedAt,
+          answersReceived: attempt.offlineSync.answersReceived,
+          answersDropped: attempt.offlineSync.answersDropped,
+        },
+        duplicate,
+        result,
+      }),
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error syncing offline test attempt");
+  }
+};
+
+export default {
+  startTestAttempt,
+  getTestAttempt,
+  getTestAttemptReview,
+  saveTestAttemptAnswers,
+  advanceTestAttemptSection,
+  submitTestAttempt,
+  getTestWaitingRoom,
+  getTestAttemptHistory,
+  compareTestAttempts,
+  getOfflineTestPackage,
+  startOfflineTestAttempt,
+  syncOfflineTestAttempt,
+};
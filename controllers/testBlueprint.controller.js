@@ -0,0 +1,211 @@
+import TestBlueprint from "../models/testBlueprint.js";
+import {
+  assertOwnedTestSeries,
+  findOwnedBlueprint,
+  generateTestFromBlueprint,
+} from "../services/testBlueprint.service.js";
+import { respondServiceError, respondValidationErrors } from "../util/http.js";
+
+const BLUEPRINT_FIELDS = [
+  "title",
+  "description",
+  "testSeriesId",
+  "subjects",
+  "specialization",
+  "class",
+  "topics",
+  "difficultyMix",
+  "questionCount",
+  "totalMarks",
+  "negativeMarks",
+  "duration",
+  "instructions",
+  "shuffleQuestions",
+  "avoidSeenQuestions",
+];
+
+const pickBlueprintFields = (body) =>
+  Object.fromEntries(
+    BLUEPRINT_FIELDS.filter((field) => body[field] !== undefined).map((field) => [
+      field,
+      body[field],
+    ])
+  );
+
+/**
+ * Save a blueprint, optionally generating the first test from it
+ * POST /api/test-blueprints
+ */
+export const createTestBlueprint = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const educatorId = req.educator._id;
+    await assertOwnedTestSeries(req.body.testSeriesId, educatorId);
+
+    const blueprint = new TestBlueprint({
+      ...pickBlueprintFields(req.body),
+      educatorId,
+    });
+    await blueprint.validate();
+
+    if (!req.body.generate) {
+      await blueprint.save();
+      return res.status(201).json({
+        success: true,
+        message: "Blueprint created successfully",
+        data: { blueprint },
+      });
+    }
+
+    // Generating before the first save means a blueprint the bank cannot fill is not stored
+    const { test, report } = await generateTestFromBlueprint(blueprint, {
+      title: req.body.testTitle,
+      studentIds: req.body.studentIds,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Blueprint created and test generated successfully",
+      data: { blueprint, test, report },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error creating test blueprint");
+  }
+};
+
+/**
+ * List the educator's blueprints
+ * GET /api/test-blueprints
+ */
+export const getMyTestBlueprints = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const filter = { educatorId: req.educator._id, isActive: true };
+    if (req.query.testSeriesId) filter.testSeriesId = req.query.testSeriesId;
+
+    const blueprints = await TestBlueprint.find(filter)
+      .populate("testSeriesId", "title slug")
+      .sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: "Blueprints retrieved successfully",
+      data: { blueprints, count: blueprints.length },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching test blueprints");
+  }
+};
+
+/**
+ * Get a blueprint with the tests generated from it
+ * GET /api/test-blueprints/:id
+ */
+export const getTestBlueprintById = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const blueprint = await findOwnedBlueprint(req.params.id, req.educator._id);
+    await blueprint.populate("generatedTests", "title slug createdAt isActive");
+
+    res.status(200).json({
+      success: true,
+      message: "Blueprint retrieved successfully",
+      data: { blueprint },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error fetching test blueprint");
+  }
+};
+
+/**
+ * Update a blueprint; already generated tests are not changed
+ * PUT /api/test-blueprints/:id
+ */
+export const updateTestBlueprint = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const blueprint = await findOwnedBlueprint(req.params.id, req.educator._id);
+    if (req.body.testSeriesId) {
+      await assertOwnedTestSeries(req.body.testSeriesId, req.educator._id);
+    }
+
+    const updates = pickBlueprintFields(req.body);
+    if (updates.difficultyMix) {
+      updates.difficultyMix = {
+        ...blueprint.toObject().difficultyMix,
+        ...updates.difficultyMix,
+      };
+    }
+    blueprint.set(updates);
+    await blueprint.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Blueprint updated successfully",
+      data: { blueprint },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error updating test blueprint");
+  }
+};
+
+/**
+ * Deactivate a blueprint; generated tests are kept
+ * DELETE /api/test-blueprints/:id
+ */
+export const deleteTestBlueprint = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const blueprint = await findOwnedBlueprint(req.params.id, req.educator._id);
+    blueprint.isActive = false;
+    await blueprint.save();
+
+    res.status(200).json({
+      success: true,
+      message: "Blueprint deleted successfully",
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error deleting test blueprint");
+  }
+};
+
+/**
+ * Generate a fresh test variant from a saved blueprint
+ * POST /api/test-blueprints/:id/generate
+ */
+export const generateTestFromSavedBlueprint = async (req, res) => {
+  try {
+    if (respondValidationErrors(req, res)) {
+      return;
+    }
+
+    const blueprint = await findOwnedBlueprint(req.params.id, req.educator._id);
+    const { test, report } = await generateTestFromBlueprint(blueprint, {
+      title: req.body.testTitle,
+      studentIds: req.body.studentIds,
+    });
+
+    res.status(201).json({
+      success: true,
+      message: "Test generated successfully",
+      data: { test, report },
+    });
+  } catch (error) {
+    respondServiceError(res, error, "Error generating test from blueprint");
+  }
+};
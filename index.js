@@ -27,6 +27,13 @@ import educatorMessageRoutes from "./routes/educatorMessage.route.js";
 import chatRoutes from "./routes/chat.route.js";
 import queryRoutes from "./routes/query.route.js";
 import resultRoutes from "./routes/result.route.js";
+import testAttemptRoutes from "./routes/testAttempt.route.js";
+import testBlueprintRoutes from "./routes/testBlueprint.route.js";
+import practiceRoutes from "./routes/practice.route.js";
+import notebookRoutes from "./routes/notebook.route.js";
+import answerChallengeRoutes from "./routes/answerChallenge.route.js";
+import couponRoutes from "./routes/coupon.route.js";
+import bundleRoutes from "./routes/bundle.route.js";
 import progressRoutes from "./routes/progress.route.js";
 import reviewRoutes from "./routes/review.route.js";
 import shareRoutes from "./routes/share.route.js";
@@ -34,6 +41,8 @@ import connectDB from "./util/DBConnect.js";
 import initializeNotificationSocket from "./sockets/notification.socket.js";
 import { initializeChatNamespace } from "./sockets/chat.socket.js";
 import { initializeStudentEducatorQueryNamespace } from "./sockets/studentEducator.socket.js";
+import { initializeTestAttemptNamespace } from "./sockets/testAttempt.socket.js";
+import { startInstallmentScheduler } from "./services/installment.service.js";
 
 // Ensure uploads directory exists
 const uploadsDir = path.join(process.cwd(), "uploads");
@@ -114,6 +123,9 @@ initializeChatNamespace(io);
 // Initialize student-educator query namespace
 initializeStudentEducatorQueryNamespace(io);
 
+// Initialize timed test attempt namespace (clock sync + auto-submit)
+initializeTestAttemptNamespace(io);
+
 // Middleware
 APP.use(
   cors(corsOptions)
@@ -140,6 +152,11 @@ APP.use("/api/webinars", webinarRoutes);
 APP.use("/api/educators", educatorRoutes);
 APP.use("/api/educators", educatorMessageRoutes);
 APP.use("/api/tests", testRoutes);
+APP.use("/api/test-attempts", testAttemptRoutes);
+APP.use("/api/test-blueprints", testBlueprintRoutes);
+APP.use("/api/practice", practiceRoutes);
+APP.use("/api/notebook", notebookRoutes);
+APP.use("/api/answer-challenges", answerChallengeRoutes);
 APP.use("/api/courses", courseRoutes);
 APP.use("/api/test-series", testSeriesRoutes);
 APP.use("/api/students", studentRoutes);
@@ -149,6 +166,8 @@ APP.use("/api/study-materials", studyMaterialRoutes);
 APP.use("/api/videos", videoRoutes);
 APP.use("/api/posts", postRoutes);
 APP.use("/api/payments", paymentRoutes);
+APP.use("/api/coupons", couponRoutes);
+APP.use("/api/bundles", bundleRoutes);
 APP.use("/api/educator-update", educatorUpdateRoutes);
 APP.use("/api/upload", uploadRoutes);
 APP.use("/api/notifications", notificationRoutes);
@@ -202,4 +221,6 @@ server.listen(PORT, () => {
   console.log(`WebSocket server ready at ws://localhost:${PORT}`);
   // console.log("CORS allowed origins:", Array.from(allowedOrigins));
   connectDB();
+  // Instalment reminders and overdue suspensions
+  startInstallmentScheduler();
 });
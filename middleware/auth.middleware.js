@@ -179,6 +179,68 @@ export const authenticateAdminOrEducator = async (req, res, next) => {
   }
 };
 
+/**
+ * Identify the caller on public routes without requiring a token.
+ * A missing or invalid token leaves the request anonymous (req.auth unset).
+ */
+export const optionalAuthenticate = async (req, _res, next) => {
+  try {
+    const authHeader = req.headers.authorization || "";
+    if (!authHeader.startsWith("Bearer ")) {
+      return next();
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(authHeader.split(" ")[1]);
+    } catch (error) {
+      return next();
+    }
+
+    if (payload.role === "admin") {
+      const admin = await Admin.findById(payload.sub);
+      if (!admin || admin.status !== "active") {
+        return next();
+      }
+      req.admin = admin;
+    } else if (payload.role === "educator") {
+      const educator = await Educator.findById(payload.sub);
+      if (!educator) {
+        return next();
+      }
+      req.educator = educator;
+    } else if (payload.role === "student") {
+      const student = await Student.findById(payload.sub);
+      if (!student || !student.isActive) {
+        return next();
+      }
+      req.student = student;
+    } else {
+      return next();
+    }
+
+    req.auth = {
+      userId: payload.sub,
+      userType: payload.role,
+      tokenPayload: payload,
+    };
+
+    next();
+  } catch (error) {
+    console.error("Optional auth middleware error:", error);
+    next();
+  }
+};
+
+/**
+ * Require a signed-in admin, educator or student. req.auth is set the same
+ * way as by optionalAuthenticate.
+ */
+export const authenticateUser = (req, res, next) =>
+  optionalAuthenticate(req, res, () =>
+    req.auth ? next() : buildErrorResponse(res, 401, "Authentication required")
+  );
+
 export const ensureEmailVerified = (req, res, next) => {
   try {
     const user = req.educator || req.student;
@@ -0,0 +1,89 @@
+import mongoose from "mongoose";
+import { ANSWER_CHALLENGE_STATUSES } from "../util/constants.js";
+
+// A student's dispute of a question's answer key after submitting an attempt.
+// Discussion happens on the linked Query's conversation
+const answerChallengeSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    attemptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TestAttempt",
+      required: true,
+    },
+    testId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Test",
+      required: true,
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    // Owner of the question, who reviews the challenge
+    educatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Educator",
+      required: true,
+    },
+    // Version whose answer key graded the question when it was challenged
+    questionVersion: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    // The answer the student believes is correct, in response format
+    proposedAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    queryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Query",
+    },
+    status: {
+      type: String,
+      enum: ANSWER_CHALLENGE_STATUSES,
+      default: "pending",
+    },
+    resolvedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "resolverModel",
+    },
+    resolverModel: {
+      type: String,
+      enum: ["Educator", "Admin"],
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    resolutionNote: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    // Regrade run when the challenge was accepted
+    regradeId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "QuestionRegrade",
+    },
+  },
+  { timestamps: true }
+);
+
+answerChallengeSchema.index({ attemptId: 1, questionId: 1 }, { unique: true });
+answerChallengeSchema.index({ educatorId: 1, status: 1, questionId: 1 });
+answerChallengeSchema.index({ questionId: 1, status: 1 });
+answerChallengeSchema.index({ studentId: 1, createdAt: -1 });
+
+export default mongoose.model("AnswerChallenge", answerChallengeSchema);
@@ -0,0 +1,119 @@
+import mongoose from "mongoose";
+import { BUNDLE_ITEM_TYPES } from "../util/constants.js";
+
+const bundleItemSchema = new mongoose.Schema(
+  {
+    productType: {
+      type: String,
+      enum: BUNDLE_ITEM_TYPES,
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    // Owner of the component, who is paid its share of each sale
+    educatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Educator",
+      required: true,
+    },
+    // Standalone price in rupees when the bundle was put together
+    listPrice: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Part of the bundle's revenue this component earns; all items total 100
+    sharePercent: {
+      type: Number,
+      min: 0,
+      max: 100,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Several products sold together at one price. Buying it enrols the student
+// in every component
+const bundleSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    image: {
+      type: String,
+      trim: true,
+    },
+    // Educator selling the bundle; null for bundles an admin puts together
+    // from several educators' products
+    educatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Educator",
+      default: null,
+      index: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "creatorModel",
+      required: true,
+    },
+    creatorModel: {
+      type: String,
+      enum: ["Admin", "Educator"],
+      required: true,
+    },
+    items: {
+      type: [bundleItemSchema],
+      validate: {
+        validator: (items) => Array.isArray(items) && items.length >= 2,
+        message: "A bundle needs at least two products",
+      },
+    },
+    // Bundle price in rupees
+    price: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    // Last day the bundle can be bought
+    validity: {
+      type: Date,
+    },
+    specialization: [
+      {
+        type: String,
+        enum: ["IIT-JEE", "NEET", "CBSE"],
+      },
+    ],
+    maxStudents: {
+      type: Number,
+      min: 1,
+    },
+    enrolledStudents: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Student",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+bundleSchema.index({ isActive: 1, validity: 1 });
+bundleSchema.index({ "items.productId": 1 });
+
+export default mongoose.model("Bundle", bundleSchema);
@@ -0,0 +1,113 @@
+import mongoose from "mongoose";
+import { COUPON_DISCOUNT_TYPES } from "../util/constants.js";
+
+// A promo code. Platform coupons are created by admins and their discount is
+// borne by the platform; educator coupons only apply to that educator's
+// products and come out of the educator's share. Rupee amounts, like
+// Course.fees; empty scope lists mean no restriction
+const couponSchema = new mongoose.Schema(
+  {
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+      match: [/^[A-Z0-9_-]{3,30}$/, "Code must be 3-30 letters, digits, _ or -"],
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "creatorModel",
+      required: true,
+    },
+    creatorModel: {
+      type: String,
+      enum: ["Admin", "Educator"],
+      required: true,
+    },
+    // Set for educator coupons; null for platform-wide ones
+    educatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Educator",
+      default: null,
+      index: true,
+    },
+    discountType: {
+      type: String,
+      enum: COUPON_DISCOUNT_TYPES,
+      required: true,
+    },
+    discountValue: {
+      type: Number,
+      required: true,
+      min: 0.01,
+    },
+    // Upper limit on a percentage discount
+    maxDiscount: {
+      type: Number,
+      min: 0,
+    },
+    minOrderAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    products: [
+      {
+        _id: false,
+        productType: {
+          type: String,
+          required: true,
+        },
+        productId: {
+          type: mongoose.Schema.Types.ObjectId,
+          required: true,
+        },
+      },
+    ],
+    productTypes: [String],
+    specializations: [String],
+    startsAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    // Redemptions across all students; unlimited when unset
+    usageLimit: {
+      type: Number,
+      min: 1,
+    },
+    // Redemptions held by paid orders and open checkouts, reserved with a
+    // conditional $inc so concurrent checkouts cannot pass usageLimit
+    redemptions: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    perStudentLimit: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Only for students with no earlier successful purchase
+    firstPurchaseOnly: {
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+export default mongoose.model("Coupon", couponSchema);
@@ -246,6 +246,36 @@ const courseSchema = new mongoose.Schema({
     trim: true,
     lowercase: true,
   },
+  // Optional pay-in-instalments option. Amounts are in rupees; the first
+  // instalment is paid at checkout and each later one falls due the given
+  // number of days after it
+  installmentPlan: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    installments: [
+      {
+        _id: false,
+        amount: {
+          type: Number,
+          required: true,
+          min: 1,
+        },
+        dueAfterDays: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+      },
+    ],
+    // Days an instalment may stay unpaid after its due date before access is suspended
+    gracePeriodDays: {
+      type: Number,
+      min: 0,
+      default: 7,
+    },
+  },
   isActive: {
     type: Boolean,
     default: true,
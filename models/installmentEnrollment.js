@@ -0,0 +1,108 @@
+import mongoose from "mongoose";
+import { INSTALLMENT_ENROLLMENT_STATUSES } from "../util/constants.js";
+
+const installmentSchema = new mongoose.Schema(
+  {
+    number: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    amount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    dueAfterDays: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    // Set for every instalment once the first one is paid
+    dueDate: {
+      type: Date,
+    },
+    paidAt: {
+      type: Date,
+    },
+    paymentIntentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentIntent",
+    },
+    reminderSentAt: {
+      type: Date,
+    },
+    overdueNoticeSentAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// A student buying a course in instalments. The course's plan is copied
+// here when they start, so later changes to it do not move their schedule.
+// Amounts are in paise, like PaymentIntent.amount
+const installmentEnrollmentSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    courseId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Course",
+      required: true,
+      index: true,
+    },
+    educatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Educator",
+      index: true,
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    gracePeriodDays: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    installments: {
+      type: [installmentSchema],
+      validate: {
+        validator: (installments) => installments.length >= 2,
+        message: "An instalment plan needs at least 2 instalments",
+      },
+    },
+    status: {
+      type: String,
+      enum: INSTALLMENT_ENROLLMENT_STATUSES,
+      default: "pending",
+      index: true,
+    },
+    startedAt: {
+      type: Date,
+    },
+    suspendedAt: {
+      type: Date,
+    },
+    completedAt: {
+      type: Date,
+    },
+    cancelledAt: {
+      type: Date,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+installmentEnrollmentSchema.index({ studentId: 1, courseId: 1 });
+installmentEnrollmentSchema.index({ status: 1, "installments.dueDate": 1 });
+
+export default mongoose.model("InstallmentEnrollment", installmentEnrollmentSchema);
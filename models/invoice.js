@@ -0,0 +1,131 @@
+import mongoose from "mongoose";
+
+const partySchema = new mongoose.Schema(
+  {
+    name: String,
+    email: String,
+    mobileNumber: String,
+    gstin: String,
+    address: {
+      street: String,
+      city: String,
+      state: String,
+      country: String,
+      pincode: String,
+    },
+  },
+  { _id: false }
+);
+
+// GST tax invoice for a student's purchase. Numbers run without gaps within
+// each April-March financial year: a sequence only exists once its invoice
+// is stored. Amounts are in paise; the price a student pays already includes
+// GST, which is worked back out of it
+const invoiceSchema = new mongoose.Schema(
+  {
+    invoiceNumber: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+    // e.g. "2026-27"
+    financialYear: {
+      type: String,
+      required: true,
+    },
+    sequence: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    paymentIntentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentIntent",
+      required: true,
+      unique: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    issuedAt: {
+      type: Date,
+      required: true,
+    },
+    seller: partySchema,
+    buyer: partySchema,
+    placeOfSupply: {
+      type: String,
+    },
+    supplyType: {
+      type: String,
+      enum: ["intra-state", "inter-state"],
+      required: true,
+    },
+    item: {
+      description: String,
+      productType: String,
+      productId: mongoose.Schema.Types.ObjectId,
+      sacCode: String,
+      quantity: {
+        type: Number,
+        default: 1,
+      },
+    },
+    listAmount: {
+      type: Number,
+      min: 0,
+    },
+    discountAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    couponCode: {
+      type: String,
+    },
+    taxRate: {
+      type: Number,
+      required: true,
+    },
+    taxableValue: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    cgst: {
+      type: Number,
+      default: 0,
+    },
+    sgst: {
+      type: Number,
+      default: 0,
+    },
+    igst: {
+      type: Number,
+      default: 0,
+    },
+    totalAmount: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    currency: {
+      type: String,
+      default: "INR",
+    },
+    emailedAt: {
+      type: Date,
+    },
+    emailError: {
+      type: String,
+    },
+  },
+  { timestamps: true }
+);
+
+invoiceSchema.index({ financialYear: 1, sequence: -1 }, { unique: true });
+
+export default mongoose.model("Invoice", invoiceSchema);
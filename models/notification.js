@@ -23,6 +23,10 @@ const notificationSchema = new mongoose.Schema(
           "post",
           "test_series",
           "live_class",
+          "mock_test",
+          "test_result",
+          "test_regrade",
+          "course_installment",
           "broadcast_message",
         ],
         message: "{VALUE} is not a valid notification type",
@@ -63,6 +67,10 @@ const notificationSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: "LiveClass",
       },
+      testId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Test",
+      },
       resourceId: {
         type: mongoose.Schema.Types.ObjectId,
         index: true,
@@ -75,6 +83,10 @@ const notificationSchema = new mongoose.Schema(
           "post",
           "test_series",
           "live_class",
+          "mock_test",
+          "test_result",
+          "test_regrade",
+          "course_installment",
         ],
       },
       resourceRoute: {
@@ -0,0 +1,42 @@
+import mongoose from "mongoose";
+import { sanitizeRichText } from "../util/richText.js";
+
+// Comprehension / paragraph text (Markdown with LaTeX) shared by several questions
+const passageSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      trim: true,
+      maxlength: 200,
+    },
+    content: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 10000,
+    },
+    image: {
+      type: String,
+      trim: true,
+    },
+    educatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Educator",
+      required: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+passageSchema.index({ educatorId: 1, createdAt: -1 });
+
+passageSchema.pre("validate", function (next) {
+  this.content = sanitizeRichText(this.content);
+  next();
+});
+
+export default mongoose.model("Passage", passageSchema);
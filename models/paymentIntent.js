@@ -6,6 +6,7 @@ const PAYMENT_PRODUCT_TYPES = [
   "webinar",
   "test",
   "liveClass",
+  "bundle",
 ];
 const PAYMENT_STATUSES = [
   "created",
@@ -39,6 +40,26 @@ const paymentIntentSchema = new mongoose.Schema(
       required: true,
       min: 1,
     },
+    // Price in paise before any coupon; amount is what the student pays
+    listAmount: {
+      type: Number,
+      min: 1,
+    },
+    coupon: {
+      couponId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Coupon",
+        index: true,
+      },
+      code: String,
+      discountType: String,
+      discountValue: Number,
+      discountAmount: Number,
+      // Who bears the discount: "platform" or "educator"
+      fundedBy: String,
+      // Set once the order gave its coupon redemption back
+      releasedAt: Date,
+    },
     currency: {
       type: String,
       default: "INR",
@@ -71,9 +92,35 @@ const paymentIntentSchema = new mongoose.Schema(
     productSnapshot: {
       type: mongoose.Schema.Types.Mixed,
     },
+    // Set when the payment is one instalment of a course bought in instalments
+    installment: {
+      enrollmentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "InstallmentEnrollment",
+        index: true,
+      },
+      number: Number,
+      count: Number,
+    },
     errorReason: {
       type: String,
     },
+    // Bundle components the student could not be enrolled in after paying
+    enrollmentFailures: [
+      {
+        _id: false,
+        productType: String,
+        productId: mongoose.Schema.Types.ObjectId,
+        reason: String,
+        failedAt: Date,
+      },
+    ],
+    // Paise refunded so far; status becomes "refunded" once it reaches amount
+    refundedAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     notes: {
       type: Map,
       of: String,
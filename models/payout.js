@@ -23,6 +23,19 @@ const payoutSchema = new mongoose.Schema(
       required: true,
       min: [0, "Commission amount cannot be negative"],
     },
+    // Educator share of refunds on earlier, already paid-out months
+    deductionAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // Part of deductionAmount this month's sales could not cover; it is
+    // deducted again from the next payout
+    unrecoveredAmount: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
     currency: {
       type: String,
       default: "INR",
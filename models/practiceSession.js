@@ -0,0 +1,130 @@
+import mongoose from "mongoose";
+
+export const PRACTICE_SESSION_STATUSES = ["active", "ended"];
+// Adaptive sessions pick questions from mastery; the others replay a fixed list
+export const PRACTICE_SESSION_SOURCES = ["adaptive", "mistakes", "bookmarks"];
+
+const practiceAnswerSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false,
+    },
+    // Share of full marks earned (partial credit for multi-select / matrix-match)
+    score: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: 0,
+    },
+    difficulty: {
+      type: String,
+    },
+    topics: [
+      {
+        type: String,
+      },
+    ],
+    timeSpent: {
+      type: Number, // in seconds
+      min: 0,
+      default: 0,
+    },
+    answeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Adaptive practice: one question is served at a time and the next is
+// picked from the student's topic mastery. Kept apart from TestAttempt so
+// practice never touches formal results.
+const practiceSessionSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    source: {
+      type: String,
+      enum: PRACTICE_SESSION_SOURCES,
+      default: "adaptive",
+    },
+    // Optional for fixed-list sessions, which may mix subjects
+    subject: {
+      type: String,
+      required: function () {
+        return this.source === "adaptive";
+      },
+      trim: true,
+      lowercase: true,
+    },
+    // Empty means every topic of the subject
+    topics: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    specialization: {
+      type: String,
+    },
+    class: {
+      type: String,
+    },
+    status: {
+      type: String,
+      enum: PRACTICE_SESSION_STATUSES,
+      default: "active",
+    },
+    // Questions of a fixed-list session, served in this order
+    questionQueue: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Question",
+      },
+    ],
+    // Question currently served and waiting for an answer
+    currentQuestion: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+    },
+    currentServedAt: {
+      type: Date,
+    },
+    answers: {
+      type: [practiceAnswerSchema],
+      default: [],
+    },
+    endedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+practiceSessionSchema.index({ studentId: 1, status: 1, createdAt: -1 });
+
+practiceSessionSchema.virtual("answeredCount").get(function () {
+  return this.answers ? this.answers.length : 0;
+});
+
+practiceSessionSchema.virtual("correctCount").get(function () {
+  return this.answers ? this.answers.filter((a) => a.isCorrect).length : 0;
+});
+
+practiceSessionSchema.set("toJSON", { virtuals: true });
+practiceSessionSchema.set("toObject", { virtuals: true });
+
+export default mongoose.model("PracticeSession", practiceSessionSchema);
@@ -62,6 +62,19 @@ const querySchema = new mongoose.Schema(
         type: String,
         trim: true,
       },
+      // Set on queries opened to discuss an answer-key challenge
+      challengeId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "AnswerChallenge",
+      },
+      testId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Test",
+      },
+      testName: {
+        type: String,
+        trim: true,
+      },
     },
     isActive: {
       type: Boolean,
@@ -1,4 +1,34 @@
 import mongoose from "mongoose";
+import { sanitizeQuestionContent } from "../util/richText.js";
+import { computeContentHash } from "../util/questionSimilarity.js";
+
+export const QUESTION_TYPES = [
+  "single-select",
+  "multi-select",
+  "integer",
+  "numeric",
+  "matrix-match",
+  "assertion-reason",
+];
+
+// Option keys a question may use, in order; at least the first two are required
+export const OPTION_KEYS = ["A", "B", "C", "D", "E", "F", "G", "H"];
+
+// Standard NEET answer choices, used when an assertion-reason question has no options
+export const ASSERTION_REASON_OPTIONS = {
+  A: "Both Assertion and Reason are true and Reason is the correct explanation of Assertion",
+  B: "Both Assertion and Reason are true but Reason is not the correct explanation of Assertion",
+  C: "Assertion is true but Reason is false",
+  D: "Assertion is false but Reason is true",
+};
+
+const matrixEntrySchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, trim: true },
+    text: { type: String, required: true, trim: true },
+  },
+  { _id: false }
+);
 
 const questionSchema = new mongoose.Schema(
   {
@@ -10,7 +40,7 @@ const questionSchema = new mongoose.Schema(
     },
     questionType: {
       type: String,
-      enum: ["single-select", "multi-select", "integer"],
+      enum: QUESTION_TYPES,
       required: true,
     },
     educatorId: {
@@ -22,6 +52,13 @@ const questionSchema = new mongoose.Schema(
       type: String,
       trim: true,
     },
+    // Additional images shown with the question (structures, diagrams)
+    questionImages: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
     subject: [
       {
         type: String,
@@ -71,17 +108,46 @@ const questionSchema = new mongoose.Schema(
         trim: true,
       },
     ],
-    options: {
-      A: { type: String, trim: true },
-      B: { type: String, trim: true },
-      C: { type: String, trim: true },
-      D: { type: String, trim: true },
-    },
-    // correctOptions will be either String (for single), [String] for multi, or Number for integer
+    options: Object.fromEntries(
+      OPTION_KEYS.map((key) => [key, { type: String, trim: true }])
+    ),
+    optionImages: Object.fromEntries(
+      OPTION_KEYS.map((key) => [key, { type: String, trim: true }])
+    ),
+    // correctOptions shape depends on questionType:
+    // single-select / assertion-reason: String ("A")
+    // multi-select: [String] (["A", "C"])
+    // integer: Number
+    // numeric: Number (matched within `tolerance`) or { min, max }
+    // matrix-match: { [rowKey]: [columnKey] } ({ A: ["P", "R"], B: ["Q"] })
     correctOptions: {
       type: mongoose.Schema.Types.Mixed,
       required: true,
     },
+    // Absolute tolerance for numeric answers
+    tolerance: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    // List-I (rows) and List-II (columns) of a matrix-match question
+    matrix: {
+      rows: [matrixEntrySchema],
+      columns: [matrixEntrySchema],
+    },
+    assertion: {
+      type: String,
+      trim: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+    },
+    // Comprehension passage shared with other questions
+    passage: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Passage",
+    },
     difficulty: {
       type: String,
       enum: ["Easy", "Medium", "Hard"],
@@ -90,12 +156,21 @@ const questionSchema = new mongoose.Schema(
     marks: {
       positive: { type: Number, default: 1, min: 0 },
       negative: { type: Number, default: 0, min: 0 },
+      // JEE Advanced style partial credit for multi-select and matrix-match
+      partial: { type: Boolean, default: false },
     },
+    // Markdown with LaTeX, like the title and options
     explanation: {
       type: String,
       trim: true,
       default: "",
     },
+    explanationImages: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
     tags: [
       {
         type: String,
@@ -108,6 +183,22 @@ const questionSchema = new mongoose.Schema(
       trim: true,
       lowercase: true,
     },
+    // Hash of the normalised text and options, for exact-duplicate lookups
+    contentHash: {
+      type: String,
+    },
+    // Bumped when an edit changes a question students have already been
+    // served; earlier versions are kept in QuestionVersion
+    version: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    // Set when this question was merged into another as a duplicate
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -127,6 +218,19 @@ questionSchema.index({ class: 1 });
 questionSchema.index({ difficulty: 1 });
 questionSchema.index({ questionType: 1 });
 questionSchema.index({ tags: 1 });
+questionSchema.index({ passage: 1 });
+questionSchema.index({ educatorId: 1, contentHash: 1 });
+
+// Fill in the standard choices for assertion-reason questions and strip
+// raw HTML from the Markdown/LaTeX text fields
+questionSchema.pre("validate", function (next) {
+  if (this.questionType === "assertion-reason" && !this.options?.A) {
+    this.options = { ...ASSERTION_REASON_OPTIONS };
+  }
+  sanitizeQuestionContent(this);
+  this.contentHash = computeContentHash(this);
+  next();
+});
 
 // Pre-save: generate slug if not provided
 questionSchema.pre("save", function (next) {
@@ -0,0 +1,37 @@
+import mongoose from "mongoose";
+
+// A question a student saved from a submitted attempt, with a personal note
+const questionBookmarkSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    // Attempt the question was saved from
+    attemptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TestAttempt",
+    },
+    testId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Test",
+    },
+    note: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+  },
+  { timestamps: true }
+);
+
+questionBookmarkSchema.index({ studentId: 1, questionId: 1 }, { unique: true });
+questionBookmarkSchema.index({ studentId: 1, createdAt: -1 });
+
+export default mongoose.model("QuestionBookmark", questionBookmarkSchema);
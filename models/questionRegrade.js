@@ -0,0 +1,101 @@
+import mongoose from "mongoose";
+
+export const REGRADE_SOURCES = ["manual", "challenge"];
+
+// Score change of one attempt in a regrade
+const regradeChangeSchema = new mongoose.Schema(
+  {
+    attemptId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TestAttempt",
+      required: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+    },
+    testId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Test",
+    },
+    // Version whose answer key graded the question before the regrade
+    fromVersion: {
+      type: Number,
+    },
+    scoreBefore: {
+      type: Number,
+    },
+    scoreAfter: {
+      type: Number,
+    },
+    percentageBefore: {
+      type: Number,
+    },
+    percentageAfter: {
+      type: Number,
+    },
+  },
+  { _id: false }
+);
+
+// Audit record of past attempts regraded against a question's corrected answer key
+const questionRegradeSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    // Version whose answer key the attempts were regraded with
+    toVersion: {
+      type: Number,
+      required: true,
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      refPath: "performerModel",
+      required: true,
+    },
+    performerModel: {
+      type: String,
+      enum: ["Educator", "Admin"],
+      required: true,
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    // "challenge" when accepting a student's answer-key challenge triggered it
+    source: {
+      type: String,
+      enum: REGRADE_SOURCES,
+      default: "manual",
+    },
+    testIds: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Test",
+      },
+    ],
+    attemptsRegraded: {
+      type: Number,
+      default: 0,
+    },
+    // Attempts left alone because the question type changed since they were served
+    attemptsSkipped: {
+      type: Number,
+      default: 0,
+    },
+    studentsNotified: {
+      type: Number,
+      default: 0,
+    },
+    changes: [regradeChangeSchema],
+  },
+  { timestamps: true }
+);
+
+questionRegradeSchema.index({ questionId: 1, createdAt: -1 });
+
+export default mongoose.model("QuestionRegrade", questionRegradeSchema);
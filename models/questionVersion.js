@@ -0,0 +1,38 @@
+import mongoose from "mongoose";
+
+// Content of a question as it stood at one version, kept once an edit
+// replaced it so attempts that were served it can still be reviewed and graded
+const questionVersionSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    version: {
+      type: Number,
+      min: 1,
+      required: true,
+    },
+    // The versioned fields of the question (see QUESTION_VERSIONED_FIELDS)
+    content: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true,
+    },
+    // Fields the edit that replaced this version changed
+    changedFields: [
+      {
+        type: String,
+      },
+    ],
+    replacedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+questionVersionSchema.index({ questionId: 1, version: 1 }, { unique: true });
+
+export default mongoose.model("QuestionVersion", questionVersionSchema);
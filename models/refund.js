@@ -0,0 +1,110 @@
+import mongoose from "mongoose";
+import { REFUND_STATUSES } from "../util/constants.js";
+
+const payoutReversalSchema = new mongoose.Schema(
+  {
+    educatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Educator",
+    },
+    amount: {
+      type: Number,
+      default: 0,
+    },
+    month: {
+      type: Number,
+    },
+    year: {
+      type: Number,
+    },
+    isCarriedForward: {
+      type: Boolean,
+      default: false,
+    },
+    appliedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+// A student's request to refund a payment, and the refund issued for it.
+// Amounts are in paise, like PaymentIntent.amount
+const refundSchema = new mongoose.Schema(
+  {
+    paymentIntentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "PaymentIntent",
+      required: true,
+      index: true,
+    },
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+      index: true,
+    },
+    reason: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 1000,
+    },
+    // What the student asked for; the admin may approve less
+    requestedAmount: {
+      type: Number,
+      min: 1,
+      required: true,
+    },
+    amount: {
+      type: Number,
+      min: 1,
+    },
+    status: {
+      type: String,
+      enum: REFUND_STATUSES,
+      default: "requested",
+      index: true,
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    reviewedAt: {
+      type: Date,
+    },
+    adminNote: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    razorpayRefundId: {
+      type: String,
+      index: true,
+    },
+    processedAt: {
+      type: Date,
+    },
+    failureReason: {
+      type: String,
+    },
+    // Set when a full refund removed the student from the product
+    unenrolledAt: {
+      type: Date,
+    },
+    // Each educator's share of the refund taken back from their payouts; a
+    // bundle can have several. When the payment's month was already paid
+    // out the share comes off a later month instead
+    payoutReversals: [payoutReversalSchema],
+  },
+  { timestamps: true }
+);
+
+refundSchema.index({ status: 1, createdAt: 1 });
+refundSchema.index({
+  "payoutReversals.educatorId": 1,
+  "payoutReversals.year": 1,
+  "payoutReversals.month": 1,
+});
+
+export default mongoose.model("Refund", refundSchema);
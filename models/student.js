@@ -148,6 +148,11 @@ const studentSchema = new mongoose.Schema({
         timeTaken: {
             type: Number, // in minutes
             min: 0
+        },
+        attempts: {
+            type: Number,
+            min: 0,
+            default: 1
         }
     }],
     testSeries: [{
@@ -203,6 +208,10 @@ const studentSchema = new mongoose.Schema({
         }
     }],
     results: [{
+        attemptId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'TestAttempt'
+        },
         testId: {
             type: mongoose.Schema.Types.ObjectId,
             ref: 'Test'
@@ -216,6 +225,20 @@ const studentSchema = new mongoose.Schema({
             trim: true,
             maxlength: 200
         },
+        attemptNumber: {
+            type: Number,
+            min: 1
+        },
+        // Whether this attempt is the one counted by Test.attemptCountingPolicy
+        isCounted: {
+            type: Boolean,
+            default: true
+        },
+        // Set when an admin invalidates the attempt; never counted again
+        isInvalidated: {
+            type: Boolean,
+            default: false
+        },
         score: {
             type: Number,
             required: true
@@ -231,6 +254,9 @@ const studentSchema = new mongoose.Schema({
         rank: {
             type: Number
         },
+        percentile: {
+            type: Number
+        },
         correct: {
             type: Number,
             default: 0
@@ -254,9 +280,19 @@ const studentSchema = new mongoose.Schema({
             correct: [{
                 type: Number
             }],
+            // Raw graded response (option key(s) or numeric value)
+            response: {
+                type: mongoose.Schema.Types.Mixed
+            },
             isCorrect: {
                 type: Boolean
             },
+            marksAwarded: {
+                type: Number
+            },
+            timeSpent: {
+                type: Number // in seconds
+            },
             text: {
                 type: String,
                 trim: true,
@@ -273,13 +309,26 @@ const studentSchema = new mongoose.Schema({
         subjects: [{
             name: {
                 type: String,
-                enum: ['Physics', 'Chemistry', 'Biology', 'Mathematics', 'English']
+                enum: ['Physics', 'Chemistry', 'Biology', 'Mathematics', 'English', 'Hindi']
+            },
+            section: {
+                type: String,
+                trim: true
             },
             score: {
                 type: Number
             },
             totalMarks: {
                 type: Number
+            },
+            correct: {
+                type: Number
+            },
+            incorrect: {
+                type: Number
+            },
+            unattempted: {
+                type: Number
             }
         }]
     }],
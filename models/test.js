@@ -1,4 +1,57 @@
 import mongoose from "mongoose";
+import { ATTEMPT_COUNTING_POLICIES } from "../util/constants.js";
+import { getTestWindowError } from "../util/testSchedule.js";
+
+const TEST_SUBJECTS = [
+  "biology",
+  "physics",
+  "mathematics",
+  "chemistry",
+  "english",
+  "hindi",
+];
+
+// A section of a paper (e.g. Physics in JEE Main) with its own questions,
+// optional time limit, marking scheme and "attempt any N of M" rule
+const testSectionSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100,
+  },
+  subject: {
+    type: String,
+    enum: TEST_SUBJECTS,
+  },
+  questions: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+    },
+  ],
+  duration: {
+    type: Number, // Duration in minutes; sections with a limit are taken in order
+    min: 1,
+  },
+  // Overrides Question.marks / test-level negative marking when set
+  marking: {
+    positive: { type: Number, min: 0 },
+    negative: { type: Number, min: 0 },
+    // Partial credit for multi-select / matrix-match (JEE Advanced style)
+    partial: { type: Boolean },
+  },
+  // Only the first N attempted questions (in section order) are evaluated
+  maxAttempts: {
+    type: Number,
+    min: 1,
+  },
+  instructions: {
+    type: String,
+    trim: true,
+    maxlength: 1000,
+  },
+});
 
 const testSchema = new mongoose.Schema({
   title: {
@@ -16,14 +69,7 @@ const testSchema = new mongoose.Schema({
   subjects: [
     {
       type: String,
-      enum: [
-        "biology",
-        "physics",
-        "mathematics",
-        "chemistry",
-        "english",
-        "hindi",
-      ],
+      enum: TEST_SUBJECTS,
       required: true,
     },
   ],
@@ -72,6 +118,11 @@ const testSchema = new mongoose.Schema({
       ref: "Question",
     },
   ],
+  // When present, questions is kept as the flattened list of section questions
+  sections: {
+    type: [testSectionSchema],
+    default: [],
+  },
   isTestSeriesSpecific: {
     type: Boolean,
     default: false,
@@ -131,6 +182,36 @@ const testSchema = new mongoose.Schema({
     type: Boolean,
     default: true,
   },
+  // Attempts each student may make; unset means unlimited
+  maxAttemptsPerStudent: {
+    type: Number,
+    min: 1,
+  },
+  // Which attempt counts for leaderboards and the student's average score
+  attemptCountingPolicy: {
+    type: String,
+    enum: ATTEMPT_COUNTING_POLICIES,
+    default: "latest",
+  },
+  // Scheduled window (live all-India mocks): attempts can only start
+  // between startsAt and endsAt and must finish by endsAt
+  startsAt: {
+    type: Date,
+  },
+  endsAt: {
+    type: Date,
+  },
+  // Scores, reviews and leaderboards are withheld until then (defaults to endsAt)
+  resultsReleaseAt: {
+    type: Date,
+  },
+  // When followers were told about the schedule and the results
+  scheduleNotifiedAt: {
+    type: Date,
+  },
+  resultsNotifiedAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -141,6 +222,25 @@ const testSchema = new mongoose.Schema({
   },
 });
 
+/**
+ * Flatten section question lists into a single de-duplicated list,
+ * preserving section order.
+ */
+export const flattenSectionQuestions = (sections = []) => {
+  const seen = new Set();
+  const questions = [];
+  sections.forEach((section) => {
+    (section.questions || []).forEach((questionId) => {
+      const key = questionId.toString();
+      if (!seen.has(key)) {
+        seen.add(key);
+        questions.push(questionId);
+      }
+    });
+  });
+  return questions;
+};
+
 // Create indexes for better performance (excluding slug which already has unique: true)
 testSchema.index({ educatorID: 1 });
 testSchema.index({ subjects: 1 });
@@ -149,6 +249,7 @@ testSchema.index({ class: 1 });
 testSchema.index({ testSeriesID: 1 });
 testSchema.index({ isTestSeriesSpecific: 1 });
 testSchema.index({ isActive: 1 });
+testSchema.index({ resultsNotifiedAt: 1, resultsReleaseAt: 1, endsAt: 1 });
 
 // Pre-save middleware to update the updatedAt field
 testSchema.pre("save", function (next) {
@@ -262,6 +363,37 @@ testSchema.pre("validate", function (next) {
     this.testSeriesID = undefined;
   }
 
+  const windowError = getTestWindowError(this);
+  if (windowError) {
+    return next(new Error(windowError));
+  }
+
+  if (this.sections && this.sections.length) {
+    this.questions = flattenSectionQuestions(this.sections);
+
+    const timedMinutes = this.sections.reduce(
+      (total, section) => total + (section.duration || 0),
+      0
+    );
+    if (timedMinutes > this.duration) {
+      return next(
+        new Error("Total section duration cannot exceed the test duration")
+      );
+    }
+
+    const invalidRule = this.sections.find(
+      (section) =>
+        section.maxAttempts && section.maxAttempts > section.questions.length
+    );
+    if (invalidRule) {
+      return next(
+        new Error(
+          `Section "${invalidRule.name}" cannot require more attempts than it has questions`
+        )
+      );
+    }
+  }
+
   // Validate passing marks
   if (this.passingMarks && this.passingMarks > this.overallMarks) {
     const error = new Error(
@@ -281,23 +413,51 @@ testSchema.pre("save", function (next) {
   next();
 });
 
-// Method to add question to test
-testSchema.methods.addQuestion = function (questionId) {
+// Method to add question to test (optionally into a specific section)
+testSchema.methods.addQuestion = function (questionId, sectionId) {
+  if (this.sections.length && !sectionId) {
+    throw new Error("sectionId is required for tests with sections");
+  }
+  if (sectionId) {
+    const section = this.sections.id(sectionId);
+    if (!section) {
+      throw new Error("Section not found in this test");
+    }
+    if (!section.questions.includes(questionId)) {
+      section.questions.push(questionId);
+    }
+  }
   if (!this.questions.includes(questionId)) {
     this.questions.push(questionId);
   }
   return this.save();
 };
 
-// Method to remove question from test
+// Method to remove question from test (and from any section holding it)
 testSchema.methods.removeQuestion = function (questionId) {
   const questionIndex = this.questions.indexOf(questionId);
   if (questionIndex > -1) {
     this.questions.splice(questionIndex, 1);
   }
+  this.sections.forEach((section) => {
+    const sectionIndex = section.questions.indexOf(questionId);
+    if (sectionIndex > -1) {
+      section.questions.splice(sectionIndex, 1);
+    }
+  });
   return this.save();
 };
 
+// Method to find the section a question belongs to
+testSchema.methods.getSectionForQuestion = function (questionId) {
+  const key = questionId.toString();
+  return (
+    this.sections.find((section) =>
+      section.questions.some((id) => id.toString() === key)
+    ) || null
+  );
+};
+
 // Method to calculate total marks based on marking type
 testSchema.methods.calculateTotalMarks = async function () {
   if (this.markingType === "overall") {
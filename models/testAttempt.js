@@ -0,0 +1,464 @@
+import mongoose from "mongoose";
+import {
+  PROCTORING_EVENT_TYPES,
+  PROCTORING_REVIEW_STATUSES,
+} from "../util/constants.js";
+
+export const ATTEMPT_STATUSES = ["in-progress", "submitted"];
+export const SUBMISSION_TYPES = ["manual", "auto", "offline"];
+export const ATTEMPT_MODES = ["online", "offline"];
+
+const attemptAnswerSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    // Option key(s) for select questions, a number for integer questions
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    timeSpent: {
+      type: Number, // in seconds
+      min: 0,
+      default: 0,
+    },
+    answeredAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const gradedQuestionSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+    },
+    response: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    correctAnswer: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    isAttempted: {
+      type: Boolean,
+      default: false,
+    },
+    isCorrect: {
+      type: Boolean,
+      default: false,
+    },
+    // False when an "attempt any N" section rule excluded this answer
+    isEvaluated: {
+      type: Boolean,
+      default: true,
+    },
+    sectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    marksAwarded: {
+      type: Number,
+      default: 0,
+    },
+    maxMarks: {
+      type: Number,
+      default: 0,
+    },
+    timeSpent: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+const sectionScoreSchema = new mongoose.Schema(
+  {
+    sectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    name: {
+      type: String,
+      trim: true,
+    },
+    subject: {
+      type: String,
+    },
+    score: {
+      type: Number,
+      default: 0,
+    },
+    totalMarks: {
+      type: Number,
+      default: 0,
+    },
+    correct: {
+      type: Number,
+      default: 0,
+    },
+    incorrect: {
+      type: Number,
+      default: 0,
+    },
+    unattempted: {
+      type: Number,
+      default: 0,
+    },
+  },
+  { _id: false }
+);
+
+// Something the client (or the server) noticed while the attempt was running
+const proctoringEventSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: PROCTORING_EVENT_TYPES,
+      required: true,
+    },
+    // Client clock; receivedAt is the server's
+    occurredAt: {
+      type: Date,
+      required: true,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // How long the student was away (tab switches, backgrounding, fullscreen exits)
+    durationSeconds: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    sessionId: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    source: {
+      type: String,
+      enum: ["client", "server"],
+      default: "client",
+    },
+    details: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+  },
+  { _id: false }
+);
+
+// A client (browser tab or app install) that has reported on the attempt
+const proctoringSessionSchema = new mongoose.Schema(
+  {
+    sessionId: {
+      type: String,
+      required: true,
+    },
+    ip: {
+      type: String,
+    },
+    userAgent: {
+      type: String,
+      maxlength: 300,
+    },
+    firstSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// Version of a question served in the attempt. gradedVersion differs only
+// after a regrade applied a corrected answer key from a later version
+const questionVersionSchema = new mongoose.Schema(
+  {
+    questionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Question",
+      required: true,
+    },
+    version: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    gradedVersion: {
+      type: Number,
+      min: 1,
+    },
+  },
+  { _id: false }
+);
+
+// Window for a timed section; sections are opened one after another
+const sectionProgressSchema = new mongoose.Schema(
+  {
+    sectionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    deadline: {
+      type: Date,
+      required: true,
+    },
+    closedAt: {
+      type: Date,
+    },
+  },
+  { _id: false }
+);
+
+const testAttemptSchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    testId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Test",
+      required: true,
+    },
+    testSeriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TestSeries",
+    },
+    // 1 for the student's first attempt on the test, 2 for the next, ...
+    attemptNumber: {
+      type: Number,
+      min: 1,
+      default: 1,
+    },
+    status: {
+      type: String,
+      enum: ATTEMPT_STATUSES,
+      default: "in-progress",
+    },
+    // Offline attempts are taken from a downloaded package and synced later
+    mode: {
+      type: String,
+      enum: ATTEMPT_MODES,
+      default: "online",
+    },
+    // Order in which questions were served to the student (shuffled if enabled)
+    questionOrder: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Question",
+      },
+    ],
+    // Questions answered before versioning have no entry and count as version 1
+    questionVersions: [questionVersionSchema],
+    answers: [attemptAnswerSchema],
+    // Only used for tests with timed sections
+    sectionProgress: [sectionProgressSchema],
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    // startedAt + Test.duration; answers are rejected after deadline + grace.
+    // Offline attempts use their sync deadline, after which they are graded as is
+    deadline: {
+      type: Date,
+      required: true,
+    },
+    offlinePackage: {
+      issuedAt: {
+        type: Date,
+      },
+      // Last moment the test may be taken offline
+      expiresAt: {
+        type: Date,
+      },
+      // When the student opened the package and its keys were released
+      startedAt: {
+        type: Date,
+      },
+    },
+    offlineSync: {
+      syncedAt: {
+        type: Date,
+      },
+      // Signature of the accepted answer log; replays of it are answered idempotently
+      signature: {
+        type: String,
+      },
+      // Device clock readings from the answer log
+      deviceStartedAt: {
+        type: Date,
+      },
+      deviceSubmittedAt: {
+        type: Date,
+      },
+      answersReceived: {
+        type: Number,
+        default: 0,
+      },
+      // Answers outside the allowed window, for unknown questions or unreadable
+      answersDropped: {
+        type: Number,
+        default: 0,
+      },
+    },
+    submittedAt: {
+      type: Date,
+    },
+    submissionType: {
+      type: String,
+      enum: SUBMISSION_TYPES,
+    },
+    score: {
+      type: Number,
+      default: 0,
+    },
+    totalMarks: {
+      type: Number,
+      default: 0,
+    },
+    percentage: {
+      type: Number,
+      default: 0,
+    },
+    correct: {
+      type: Number,
+      default: 0,
+    },
+    incorrect: {
+      type: Number,
+      default: 0,
+    },
+    unattempted: {
+      type: Number,
+      default: 0,
+    },
+    gradedQuestions: [gradedQuestionSchema],
+    sectionScores: [sectionScoreSchema],
+    // Set when a corrected answer key changed the grading after submission
+    regradedAt: {
+      type: Date,
+    },
+    proctoringEvents: [proctoringEventSchema],
+    proctoringSessions: [proctoringSessionSchema],
+    // 0-100, recomputed from proctoringEvents as they arrive
+    suspicionScore: {
+      type: Number,
+      min: 0,
+      max: 100,
+      default: 0,
+    },
+    isFlagged: {
+      type: Boolean,
+      default: false,
+    },
+    proctoringReview: {
+      status: {
+        type: String,
+        enum: PROCTORING_REVIEW_STATUSES,
+        default: "pending",
+      },
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: "proctoringReview.reviewerModel",
+      },
+      reviewerModel: {
+        type: String,
+        enum: ["Educator", "Admin"],
+      },
+      reviewedAt: {
+        type: Date,
+      },
+      notes: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+      },
+    },
+    // Invalidated attempts keep their data but never count for ranks or averages
+    invalidatedAt: {
+      type: Date,
+      default: null,
+    },
+    invalidatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Admin",
+    },
+    invalidationReason: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+testAttemptSchema.index({ studentId: 1, testId: 1, status: 1 });
+// At most one attempt per student and test is in progress at a time
+testAttemptSchema.index(
+  { studentId: 1, testId: 1 },
+  { unique: true, partialFilterExpression: { status: "in-progress" } }
+);
+testAttemptSchema.index({ testId: 1, status: 1 });
+testAttemptSchema.index({ status: 1, deadline: 1 });
+testAttemptSchema.index({ testId: 1, isFlagged: 1, suspicionScore: -1 });
+testAttemptSchema.index({ questionOrder: 1, status: 1 });
+
+// Seconds left before the deadline (never negative)
+testAttemptSchema.methods.getRemainingSeconds = function (now = new Date()) {
+  return Math.max(0, Math.floor((this.deadline.getTime() - now.getTime()) / 1000));
+};
+
+// Whether the attempt is past its deadline plus the grace window
+testAttemptSchema.methods.isOverdue = function (graceSeconds = 0, now = new Date()) {
+  return now.getTime() > this.deadline.getTime() + graceSeconds * 1000;
+};
+
+// The timed section currently open, if any
+testAttemptSchema.methods.getCurrentSection = function () {
+  return this.sectionProgress.find((entry) => !entry.closedAt) || null;
+};
+
+// Method to upsert an answer for a question in this attempt
+testAttemptSchema.methods.setAnswer = function (questionId, response, timeSpent) {
+  const key = questionId.toString();
+  const existing = this.answers.find(
+    (answer) => answer.questionId.toString() === key
+  );
+
+  if (existing) {
+    existing.response = response;
+    existing.answeredAt = new Date();
+    if (Number.isFinite(timeSpent)) {
+      existing.timeSpent = timeSpent;
+    }
+    this.markModified("answers");
+    return existing;
+  }
+
+  this.answers.push({
+    questionId,
+    response,
+    timeSpent: Number.isFinite(timeSpent) ? timeSpent : 0,
+  });
+  return this.answers[this.answers.length - 1];
+};
+
+export default mongoose.model("TestAttempt", testAttemptSchema);
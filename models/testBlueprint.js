@@ -0,0 +1,155 @@
+import mongoose from "mongoose";
+
+export const BLUEPRINT_DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+// Recipe for assembling tests from an educator's question bank. Each
+// generation produces a new Test variant; saved blueprints can keep
+// producing fresh variants for a test series.
+const testBlueprintSchema = new mongoose.Schema(
+  {
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 200,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    educatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Educator",
+      required: true,
+    },
+    // Generated tests are added to this series; its enrolled students are
+    // the audience whose seen questions are avoided
+    testSeriesId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "TestSeries",
+    },
+    // Questions are split evenly across subjects, one test section each
+    subjects: [
+      {
+        type: String,
+        enum: [
+          "biology",
+          "physics",
+          "mathematics",
+          "chemistry",
+          "english",
+          "hindi",
+        ],
+        required: true,
+      },
+    ],
+    specialization: [
+      {
+        type: String,
+        enum: ["IIT-JEE", "NEET", "CBSE"],
+        required: true,
+      },
+    ],
+    class: [
+      {
+        type: String,
+        enum: [
+          "class-6th",
+          "class-7th",
+          "class-8th",
+          "class-9th",
+          "class-10th",
+          "class-11th",
+          "class-12th",
+          "dropper",
+        ],
+        required: true,
+      },
+    ],
+    // Empty means any topic
+    topics: [
+      {
+        type: String,
+        trim: true,
+      },
+    ],
+    // Percentage of questions per difficulty; must add up to 100
+    difficultyMix: {
+      Easy: { type: Number, min: 0, max: 100, default: 30 },
+      Medium: { type: Number, min: 0, max: 100, default: 50 },
+      Hard: { type: Number, min: 0, max: 100, default: 20 },
+    },
+    questionCount: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 300,
+    },
+    // Spread evenly: each question is worth totalMarks / questionCount
+    totalMarks: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    negativeMarks: {
+      type: Number,
+      min: 0,
+      default: 0,
+    },
+    duration: {
+      type: Number, // Duration in minutes
+      required: true,
+      min: 1,
+    },
+    instructions: {
+      type: String,
+      trim: true,
+      maxlength: 2000,
+    },
+    shuffleQuestions: {
+      type: Boolean,
+      default: false,
+    },
+    avoidSeenQuestions: {
+      type: Boolean,
+      default: true,
+    },
+    generatedTests: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Test",
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+testBlueprintSchema.index({ educatorId: 1, createdAt: -1 });
+testBlueprintSchema.index({ testSeriesId: 1 });
+
+testBlueprintSchema.pre("validate", function (next) {
+  const mixTotal = BLUEPRINT_DIFFICULTIES.reduce(
+    (total, level) => total + (this.difficultyMix?.[level] || 0),
+    0
+  );
+  if (mixTotal !== 100) {
+    this.invalidate(
+      "difficultyMix",
+      "Difficulty mix percentages must add up to 100"
+    );
+  }
+  if (this.totalMarks % this.questionCount !== 0) {
+    this.invalidate(
+      "totalMarks",
+      "Total marks must be divisible by the number of questions"
+    );
+  }
+  next();
+});
+
+export default mongoose.model("TestBlueprint", testBlueprintSchema);
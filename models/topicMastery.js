@@ -0,0 +1,75 @@
+import mongoose from "mongoose";
+
+// Starting mastery for a topic the student has never practised
+export const INITIAL_MASTERY = 0.4;
+
+const difficultyTallySchema = new mongoose.Schema(
+  {
+    attempts: { type: Number, default: 0, min: 0 },
+    correct: { type: Number, default: 0, min: 0 },
+  },
+  { _id: false }
+);
+
+// A student's mastery of one topic, learned from practice answers only
+const topicMasterySchema = new mongoose.Schema(
+  {
+    studentId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Student",
+      required: true,
+    },
+    subject: {
+      type: String,
+      required: true,
+      trim: true,
+      lowercase: true,
+    },
+    topic: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    // 0 (no mastery) to 1 (fully mastered)
+    mastery: {
+      type: Number,
+      min: 0,
+      max: 1,
+      default: INITIAL_MASTERY,
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    correct: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    byDifficulty: {
+      Easy: { type: difficultyTallySchema, default: () => ({}) },
+      Medium: { type: difficultyTallySchema, default: () => ({}) },
+      Hard: { type: difficultyTallySchema, default: () => ({}) },
+    },
+    lastPracticedAt: {
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+topicMasterySchema.index(
+  { studentId: 1, subject: 1, topic: 1 },
+  { unique: true }
+);
+topicMasterySchema.index({ studentId: 1, mastery: 1 });
+
+topicMasterySchema.virtual("accuracy").get(function () {
+  return this.attempts ? this.correct / this.attempts : 0;
+});
+
+topicMasterySchema.set("toJSON", { virtuals: true });
+topicMasterySchema.set("toObject", { virtuals: true });
+
+export default mongoose.model("TopicMastery", topicMasterySchema);
@@ -37,6 +37,22 @@ import {
   getRevenueTransactions,
 } from "../controllers/revenue.controller.js";
 import { getPaymentHistoryAdmin } from "../controllers/payment.controller.js";
+import { downloadPaymentInvoiceAdmin } from "../controllers/invoice.controller.js";
+import { invalidateTestAttempt } from "../controllers/proctoring.controller.js";
+import {
+  approveRefundRequest,
+  getRefundQueue,
+  rejectRefundRequest,
+} from "../controllers/refund.controller.js";
+import { getInstallmentDues } from "../controllers/installment.controller.js";
+import {
+  approveRefundValidation,
+  installmentDuesValidation,
+  invalidateAttemptValidation,
+  refundQueueValidation,
+  rejectRefundValidation,
+  validatePaymentIntentIdParam,
+} from "../util/validation.js";
 import { authenticateAdmin } from "../middleware/auth.middleware.js";
 import { body, param } from "express-validator";
 
@@ -302,6 +318,53 @@ router.get("/revenue/by-type", getRevenueByType);
 router.get("/revenue/transactions", getRevenueTransactions);
 router.get("/payments", getPaymentHistoryAdmin);
 
+/**
+ * @route   GET /api/admin/payments/:id/invoice
+ * @desc    Download the GST invoice of a payment, issuing it if it has none yet
+ * @access  Private (Admin only)
+ */
+router.get(
+  "/payments/:id/invoice",
+  validatePaymentIntentIdParam,
+  downloadPaymentInvoiceAdmin
+);
+
+// ==================== Refund Routes ====================
+
+/**
+ * @route   GET /api/admin/refunds
+ * @desc    Refund requests awaiting review, oldest first
+ * @access  Private (Admin only)
+ * @query   { status?: "requested" (default) | "rejected" | "processing" | "processed" | "failed" | "all", page?, limit? }
+ */
+router.get("/refunds", refundQueueValidation, getRefundQueue);
+
+/**
+ * @route   PUT /api/admin/refunds/:refundId/approve
+ * @desc    Approve a refund request (or retry a failed one) and issue it through Razorpay
+ * @access  Private (Admin only)
+ * @body    { amount?: number (rupees, defaults to the requested amount), note?: string }
+ */
+router.put("/refunds/:refundId/approve", approveRefundValidation, approveRefundRequest);
+
+/**
+ * @route   PUT /api/admin/refunds/:refundId/reject
+ * @desc    Reject a refund request
+ * @access  Private (Admin only)
+ * @body    { note?: string }
+ */
+router.put("/refunds/:refundId/reject", rejectRefundValidation, rejectRefundRequest);
+
+// ==================== Instalment Routes ====================
+
+/**
+ * @route   GET /api/admin/installments/dues
+ * @desc    Outstanding instalment dues, suspended plans first, with platform-wide totals (paise)
+ * @access  Private (Admin only)
+ * @query   { status?: "active" | "suspended", overdueOnly?: boolean, educatorId?, courseId?, page?, limit? }
+ */
+router.get("/installments/dues", installmentDuesValidation, getInstallmentDues);
+
 // ==================== Test Management Routes ====================
 
 /**
@@ -352,6 +415,19 @@ router.delete(
   deleteTest
 );
 
+/**
+ * @route   PUT /api/admin/test-attempts/:attemptId/invalidate
+ * @desc    Invalidate a submitted attempt (e.g. after a proctoring review).
+ *          It is removed from leaderboards and no longer counts for the student
+ * @access  Private (Admin only)
+ * @body    { reason: string }
+ */
+router.put(
+  "/test-attempts/:attemptId/invalidate",
+  invalidateAttemptValidation,
+  invalidateTestAttempt
+);
+
 // ==================== Test Series Management Routes ====================
 
 /**
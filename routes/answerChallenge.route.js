@@ -0,0 +1,135 @@
+import { Router } from "express";
+import {
+  raiseAnswerChallenge,
+  getMyAnswerChallenges,
+  getMyAnswerChallenge,
+  postAnswerChallengeMessage,
+  getAnswerChallengeQueue,
+  getAnswerChallenge,
+  resolveAnswerChallenge,
+} from "../controllers/answerChallenge.controller.js";
+import {
+  createChallengeValidation,
+  studentChallengeListValidation,
+  challengeIdValidation,
+  challengeMessageValidation,
+  challengeQueueValidation,
+  resolveChallengeValidation,
+} from "../util/validation.js";
+import {
+  authenticateAdminOrEducator,
+  authenticateStudent,
+} from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * @route   POST /api/answer-challenges
+ * @desc    Dispute the answer key of a question in a submitted attempt, once
+ *          results are out. Opens a query for the discussion with the educator
+ * @access  Private (Student - attempt owner)
+ * @body    {
+ *   attemptId: ObjectId,
+ *   questionId: ObjectId,
+ *   reason: string (10-1000),
+ *   proposedAnswer?: option key(s), number or matrix mapping
+ * }
+ */
+router.post("/", authenticateStudent, createChallengeValidation, raiseAnswerChallenge);
+
+/**
+ * @route   GET /api/answer-challenges/mine
+ * @desc    The student's challenges, newest first
+ * @access  Private (Student)
+ * @query   {
+ *   status?: "pending" | "accepted" | "rejected",
+ *   page?: number (default: 1),
+ *   limit?: number (default: 20, max: 100)
+ * }
+ */
+router.get(
+  "/mine",
+  authenticateStudent,
+  studentChallengeListValidation,
+  getMyAnswerChallenges
+);
+
+/**
+ * @route   GET /api/answer-challenges/mine/:challengeId
+ * @desc    One of the student's challenges with its discussion messages
+ * @access  Private (Student - challenge owner)
+ */
+router.get(
+  "/mine/:challengeId",
+  authenticateStudent,
+  challengeIdValidation,
+  getMyAnswerChallenge
+);
+
+/**
+ * @route   POST /api/answer-challenges/mine/:challengeId/messages
+ * @desc    Follow up on a pending challenge. Educators reply through
+ *          POST /api/queries/:queryId/reply
+ * @access  Private (Student - challenge owner)
+ * @body    { message: string (max 5000) }
+ */
+router.post(
+  "/mine/:challengeId/messages",
+  authenticateStudent,
+  challengeMessageValidation,
+  postAnswerChallengeMessage
+);
+
+/**
+ * @route   GET /api/answer-challenges/queue
+ * @desc    Challenges grouped by question, most challenged first. Educators
+ *          see challenges on their own questions
+ * @access  Private (Admin or Educator)
+ * @query   {
+ *   status?: "pending" (default) | "accepted" | "rejected",
+ *   testId?: ObjectId,
+ *   page?: number (default: 1),
+ *   limit?: number (default: 20, max: 100)
+ * }
+ */
+router.get(
+  "/queue",
+  authenticateAdminOrEducator,
+  challengeQueueValidation,
+  getAnswerChallengeQueue
+);
+
+/**
+ * @route   GET /api/answer-challenges/:challengeId
+ * @desc    A challenge with its discussion messages
+ * @access  Private (Admin or owning Educator)
+ */
+router.get(
+  "/:challengeId",
+  authenticateAdminOrEducator,
+  challengeIdValidation,
+  getAnswerChallenge
+);
+
+/**
+ * @route   PUT /api/answer-challenges/:challengeId/resolve
+ * @desc    Accept or reject a pending challenge. Accepting needs a corrected
+ *          answer key (correctOptions here, or an earlier question edit); all
+ *          attempts graded with the old key are regraded, ranks recomputed and
+ *          every pending challenge on the question is accepted
+ * @access  Private (Admin or owning Educator)
+ * @body    {
+ *   decision: "accept" | "reject",
+ *   note?: string (max 2000),
+ *   correctOptions?: corrected answer key (accept only),
+ *   tolerance?: number (numeric questions)
+ * }
+ */
+router.put(
+  "/:challengeId/resolve",
+  authenticateAdminOrEducator,
+  resolveChallengeValidation,
+  resolveAnswerChallenge
+);
+
+export default router;
@@ -0,0 +1,75 @@
+import { Router } from "express";
+import {
+  getBundles,
+  getManagedBundles,
+  getBundleById,
+  createProductBundle,
+  updateProductBundle,
+} from "../controllers/bundle.controller.js";
+import {
+  bundleIdValidation,
+  bundleListValidation,
+  createBundleValidation,
+  updateBundleValidation,
+} from "../util/validation.js";
+import { authenticateAdminOrEducator } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * @route   GET /api/bundles
+ * @desc    Bundles currently on sale. Buy one through POST /api/payments/orders
+ *          with productType "bundle"
+ * @access  Public
+ * @query   { educatorId?, specialization?, search?, page?, limit? }
+ */
+router.get("/", bundleListValidation, getBundles);
+
+/**
+ * @route   GET /api/bundles/manage
+ * @desc    Bundles the caller can edit, including inactive and expired ones,
+ *          with revenue shares and enrolment counts
+ * @access  Private (Admin or Educator)
+ * @query   { educatorId? (admin only), specialization?, search?, page?, limit? }
+ */
+router.get("/manage", authenticateAdminOrEducator, bundleListValidation, getManagedBundles);
+
+/**
+ * @route   GET /api/bundles/:bundleId
+ * @desc    A bundle with the title and image of each product in it
+ * @access  Public
+ */
+router.get("/:bundleId", bundleIdValidation, getBundleById);
+
+/**
+ * @route   POST /api/bundles
+ * @desc    Sell several products together at one price. Educators can only
+ *          bundle their own products; admins can combine several educators'
+ *          products, and each educator is paid the share of their items
+ * @access  Private (Admin or Educator)
+ * @body    {
+ *   title: string,
+ *   price: number (rupees),
+ *   items: [{ productType: "course" | "testSeries" | "webinar" | "liveClass",
+ *             productId: ObjectId, sharePercent?: number }],
+ *   validity?: Date (last day on sale),
+ *   description?, image?, specialization?: string[], maxStudents?: number
+ * }
+ */
+router.post("/", authenticateAdminOrEducator, createBundleValidation, createProductBundle);
+
+/**
+ * @route   PUT /api/bundles/:bundleId
+ * @desc    Edit a bundle or switch it off with isActive. Its products can
+ *          only change until someone buys it
+ * @access  Private (Admin or owning Educator)
+ * @body    Any create field
+ */
+router.put(
+  "/:bundleId",
+  authenticateAdminOrEducator,
+  updateBundleValidation,
+  updateProductBundle
+);
+
+export default router;
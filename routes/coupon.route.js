@@ -0,0 +1,75 @@
+import { Router } from "express";
+import {
+  createCouponCode,
+  getCoupons,
+  updateCouponCode,
+  previewCouponCode,
+} from "../controllers/coupon.controller.js";
+import {
+  createCouponValidation,
+  couponListValidation,
+  updateCouponValidation,
+  previewCouponValidation,
+} from "../util/validation.js";
+import {
+  authenticateAdminOrEducator,
+  authenticateStudent,
+} from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * @route   POST /api/coupons/preview
+ * @desc    Check a coupon code against a product and show the discounted price
+ * @access  Private (Student)
+ * @body    { code: string, productType: string, productId: ObjectId }
+ */
+router.post("/preview", authenticateStudent, previewCouponValidation, previewCouponCode);
+
+/**
+ * @route   POST /api/coupons
+ * @desc    Create a coupon. Admin coupons are platform-wide and funded by the
+ *          platform; educator coupons only apply to the educator's products
+ * @access  Private (Admin or Educator)
+ * @body    {
+ *   code: string (3-30, A-Z 0-9 _ -),
+ *   discountType: "percentage" | "flat",
+ *   discountValue: number (percent or rupees),
+ *   maxDiscount?: number (rupees, caps a percentage discount),
+ *   minOrderAmount?: number (rupees),
+ *   products?: [{ productType, productId }],
+ *   productTypes?: string[],
+ *   specializations?: string[],
+ *   startsAt?: Date,
+ *   expiresAt?: Date,
+ *   usageLimit?: number,
+ *   perStudentLimit?: number (default: 1),
+ *   firstPurchaseOnly?: boolean,
+ *   description?: string
+ * }
+ */
+router.post("/", authenticateAdminOrEducator, createCouponValidation, createCouponCode);
+
+/**
+ * @route   GET /api/coupons
+ * @desc    List coupons with their redemptions; educators see only their own
+ * @access  Private (Admin or Educator)
+ * @query   { scope?: "platform" | "educator", educatorId?, isActive?, search?, page?, limit? }
+ */
+router.get("/", authenticateAdminOrEducator, couponListValidation, getCoupons);
+
+/**
+ * @route   PUT /api/coupons/:couponId
+ * @desc    Edit a coupon or switch it off with isActive. The discount of a
+ *          coupon that has been redeemed cannot change
+ * @access  Private (Admin or owning Educator)
+ * @body    Any create field except code
+ */
+router.put(
+  "/:couponId",
+  authenticateAdminOrEducator,
+  updateCouponValidation,
+  updateCouponCode
+);
+
+export default router;
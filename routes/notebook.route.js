@@ -0,0 +1,110 @@
+import { Router } from "express";
+import {
+  getBookmarks,
+  createBookmark,
+  updateBookmark,
+  deleteBookmark,
+  getMistakes,
+  practiceNotebook,
+} from "../controllers/notebook.controller.js";
+import {
+  bookmarkListValidation,
+  addBookmarkValidation,
+  updateBookmarkValidation,
+  bookmarkIdValidation,
+  mistakeNotebookValidation,
+  notebookPracticeValidation,
+} from "../util/validation.js";
+import { authenticateStudent } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * @route   GET /api/notebook/bookmarks
+ * @desc    Bookmarked questions with notes, newest first. Answer keys are
+ *          included when the source test allows review and results are out
+ * @access  Private (Student)
+ * @query   {
+ *   subject?: string,
+ *   topic?: string,
+ *   difficulty?: "Easy" | "Medium" | "Hard",
+ *   page?: number (default: 1),
+ *   limit?: number (default: 20)
+ * }
+ */
+router.get("/bookmarks", authenticateStudent, bookmarkListValidation, getBookmarks);
+
+/**
+ * @route   POST /api/notebook/bookmarks
+ * @desc    Bookmark a question from one of the student's submitted attempts.
+ *          Bookmarking the same question again updates its note
+ * @access  Private (Student - attempt owner)
+ * @body    { attemptId: ObjectId, questionId: ObjectId, note?: string }
+ */
+router.post("/bookmarks", authenticateStudent, addBookmarkValidation, createBookmark);
+
+/**
+ * @route   PATCH /api/notebook/bookmarks/:bookmarkId
+ * @desc    Update the personal note on a bookmark
+ * @access  Private (Student - bookmark owner)
+ * @body    { note: string }
+ */
+router.patch(
+  "/bookmarks/:bookmarkId",
+  authenticateStudent,
+  updateBookmarkValidation,
+  updateBookmark
+);
+
+/**
+ * @route   DELETE /api/notebook/bookmarks/:bookmarkId
+ * @desc    Remove a bookmark
+ * @access  Private (Student - bookmark owner)
+ */
+router.delete(
+  "/bookmarks/:bookmarkId",
+  authenticateStudent,
+  bookmarkIdValidation,
+  deleteBookmark
+);
+
+/**
+ * @route   GET /api/notebook/mistakes
+ * @desc    Mistake notebook: every question answered incorrectly in a released
+ *          test (from Student.results questionBreakdown), most recent first.
+ *          Mistakes answered correctly later, in a test or practice, are resolved
+ * @access  Private (Student)
+ * @query   {
+ *   subject?: string,
+ *   topic?: string,
+ *   difficulty?: "Easy" | "Medium" | "Hard",
+ *   includeResolved?: boolean (default: false),
+ *   page?: number (default: 1),
+ *   limit?: number (default: 20)
+ * }
+ */
+router.get("/mistakes", authenticateStudent, mistakeNotebookValidation, getMistakes);
+
+/**
+ * @route   POST /api/notebook/practice
+ * @desc    Re-practise mistakes or bookmarks as a practice session over a fixed
+ *          list of questions (most recent first). Answers update topic mastery
+ *          and never touch formal results
+ * @access  Private (Student)
+ * @body    {
+ *   source?: "mistakes" | "bookmarks" (default: "mistakes"),
+ *   subject?: string,
+ *   topic?: string,
+ *   difficulty?: "Easy" | "Medium" | "Hard",
+ *   includeResolved?: boolean (mistakes only, default: false),
+ *   limit?: number (1-50, default: 20)
+ * }
+ */
+router.post(
+  "/practice",
+  authenticateStudent,
+  notebookPracticeValidation,
+  practiceNotebook
+);
+
+export default router;
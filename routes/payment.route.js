@@ -5,8 +5,27 @@ import {
   handleRazorpayWebhook,
   verifyPaymentSignature,
 } from "../controllers/payment.controller.js";
+import {
+  downloadMyPaymentInvoice,
+  getMyPayments,
+} from "../controllers/invoice.controller.js";
+import {
+  createRefundRequest,
+  getMyRefundRequests,
+} from "../controllers/refund.controller.js";
+import {
+  createInstallmentEnrollment,
+  createNextInstallmentOrder,
+  getMyInstallmentEnrollments,
+} from "../controllers/installment.controller.js";
 import {
   createPaymentOrderValidation,
+  createRefundRequestValidation,
+  installmentEnrollmentIdValidation,
+  startInstallmentPlanValidation,
+  studentInstallmentListValidation,
+  studentPaymentListValidation,
+  studentRefundListValidation,
   validatePaymentIntentIdParam,
 } from "../util/validation.js";
 import { rateLimit } from "express-rate-limit";
@@ -23,7 +42,44 @@ const webhookLimiter = rateLimit({
 });
 
 router.post("/orders", authenticateStudent, createPaymentOrderValidation, createPaymentOrder);
+router.get("/mine", authenticateStudent, studentPaymentListValidation, getMyPayments);
+router.get(
+  "/refund-requests",
+  authenticateStudent,
+  studentRefundListValidation,
+  getMyRefundRequests
+);
+router.get(
+  "/installments",
+  authenticateStudent,
+  studentInstallmentListValidation,
+  getMyInstallmentEnrollments
+);
+router.post(
+  "/installments",
+  authenticateStudent,
+  startInstallmentPlanValidation,
+  createInstallmentEnrollment
+);
+router.post(
+  "/installments/:enrollmentId/orders",
+  authenticateStudent,
+  installmentEnrollmentIdValidation,
+  createNextInstallmentOrder
+);
 router.get("/:id", validatePaymentIntentIdParam, getPaymentStatus);
+router.get(
+  "/:id/invoice",
+  authenticateStudent,
+  validatePaymentIntentIdParam,
+  downloadMyPaymentInvoice
+);
+router.post(
+  "/:id/refund-requests",
+  authenticateStudent,
+  createRefundRequestValidation,
+  createRefundRequest
+);
 router.post("/webhook", webhookLimiter, handleRazorpayWebhook);
 router.post("/verify", verifyPaymentSignature);
 
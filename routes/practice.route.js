@@ -0,0 +1,90 @@
+import { Router } from "express";
+import {
+  startPractice,
+  getPractice,
+  answerPractice,
+  endPractice,
+  getMyTopicMastery,
+} from "../controllers/practice.controller.js";
+import {
+  startPracticeValidation,
+  practiceSessionIdValidation,
+  practiceAnswerValidation,
+  topicMasteryQueryValidation,
+} from "../util/validation.js";
+import { authenticateStudent } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * @route   POST /api/practice/sessions
+ * @desc    Start an adaptive practice session. Questions are picked one at a
+ *          time from the bank, favouring topics with low mastery at a
+ *          difficulty matching the student's level. Practice never affects
+ *          formal test results.
+ * @access  Private (Student)
+ * @body    {
+ *   subject: string (required),
+ *   topics?: Array<string> (default: every topic of the subject),
+ *   specialization?: "IIT-JEE" | "NEET" | "CBSE",
+ *   class?: string
+ * }
+ */
+router.post(
+  "/sessions",
+  authenticateStudent,
+  startPracticeValidation,
+  startPractice
+);
+
+/**
+ * @route   GET /api/practice/sessions/:sessionId
+ * @desc    Session progress and the question waiting for an answer
+ * @access  Private (Student - session owner)
+ */
+router.get(
+  "/sessions/:sessionId",
+  authenticateStudent,
+  practiceSessionIdValidation,
+  getPractice
+);
+
+/**
+ * @route   POST /api/practice/sessions/:sessionId/answer
+ * @desc    Grade the current question, update topic mastery and serve the next question
+ * @access  Private (Student - session owner)
+ * @body    { questionId: ObjectId (required), response: option key(s), number or matrix map }
+ */
+router.post(
+  "/sessions/:sessionId/answer",
+  authenticateStudent,
+  practiceAnswerValidation,
+  answerPractice
+);
+
+/**
+ * @route   POST /api/practice/sessions/:sessionId/end
+ * @desc    End a practice session
+ * @access  Private (Student - session owner)
+ */
+router.post(
+  "/sessions/:sessionId/end",
+  authenticateStudent,
+  practiceSessionIdValidation,
+  endPractice
+);
+
+/**
+ * @route   GET /api/practice/mastery
+ * @desc    Per-topic mastery (0-1), accuracy and suggested level, weakest first
+ * @access  Private (Student)
+ * @query   { subject?: string }
+ */
+router.get(
+  "/mastery",
+  authenticateStudent,
+  topicMasteryQueryValidation,
+  getMyTopicMastery
+);
+
+export default router;
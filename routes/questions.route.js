@@ -20,6 +20,10 @@ import {
   getQuestionStatistics,
   bulkUploadQuestions,
   bulkCreateQuestions,
+  createPassage,
+  getPassageById,
+  updatePassage,
+  uploadQuestionImage,
 } from "../controllers/question.controller.js";
 
 import {
@@ -34,8 +38,36 @@ import {
   updateQuestionValidation,
   testOperationValidation,
   bulkCreateQuestionsValidation,
+  createPassageValidation,
+  updatePassageValidation,
+  questionImageUploadValidation,
+  importQuestionBankValidation,
+  exportQuestionBankValidation,
+  duplicateClustersValidation,
+  mergeDuplicatesValidation,
+  regradeQuestionValidation,
+  questionRegradeListValidation,
 } from "../util/validation.js";
 import { ensureDevEnvironment } from "../middleware/dev.middleware.js";
+import {
+  authenticateAdminOrEducator,
+  optionalAuthenticate,
+} from "../middleware/auth.middleware.js";
+import { getQuestionAnalytics } from "../controllers/questionAnalytics.controller.js";
+import {
+  importQuestionBank,
+  exportQuestionBank,
+} from "../controllers/questionBank.controller.js";
+import {
+  getQuestionDuplicateClusters,
+  mergeQuestionDuplicates,
+} from "../controllers/questionDuplicate.controller.js";
+import {
+  getQuestionVersions,
+  regradeQuestionAttempts,
+  getQuestionRegrades,
+} from "../controllers/questionVersion.controller.js";
+import { uploadGenericImage } from "../config/imagekit.js";
 
 import multer from "multer";
 
@@ -52,30 +84,37 @@ router.post(
 );
 
 // GET /api/questions - Get all questions with filtering and pagination
-router.get("/", getAllQuestions);
+router.get("/", optionalAuthenticate, getAllQuestions);
 
 // GET /api/questions/statistics - Get question statistics
 router.get("/statistics", getQuestionStatistics);
 
 // GET /api/questions/topics - Get questions by topics
-router.get("/topics", getQuestionsByTopics);
+router.get("/topics", optionalAuthenticate, getQuestionsByTopics);
 
 // GET /api/questions/tags - Get questions by tags
-router.get("/tags", getQuestionsByTags);
+router.get("/tags", optionalAuthenticate, getQuestionsByTags);
 
 // GET /api/questions/educator/:educatorId - Get questions by educator
 router.get(
   "/educator/:educatorId",
+  optionalAuthenticate,
   validateEducatorIdParam,
   getQuestionsByEducator
 );
 
 // GET /api/questions/subject/:subject - Get questions by subject
-router.get("/subject/:subject", validateSubjectParam, getQuestionsBySubject);
+router.get(
+  "/subject/:subject",
+  optionalAuthenticate,
+  validateSubjectParam,
+  getQuestionsBySubject
+);
 
 // GET /api/questions/specialization/:specialization - Get questions by specialization
 router.get(
   "/specialization/:specialization",
+  optionalAuthenticate,
   validateSpecializationParam,
   getQuestionsBySpecialization
 );
@@ -83,18 +122,101 @@ router.get(
 // GET /api/questions/difficulty/:difficulty - Get questions by difficulty
 router.get(
   "/difficulty/:difficulty",
+  optionalAuthenticate,
   validateDifficulty,
   getQuestionsByDifficulty
 );
 
 // GET /api/questions/class/:className - Get questions by class
-router.get("/class/:className", validateClassParam, getQuestionsByClass);
+router.get(
+  "/class/:className",
+  optionalAuthenticate,
+  validateClassParam,
+  getQuestionsByClass
+);
+
+// POST /api/questions/passages - Create a comprehension passage shared by several questions
+router.post("/passages", createPassageValidation, createPassage);
+
+// GET /api/questions/passages/:id - Get a passage with its questions
+router.get("/passages/:id", validateObjectId(), getPassageById);
+
+// PUT /api/questions/passages/:id - Update a passage
+router.put("/passages/:id", updatePassageValidation, updatePassage);
+
+// POST /api/questions/import - Import a Moodle XML, GIFT or IMS QTI file (educator's own bank, or educatorId for admins)
+// Form fields: file, format ("moodle-xml" | "gift" | "qti"), dryRun (default true),
+// subject, specialization, class, topics (comma-separated), difficulty - applied to every imported question
+router.post(
+  "/import",
+  authenticateAdminOrEducator,
+  upload.single("file"),
+  importQuestionBankValidation,
+  importQuestionBank
+);
+
+// GET /api/questions/export?format=gift&ids=... - Download questions as Moodle XML, GIFT or IMS QTI
+router.get(
+  "/export",
+  authenticateAdminOrEducator,
+  exportQuestionBankValidation,
+  exportQuestionBank
+);
+
+// GET /api/questions/duplicates?threshold=0.8 - Clusters of probable duplicates in an educator's bank (educatorId for admins)
+router.get(
+  "/duplicates",
+  authenticateAdminOrEducator,
+  duplicateClustersValidation,
+  getQuestionDuplicateClusters
+);
+
+// POST /api/questions/duplicates/merge - Merge duplicates into keepId; tests using them switch to keepId
+router.post(
+  "/duplicates/merge",
+  authenticateAdminOrEducator,
+  mergeDuplicatesValidation,
+  mergeQuestionDuplicates
+);
 
 // GET /api/questions/slug/:slug - Get question by slug
-router.get("/slug/:slug", validateSlug, getQuestionBySlug);
+router.get("/slug/:slug", optionalAuthenticate, validateSlug, getQuestionBySlug);
+
+// GET /api/questions/:id/analytics - Performance of a question across every linked test (admin or owning educator)
+router.get(
+  "/:id/analytics",
+  authenticateAdminOrEducator,
+  validateObjectId(),
+  getQuestionAnalytics
+);
+
+// GET /api/questions/:id/versions - Current and earlier versions of a question (admin or owning educator)
+router.get(
+  "/:id/versions",
+  authenticateAdminOrEducator,
+  validateObjectId(),
+  getQuestionVersions
+);
+
+// POST /api/questions/:id/regrade - Regrade attempts graded with an earlier version against the current answer key
+// Body: reason (optional). Affected students are notified once the test's results are out
+router.post(
+  "/:id/regrade",
+  authenticateAdminOrEducator,
+  regradeQuestionValidation,
+  regradeQuestionAttempts
+);
+
+// GET /api/questions/:id/regrades - Regrade audit of a question (admin or owning educator)
+router.get(
+  "/:id/regrades",
+  authenticateAdminOrEducator,
+  questionRegradeListValidation,
+  getQuestionRegrades
+);
 
 // GET /api/questions/:id - Get question by ID
-router.get("/:id", validateObjectId(), getQuestionById);
+router.get("/:id", optionalAuthenticate, validateObjectId(), getQuestionById);
 
 // POST /api/questions - Create new question
 router.post("/", createQuestionValidation, createQuestion);
@@ -106,6 +228,15 @@ router.post("/bulk-upload", upload.single("file"), bulkUploadQuestions);
 // POST /api/questions/:id/add-to-test - Add question to test
 router.post("/:id/add-to-test", testOperationValidation, addQuestionToTest);
 
+// POST /api/questions/:id/images - Upload an image for the question, an option or the explanation
+// Form fields: image (file), target ("question" | "option" | "explanation"), option ("A"-"H", when target is "option")
+router.post(
+  "/:id/images",
+  uploadGenericImage.single("image"),
+  questionImageUploadValidation,
+  uploadQuestionImage
+);
+
 // PUT /api/questions/:id - Update question
 router.put("/:id", updateQuestionValidation, updateQuestion);
 
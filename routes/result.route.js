@@ -1,15 +1,31 @@
 import { Router } from "express";
-import { submitTestResult, getResultsByStudent } from "../controllers/result.controller.js";
+import {
+  submitTestResult,
+  getResultsByStudent,
+  getStudentWeaknessReport,
+} from "../controllers/result.controller.js";
+import {
+  authenticateStudent,
+  authenticateUser,
+} from "../middleware/auth.middleware.js";
 
 const router = Router();
 
-// Upsert a student's test result (overwrites if the student re-attempts the same test)
-router.post("/results/submit-test", submitTestResult);
+// Grade and store a student's test result (each attempt is kept; Test.maxAttemptsPerStudent applies)
+// Body: { attemptId } or { testId, answers: [{ questionId, response, timeSpent? }] }
+router.post("/results/submit-test", authenticateStudent, submitTestResult);
 
-// Fetch results for a student
-router.get("/results/student/:studentId", getResultsByStudent);
+// Fetch results for a student (students only their own)
+router.get("/results/student/:studentId", authenticateUser, getResultsByStudent);
+
+// Per-topic weakness report with trends and study recommendations (own results only)
+router.get(
+  "/results/student/:studentId/report",
+  authenticateStudent,
+  getStudentWeaknessReport
+);
 
 // Legacy path for existing frontend calls (/api/test/results/:studentId)
-router.get("/test/results/:studentId", getResultsByStudent);
+router.get("/test/results/:studentId", authenticateUser, getResultsByStudent);
 
 export default router;
@@ -19,6 +19,10 @@ import {
 } from "../controllers/student.controller.js";
 import { bulkCreateStudents } from "../controllers/auth.controller.js";
 import { ensureDevEnvironment } from "../middleware/dev.middleware.js";
+import {
+  authenticateUser,
+  optionalAuthenticate,
+} from "../middleware/auth.middleware.js";
 
 import {
   createStudentValidation,
@@ -48,7 +52,7 @@ router.post(
 
 router.post("/", createStudentValidation, createStudent);
 
-router.get("/", studentQueryValidation, getAllStudents);
+router.get("/", optionalAuthenticate, studentQueryValidation, getAllStudents);
 
 // ======================= Educator Enrolled Students Route =======================
 // This route must be placed before /:id to avoid educatorId being interpreted as student ID
@@ -61,13 +65,14 @@ router.get(
 /**
  * @route   GET /api/students/:id
  * @desc    Get student by ID
- * @access  Public
+ * @access  Authenticated (results carry answer keys only where the caller may see them)
  * @param   id - Student ObjectId
  */
-router.get("/:id", validateId, getStudentById);
+router.get("/:id", authenticateUser, validateId, getStudentById);
 
 router.get(
   "/username/:username",
+  optionalAuthenticate,
   studentUsernameValidation,
   getStudentByUsername
 );
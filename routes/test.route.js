@@ -24,9 +24,20 @@ import {
   testSeriesValidation,
   testSlugValidation,
   validateId,
+  leaderboardValidation,
 } from "../util/validation.js";
 import { bulkCreateTestsValidation } from "../util/validation.js";
 import { ensureDevEnvironment } from "../middleware/dev.middleware.js";
+import {
+  authenticateAdminOrEducator,
+  authenticateStudent,
+  optionalAuthenticate,
+} from "../middleware/auth.middleware.js";
+import { getTestQuestionAnalytics } from "../controllers/questionAnalytics.controller.js";
+import {
+  getTestLeaderboard,
+  getMyTestPosition,
+} from "../controllers/leaderboard.controller.js";
 import { bulkCreateTests } from "../controllers/test.controller.js";
 
 const router = Router();
@@ -64,7 +75,16 @@ router.post(
  *   negativeMarkingRatio?: number (optional, 0-1),
  *   shuffleQuestions?: boolean (optional, default: false),
  *   showResult?: boolean (optional, default: true),
- *   allowReview?: boolean (optional, default: true)
+ *   allowReview?: boolean (optional, default: true),
+ *   sections?: Array<{
+ *     name: string,
+ *     subject?: string,
+ *     questions: Array<ObjectId>,
+ *     duration?: number (minutes; timed sections are taken in order),
+ *     marking?: { positive?: number, negative?: number },
+ *     maxAttempts?: number (attempt any N of the section's questions),
+ *     instructions?: string
+ *   }> (optional; when set, questions is derived from the sections)
  * }
  */
 router.post("/", createTestValidation, createTest);
@@ -103,18 +123,24 @@ router.get("/filtered", testQueryValidation, getFilteredTests);
 /**
  * @route   GET /api/tests/:id
  * @desc    Get test by ID
- * @access  Public
+ * @access  Public (answer keys only for admins, the owning educator, or
+ *          students reviewing a submitted attempt)
  * @param   id - Test ObjectId
  */
-router.get("/:id", validateId, getTestById);
+router.get("/:id", optionalAuthenticate, validateId, getTestById);
 
 /**
  * @route   GET /api/tests/slug/:slug
  * @desc    Get test by slug
- * @access  Public
+ * @access  Public (answer keys hidden as for GET /api/tests/:id)
  * @param   slug - Test slug (URL-friendly identifier)
  */
-router.get("/slug/:slug", testSlugValidation, getTestBySlug);
+router.get(
+  "/slug/:slug",
+  optionalAuthenticate,
+  testSlugValidation,
+  getTestBySlug
+);
 
 /**
  * @route   PUT /api/tests/:id
@@ -141,7 +167,8 @@ router.delete("/:id", validateId, deleteTest);
  * @access  Private (Educator - only test creator)
  * @param   id - Test ObjectId
  * @body    {
- *   questionId: ObjectId (required) - ID of the question to add
+ *   questionId: ObjectId (required) - ID of the question to add,
+ *   sectionId?: ObjectId (required for tests with sections)
  * }
  */
 router.post(
@@ -167,7 +194,9 @@ router.delete(
 
 /**
  * @route   GET /api/tests/:id/questions
- * @desc    Get all questions in a test
+ * @desc    Get all questions in a test. correctOptions and explanation are
+ *          stripped unless the caller is an admin, the owning educator, or a
+ *          student with a submitted attempt when allowReview and showResult are on
  * @access  Public
  * @param   id - Test ObjectId
  * @query   {
@@ -177,7 +206,7 @@ router.delete(
  */
 router.get(
   "/:id/questions",
-  [validateId, testQueryValidation],
+  [optionalAuthenticate, validateId, testQueryValidation],
   getTestQuestions
 );
 
@@ -191,6 +220,48 @@ router.get(
  */
 router.get("/:id/statistics", validateId, getTestStatistics);
 
+/**
+ * @route   GET /api/tests/:id/question-analytics
+ * @desc    Per-question attempt rate, accuracy, average time, option
+ *          distribution and discrimination index from graded attempts
+ * @access  Private (Admin or owning Educator)
+ * @param   id - Test ObjectId
+ */
+router.get(
+  "/:id/question-analytics",
+  authenticateAdminOrEducator,
+  validateId,
+  getTestQuestionAnalytics
+);
+
+// ======================= Leaderboard Routes =======================
+
+/**
+ * @route   GET /api/tests/:id/leaderboard
+ * @desc    Ranked standings for a test computed from submitted attempts,
+ *          with rank, percentile and topper/average stats
+ * @access  Public
+ * @param   id - Test ObjectId
+ * @query   {
+ *   page?: number (optional, default: 1),
+ *   limit?: number (optional, default: 20, max: 100)
+ * }
+ */
+router.get("/:id/leaderboard", leaderboardValidation, getTestLeaderboard);
+
+/**
+ * @route   GET /api/tests/:id/leaderboard/me
+ * @desc    The authenticated student's rank, percentile and topper comparison
+ * @access  Private (Student)
+ * @param   id - Test ObjectId
+ */
+router.get(
+  "/:id/leaderboard/me",
+  authenticateStudent,
+  validateId,
+  getMyTestPosition
+);
+
 // ======================= Educator-Specific Routes =======================
 
 /**
@@ -0,0 +1,286 @@
+import { Router } from "express";
+import {
+  startTestAttempt,
+  getTestAttempt,
+  getTestAttemptReview,
+  saveTestAttemptAnswers,
+  advanceTestAttemptSection,
+  submitTestAttempt,
+  getTestWaitingRoom,
+  getTestAttemptHistory,
+  compareTestAttempts,
+  getOfflineTestPackage,
+  startOfflineTestAttempt,
+  syncOfflineTestAttempt,
+} from "../controllers/testAttempt.controller.js";
+import {
+  reportProctoringEvents,
+  getProctoredAttempts,
+  getTestAttemptProctoring,
+  reviewTestAttemptProctoring,
+} from "../controllers/proctoring.controller.js";
+import {
+  startTestAttemptValidation,
+  saveAttemptAnswersValidation,
+  submitTestAttemptValidation,
+  validateAttemptIdParam,
+  validateTestIdParam,
+  compareAttemptsValidation,
+  syncOfflineAttemptValidation,
+  proctoringEventsValidation,
+  proctoringListValidation,
+  proctoringReviewValidation,
+} from "../util/validation.js";
+import {
+  authenticateStudent,
+  authenticateAdminOrEducator,
+} from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * @route   POST /api/test-attempts
+ * @desc    Start a new attempt on a test (or resume the in-progress one).
+ *          Fails with 403 once Test.maxAttemptsPerStudent attempts have been used
+ * @access  Private (Student)
+ * @body    { testId: ObjectId (required) }
+ * @returns Attempt details and the questions to answer, without answer keys
+ */
+router.post(
+  "/",
+  authenticateStudent,
+  startTestAttemptValidation,
+  startTestAttempt
+);
+
+/**
+ * @route   GET /api/test-attempts/tests/:testId/waiting-room
+ * @desc    Waiting room for a scheduled test: window state ("open", "upcoming",
+ *          "waiting-room", "live", "closed"), server time, countdown and enrolment
+ * @access  Private (Student)
+ */
+router.get(
+  "/tests/:testId/waiting-room",
+  authenticateStudent,
+  validateTestIdParam,
+  getTestWaitingRoom
+);
+
+/**
+ * @route   GET /api/test-attempts/tests/:testId/history
+ * @desc    List the student's attempts on a test, flagging the one that counts
+ *          (Test.attemptCountingPolicy) and the attempts left
+ * @access  Private (Student)
+ */
+router.get(
+  "/tests/:testId/history",
+  authenticateStudent,
+  validateTestIdParam,
+  getTestAttemptHistory
+);
+
+/**
+ * @route   GET /api/test-attempts/tests/:testId/compare
+ * @desc    Compare submitted attempts side by side: scores, section scores and
+ *          per-question outcomes (the latter only if the test allows review)
+ * @access  Private (Student)
+ * @query   attemptIds?: comma-separated attempt IDs (2-10); defaults to all submitted attempts
+ */
+router.get(
+  "/tests/:testId/compare",
+  authenticateStudent,
+  compareAttemptsValidation,
+  compareTestAttempts
+);
+
+/**
+ * @route   GET /api/test-attempts/tests/:testId/offline-package
+ * @desc    Download a test of an enrolled test series to take offline. Starts an
+ *          offline attempt (or returns the one waiting to be synced) and returns
+ *          the questions encrypted with AES-256-GCM. The keys to decrypt them and
+ *          to sign the answer log come from POST /:attemptId/offline-start.
+ *          Offline attempts must be started before expiresAt and synced before
+ *          syncDeadline
+ * @access  Private (Student - enrolled in the test series)
+ */
+router.get(
+  "/tests/:testId/offline-package",
+  authenticateStudent,
+  validateTestIdParam,
+  getOfflineTestPackage
+);
+
+/**
+ * @route   GET /api/test-attempts/proctoring
+ * @desc    Attempts for proctoring review, highest suspicion score first.
+ *          Educators see attempts on their own tests, admins on every test
+ * @access  Private (Admin, Educator)
+ * @query   {
+ *   testId?: ObjectId,
+ *   flagged?: boolean,
+ *   reviewStatus?: "pending" | "cleared" | "confirmed",
+ *   minScore?: number (0-100),
+ *   invalidated?: boolean,
+ *   page?: number (default: 1),
+ *   limit?: number (default: 20)
+ * }
+ */
+router.get(
+  "/proctoring",
+  authenticateAdminOrEducator,
+  proctoringListValidation,
+  getProctoredAttempts
+);
+
+/**
+ * @route   GET /api/test-attempts/:attemptId
+ * @desc    Get an attempt with saved answers, or its score once submitted
+ * @access  Private (Student - attempt owner)
+ */
+router.get(
+  "/:attemptId",
+  authenticateStudent,
+  validateAttemptIdParam,
+  getTestAttempt
+);
+
+/**
+ * @route   GET /api/test-attempts/:attemptId/review
+ * @desc    Review a submitted attempt: responses, correct answers and explanations
+ * @access  Private (Student - attempt owner; only if Test.allowReview and Test.showResult)
+ */
+router.get(
+  "/:attemptId/review",
+  authenticateStudent,
+  validateAttemptIdParam,
+  getTestAttemptReview
+);
+
+/**
+ * @route   PATCH /api/test-attempts/:attemptId/answers
+ * @desc    Save answers on an in-progress attempt
+ * @access  Private (Student - attempt owner)
+ * @body    {
+ *   answers: Array<{
+ *     questionId: ObjectId,
+ *     response: "A" | ["A", "C"] | number | { A: ["P", "Q"] } (matrix-match) | null,
+ *     timeSpent?: number (seconds)
+ *   }>
+ * }
+ */
+router.patch(
+  "/:attemptId/answers",
+  authenticateStudent,
+  saveAttemptAnswersValidation,
+  saveTestAttemptAnswers
+);
+
+/**
+ * @route   POST /api/test-attempts/:attemptId/sections/next
+ * @desc    Finish the current timed section early and open the next one.
+ *          Timed sections also advance on their own when their time runs out.
+ * @access  Private (Student - attempt owner)
+ */
+router.post(
+  "/:attemptId/sections/next",
+  authenticateStudent,
+  validateAttemptIdParam,
+  advanceTestAttemptSection
+);
+
+/**
+ * @route   POST /api/test-attempts/:attemptId/offline-start
+ * @desc    Begin a downloaded offline attempt. Records the start time, from which
+ *          the test's duration runs, and returns decryptionKey and signingKey.
+ *          Calling it again returns the same start time and keys
+ * @access  Private (Student - attempt owner)
+ */
+router.post(
+  "/:attemptId/offline-start",
+  authenticateStudent,
+  validateAttemptIdParam,
+  startOfflineTestAttempt
+);
+
+/**
+ * @route   POST /api/test-attempts/:attemptId/sync
+ * @desc    Upload the signed answer log of an offline attempt; it is graded like
+ *          an online submission. The first accepted log stands (re-uploading it
+ *          returns the same result); answers after the time limit are dropped
+ * @access  Private (Student - attempt owner)
+ * @body    {
+ *   log: string (JSON: { attemptId, startedAt, submittedAt,
+ *     answers: [{ questionId, response, timeSpent, answeredAt }] }),
+ *   signature: string (hex HMAC-SHA256 of log, keyed with the signingKey from offline-start)
+ * }
+ */
+router.post(
+  "/:attemptId/sync",
+  authenticateStudent,
+  syncOfflineAttemptValidation,
+  syncOfflineTestAttempt
+);
+
+/**
+ * @route   POST /api/test-attempts/:attemptId/proctoring-events
+ * @desc    Report proctoring events from the test client. Accepted while the
+ *          attempt runs and for the grace window after it is submitted.
+ *          A second client (sessionId) reporting at the same time is recorded
+ *          as "multiple-sessions"
+ * @access  Private (Student - attempt owner)
+ * @body    {
+ *   sessionId?: string (stable per browser tab / app install),
+ *   events: Array<{
+ *     type: "tab-switch" | "fullscreen-exit" | "app-background" | "copy" | "paste" | "multiple-sessions",
+ *     occurredAt?: ISO date,
+ *     durationSeconds?: number (time away, for tab switches, fullscreen exits and backgrounding),
+ *     details?: string
+ *   }> (1-100)
+ * }
+ */
+router.post(
+  "/:attemptId/proctoring-events",
+  authenticateStudent,
+  proctoringEventsValidation,
+  reportProctoringEvents
+);
+
+/**
+ * @route   GET /api/test-attempts/:attemptId/proctoring
+ * @desc    Proctoring events, reporting clients and suspicion score breakdown of an attempt
+ * @access  Private (Admin, Educator - test owner)
+ */
+router.get(
+  "/:attemptId/proctoring",
+  authenticateAdminOrEducator,
+  validateAttemptIdParam,
+  getTestAttemptProctoring
+);
+
+/**
+ * @route   PATCH /api/test-attempts/:attemptId/proctoring/review
+ * @desc    Record a verdict on an attempt's proctoring signals
+ * @access  Private (Admin, Educator - test owner)
+ * @body    { status: "pending" | "cleared" | "confirmed", notes?: string }
+ */
+router.patch(
+  "/:attemptId/proctoring/review",
+  authenticateAdminOrEducator,
+  proctoringReviewValidation,
+  reviewTestAttemptProctoring
+);
+
+/**
+ * @route   POST /api/test-attempts/:attemptId/submit
+ * @desc    Submit an attempt; the server grades it and records the result
+ * @access  Private (Student - attempt owner)
+ * @body    { answers?: same shape as PATCH /answers, saved before grading }
+ */
+router.post(
+  "/:attemptId/submit",
+  authenticateStudent,
+  submitTestAttemptValidation,
+  submitTestAttempt
+);
+
+export default router;
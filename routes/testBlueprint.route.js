@@ -0,0 +1,116 @@
+import { Router } from "express";
+import {
+  createTestBlueprint,
+  getMyTestBlueprints,
+  getTestBlueprintById,
+  updateTestBlueprint,
+  deleteTestBlueprint,
+  generateTestFromSavedBlueprint,
+} from "../controllers/testBlueprint.controller.js";
+import {
+  createTestBlueprintValidation,
+  updateTestBlueprintValidation,
+  generateFromBlueprintValidation,
+  testBlueprintIdValidation,
+  testBlueprintQueryValidation,
+} from "../util/validation.js";
+import { authenticateEducator } from "../middleware/auth.middleware.js";
+
+const router = Router();
+
+/**
+ * @route   POST /api/test-blueprints
+ * @desc    Save a blueprint for assembling tests from the educator's question bank
+ * @access  Private (Educator)
+ * @body    {
+ *   title: string (required),
+ *   description?: string,
+ *   testSeriesId?: ObjectId (generated tests join this series; its students' seen questions are avoided),
+ *   subjects: Array<string> (required; questions split evenly, one section per subject),
+ *   class: Array<string> (required),
+ *   specialization: Array<string> (required),
+ *   topics?: Array<string> (empty means any topic),
+ *   difficultyMix?: { Easy?: number, Medium?: number, Hard?: number } (percentages adding up to 100; default 30/50/20),
+ *   questionCount: number (required),
+ *   totalMarks: number (required; divisible by questionCount),
+ *   negativeMarks?: number (per wrong answer),
+ *   duration: number (required, in minutes),
+ *   instructions?: string,
+ *   shuffleQuestions?: boolean,
+ *   avoidSeenQuestions?: boolean (default: true),
+ *   generate?: boolean (also generate the first test),
+ *   testTitle?: string, studentIds?: Array<ObjectId> (when generating)
+ * }
+ */
+router.post(
+  "/",
+  authenticateEducator,
+  createTestBlueprintValidation,
+  createTestBlueprint
+);
+
+/**
+ * @route   GET /api/test-blueprints
+ * @desc    List the educator's blueprints
+ * @access  Private (Educator)
+ * @query   { testSeriesId?: ObjectId }
+ */
+router.get(
+  "/",
+  authenticateEducator,
+  testBlueprintQueryValidation,
+  getMyTestBlueprints
+);
+
+/**
+ * @route   GET /api/test-blueprints/:id
+ * @desc    Get a blueprint with the tests generated from it
+ * @access  Private (Educator - blueprint owner)
+ */
+router.get(
+  "/:id",
+  authenticateEducator,
+  testBlueprintIdValidation,
+  getTestBlueprintById
+);
+
+/**
+ * @route   PUT /api/test-blueprints/:id
+ * @desc    Update a blueprint (applies to tests generated afterwards)
+ * @access  Private (Educator - blueprint owner)
+ */
+router.put(
+  "/:id",
+  authenticateEducator,
+  updateTestBlueprintValidation,
+  updateTestBlueprint
+);
+
+/**
+ * @route   DELETE /api/test-blueprints/:id
+ * @desc    Delete a blueprint; tests generated from it are kept
+ * @access  Private (Educator - blueprint owner)
+ */
+router.delete(
+  "/:id",
+  authenticateEducator,
+  testBlueprintIdValidation,
+  deleteTestBlueprint
+);
+
+/**
+ * @route   POST /api/test-blueprints/:id/generate
+ * @desc    Generate a fresh test variant, avoiding questions the target
+ *          students have already seen. Returns 422 with a per-subject report
+ *          when the bank cannot fill the blueprint.
+ * @access  Private (Educator - blueprint owner)
+ * @body    { testTitle?: string, studentIds?: Array<ObjectId> }
+ */
+router.post(
+  "/:id/generate",
+  authenticateEducator,
+  generateFromBlueprintValidation,
+  generateTestFromSavedBlueprint
+);
+
+export default router;
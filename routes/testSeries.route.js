@@ -43,8 +43,14 @@ import {
   validateRatingParam,
   validateCourseIdParam,
   bulkCreateTestSeriesValidation,
+  leaderboardValidation,
 } from "../util/validation.js";
 import { ensureDevEnvironment } from "../middleware/dev.middleware.js";
+import { authenticateStudent } from "../middleware/auth.middleware.js";
+import {
+  getTestSeriesLeaderboard,
+  getMyTestSeriesPosition,
+} from "../controllers/leaderboard.controller.js";
 
 const router = express.Router();
 
@@ -166,4 +172,17 @@ router.get("/:id/statistics", validateObjectId("id"), getTestSeriesStatistics);
 // Get overall platform statistics
 router.get("/statistics/overall", getOverallStatistics);
 
+// ==================== Leaderboard Routes ====================
+
+// Get cumulative leaderboard across all tests of a test series (?page, ?limit)
+router.get("/:id/leaderboard", leaderboardValidation, getTestSeriesLeaderboard);
+
+// Get the authenticated student's cumulative position in a test series
+router.get(
+  "/:id/leaderboard/me",
+  authenticateStudent,
+  validateObjectId("id"),
+  getMyTestSeriesPosition
+);
+
 export default router;
@@ -0,0 +1,518 @@
+import mongoose from "mongoose";
+import Test from "../models/test.js";
+import Question from "../models/question.js";
+import Student from "../models/student.js";
+import Query from "../models/query.js";
+import Conversation from "../models/conversation.js";
+import Message from "../models/message.js";
+import AnswerChallenge from "../models/answerChallenge.js";
+import { getAttemptForStudent } from "./testAttempt.service.js";
+import { normalizeResponse } from "./grading.service.js";
+import { regradeQuestion } from "./questionRegrade.service.js";
+import {
+  getAttemptVersionPins,
+  loadAttemptQuestions,
+  reviseQuestion,
+} from "./questionVersion.service.js";
+import { areResultsReleased, getResultsReleaseTime } from "../util/testSchedule.js";
+import { assertValidCorrectOptions } from "../util/validation.js";
+import { httpError } from "../util/http.js";
+
+// Students may challenge an answer key this long after results are out
+export const ANSWER_CHALLENGE_WINDOW_DAYS = process.env.ANSWER_CHALLENGE_WINDOW_DAYS
+  ? parseInt(process.env.ANSWER_CHALLENGE_WINDOW_DAYS)
+  : 7;
+
+// Challenges listed under each question in the review queue
+const QUEUE_CHALLENGES_PER_QUESTION = 20;
+
+const paginate = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    totalEntries: total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+const toPaging = ({ page, limit }) => ({
+  page: Math.max(1, parseInt(page) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(limit) || 20)),
+});
+
+const loadMessages = (conversationId) =>
+  Message.find({ conversationId })
+    .populate([
+      {
+        path: "sender.userId",
+        select: "name fullName username email image",
+      },
+      {
+        path: "receiver.userId",
+        select: "name fullName username email image",
+      },
+    ])
+    .sort({ createdAt: 1 });
+
+/**
+ * Open the Query a challenge is discussed on. Each challenge gets its own
+ * conversation so its thread stays separate from the student's other queries.
+ */
+const openChallengeQuery = async (challenge, test) => {
+  const conversation = await Conversation.create({
+    participants: [
+      { userId: challenge.studentId, userType: "Student" },
+      { userId: challenge.educatorId, userType: "Educator" },
+    ],
+    conversationType: "student_educator",
+  });
+
+  await Message.create({
+    conversationId: conversation._id,
+    sender: { userId: challenge.studentId, userType: "Student" },
+    receiver: { userId: challenge.educatorId, userType: "Educator" },
+    content: challenge.reason,
+    messageType: "text",
+  });
+
+  return Query.create({
+    conversationId: conversation._id,
+    studentId: challenge.studentId,
+    educatorId: challenge.educatorId,
+    subject: `Answer key challenge: ${test.title || "test"}`.slice(0, 200),
+    initialMessage: challenge.reason,
+    metadata: {
+      challengeId: challenge._id,
+      testId: test._id,
+      testName: test.title,
+    },
+    status: "pending",
+  });
+};
+
+/**
+ * Dispute the answer key of a question in one of the student's submitted
+ * attempts. Allowed once results are out, for ANSWER_CHALLENGE_WINDOW_DAYS,
+ * once per question per attempt. Opens a Query for the discussion.
+ * @param {Object} payload - { attemptId, questionId, reason, proposedAnswer? }
+ */
+export const createChallenge = async (
+  studentId,
+  { attemptId, questionId, reason, proposedAnswer },
+  now = new Date()
+) => {
+  const attempt = await getAttemptForStudent(attemptId, studentId);
+  if (attempt.status !== "submitted") {
+    throw httpError("Submit the attempt before challenging its answer key", 409);
+  }
+  if (attempt.invalidatedAt) {
+    throw httpError("Invalidated attempts cannot be challenged", 409);
+  }
+
+  const key = questionId?.toString();
+  if (!attempt.questionOrder.some((id) => id.toString() === key)) {
+    throw httpError("Question is not part of this attempt");
+  }
+
+  const test = await Test.findById(attempt.testId).select(
+    "title startsAt endsAt resultsReleaseAt"
+  );
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+  if (!areResultsReleased(test, now)) {
+    throw httpError("Answer keys can be challenged once results are released", 403);
+  }
+  const openedAt = getResultsReleaseTime(test) || attempt.submittedAt;
+  const closesAt = new Date(
+    openedAt.getTime() + ANSWER_CHALLENGE_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  );
+  if (now.getTime() > closesAt.getTime()) {
+    throw httpError(
+      `Challenges for this test closed at ${closesAt.toISOString()}`,
+      403
+    );
+  }
+
+  const questions = await loadAttemptQuestions(attempt);
+  const question = questions.find((item) => item._id.toString() === key);
+  if (!question) {
+    throw httpError("Question not found", 404);
+  }
+
+  let proposed;
+  if (proposedAnswer !== undefined && proposedAnswer !== null && proposedAnswer !== "") {
+    proposed = normalizeResponse(question, proposedAnswer);
+    if (proposed === null) {
+      throw httpError("proposedAnswer is not a valid answer for this question");
+    }
+  }
+
+  let challenge;
+  try {
+    challenge = await AnswerChallenge.create({
+      studentId,
+      attemptId: attempt._id,
+      testId: test._id,
+      questionId: question._id,
+      educatorId: question.educatorId,
+      questionVersion: getAttemptVersionPins(attempt).get(key).gradedVersion,
+      reason,
+      proposedAnswer: proposed,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw httpError("You have already challenged this question", 409);
+    }
+    throw error;
+  }
+
+  const query = await openChallengeQuery(challenge, test);
+  challenge.queryId = query._id;
+  await challenge.save();
+  return challenge;
+};
+
+/**
+ * The student's challenges, newest first.
+ */
+export const listStudentChallenges = async (studentId, { status, ...paging } = {}) => {
+  const { page, limit } = toPaging(paging);
+  const filter = { studentId };
+  if (status) {
+    filter.status = status;
+  }
+
+  const [challenges, total] = await Promise.all([
+    AnswerChallenge.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate("testId", "title slug")
+      .populate("questionId", "title questionType")
+      .lean(),
+    AnswerChallenge.countDocuments(filter),
+  ]);
+
+  return { challenges, pagination: paginate(page, limit, total) };
+};
+
+const findChallenge = async (challengeId) => {
+  if (!mongoose.Types.ObjectId.isValid(challengeId)) {
+    throw httpError("Invalid challenge ID");
+  }
+  const challenge = await AnswerChallenge.findById(challengeId);
+  if (!challenge) {
+    throw httpError("Challenge not found", 404);
+  }
+  return challenge;
+};
+
+const assertCanReview = (challenge, auth) => {
+  if (
+    auth?.userType === "educator" &&
+    challenge.educatorId.toString() !== auth.userId.toString()
+  ) {
+    throw httpError("You can only review challenges on your own questions", 403);
+  }
+};
+
+const withDiscussion = async (challenge) => {
+  const query = challenge.queryId ? await Query.findById(challenge.queryId) : null;
+  return {
+    challenge,
+    query,
+    messages: query ? await loadMessages(query.conversationId) : [],
+  };
+};
+
+/**
+ * One of the student's challenges with its discussion.
+ */
+export const getStudentChallenge = async (challengeId, studentId) => {
+  const challenge = await findChallenge(challengeId);
+  if (challenge.studentId.toString() !== studentId.toString()) {
+    throw httpError("This challenge belongs to another student", 403);
+  }
+  return withDiscussion(challenge);
+};
+
+/**
+ * A challenge with its discussion, for the reviewing educator or an admin.
+ */
+export const getChallengeForReview = async (challengeId, auth) => {
+  const challenge = await findChallenge(challengeId);
+  assertCanReview(challenge, auth);
+  return withDiscussion(challenge);
+};
+
+/**
+ * Add the student's follow-up to a challenge discussion. The query goes
+ * back to pending until the educator replies.
+ */
+export const addStudentChallengeMessage = async (challengeId, studentId, content) => {
+  const challenge = await findChallenge(challengeId);
+  if (challenge.studentId.toString() !== studentId.toString()) {
+    throw httpError("This challenge belongs to another student", 403);
+  }
+  if (challenge.status !== "pending") {
+    throw httpError(`This challenge was already ${challenge.status}`, 409);
+  }
+
+  const query = challenge.queryId && (await Query.findById(challenge.queryId));
+  if (!query || !query.isActive) {
+    throw httpError("The discussion for this challenge is closed", 409);
+  }
+
+  const message = await Message.create({
+    conversationId: query.conversationId,
+    sender: { userId: challenge.studentId, userType: "Student" },
+    receiver: { userId: challenge.educatorId, userType: "Educator" },
+    content,
+    messageType: "text",
+  });
+  query.status = "pending";
+  await query.save();
+  return message;
+};
+
+/**
+ * Challenges awaiting review grouped by question, most challenged first.
+ * Educators see challenges on their own questions; admins see all.
+ * @param {Object} filters - { status (default "pending"), testId, page, limit }
+ */
+export const getChallengeQueue = async (auth, { status = "pending", testId, ...paging } = {}) => {
+  const { page, limit } = toPaging(paging);
+  const match = { status };
+  if (auth?.userType === "educator") {
+    match.educatorId = new mongoose.Types.ObjectId(auth.userId.toString());
+  }
+  if (testId) {
+    match.testId = new mongoose.Types.ObjectId(testId);
+  }
+
+  const [result] = await AnswerChallenge.aggregate([
+    { $match: match },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: "$questionId",
+        challengeCount: { $sum: 1 },
+        testIds: { $addToSet: "$testId" },
+        firstRaisedAt: { $min: "$createdAt" },
+        lastRaisedAt: { $max: "$createdAt" },
+        challenges: {
+          $push: {
+            _id: "$_id",
+            studentId: "$studentId",
+            attemptId: "$attemptId",
+            testId: "$testId",
+            questionVersion: "$questionVersion",
+            reason: "$reason",
+            proposedAnswer: "$proposedAnswer",
+            queryId: "$queryId",
+            status: "$status",
+            createdAt: "$createdAt",
+          },
+        },
+      },
+    },
+    { $sort: { challengeCount: -1, firstRaisedAt: 1 } },
+    {
+      $facet: {
+        groups: [
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $addFields: {
+              challenges: { $slice: ["$challenges", QUEUE_CHALLENGES_PER_QUESTION] },
+            },
+          },
+        ],
+        total: [{ $count: "count" }],
+      },
+    },
+  ]);
+
+  const groups = result?.groups || [];
+  const questionIds = groups.map((group) => group._id);
+  const testIds = [...new Set(groups.flatMap((group) => group.testIds.map(String)))];
+  const studentIds = [
+    ...new Set(groups.flatMap((group) => group.challenges.map((c) => c.studentId.toString()))),
+  ];
+  const [questions, tests, students] = await Promise.all([
+    Question.find({ _id: { $in: questionIds } })
+      .select("title questionType options matrix correctOptions tolerance version")
+      .lean(),
+    Test.find({ _id: { $in: testIds } }).select("title slug").lean(),
+    Student.find({ _id: { $in: studentIds } }).select("name username image").lean(),
+  ]);
+  const questionById = new Map(questions.map((q) => [q._id.toString(), q]));
+  const testById = new Map(tests.map((t) => [t._id.toString(), t]));
+  const studentById = new Map(students.map((s) => [s._id.toString(), s]));
+
+  return {
+    questions: groups.map((group) => ({
+      questionId: group._id,
+      question: questionById.get(group._id.toString()) || null,
+      challengeCount: group.challengeCount,
+      firstRaisedAt: group.firstRaisedAt,
+      lastRaisedAt: group.lastRaisedAt,
+      tests: group.testIds.map((id) => testById.get(id.toString()) || { _id: id }),
+      challenges: group.challenges.map((challenge) => ({
+        ...challenge,
+        student: studentById.get(challenge.studentId.toString()) || null,
+      })),
+    })),
+    pagination: paginate(page, limit, result?.total[0]?.count || 0),
+  };
+};
+
+const closeChallengeDiscussion = async (challenge, auth, content) => {
+  const query = challenge.queryId && (await Query.findById(challenge.queryId));
+  if (!query) {
+    return;
+  }
+  await Message.create({
+    conversationId: query.conversationId,
+    sender: {
+      userId: auth.userId,
+      userType: auth.userType === "admin" ? "Admin" : "Educator",
+    },
+    receiver: { userId: challenge.studentId, userType: "Student" },
+    content,
+    messageType: "text",
+  });
+  await query.markAsResolved();
+};
+
+/**
+ * Correct the question's answer key from a challenge. Validated against
+ * the live question before anything is written.
+ */
+const applyCorrectedKey = async (question, { correctOptions, tolerance }) => {
+  const candidate = {
+    ...question.toObject({ depopulate: true, virtuals: false }),
+    correctOptions,
+  };
+  try {
+    assertValidCorrectOptions(correctOptions, candidate);
+  } catch (error) {
+    throw httpError(error.message);
+  }
+
+  const update = { correctOptions };
+  if (tolerance !== undefined) {
+    update.tolerance = tolerance;
+  }
+  await reviseQuestion(question._id, () =>
+    Question.findByIdAndUpdate(question._id, update, {
+      new: true,
+      runValidators: true,
+    })
+  );
+};
+
+/**
+ * Accept or reject a pending challenge.
+ *
+ * Accepting needs a corrected answer key: pass correctOptions (and
+ * tolerance for numeric questions), or edit the question first. Every
+ * attempt graded with the old key is then regraded, ranks are recomputed
+ * and all pending challenges on the question are accepted with it.
+ * Rejecting closes only this challenge. The resolution note is posted to
+ * each challenge's discussion.
+ * @param {Object} resolution - { decision: "accept" | "reject", note?, correctOptions?, tolerance? }
+ * @returns {Promise<{challenges: Array, regrade: Object|null}>}
+ */
+export const resolveChallenge = async (
+  challengeId,
+  auth,
+  { decision, note, correctOptions, tolerance }
+) => {
+  const challenge = await findChallenge(challengeId);
+  assertCanReview(challenge, auth);
+  if (challenge.status !== "pending") {
+    throw httpError(`This challenge was already ${challenge.status}`, 409);
+  }
+
+  const resolvedAt = new Date();
+  const resolution = {
+    resolvedBy: auth.userId,
+    resolverModel: auth.userType === "admin" ? "Admin" : "Educator",
+    resolvedAt,
+    resolutionNote: note,
+  };
+
+  if (decision === "reject") {
+    Object.assign(challenge, resolution, { status: "rejected" });
+    await challenge.save();
+    await closeChallengeDiscussion(
+      challenge,
+      auth,
+      `Your answer key challenge was rejected.${note ? ` ${note}` : ""}`
+    );
+    return { challenges: [challenge], regrade: null };
+  }
+
+  let question = await Question.findById(challenge.questionId);
+  if (!question) {
+    throw httpError("Question not found", 404);
+  }
+  if (correctOptions !== undefined) {
+    await applyCorrectedKey(question, { correctOptions, tolerance });
+    question = await Question.findById(challenge.questionId);
+  }
+  const version = question.version || 1;
+  if (version <= challenge.questionVersion) {
+    throw httpError(
+      "Correct the answer key (send correctOptions or edit the question) before accepting",
+      409
+    );
+  }
+
+  let regrade = null;
+  try {
+    regrade = await regradeQuestion(question._id, auth, {
+      reason: `Answer key challenge accepted${note ? `: ${note}` : ""}`.slice(0, 1000),
+      source: "challenge",
+    });
+  } catch (error) {
+    // Nothing left to regrade when the attempts were regraded already
+    if (error.statusCode !== 409) {
+      throw error;
+    }
+  }
+
+  const accepted = await AnswerChallenge.find({
+    questionId: question._id,
+    status: "pending",
+    questionVersion: { $lt: version },
+  });
+  for (const item of accepted) {
+    Object.assign(item, resolution, { status: "accepted", regradeId: regrade?._id });
+    await item.save();
+    await closeChallengeDiscussion(
+      item,
+      auth,
+      `Your answer key challenge was accepted and the attempt has been regraded.${
+        note ? ` ${note}` : ""
+      }`
+    );
+  }
+
+  return { challenges: accepted, regrade };
+};
+
+export default {
+  ANSWER_CHALLENGE_WINDOW_DAYS,
+  createChallenge,
+  listStudentChallenges,
+  getStudentChallenge,
+  getChallengeForReview,
+  addStudentChallengeMessage,
+  getChallengeQueue,
+  resolveChallenge,
+};
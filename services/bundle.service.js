@@ -0,0 +1,277 @@
+import mongoose from "mongoose";
+import Bundle from "../models/bundle.js";
+import { findProduct, getProductPrice } from "./enrollment.service.js";
+import { httpError } from "../util/http.js";
+
+// Fields an owner may change once a bundle exists
+const EDITABLE_FIELDS = [
+  "title",
+  "description",
+  "image",
+  "price",
+  "validity",
+  "specialization",
+  "maxStudents",
+  "isActive",
+];
+
+const paginate = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    totalEntries: total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+const roundPercent = (value) => Math.round(value * 100) / 100;
+
+const getProductEducatorId = (product) => product.educatorID || product.educatorId;
+
+const loadManagedBundle = async (bundleId, auth) => {
+  if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+    throw httpError("Invalid bundle ID");
+  }
+  const bundle = await Bundle.findById(bundleId);
+  if (!bundle) {
+    throw httpError("Bundle not found", 404);
+  }
+  if (
+    auth.userType === "educator" &&
+    bundle.educatorId?.toString() !== auth.userId.toString()
+  ) {
+    throw httpError("You can only manage your own bundles", 403);
+  }
+  return bundle;
+};
+
+/**
+ * Look up the components of a bundle, recording who owns each and what it
+ * costs on its own, and settle each one's share of the revenue. Shares given
+ * for every item must add up to 100; without them revenue is split by
+ * standalone price, or evenly when the components are free on their own.
+ * Educators may only bundle their own products.
+ */
+const buildBundleItems = async (items, auth) => {
+  const seen = new Set();
+  const resolved = [];
+  const specializations = new Set();
+
+  for (const item of items) {
+    const key = `${item.productType}:${item.productId}`;
+    if (seen.has(key)) {
+      throw httpError("A product can only appear once in a bundle");
+    }
+    seen.add(key);
+
+    const product = await findProduct(item.productType, item.productId);
+    if (!product) {
+      throw httpError(`Unable to find ${item.productType} ${item.productId}`);
+    }
+    const educatorId = getProductEducatorId(product);
+    if (auth.userType === "educator" && educatorId?.toString() !== auth.userId.toString()) {
+      throw httpError("You can only bundle your own products", 403);
+    }
+    (product.specialization || []).forEach((spec) => specializations.add(spec));
+
+    resolved.push({
+      productType: item.productType,
+      productId: product._id,
+      educatorId,
+      listPrice: getProductPrice(item.productType, product),
+      sharePercent: item.sharePercent,
+    });
+  }
+
+  const givenShares = resolved.filter((item) => item.sharePercent !== undefined);
+  if (givenShares.length && givenShares.length !== resolved.length) {
+    throw httpError("Give sharePercent for every item or for none");
+  }
+  if (givenShares.length) {
+    const total = resolved.reduce((sum, item) => sum + item.sharePercent, 0);
+    if (Math.abs(total - 100) > 0.01) {
+      throw httpError("Item shares must add up to 100");
+    }
+  } else {
+    const totalListPrice = resolved.reduce((sum, item) => sum + item.listPrice, 0);
+    resolved.forEach((item) => {
+      item.sharePercent = roundPercent(
+        totalListPrice > 0
+          ? (item.listPrice * 100) / totalListPrice
+          : 100 / resolved.length
+      );
+    });
+  }
+
+  return { items: resolved, specialization: [...specializations] };
+};
+
+/**
+ * Each educator's percentage of a bundle's revenue, from its items' shares.
+ * Stored on the PaymentIntent when a bundle is bought so payouts and
+ * refunds split the payment the way it was sold.
+ */
+export const getBundleRevenueSplit = (bundle) => {
+  const percentByEducator = new Map();
+  bundle.items.forEach((item) => {
+    const key = item.educatorId.toString();
+    percentByEducator.set(key, (percentByEducator.get(key) || 0) + item.sharePercent);
+  });
+  return [...percentByEducator.entries()].map(([educatorId, percent]) => ({
+    educatorId: new mongoose.Types.ObjectId(educatorId),
+    percent: roundPercent(percent),
+  }));
+};
+
+/**
+ * Put a bundle on sale. An educator's bundle is sold under their name; an
+ * admin's bundle is too when every component is one educator's, and is a
+ * platform bundle otherwise.
+ */
+export const createBundle = async (auth, payload) => {
+  const { items, specialization } = await buildBundleItems(payload.items, auth);
+
+  const owners = new Set(items.map((item) => item.educatorId.toString()));
+  const educatorId =
+    auth.userType === "educator"
+      ? auth.userId
+      : owners.size === 1
+      ? items[0].educatorId
+      : null;
+
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => payload[field] !== undefined).map((field) => [
+      field,
+      payload[field],
+    ])
+  );
+  return Bundle.create({
+    specialization,
+    ...fields,
+    items,
+    educatorId,
+    createdBy: auth.userId,
+    creatorModel: auth.userType === "admin" ? "Admin" : "Educator",
+  });
+};
+
+export const updateBundle = async (bundleId, auth, updates) => {
+  const bundle = await loadManagedBundle(bundleId, auth);
+
+  if (updates.items) {
+    // Students who bought it were enrolled in the components at the time
+    if (bundle.enrolledStudents?.length) {
+      throw httpError(
+        "The products in a bundle students have bought cannot change; create a new bundle instead",
+        409
+      );
+    }
+    const { items } = await buildBundleItems(updates.items, auth);
+    bundle.items = items;
+  }
+
+  bundle.set(
+    Object.fromEntries(
+      EDITABLE_FIELDS.filter((field) => updates[field] !== undefined).map((field) => [
+        field,
+        updates[field],
+      ])
+    )
+  );
+  return bundle.save();
+};
+
+/**
+ * Bundles that are on sale, or for the manage view every bundle the admin
+ * or educator can edit.
+ * @param {Object} filters - { educatorId, specialization, search, page, limit }
+ * @param {Object} [auth] - Set for the manage view
+ */
+export const listBundles = async (
+  { educatorId, specialization, search, page = 1, limit = 20 } = {},
+  auth = null
+) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const filter = {};
+  if (!auth) {
+    filter.isActive = true;
+    filter.$or = [{ validity: null }, { validity: { $gt: new Date() } }];
+  }
+  if (auth?.userType === "educator") {
+    filter.educatorId = auth.userId;
+  } else if (educatorId) {
+    filter.educatorId = educatorId;
+  }
+  if (specialization) {
+    filter.specialization = specialization;
+  }
+  if (search) {
+    filter.title = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+  }
+
+  const [bundles, total] = await Promise.all([
+    Bundle.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select(auth ? "" : "-enrolledStudents -items.sharePercent")
+      .populate("educatorId", "fullName username image")
+      .lean(),
+    Bundle.countDocuments(filter),
+  ]);
+
+  return {
+    bundles: bundles.map((bundle) => ({
+      ...bundle,
+      enrolledCount: auth ? bundle.enrolledStudents?.length || 0 : undefined,
+      enrolledStudents: undefined,
+    })),
+    pagination: paginate(pageNumber, pageSize, total),
+  };
+};
+
+/**
+ * A bundle with the title and image of each component.
+ */
+export const getBundle = async (bundleId) => {
+  if (!mongoose.Types.ObjectId.isValid(bundleId)) {
+    throw httpError("Invalid bundle ID");
+  }
+  const bundle = await Bundle.findById(bundleId)
+    .select("-enrolledStudents -items.sharePercent")
+    .populate("educatorId", "fullName username image")
+    .lean();
+  if (!bundle) {
+    throw httpError("Bundle not found", 404);
+  }
+
+  const items = await Promise.all(
+    bundle.items.map(async (item) => {
+      const product = await findProduct(item.productType, item.productId);
+      return {
+        ...item,
+        title: product?.title || product?.liveClassTitle,
+        image: product?.image,
+      };
+    })
+  );
+  const listTotal = bundle.items.reduce((sum, item) => sum + (item.listPrice || 0), 0);
+
+  return {
+    ...bundle,
+    items,
+    savings: Math.max(0, listTotal - bundle.price),
+  };
+};
+
+export default {
+  getBundleRevenueSplit,
+  createBundle,
+  updateBundle,
+  listBundles,
+  getBundle,
+};
@@ -0,0 +1,471 @@
+import mongoose from "mongoose";
+import Coupon from "../models/coupon.js";
+import PaymentIntent from "../models/paymentIntent.js";
+import { findProduct, getProductDetails } from "./enrollment.service.js";
+import { httpError } from "../util/http.js";
+
+// Razorpay will not take an order below one rupee
+const MIN_PAYABLE_AMOUNT = 1;
+
+// Orders still awaiting payment hold their coupon until they expire
+const HOLDING_STATUSES = ["created", "pending", "authorized"];
+
+// Fields an owner may change once a coupon exists; the code is fixed
+const EDITABLE_FIELDS = [
+  "description",
+  "discountType",
+  "discountValue",
+  "maxDiscount",
+  "minOrderAmount",
+  "products",
+  "productTypes",
+  "specializations",
+  "startsAt",
+  "expiresAt",
+  "usageLimit",
+  "perStudentLimit",
+  "firstPurchaseOnly",
+  "isActive",
+];
+
+// Changing what a coupon takes off would misstate earlier redemptions
+const DISCOUNT_FIELDS = ["discountType", "discountValue", "maxDiscount"];
+
+const paginate = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    totalEntries: total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+const roundRupees = (value) => Math.round(value * 100) / 100;
+
+const getProductEducatorId = (product) => product.educatorID || product.educatorId;
+
+// A student's own unpaid order for the same product is being replaced by
+// the new checkout, so it does not hold a redemption against them
+const countRedemptions = (filter, { studentId, productId }, now = new Date()) =>
+  PaymentIntent.countDocuments({
+    ...filter,
+    $or: [
+      { status: "succeeded" },
+      { status: { $in: HOLDING_STATUSES }, expiresAt: { $gt: now } },
+    ],
+    $nor: [{ studentId, productId, status: { $in: HOLDING_STATUSES } }],
+  });
+
+const loadManagedCoupon = async (couponId, auth) => {
+  if (!mongoose.Types.ObjectId.isValid(couponId)) {
+    throw httpError("Invalid coupon ID");
+  }
+  const coupon = await Coupon.findById(couponId);
+  if (!coupon) {
+    throw httpError("Coupon not found", 404);
+  }
+  if (
+    auth.userType === "educator" &&
+    coupon.educatorId?.toString() !== auth.userId.toString()
+  ) {
+    throw httpError("You can only manage your own coupons", 403);
+  }
+  return coupon;
+};
+
+// Educators may only scope a coupon to products they sell
+const assertOwnsProducts = async (products = [], educatorId) => {
+  for (const { productType, productId } of products) {
+    const product = await findProduct(productType, productId);
+    if (!product) {
+      throw httpError(`Unable to find ${productType} ${productId}`);
+    }
+    if (educatorId && getProductEducatorId(product)?.toString() !== educatorId.toString()) {
+      throw httpError("Coupons can only be scoped to your own products", 403);
+    }
+  }
+};
+
+const assertValidDiscount = ({ discountType, discountValue }) => {
+  if (discountType === "percentage" && discountValue > 100) {
+    throw httpError("A percentage discount cannot exceed 100");
+  }
+};
+
+/**
+ * Work out the discount a coupon gives on a price, in rupees. The result
+ * never takes the price below the one-rupee payment minimum.
+ */
+export const calculateDiscount = (coupon, price) => {
+  let discount =
+    coupon.discountType === "percentage"
+      ? (price * coupon.discountValue) / 100
+      : coupon.discountValue;
+  if (coupon.discountType === "percentage" && coupon.maxDiscount) {
+    discount = Math.min(discount, coupon.maxDiscount);
+  }
+  discount = Math.min(discount, price - MIN_PAYABLE_AMOUNT);
+  return Math.max(0, roundRupees(discount));
+};
+
+/**
+ * Check a code against a product a student is about to buy and price it.
+ * This does not hold a redemption: orders reserve one with
+ * reserveCouponRedemption.
+ * @param {Object} params - { code, studentId, productType, product, price (rupees) }
+ * @returns {Promise<{coupon, discount: number, finalPrice: number}>}
+ */
+export const applyCoupon = async ({ code, studentId, productType, product, price }) => {
+  const now = new Date();
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    throw httpError("Invalid coupon code", 404);
+  }
+  if (coupon.startsAt && coupon.startsAt > now) {
+    throw httpError("This coupon is not active yet");
+  }
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    throw httpError("This coupon has expired");
+  }
+
+  if (
+    coupon.educatorId &&
+    getProductEducatorId(product)?.toString() !== coupon.educatorId.toString()
+  ) {
+    throw httpError("This coupon does not apply to this product");
+  }
+  if (coupon.productTypes?.length && !coupon.productTypes.includes(productType)) {
+    throw httpError("This coupon does not apply to this product");
+  }
+  if (
+    coupon.products?.length &&
+    !coupon.products.some(
+      (entry) =>
+        entry.productType === productType &&
+        entry.productId.toString() === product._id.toString()
+    )
+  ) {
+    throw httpError("This coupon does not apply to this product");
+  }
+  if (
+    coupon.specializations?.length &&
+    !(product.specialization || []).some((spec) => coupon.specializations.includes(spec))
+  ) {
+    throw httpError("This coupon does not apply to this product");
+  }
+  if (coupon.minOrderAmount && price < coupon.minOrderAmount) {
+    throw httpError(`This coupon needs a minimum order of ₹${coupon.minOrderAmount}`);
+  }
+
+  if (coupon.firstPurchaseOnly) {
+    const hasPurchased = await PaymentIntent.exists({
+      studentId,
+      status: { $in: ["succeeded", "refunded"] },
+    });
+    if (hasPurchased) {
+      throw httpError("This coupon is only valid on your first purchase");
+    }
+  }
+
+  const checkout = { studentId, productId: product._id };
+  const [totalUsed, studentUsed] = await Promise.all([
+    coupon.usageLimit
+      ? countRedemptions({ "coupon.couponId": coupon._id }, checkout, now)
+      : 0,
+    countRedemptions({ "coupon.couponId": coupon._id, studentId }, checkout, now),
+  ]);
+  if (coupon.usageLimit && totalUsed >= coupon.usageLimit) {
+    throw httpError("This coupon has reached its usage limit", 409);
+  }
+  if (studentUsed >= (coupon.perStudentLimit || 1)) {
+    throw httpError("You have already used this coupon", 409);
+  }
+
+  const discount = calculateDiscount(coupon, price);
+  if (discount <= 0) {
+    throw httpError("This coupon gives no discount on this product");
+  }
+
+  return { coupon, discount, finalPrice: roundRupees(price - discount) };
+};
+
+const takeRedemption = (couponId) =>
+  Coupon.updateOne(
+    {
+      _id: couponId,
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: [{ $ifNull: ["$redemptions", 0] }, "$usageLimit"] } },
+      ],
+    },
+    { $inc: { redemptions: 1 } }
+  );
+
+/**
+ * Undo a reservation that never got an order to hold it.
+ */
+export const cancelCouponReservation = (couponId) =>
+  Coupon.updateOne(
+    { _id: couponId, redemptions: { $gt: 0 } },
+    { $inc: { redemptions: -1 } }
+  );
+
+/**
+ * Give back the redemption an order holds on its coupon. Only the first
+ * call for an order releases it, so failure, expiry and refund can all call
+ * this safely.
+ */
+export const releaseCouponRedemption = async (intent) => {
+  if (!intent?.coupon?.couponId) {
+    return false;
+  }
+  const { modifiedCount } = await PaymentIntent.updateOne(
+    { _id: intent._id, "coupon.couponId": { $ne: null }, "coupon.releasedAt": null },
+    { $set: { "coupon.releasedAt": new Date() } }
+  );
+  if (!modifiedCount) {
+    return false;
+  }
+  await cancelCouponReservation(intent.coupon.couponId);
+  return true;
+};
+
+/**
+ * Take a redemption back for an order paid after its hold was released
+ * (a late capture of an expired or failed checkout). The payment has gone
+ * through, so usageLimit is not checked.
+ */
+export const reclaimCouponRedemption = async (intent) => {
+  if (!intent?.coupon?.couponId) {
+    return false;
+  }
+  const { modifiedCount } = await PaymentIntent.updateOne(
+    { _id: intent._id, "coupon.releasedAt": { $ne: null } },
+    { $unset: { "coupon.releasedAt": 1 } }
+  );
+  if (!modifiedCount) {
+    return false;
+  }
+  await Coupon.updateOne({ _id: intent.coupon.couponId }, { $inc: { redemptions: 1 } });
+  return true;
+};
+
+// Unpaid checkouts stop holding their redemption once they expire
+const releaseExpiredHolds = async (couponId, now = new Date()) => {
+  const expired = await PaymentIntent.find({
+    "coupon.couponId": couponId,
+    "coupon.releasedAt": null,
+    status: { $in: HOLDING_STATUSES },
+    expiresAt: { $lte: now },
+  }).select("coupon");
+  for (const intent of expired) {
+    await releaseCouponRedemption(intent);
+  }
+  return expired.length;
+};
+
+/**
+ * Reserve one redemption of a coupon for a new order. The student's earlier
+ * unpaid orders for the same product are being replaced, so their holds are
+ * released first; when the coupon looks used up, expired holds are freed
+ * and the reservation tried once more.
+ */
+export const reserveCouponRedemption = async (coupon, { studentId, productId }) => {
+  const replaced = await PaymentIntent.find({
+    "coupon.couponId": coupon._id,
+    "coupon.releasedAt": null,
+    studentId,
+    productId,
+    status: { $in: HOLDING_STATUSES },
+  }).select("coupon");
+  for (const intent of replaced) {
+    await releaseCouponRedemption(intent);
+  }
+
+  let { modifiedCount } = await takeRedemption(coupon._id);
+  if (!modifiedCount && (await releaseExpiredHolds(coupon._id))) {
+    ({ modifiedCount } = await takeRedemption(coupon._id));
+  }
+  if (!modifiedCount) {
+    throw httpError("This coupon has reached its usage limit", 409);
+  }
+};
+
+/**
+ * What a PaymentIntent records about the coupon used to buy it.
+ */
+export const buildCouponSnapshot = (coupon, discount) => ({
+  couponId: coupon._id,
+  code: coupon.code,
+  discountType: coupon.discountType,
+  discountValue: coupon.discountValue,
+  discountAmount: Math.round(discount * 100),
+  fundedBy: coupon.educatorId ? "educator" : "platform",
+});
+
+/**
+ * Price a product with a code without creating an order.
+ */
+export const previewCoupon = async (studentId, { code, productType, productId }) => {
+  let details;
+  try {
+    details = await getProductDetails(productType, productId);
+  } catch (error) {
+    throw httpError(error.message);
+  }
+  const { product, price } = details;
+  const { coupon, discount, finalPrice } = await applyCoupon({
+    code,
+    studentId,
+    productType,
+    product,
+    price,
+  });
+  return {
+    code: coupon.code,
+    description: coupon.description,
+    price,
+    discount,
+    finalPrice,
+  };
+};
+
+export const createCoupon = async (auth, payload) => {
+  assertValidDiscount(payload);
+  const educatorId = auth.userType === "educator" ? auth.userId : null;
+  await assertOwnsProducts(payload.products, educatorId);
+
+  const exists = await Coupon.exists({ code: payload.code.toUpperCase() });
+  if (exists) {
+    throw httpError("A coupon with this code already exists", 409);
+  }
+
+  const fields = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => payload[field] !== undefined).map((field) => [
+      field,
+      payload[field],
+    ])
+  );
+  return Coupon.create({
+    ...fields,
+    code: payload.code,
+    createdBy: auth.userId,
+    creatorModel: auth.userType === "admin" ? "Admin" : "Educator",
+    educatorId,
+  });
+};
+
+export const updateCoupon = async (couponId, auth, updates) => {
+  const coupon = await loadManagedCoupon(couponId, auth);
+
+  const changes = Object.fromEntries(
+    EDITABLE_FIELDS.filter((field) => updates[field] !== undefined).map((field) => [
+      field,
+      updates[field],
+    ])
+  );
+  if (DISCOUNT_FIELDS.some((field) => field in changes)) {
+    const redeemed = await PaymentIntent.exists({
+      "coupon.couponId": coupon._id,
+      status: { $in: ["succeeded", "refunded"] },
+    });
+    if (redeemed) {
+      throw httpError(
+        "The discount of a redeemed coupon cannot change; create a new coupon instead",
+        409
+      );
+    }
+  }
+  if (changes.products) {
+    await assertOwnsProducts(changes.products, coupon.educatorId);
+  }
+
+  coupon.set(changes);
+  assertValidDiscount(coupon);
+  return coupon.save();
+};
+
+/**
+ * Coupons with their redemption counts and the discount given so far (rupees).
+ * Educators see their own; admins see all, optionally filtered.
+ * @param {Object} filters - { scope: "platform" | "educator", educatorId, isActive, search, page, limit }
+ */
+export const listCoupons = async (
+  auth,
+  { scope, educatorId, isActive, search, page = 1, limit = 20 } = {}
+) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const filter = {};
+  if (auth.userType === "educator") {
+    filter.educatorId = auth.userId;
+  } else if (educatorId) {
+    filter.educatorId = educatorId;
+  } else if (scope === "platform") {
+    filter.educatorId = null;
+  } else if (scope === "educator") {
+    filter.educatorId = { $ne: null };
+  }
+  if (isActive !== undefined) {
+    filter.isActive = isActive;
+  }
+  if (search) {
+    filter.code = new RegExp(search.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
+  }
+
+  const [coupons, total] = await Promise.all([
+    Coupon.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("educatorId", "fullName username")
+      .lean(),
+    Coupon.countDocuments(filter),
+  ]);
+
+  const usage = await PaymentIntent.aggregate([
+    {
+      $match: {
+        "coupon.couponId": { $in: coupons.map((coupon) => coupon._id) },
+        status: "succeeded",
+      },
+    },
+    {
+      $group: {
+        _id: "$coupon.couponId",
+        redemptions: { $sum: 1 },
+        totalDiscount: { $sum: "$coupon.discountAmount" },
+      },
+    },
+  ]);
+  const usageById = new Map(usage.map((entry) => [entry._id.toString(), entry]));
+
+  return {
+    coupons: coupons.map((coupon) => {
+      const entry = usageById.get(coupon._id.toString());
+      return {
+        ...coupon,
+        redemptions: entry?.redemptions || 0,
+        totalDiscount: (entry?.totalDiscount || 0) / 100,
+      };
+    }),
+    pagination: paginate(pageNumber, pageSize, total),
+  };
+};
+
+export default {
+  calculateDiscount,
+  applyCoupon,
+  reserveCouponRedemption,
+  cancelCouponReservation,
+  releaseCouponRedemption,
+  reclaimCouponRedemption,
+  buildCouponSnapshot,
+  previewCoupon,
+  createCoupon,
+  updateCoupon,
+  listCoupons,
+};
@@ -3,6 +3,8 @@ import TestSeries from "../models/testSeries.js";
 import Webinar from "../models/webinar.js";
 import LiveClass from "../models/liveClass.js";
 import Student from "../models/student.js";
+import Bundle from "../models/bundle.js";
+import PaymentIntent from "../models/paymentIntent.js";
 
 const PRODUCT_TYPES = {
   course: {
@@ -45,6 +47,17 @@ const PRODUCT_TYPES = {
       return enrolled < liveClass.maxStudents;
     },
   },
+  bundle: {
+    model: Bundle,
+    price: (bundle) => bundle.price,
+    isActive: (bundle) =>
+      bundle.isActive !== false && (!bundle.validity || bundle.validity > new Date()),
+    hasCapacity: (bundle) => {
+      if (!bundle.maxStudents) return true;
+      const enrolled = bundle.enrolledStudents?.length || 0;
+      return enrolled < bundle.maxStudents;
+    },
+  },
 };
 
 export const getStudentById = async (studentId) => {
@@ -55,13 +68,47 @@ export const getStudentById = async (studentId) => {
   return student;
 };
 
-export const getProductDetails = async (productType, productId) => {
+/**
+ * Look up a purchasable product without checking that it can be bought.
+ * Resolves to null when the product type is unknown or nothing matches.
+ */
+export const findProduct = async (productType, productId) => {
+  const config = PRODUCT_TYPES[productType];
+  return config ? config.model.findById(productId) : null;
+};
+
+/**
+ * Standalone price of a product in rupees, before any coupon.
+ */
+export const getProductPrice = (productType, product) => {
+  const config = PRODUCT_TYPES[productType];
+  return config ? Number(config.price(product)) || 0 : 0;
+};
+
+// A bundle can only be sold while every component the student does not
+// already own has room for them, since paying for it enrols them in each
+const checkBundleComponents = async (bundle, studentId) => {
+  for (const item of bundle.items || []) {
+    const component = await findProduct(item.productType, item.productId);
+    if (!component) {
+      throw new Error(`Unable to find ${item.productType} in this bundle`);
+    }
+    if (studentId && isStudentAlreadyEnrolled(item.productType, component, studentId)) {
+      continue;
+    }
+    if (!PRODUCT_TYPES[item.productType].hasCapacity(component)) {
+      throw new Error(`${item.productType} in this bundle has reached capacity`);
+    }
+  }
+};
+
+export const getProductDetails = async (productType, productId, studentId = null) => {
   const config = PRODUCT_TYPES[productType];
   if (!config) {
     throw new Error("Unsupported product type");
   }
 
-  const product = await config.model.findById(productId);
+  const product = await findProduct(productType, productId);
   if (!product) {
     throw new Error(`Unable to find ${productType}`);
   }
@@ -74,6 +121,10 @@ export const getProductDetails = async (productType, productId) => {
     throw new Error(`${productType} has reached capacity`);
   }
 
+  if (productType === "bundle") {
+    await checkBundleComponents(product, studentId);
+  }
+
   const price = config.price(product);
   if (!price || price <= 0) {
     throw new Error(`${productType} has invalid price`);
@@ -107,6 +158,11 @@ export const isStudentAlreadyEnrolled = (productType, product, studentId) => {
       return id?.toString() === studentObjectId;
     });
   }
+  if (productType === "bundle") {
+    return product.enrolledStudents?.some(
+      (id) => id.toString() === studentObjectId
+    );
+  }
   return false;
 };
 
@@ -193,5 +249,121 @@ export const enrollStudentInProduct = async (
     return;
   }
 
+  if (productType === "bundle") {
+    const bundle = await Bundle.findByIdAndUpdate(productId, {
+      $addToSet: { enrolledStudents: studentId },
+    });
+    const items = bundle?.items || productSnapshot.items || [];
+
+    // Components already owned are skipped by each product's own check. One
+    // component failing does not stop the rest; the failures are returned so
+    // the payment can record them for an admin to resolve
+    const failures = [];
+    for (const item of items) {
+      try {
+        const component = await findProduct(item.productType, item.productId);
+        if (
+          component &&
+          isStudentAlreadyEnrolled(item.productType, component, studentId)
+        ) {
+          continue;
+        }
+        await enrollStudentInProduct(
+          item.productType,
+          item.productId,
+          studentId,
+          item.productType === "testSeries"
+            ? { numberOfTests: component?.numberOfTests }
+            : {}
+        );
+      } catch (error) {
+        console.error(
+          `Error enrolling student ${studentId} in ${item.productType} ${item.productId} of bundle ${productId}:`,
+          error
+        );
+        failures.push({
+          productType: item.productType,
+          productId: item.productId,
+          reason: error.message,
+          failedAt: new Date(),
+        });
+      }
+    }
+    return failures;
+  }
+
   throw new Error("Unsupported product type for enrollment");
 };
+
+export const unenrollStudentFromProduct = async (
+  productType,
+  productId,
+  studentId
+) => {
+  if (productType === "course") {
+    await Course.findByIdAndUpdate(productId, {
+      $pull: {
+        enrolledStudents: studentId,
+        purchase: studentId,
+      },
+    });
+    await Student.findByIdAndUpdate(studentId, {
+      $pull: { courses: { courseId: productId } },
+    });
+    return;
+  }
+
+  if (productType === "testSeries") {
+    await TestSeries.findByIdAndUpdate(productId, {
+      $pull: { enrolledStudents: studentId },
+    });
+    await Student.findByIdAndUpdate(studentId, {
+      $pull: { testSeries: { testSeriesId: productId } },
+    });
+    return;
+  }
+
+  if (productType === "webinar") {
+    await Webinar.findByIdAndUpdate(productId, {
+      $pull: { studentEnrolled: studentId },
+    });
+    await Student.findByIdAndUpdate(studentId, {
+      $pull: { webinars: { webinarId: productId } },
+    });
+    return;
+  }
+
+  if (productType === "liveClass") {
+    await LiveClass.findByIdAndUpdate(productId, {
+      $pull: { enrolledStudents: { studentId } },
+    });
+    return;
+  }
+
+  if (productType === "bundle") {
+    const bundle = await Bundle.findByIdAndUpdate(productId, {
+      $pull: { enrolledStudents: studentId },
+    });
+    for (const item of bundle?.items || []) {
+      // Keep components the student also paid for on their own or in
+      // another bundle
+      const heldElsewhere =
+        (await PaymentIntent.exists({
+          studentId,
+          productId: item.productId,
+          status: "succeeded",
+        })) ||
+        (await Bundle.exists({
+          _id: { $ne: productId },
+          enrolledStudents: studentId,
+          "items.productId": item.productId,
+        }));
+      if (!heldElsewhere) {
+        await unenrollStudentFromProduct(item.productType, item.productId, studentId);
+      }
+    }
+    return;
+  }
+
+  throw new Error("Unsupported product type for unenrollment");
+};
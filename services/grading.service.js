@@ -0,0 +1,454 @@
+import { OPTION_KEYS } from "../models/question.js";
+
+export { OPTION_KEYS };
+
+// Student.results[].subjects[].name uses capitalised subject names
+const SUBJECT_LABELS = {
+  biology: "Biology",
+  physics: "Physics",
+  mathematics: "Mathematics",
+  chemistry: "Chemistry",
+  english: "English",
+  hindi: "Hindi",
+};
+
+// Question types answered by picking option keys
+const OPTION_QUESTION_TYPES = ["single-select", "multi-select", "assertion-reason"];
+
+// Absorbs floating point noise when comparing numeric answers
+const NUMERIC_EPSILON = 1e-9;
+
+export const roundMarks = (value) => Math.round(value * 100) / 100;
+
+const toOptionKey = (value) =>
+  typeof value === "string" ? value.trim().toUpperCase() : null;
+
+const toKeyList = (value) => {
+  const values = Array.isArray(value)
+    ? value
+    : typeof value === "string"
+    ? value.split(/[,;|]+/)
+    : [value];
+  return [...new Set(values.map(toOptionKey))].filter(Boolean).sort();
+};
+
+// Option keys actually defined on the question (A–D for legacy documents)
+const getOptionKeys = (question) => {
+  const defined = OPTION_KEYS.filter((key) => question.options?.[key]);
+  return defined.length ? defined : OPTION_KEYS.slice(0, 4);
+};
+
+const getMatrixKeys = (question, list) =>
+  (question.matrix?.[list] || []).map((entry) => entry.key.toUpperCase());
+
+const normalizeMatrixResponse = (question, value) => {
+  if (typeof value !== "object" || Array.isArray(value)) {
+    return null;
+  }
+
+  const rowKeys = getMatrixKeys(question, "rows");
+  const columnKeys = getMatrixKeys(question, "columns");
+  const normalized = {};
+  Object.entries(value).forEach(([row, columns]) => {
+    const rowKey = toOptionKey(row);
+    if (!rowKey || (rowKeys.length && !rowKeys.includes(rowKey))) return;
+
+    const keys = toKeyList(columns).filter(
+      (key) => !columnKeys.length || columnKeys.includes(key)
+    );
+    if (keys.length) {
+      normalized[rowKey] = keys;
+    }
+  });
+
+  return Object.keys(normalized).length ? normalized : null;
+};
+
+/**
+ * Normalise a stored or submitted answer into a comparable shape:
+ * a single option key, a sorted list of option keys, a number, or a
+ * matrix-match map of row key to sorted column keys.
+ * Returns null when the value is empty or not valid for the question.
+ * @param {Object} question - Question (questionType, options, matrix)
+ */
+export const normalizeResponse = (question, value) => {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const { questionType } = question;
+
+  if (questionType === "integer" || questionType === "numeric") {
+    const numeric = Number(value);
+    if (!Number.isFinite(numeric)) return null;
+    return questionType === "integer" && !Number.isInteger(numeric)
+      ? null
+      : numeric;
+  }
+
+  if (questionType === "matrix-match") {
+    return normalizeMatrixResponse(question, value);
+  }
+
+  if (!OPTION_QUESTION_TYPES.includes(questionType)) {
+    return null;
+  }
+
+  const optionKeys = getOptionKeys(question);
+  const keys = toKeyList(value).filter((key) => optionKeys.includes(key));
+
+  if (!keys.length) {
+    return null;
+  }
+
+  if (questionType !== "multi-select") {
+    return keys.length === 1 ? keys[0] : null;
+  }
+
+  return keys;
+};
+
+/**
+ * Normalise a question's answer key. Numeric keys become an accepted
+ * { min, max } range built from the stored value and tolerance.
+ */
+export const normalizeAnswerKey = (question) => {
+  if (question.questionType !== "numeric") {
+    return normalizeResponse(question, question.correctOptions);
+  }
+
+  const key = question.correctOptions;
+  if (key && typeof key === "object" && !Array.isArray(key)) {
+    const min = Number(key.min);
+    const max = Number(key.max);
+    return Number.isFinite(min) && Number.isFinite(max) ? { min, max } : null;
+  }
+
+  const value = Number(key);
+  if (!Number.isFinite(value)) return null;
+  const tolerance = Math.abs(Number(question.tolerance) || 0);
+  return { min: value - tolerance, max: value + tolerance };
+};
+
+const sameKeyList = (a, b) =>
+  Array.isArray(a) &&
+  Array.isArray(b) &&
+  a.length === b.length &&
+  a.every((key, index) => key === b[index]);
+
+const isSameAnswer = (questionType, response, correctAnswer) => {
+  if (response === null || correctAnswer === null) {
+    return false;
+  }
+
+  if (questionType === "multi-select") {
+    return sameKeyList(response, correctAnswer);
+  }
+
+  if (questionType === "numeric") {
+    return (
+      response >= correctAnswer.min - NUMERIC_EPSILON &&
+      response <= correctAnswer.max + NUMERIC_EPSILON
+    );
+  }
+
+  if (questionType === "matrix-match") {
+    const rows = Object.keys(correctAnswer);
+    return (
+      rows.length === Object.keys(response).length &&
+      rows.every((row) => sameKeyList(response[row], correctAnswer[row]))
+    );
+  }
+
+  return response === correctAnswer;
+};
+
+/**
+ * Partial credit as awarded in JEE Advanced:
+ * - multi-select: any wrong option scores the negative mark; otherwise each
+ *   correct option picked is worth positive / number of options
+ *   (+3 of 4 for three of four correct options picked)
+ * - matrix-match: each fully correct row is worth positive / number of rows;
+ *   the negative mark applies only when no row is correct
+ */
+const getPartialMarks = (questionType, response, correctAnswer, marking, question) => {
+  if (questionType === "multi-select") {
+    if (response.some((key) => !correctAnswer.includes(key))) {
+      return -marking.negative;
+    }
+    return (marking.positive * response.length) / getOptionKeys(question).length;
+  }
+
+  const rows = Object.keys(correctAnswer);
+  const correctRows = rows.filter((row) =>
+    sameKeyList(response[row], correctAnswer[row])
+  ).length;
+  return correctRows
+    ? (marking.positive * correctRows) / rows.length
+    : -marking.negative;
+};
+
+/**
+ * Map each question ID to the test section that contains it.
+ */
+export const buildSectionLookup = (test) => {
+  const lookup = new Map();
+  (test.sections || []).forEach((section) => {
+    section.questions.forEach((questionId) => {
+      lookup.set(questionId.toString(), section);
+    });
+  });
+  return lookup;
+};
+
+/**
+ * Resolve the positive and negative marks for every question in a test,
+ * honouring the test's marking type, negative marking settings and any
+ * section-level marking overrides.
+ */
+export const buildMarkingScheme = (test, questions) => {
+  const scheme = new Map();
+  const questionCount = questions.length;
+  const ratio = Number(test.negativeMarkingRatio) || 0;
+  const sectionByQuestion = buildSectionLookup(test);
+
+  questions.forEach((question) => {
+    const key = question._id.toString();
+    const sectionMarking = sectionByQuestion.get(key)?.marking || {};
+    let positive;
+    let negative = 0;
+
+    if (sectionMarking.positive !== undefined && sectionMarking.positive !== null) {
+      positive = sectionMarking.positive;
+    } else if (test.markingType === "overall") {
+      positive = questionCount ? test.overallMarks / questionCount : 0;
+    } else {
+      positive = question.marks?.positive ?? 1;
+    }
+
+    if (sectionMarking.negative !== undefined && sectionMarking.negative !== null) {
+      negative = sectionMarking.negative;
+    } else if (test.negativeMarking) {
+      negative =
+        test.markingType !== "overall" && question.marks?.negative > 0
+          ? question.marks.negative
+          : positive * ratio;
+    }
+
+    scheme.set(key, {
+      positive: roundMarks(positive),
+      negative: roundMarks(negative),
+      partial: sectionMarking.partial ?? Boolean(question.marks?.partial),
+    });
+  });
+
+  return scheme;
+};
+
+/**
+ * Grade a single response against a question's answer key.
+ */
+export const gradeQuestion = (question, rawResponse, marking) => {
+  const { questionType } = question;
+  const response = normalizeResponse(question, rawResponse);
+  const correctAnswer = normalizeAnswerKey(question);
+  const isAttempted = response !== null;
+  const isCorrect = isSameAnswer(questionType, response, correctAnswer);
+
+  let marksAwarded = 0;
+  if (isCorrect) {
+    marksAwarded = marking.positive;
+  } else if (
+    isAttempted &&
+    correctAnswer !== null &&
+    marking.partial &&
+    ["multi-select", "matrix-match"].includes(questionType)
+  ) {
+    marksAwarded = roundMarks(
+      getPartialMarks(questionType, response, correctAnswer, marking, question)
+    );
+  } else if (isAttempted) {
+    marksAwarded = -marking.negative;
+  }
+
+  return {
+    questionId: question._id,
+    response,
+    correctAnswer,
+    isAttempted,
+    isCorrect,
+    isEvaluated: true,
+    marksAwarded,
+    maxMarks: marking.positive,
+  };
+};
+
+const createTally = () => ({
+  score: 0,
+  totalMarks: 0,
+  correct: 0,
+  incorrect: 0,
+  unattempted: 0,
+});
+
+const addToTally = (tally, graded) => {
+  tally.score += graded.marksAwarded;
+  if (!graded.isAttempted || !graded.isEvaluated) {
+    tally.unattempted += 1;
+  } else if (graded.isCorrect) {
+    tally.correct += 1;
+  } else {
+    tally.incorrect += 1;
+  }
+};
+
+/**
+ * Apply a section's "attempt any N" rule: only the first N attempted
+ * questions in section order are evaluated, extras score nothing.
+ * Returns the marks the section is out of.
+ */
+const applySectionAttemptRule = (section, gradedById) => {
+  const sectionGraded = section.questions
+    .map((questionId) => gradedById.get(questionId.toString()))
+    .filter(Boolean);
+  const maxMarksList = sectionGraded.map((graded) => graded.maxMarks);
+
+  if (!section.maxAttempts || section.maxAttempts >= sectionGraded.length) {
+    return maxMarksList.reduce((sum, marks) => sum + marks, 0);
+  }
+
+  let evaluatedCount = 0;
+  sectionGraded.forEach((graded) => {
+    if (!graded.isAttempted) return;
+    if (evaluatedCount < section.maxAttempts) {
+      evaluatedCount += 1;
+      return;
+    }
+    graded.isEvaluated = false;
+    graded.marksAwarded = 0;
+  });
+
+  return maxMarksList
+    .sort((a, b) => b - a)
+    .slice(0, section.maxAttempts)
+    .reduce((sum, marks) => sum + marks, 0);
+};
+
+/**
+ * Grade a full set of answers for a test.
+ * @param {Object} test - Test document (sections and marking settings)
+ * @param {Array} questions - Question documents in the order they were served
+ * @param {Array<{questionId, response, timeSpent}>} answers
+ * @returns {{ gradedQuestions, sectionScores, score, totalMarks, correct, incorrect, unattempted }}
+ */
+export const gradeAttempt = (test, questions, answers = []) => {
+  const scheme = buildMarkingScheme(test, questions);
+  const sectionByQuestion = buildSectionLookup(test);
+  const answersById = new Map(
+    answers.map((answer) => [answer.questionId.toString(), answer])
+  );
+
+  const gradedQuestions = questions.map((question) => {
+    const key = question._id.toString();
+    const answer = answersById.get(key);
+    const graded = gradeQuestion(question, answer?.response, scheme.get(key));
+    graded.timeSpent = answer?.timeSpent || 0;
+    graded.sectionId = sectionByQuestion.get(key)?._id;
+    return graded;
+  });
+  const gradedById = new Map(
+    gradedQuestions.map((graded) => [graded.questionId.toString(), graded])
+  );
+
+  const totals = createTally();
+  let totalMarks = 0;
+  const sectionScores = (test.sections || []).map((section) => {
+    const sectionTotal = applySectionAttemptRule(section, gradedById);
+    totalMarks += sectionTotal;
+
+    const tally = createTally();
+    section.questions.forEach((questionId) => {
+      const graded = gradedById.get(questionId.toString());
+      if (graded) addToTally(tally, graded);
+    });
+
+    return {
+      sectionId: section._id,
+      name: section.name,
+      subject: section.subject,
+      ...tally,
+      score: roundMarks(tally.score),
+      totalMarks: roundMarks(sectionTotal),
+    };
+  });
+
+  gradedQuestions.forEach((graded) => {
+    addToTally(totals, graded);
+    if (!graded.sectionId) {
+      totalMarks += graded.maxMarks;
+    }
+  });
+
+  if (test.markingType === "overall" && !(test.sections || []).length) {
+    totalMarks = test.overallMarks;
+  }
+
+  return {
+    gradedQuestions,
+    sectionScores,
+    score: roundMarks(totals.score),
+    totalMarks: roundMarks(totalMarks),
+    correct: totals.correct,
+    incorrect: totals.incorrect,
+    unattempted: totals.unattempted,
+  };
+};
+
+/**
+ * Build the subject-wise rows stored on Student.results[].subjects: one per
+ * section for sectioned tests, otherwise grouped by each question's first subject.
+ */
+export const buildSubjectScores = (test, questions, grading) => {
+  if (grading.sectionScores.length) {
+    return grading.sectionScores.map((section) => ({
+      name: SUBJECT_LABELS[section.subject],
+      section: section.name,
+      score: section.score,
+      totalMarks: section.totalMarks,
+      correct: section.correct,
+      incorrect: section.incorrect,
+      unattempted: section.unattempted,
+    }));
+  }
+
+  const subjectById = new Map(
+    questions.map((q) => [q._id.toString(), q.subject?.[0]])
+  );
+  const bySubject = new Map();
+  grading.gradedQuestions.forEach((graded) => {
+    const subject = subjectById.get(graded.questionId.toString());
+    if (!SUBJECT_LABELS[subject]) return;
+
+    const tally = bySubject.get(subject) || createTally();
+    addToTally(tally, graded);
+    tally.totalMarks += graded.maxMarks;
+    bySubject.set(subject, tally);
+  });
+
+  return [...bySubject.entries()].map(([subject, tally]) => ({
+    name: SUBJECT_LABELS[subject],
+    ...tally,
+    score: roundMarks(tally.score),
+    totalMarks: roundMarks(tally.totalMarks),
+  }));
+};
+
+export default {
+  normalizeResponse,
+  normalizeAnswerKey,
+  buildSectionLookup,
+  buildMarkingScheme,
+  gradeQuestion,
+  gradeAttempt,
+  buildSubjectScores,
+};
@@ -0,0 +1,672 @@
+import mongoose from "mongoose";
+import Bundle from "../models/bundle.js";
+import Course from "../models/course.js";
+import InstallmentEnrollment from "../models/installmentEnrollment.js";
+import PaymentIntent from "../models/paymentIntent.js";
+import Refund from "../models/refund.js";
+import { getRazorpayClient, getRazorpayKeyId } from "../config/razorpay.js";
+import {
+  enrollStudentInProduct,
+  getProductDetails,
+  isStudentAlreadyEnrolled,
+  unenrollStudentFromProduct,
+} from "./enrollment.service.js";
+import notificationService from "./notification.service.js";
+import { sendInstallmentReminderEmail } from "../util/email.js";
+import { httpError } from "../util/http.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How many days ahead of a due date the student is reminded
+const REMINDER_DAYS_BEFORE = Number(process.env.INSTALLMENT_REMINDER_DAYS) || 3;
+
+// How often reminders are sent and lapsed plans suspended
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
+// Unpaid orders expire like any other checkout
+const ORDER_TTL_MS = 20 * 60 * 1000;
+
+// Plans whose student has paid at least once and still owes instalments
+const OPEN_STATUSES = ["active", "suspended"];
+
+const paginate = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    totalEntries: total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+const sumAmounts = (installments) =>
+  installments.reduce((sum, installment) => sum + installment.amount, 0);
+
+const getGraceEndsAt = (enrollment, installment) =>
+  installment.dueDate
+    ? new Date(installment.dueDate.getTime() + (enrollment.gracePeriodDays || 0) * DAY_MS)
+    : null;
+
+const isPastGrace = (enrollment, installment, now) =>
+  !installment.paidAt && Boolean(installment.dueDate) && getGraceEndsAt(enrollment, installment) <= now;
+
+/**
+ * What a student has paid and still owes on a plan, in paise.
+ */
+const summarizeInstallments = (enrollment, now = new Date()) => {
+  const unpaid = enrollment.installments.filter((installment) => !installment.paidAt);
+  const overdue = unpaid.filter(
+    (installment) => installment.dueDate && installment.dueDate <= now
+  );
+  return {
+    paidAmount: enrollment.totalAmount - sumAmounts(unpaid),
+    outstandingAmount: sumAmounts(unpaid),
+    overdueAmount: sumAmounts(overdue),
+    daysOverdue: overdue.length
+      ? Math.floor((now - overdue[0].dueDate) / DAY_MS)
+      : 0,
+    nextInstallment: unpaid[0] || null,
+  };
+};
+
+/**
+ * Create the PaymentIntent and Razorpay order for one instalment. The intent
+ * is an ordinary course payment, so payouts, invoices and refunds treat
+ * each instalment as a sale of its own.
+ */
+const createInstallmentOrder = async (enrollment, installment, course, student) => {
+  const installmentCount = enrollment.installments.length;
+
+  const paymentIntent = await PaymentIntent.create({
+    studentId: student._id,
+    productId: course._id,
+    productType: "course",
+    amount: installment.amount,
+    listAmount: installment.amount,
+    currency: "INR",
+    status: "pending",
+    productSnapshot: {
+      title: `${course.title} (instalment ${installment.number} of ${installmentCount})`,
+      description: course.description,
+      educator: course.educatorID,
+      fees: course.fees,
+      discount: course.discount,
+    },
+    installment: {
+      enrollmentId: enrollment._id,
+      number: installment.number,
+      count: installmentCount,
+    },
+    metadata: {
+      studentName: student.name,
+      studentEmail: student.email,
+    },
+    expiresAt: new Date(Date.now() + ORDER_TTL_MS),
+  });
+
+  const receipt = `fp_${paymentIntent._id}`;
+  const order = await getRazorpayClient().orders.create({
+    amount: installment.amount,
+    currency: "INR",
+    receipt,
+    notes: {
+      paymentIntentId: paymentIntent._id.toString(),
+      studentId: student._id.toString(),
+      productId: course._id.toString(),
+      productType: "course",
+      installmentEnrollmentId: enrollment._id.toString(),
+      installmentNumber: String(installment.number),
+    },
+  });
+
+  paymentIntent.razorpayOrderId = order.id;
+  paymentIntent.receipt = receipt;
+  await paymentIntent.save();
+
+  return {
+    orderId: order.id,
+    amount: order.amount,
+    currency: order.currency,
+    intentId: paymentIntent._id,
+    razorpayKey: getRazorpayKeyId(),
+    enrollmentId: enrollment._id,
+    installment: {
+      number: installment.number,
+      count: installmentCount,
+      amount: installment.amount / 100,
+      dueDate: installment.dueDate,
+    },
+    product: {
+      title: course.title,
+      type: "course",
+    },
+  };
+};
+
+/**
+ * Whether a student is part-way through paying for a course in instalments.
+ * Such a student may not also buy the course outright.
+ */
+export const hasOpenInstallmentEnrollment = (studentId, courseId) =>
+  InstallmentEnrollment.exists({ studentId, courseId, status: { $in: OPEN_STATUSES } });
+
+/**
+ * Start buying a course in instalments: copy its plan for the student and
+ * open the order for the first instalment. A plan the student started but
+ * never paid for is picked up again with the course's current plan.
+ */
+export const startInstallmentPurchase = async (student, courseId) => {
+  let details;
+  try {
+    details = await getProductDetails("course", courseId);
+  } catch (error) {
+    throw httpError(error.message);
+  }
+  const { product: course, price } = details;
+
+  if (isStudentAlreadyEnrolled("course", course, student._id)) {
+    throw httpError("Student already enrolled in this product");
+  }
+
+  const plan = course.installmentPlan;
+  if (!plan?.enabled || (plan.installments?.length || 0) < 2) {
+    throw httpError("This course cannot be paid in instalments");
+  }
+  if (sumAmounts(plan.installments) < price) {
+    throw httpError("The instalment plan no longer covers the course price", 409);
+  }
+
+  let enrollment = await InstallmentEnrollment.findOne({
+    studentId: student._id,
+    courseId: course._id,
+    status: { $in: ["pending", ...OPEN_STATUSES] },
+  });
+  if (enrollment && enrollment.status !== "pending") {
+    throw httpError("You are already paying for this course in instalments", 409);
+  }
+
+  const schedule = {
+    educatorId: course.educatorID,
+    totalAmount: Math.round(sumAmounts(plan.installments) * 100),
+    gracePeriodDays: plan.gracePeriodDays || 0,
+    installments: plan.installments.map((installment, index) => ({
+      number: index + 1,
+      amount: Math.round(installment.amount * 100),
+      dueAfterDays: installment.dueAfterDays,
+    })),
+  };
+  if (enrollment) {
+    enrollment.set(schedule);
+    await enrollment.save();
+  } else {
+    enrollment = await InstallmentEnrollment.create({
+      ...schedule,
+      studentId: student._id,
+      courseId: course._id,
+    });
+  }
+
+  return createInstallmentOrder(enrollment, enrollment.installments[0], course, student);
+};
+
+/**
+ * Open the order for the earliest unpaid instalment of a student's plan.
+ * Instalments are paid in turn, so this is also how a suspended student
+ * catches up.
+ */
+export const payNextInstallment = async (student, enrollmentId) => {
+  if (!mongoose.Types.ObjectId.isValid(enrollmentId)) {
+    throw httpError("Invalid instalment plan ID");
+  }
+  const enrollment = await InstallmentEnrollment.findById(enrollmentId);
+  if (!enrollment || enrollment.studentId.toString() !== student._id.toString()) {
+    throw httpError("Instalment plan not found", 404);
+  }
+  if (!["pending", ...OPEN_STATUSES].includes(enrollment.status)) {
+    throw httpError(`This instalment plan is ${enrollment.status}`, 409);
+  }
+
+  const course = await Course.findById(enrollment.courseId);
+  if (!course) {
+    throw httpError("Unable to find course", 404);
+  }
+
+  const next = enrollment.installments.find((installment) => !installment.paidAt);
+  return createInstallmentOrder(enrollment, next, course, student);
+};
+
+/**
+ * Put a payment that should not have been taken in the admin refund queue,
+ * unless a refund for it is already open.
+ */
+const queueRefundForPayment = async (intent, reason) => {
+  console.warn(`Payment ${intent._id} needs a refund: ${reason}`);
+  const open = await Refund.exists({
+    paymentIntentId: intent._id,
+    status: { $in: ["requested", "processing"] },
+  });
+  if (!open) {
+    await Refund.create({
+      paymentIntentId: intent._id,
+      studentId: intent.studentId,
+      reason,
+      requestedAmount: intent.amount,
+    });
+  }
+};
+
+/**
+ * Record a paid instalment and grant or restore course access. The first
+ * payment starts the schedule; a suspended student gets access back once
+ * nothing is left overdue past the grace period. A second payment of the
+ * same instalment, or one made after the plan was cancelled, is queued for
+ * refund instead.
+ * @returns {Promise<Object>} The student's plan
+ */
+export const recordInstallmentPayment = async (intent, now = new Date()) => {
+  const enrollment = await InstallmentEnrollment.findById(intent.installment.enrollmentId);
+  if (!enrollment) {
+    throw new Error(`Instalment plan ${intent.installment.enrollmentId} not found`);
+  }
+
+  const installment = enrollment.installments.find(
+    (entry) => entry.number === intent.installment.number
+  );
+  if (!installment) {
+    throw new Error(
+      `Instalment ${intent.installment.number} not found on plan ${enrollment._id}`
+    );
+  }
+  if (installment.paidAt) {
+    if (installment.paymentIntentId?.toString() !== intent._id.toString()) {
+      await queueRefundForPayment(
+        intent,
+        `Instalment ${installment.number} of plan ${enrollment._id} was paid a second time`
+      );
+    }
+    return enrollment;
+  }
+  // An order opened before the plan was cancelled can still be paid; it must
+  // not reopen the plan or the course
+  if (enrollment.status === "cancelled") {
+    await queueRefundForPayment(
+      intent,
+      `Instalment ${installment.number} was paid after plan ${enrollment._id} was cancelled`
+    );
+    return enrollment;
+  }
+
+  installment.paidAt = now;
+  installment.paymentIntentId = intent._id;
+  if (!enrollment.startedAt) {
+    enrollment.startedAt = now;
+    enrollment.installments.forEach((entry) => {
+      entry.dueDate = new Date(now.getTime() + entry.dueAfterDays * DAY_MS);
+    });
+  }
+
+  if (enrollment.installments.every((entry) => entry.paidAt)) {
+    enrollment.status = "completed";
+    enrollment.completedAt = now;
+  } else if (enrollment.installments.some((entry) => isPastGrace(enrollment, entry, now))) {
+    enrollment.status = "suspended";
+  } else {
+    enrollment.status = "active";
+  }
+  if (enrollment.status !== "suspended") {
+    enrollment.suspendedAt = undefined;
+  }
+  await enrollment.save();
+
+  if (enrollment.status !== "suspended") {
+    await enrollStudentInProduct(
+      "course",
+      enrollment.courseId,
+      enrollment.studentId,
+      intent.productSnapshot || {}
+    );
+  }
+
+  return enrollment;
+};
+
+/**
+ * Whether every instalment paid on a plan has since been refunded in full.
+ * Refunding one instalment alone leaves the plan and the student's access
+ * as they are.
+ */
+export const isInstallmentPlanRefunded = async (enrollmentId) => {
+  const enrollment = await InstallmentEnrollment.findById(enrollmentId).select(
+    "installments.paymentIntentId"
+  );
+  const paymentIntentIds = (enrollment?.installments || [])
+    .map((installment) => installment.paymentIntentId)
+    .filter(Boolean);
+  if (!paymentIntentIds.length) {
+    return false;
+  }
+  const unrefunded = await PaymentIntent.exists({
+    _id: { $in: paymentIntentIds },
+    status: { $ne: "refunded" },
+  });
+  return !unrefunded;
+};
+
+/**
+ * Stop a plan once every payment on it has been refunded in full; the
+ * refund has already taken the student off the course.
+ */
+export const cancelInstallmentEnrollment = (enrollmentId, now = new Date()) =>
+  InstallmentEnrollment.updateOne(
+    { _id: enrollmentId, status: { $in: ["pending", ...OPEN_STATUSES] } },
+    { $set: { status: "cancelled", cancelledAt: now } }
+  );
+
+/**
+ * Email the student and leave an in-app notification from the course's
+ * educator. Either may fail without holding up the other.
+ * @param {string} notice - "upcoming" | "overdue" | "suspended"
+ */
+const sendInstallmentNotice = async (enrollment, installment, notice, { student, course }) => {
+  const graceEndsAt = getGraceEndsAt(enrollment, installment);
+
+  try {
+    await sendInstallmentReminderEmail({
+      to: student.email,
+      studentName: student.name,
+      courseTitle: course.title,
+      installment,
+      installmentCount: enrollment.installments.length,
+      kind: notice,
+      graceEndsAt,
+    });
+  } catch (error) {
+    console.error(`Error emailing ${notice} instalment notice for plan ${enrollment._id}:`, error.message);
+  }
+
+  try {
+    await notificationService.notifyStudents([student._id], course.educatorID, "course_installment", {
+      _id: course._id,
+      title: course.title,
+      slug: course.slug,
+      image: course.image,
+      installmentNumber: installment.number,
+      amount: installment.amount / 100,
+      dueDate: installment.dueDate,
+      graceEndsAt,
+      notice,
+    });
+  } catch (error) {
+    console.error(`Error notifying ${notice} instalment notice for plan ${enrollment._id}:`, error.message);
+  }
+};
+
+/**
+ * Take away course access on a plan that has lapsed. The status only moves
+ * if the instalment is still unpaid, so a payment landing mid-sweep wins.
+ * Access the student also holds through a bundle is left alone.
+ * @returns {Promise<boolean>} Whether the plan was suspended
+ */
+const suspendLapsedEnrollment = async (enrollment, installment, studentId, courseId, now) => {
+  const { modifiedCount } = await InstallmentEnrollment.updateOne(
+    {
+      _id: enrollment._id,
+      status: "active",
+      installments: { $elemMatch: { number: installment.number, paidAt: null } },
+    },
+    { $set: { status: "suspended", suspendedAt: now } }
+  );
+  if (!modifiedCount) {
+    return false;
+  }
+
+  const heldThroughBundle = await Bundle.exists({
+    enrolledStudents: studentId,
+    "items.productId": courseId,
+  });
+  if (!heldThroughBundle) {
+    await unenrollStudentFromProduct("course", courseId, studentId);
+  }
+  return true;
+};
+
+/**
+ * Remind students of instalments falling due within the reminder window,
+ * warn them once an instalment is overdue, and suspend access on plans with
+ * an instalment unpaid past the grace period. Each notice goes out once.
+ * @returns {Promise<{remindersSent: number, suspended: number}>}
+ */
+export const processInstallmentDues = async (now = new Date()) => {
+  const reminderCutoff = new Date(now.getTime() + REMINDER_DAYS_BEFORE * DAY_MS);
+
+  const enrollments = await InstallmentEnrollment.find({
+    status: { $in: OPEN_STATUSES },
+    installments: { $elemMatch: { paidAt: null, dueDate: { $lte: reminderCutoff } } },
+  })
+    .populate("studentId", "name email")
+    .populate("courseId", "title slug image educatorID");
+
+  let remindersSent = 0;
+  let suspended = 0;
+
+  for (const enrollment of enrollments) {
+    const student = enrollment.studentId;
+    const course = enrollment.courseId;
+    if (!student || !course) {
+      continue;
+    }
+
+    try {
+      for (const installment of enrollment.installments) {
+        if (installment.paidAt || !installment.dueDate || installment.dueDate > reminderCutoff) {
+          continue;
+        }
+        if (installment.dueDate > now) {
+          if (!installment.reminderSentAt) {
+            await sendInstallmentNotice(enrollment, installment, "upcoming", { student, course });
+            installment.reminderSentAt = now;
+            remindersSent += 1;
+          }
+        } else if (!installment.overdueNoticeSentAt && !isPastGrace(enrollment, installment, now)) {
+          await sendInstallmentNotice(enrollment, installment, "overdue", { student, course });
+          installment.overdueNoticeSentAt = now;
+          remindersSent += 1;
+        }
+      }
+      if (enrollment.isModified()) {
+        await enrollment.save();
+      }
+
+      const lapsed = enrollment.installments.find((installment) =>
+        isPastGrace(enrollment, installment, now)
+      );
+      if (
+        lapsed &&
+        enrollment.status === "active" &&
+        (await suspendLapsedEnrollment(enrollment, lapsed, student._id, course._id, now))
+      ) {
+        await sendInstallmentNotice(enrollment, lapsed, "suspended", { student, course });
+        suspended += 1;
+      }
+    } catch (error) {
+      console.error(`Error processing instalment dues for plan ${enrollment._id}:`, error);
+    }
+  }
+
+  return { remindersSent, suspended };
+};
+
+let isSweeping = false;
+
+const runInstallmentSweep = async () => {
+  // Skip the sweep if the previous one is still sending
+  if (isSweeping) {
+    return;
+  }
+  isSweeping = true;
+  try {
+    const { remindersSent, suspended } = await processInstallmentDues();
+    if (remindersSent || suspended) {
+      console.log(
+        `Instalment sweep: ${remindersSent} reminders sent, ${suspended} plans suspended`
+      );
+    }
+  } catch (error) {
+    console.error("Error processing instalment dues:", error);
+  } finally {
+    isSweeping = false;
+  }
+};
+
+/**
+ * Run the dues sweep now and then every hour for as long as the server is
+ * up, so a restart does not hold back reminders or suspensions.
+ */
+export const startInstallmentScheduler = () => {
+  runInstallmentSweep();
+  const timer = setInterval(runInstallmentSweep, SWEEP_INTERVAL_MS);
+  // Do not keep the process alive just for the sweep
+  timer.unref?.();
+  return timer;
+};
+
+/**
+ * A student's instalment plans with what is paid and owed on each, newest first.
+ */
+export const listStudentInstallmentEnrollments = async (
+  studentId,
+  { page = 1, limit = 20 } = {}
+) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const filter = { studentId, status: { $ne: "pending" } };
+  const now = new Date();
+
+  const [enrollments, total] = await Promise.all([
+    InstallmentEnrollment.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("courseId", "title slug image")
+      .lean(),
+    InstallmentEnrollment.countDocuments(filter),
+  ]);
+
+  return {
+    enrollments: enrollments.map((enrollment) => ({
+      ...enrollment,
+      ...summarizeInstallments(enrollment, now),
+    })),
+    pagination: paginate(pageNumber, pageSize, total),
+  };
+};
+
+/**
+ * Outstanding instalment dues across the platform, suspended plans first,
+ * with totals for everything the filters match. Amounts are in paise.
+ * @param {Object} filters - { status: "active" | "suspended", overdueOnly, educatorId, courseId, page, limit }
+ */
+export const listInstallmentDues = async ({
+  status,
+  overdueOnly,
+  educatorId,
+  courseId,
+  page = 1,
+  limit = 20,
+} = {}) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const now = new Date();
+
+  const filter = { status: status || { $in: OPEN_STATUSES } };
+  if (educatorId) {
+    filter.educatorId = new mongoose.Types.ObjectId(educatorId);
+  }
+  if (courseId) {
+    filter.courseId = new mongoose.Types.ObjectId(courseId);
+  }
+  if (overdueOnly) {
+    filter.installments = { $elemMatch: { paidAt: null, dueDate: { $lte: now } } };
+  }
+
+  const [enrollments, total, totals] = await Promise.all([
+    InstallmentEnrollment.find(filter)
+      .sort({ status: -1, startedAt: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("studentId", "name username email mobileNumber")
+      .populate("courseId", "title slug")
+      .populate("educatorId", "fullName username")
+      .lean(),
+    InstallmentEnrollment.countDocuments(filter),
+    InstallmentEnrollment.aggregate([
+      { $match: filter },
+      {
+        $project: {
+          status: 1,
+          unpaid: {
+            $filter: {
+              input: "$installments",
+              as: "installment",
+              cond: { $not: ["$$installment.paidAt"] },
+            },
+          },
+        },
+      },
+      {
+        $group: {
+          _id: null,
+          outstandingAmount: { $sum: { $sum: "$unpaid.amount" } },
+          overdueAmount: {
+            $sum: {
+              $sum: {
+                $map: {
+                  input: "$unpaid",
+                  as: "installment",
+                  in: {
+                    $cond: [
+                      { $lte: ["$$installment.dueDate", now] },
+                      "$$installment.amount",
+                      0,
+                    ],
+                  },
+                },
+              },
+            },
+          },
+          suspendedCount: {
+            $sum: { $cond: [{ $eq: ["$status", "suspended"] }, 1, 0] },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  return {
+    summary: {
+      outstandingAmount: totals[0]?.outstandingAmount || 0,
+      overdueAmount: totals[0]?.overdueAmount || 0,
+      suspendedCount: totals[0]?.suspendedCount || 0,
+      plans: total,
+    },
+    enrollments: enrollments.map((enrollment) => ({
+      ...enrollment,
+      ...summarizeInstallments(enrollment, now),
+    })),
+    pagination: paginate(pageNumber, pageSize, total),
+  };
+};
+
+export default {
+  hasOpenInstallmentEnrollment,
+  startInstallmentPurchase,
+  payNextInstallment,
+  recordInstallmentPayment,
+  isInstallmentPlanRefunded,
+  cancelInstallmentEnrollment,
+  processInstallmentDues,
+  startInstallmentScheduler,
+  listStudentInstallmentEnrollments,
+  listInstallmentDues,
+};
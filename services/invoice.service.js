@@ -1,4 +1,48 @@
+import mongoose from "mongoose";
 import PDFDocument from "pdfkit";
+import Invoice from "../models/invoice.js";
+import PaymentIntent from "../models/paymentIntent.js";
+import Student from "../models/student.js";
+import { sendPaymentInvoiceEmail } from "../util/email.js";
+import { httpError } from "../util/http.js";
+
+const GST_RATE = process.env.GST_RATE ? parseFloat(process.env.GST_RATE) : 18;
+
+// Commercial training and coaching services
+const INVOICE_SAC_CODE = process.env.INVOICE_SAC_CODE || "999293";
+
+const INVOICE_NUMBER_PREFIX = process.env.INVOICE_NUMBER_PREFIX || "FP";
+
+// Payments that were once paid for and so carry an invoice
+const INVOICED_STATUSES = ["succeeded", "refunded"];
+
+// Attempts at taking the next number when another invoice takes it first
+const MAX_NUMBERING_ATTEMPTS = 5;
+
+const PRODUCT_LABELS = {
+  course: "Course",
+  testSeries: "Test Series",
+  webinar: "Webinar",
+  test: "Test",
+  liveClass: "Live Class",
+  bundle: "Bundle",
+};
+
+const getPlatformDetails = () => ({
+  name: process.env.PLATFORM_LEGAL_NAME || "Facultypedia",
+  email: process.env.PLATFORM_BILLING_EMAIL,
+  gstin: process.env.PLATFORM_GSTIN,
+  address: {
+    street: process.env.PLATFORM_ADDRESS,
+    city: process.env.PLATFORM_CITY,
+    state: process.env.PLATFORM_STATE,
+    country: "India",
+    pincode: process.env.PLATFORM_PINCODE,
+  },
+});
+
+const normalizeState = (state) =>
+  (state || "").toLowerCase().replace(/[^a-z]/g, "");
 
 const formatCurrency = (amountInPaise = 0) => {
   const inr = (Number(amountInPaise || 0) / 100).toFixed(2);
@@ -61,3 +105,251 @@ export const generatePayoutInvoice = async ({ payout, educator }) => {
     }
   });
 };
+
+/**
+ * Indian financial year (April to March, IST) a date falls in, e.g. "2026-27".
+ */
+export const getFinancialYear = (date = new Date()) => {
+  const ist = new Date(new Date(date).getTime() + 330 * 60 * 1000);
+  const startYear = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${startYear}-${String(startYear + 1).slice(-2)}`;
+};
+
+/**
+ * Work GST out of a tax-inclusive amount in paise. A buyer in the seller's
+ * state pays CGST and SGST; any other state pays IGST. Without both states
+ * the place of supply is the seller's, so the supply is intra-state.
+ */
+export const calculateGst = (totalAmount, buyerState, sellerState, rate = GST_RATE) => {
+  const taxableValue = Math.round((totalAmount * 100) / (100 + rate));
+  const tax = totalAmount - taxableValue;
+  const isInterState =
+    Boolean(buyerState && sellerState) &&
+    normalizeState(buyerState) !== normalizeState(sellerState);
+
+  if (isInterState) {
+    return { supplyType: "inter-state", taxRate: rate, taxableValue, cgst: 0, sgst: 0, igst: tax };
+  }
+  const cgst = Math.round(tax / 2);
+  return {
+    supplyType: "intra-state",
+    taxRate: rate,
+    taxableValue,
+    cgst,
+    sgst: tax - cgst,
+    igst: 0,
+  };
+};
+
+const formatInvoiceNumber = (financialYear, sequence) =>
+  `${INVOICE_NUMBER_PREFIX}/${financialYear}/${String(sequence).padStart(6, "0")}`;
+
+/**
+ * Issue the tax invoice for a paid PaymentIntent, or return the one it
+ * already has. The next number in the financial year is claimed by inserting
+ * the invoice itself, so a number is never used up without an invoice.
+ */
+export const issuePaymentInvoice = async (intent) => {
+  const existing = await Invoice.findOne({ paymentIntentId: intent._id });
+  if (existing) {
+    return existing;
+  }
+  if (!INVOICED_STATUSES.includes(intent.status)) {
+    throw httpError("Invoices are only issued for successful payments", 409);
+  }
+
+  const student = await Student.findById(intent.studentId)
+    .select("name email mobileNumber address")
+    .lean();
+  const seller = getPlatformDetails();
+  const buyerState = student?.address?.state;
+  const gst = calculateGst(intent.amount, buyerState, seller.address.state);
+
+  const issuedAt = new Date();
+  const financialYear = getFinancialYear(issuedAt);
+  const details = {
+    financialYear,
+    paymentIntentId: intent._id,
+    studentId: intent.studentId,
+    issuedAt,
+    seller,
+    buyer: {
+      name: student?.name || intent.metadata?.studentName,
+      email: student?.email || intent.metadata?.studentEmail,
+      mobileNumber: student?.mobileNumber,
+      address: student?.address,
+    },
+    placeOfSupply:
+      gst.supplyType === "inter-state" ? buyerState : seller.address.state || buyerState,
+    item: {
+      description: `${PRODUCT_LABELS[intent.productType] || "Product"}: ${
+        intent.productSnapshot?.title || "Untitled"
+      }`,
+      productType: intent.productType,
+      productId: intent.productId,
+      sacCode: INVOICE_SAC_CODE,
+      quantity: 1,
+    },
+    listAmount: intent.listAmount || intent.amount,
+    discountAmount: intent.coupon?.discountAmount || 0,
+    couponCode: intent.coupon?.code,
+    ...gst,
+    totalAmount: intent.amount,
+    currency: intent.currency || "INR",
+  };
+
+  for (let attempt = 0; attempt < MAX_NUMBERING_ATTEMPTS; attempt += 1) {
+    const last = await Invoice.findOne({ financialYear })
+      .sort({ sequence: -1 })
+      .select("sequence")
+      .lean();
+    const sequence = (last?.sequence || 0) + 1;
+
+    try {
+      return await Invoice.create({
+        ...details,
+        sequence,
+        invoiceNumber: formatInvoiceNumber(financialYear, sequence),
+      });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      // Another request issued this payment's invoice first
+      const issued = await Invoice.findOne({ paymentIntentId: intent._id });
+      if (issued) {
+        return issued;
+      }
+    }
+  }
+
+  throw httpError("Unable to number the invoice, please retry", 503);
+};
+
+const addAmountRow = (doc, label, value, options = {}) => {
+  const y = doc.y;
+  doc.font(options.bold ? "Helvetica-Bold" : "Helvetica");
+  doc.text(label, 50, y, { width: 350 });
+  doc.text(value, 400, y, { width: 145, align: "right" });
+  doc.moveDown(0.3);
+};
+
+const formatAddress = (address = {}) =>
+  [address.street, address.city, address.state, address.pincode, address.country]
+    .filter(Boolean)
+    .join(", ");
+
+export const generatePaymentInvoice = async (invoice) => {
+  return new Promise((resolve, reject) => {
+    try {
+      const doc = new PDFDocument({ size: "A4", margin: 50 });
+      const chunks = [];
+      doc.on("data", (chunk) => chunks.push(chunk));
+      doc.on("end", () => resolve(Buffer.concat(chunks)));
+
+      doc.fontSize(18).font("Helvetica-Bold").text("Tax Invoice", { align: "left" });
+      doc.moveDown(0.5);
+
+      doc.fontSize(11).font("Helvetica");
+      addRow(doc, "Invoice #:", invoice.invoiceNumber);
+      addRow(doc, "Invoice Date:", new Date(invoice.issuedAt).toLocaleDateString("en-IN"));
+      addRow(doc, "Place of Supply:", invoice.placeOfSupply || "N/A");
+      doc.moveDown(0.5);
+
+      doc.fontSize(12).font("Helvetica-Bold").text("Supplier");
+      doc.fontSize(11).font("Helvetica");
+      addRow(doc, "Name:", invoice.seller?.name || "Facultypedia");
+      addRow(doc, "GSTIN:", invoice.seller?.gstin || "N/A");
+      addRow(doc, "Address:", formatAddress(invoice.seller?.address) || "N/A");
+      doc.moveDown(0.5);
+
+      doc.fontSize(12).font("Helvetica-Bold").text("Billed To");
+      doc.fontSize(11).font("Helvetica");
+      addRow(doc, "Name:", invoice.buyer?.name || "Student");
+      addRow(doc, "Email:", invoice.buyer?.email || "N/A");
+      if (invoice.buyer?.mobileNumber) {
+        addRow(doc, "Phone:", invoice.buyer.mobileNumber);
+      }
+      addRow(doc, "Address:", formatAddress(invoice.buyer?.address) || "N/A");
+      doc.moveDown(0.5);
+
+      doc.fontSize(12).font("Helvetica-Bold").text("Item");
+      doc.fontSize(11).font("Helvetica");
+      addRow(doc, "Description:", invoice.item?.description || "");
+      addRow(doc, "SAC:", invoice.item?.sacCode || "");
+      addRow(doc, "Quantity:", String(invoice.item?.quantity || 1));
+      doc.moveDown(0.5);
+
+      if (invoice.discountAmount) {
+        addAmountRow(doc, "Price", formatCurrency(invoice.listAmount));
+        addAmountRow(
+          doc,
+          `Discount${invoice.couponCode ? ` (${invoice.couponCode})` : ""}`,
+          `-${formatCurrency(invoice.discountAmount)}`
+        );
+      }
+      addAmountRow(doc, "Taxable Value", formatCurrency(invoice.taxableValue));
+      if (invoice.supplyType === "inter-state") {
+        addAmountRow(doc, `IGST @ ${invoice.taxRate}%`, formatCurrency(invoice.igst));
+      } else {
+        addAmountRow(doc, `CGST @ ${invoice.taxRate / 2}%`, formatCurrency(invoice.cgst));
+        addAmountRow(doc, `SGST @ ${invoice.taxRate / 2}%`, formatCurrency(invoice.sgst));
+      }
+      addAmountRow(doc, "Total", formatCurrency(invoice.totalAmount), { bold: true });
+      doc.moveDown(1);
+
+      doc.fontSize(10).font("Helvetica").fillColor("#555555");
+      doc.text(
+        "This is a computer-generated invoice and does not need a signature.",
+        50,
+        doc.y,
+        { align: "left" }
+      );
+
+      doc.end();
+    } catch (error) {
+      reject(error);
+    }
+  });
+};
+
+/**
+ * Email an invoice to its buyer, recording when it went out or why it did not.
+ */
+export const emailPaymentInvoice = async (invoice) => {
+  if (!invoice.buyer?.email) {
+    return invoice;
+  }
+  try {
+    const pdfBuffer = await generatePaymentInvoice(invoice);
+    await sendPaymentInvoiceEmail({ to: invoice.buyer.email, invoice, pdfBuffer });
+    invoice.emailedAt = new Date();
+    invoice.emailError = undefined;
+  } catch (error) {
+    console.error(`Failed to email invoice ${invoice.invoiceNumber}:`, error);
+    invoice.emailError = error.message;
+  }
+  return invoice.save();
+};
+
+/**
+ * Invoice of a payment and its PDF, issuing it first for payments made
+ * before invoicing existed. Students may only fetch their own.
+ * @param {Object} [options] - { studentId: restrict to this student's payments }
+ */
+export const getPaymentInvoice = async (paymentIntentId, { studentId } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentIntentId)) {
+    throw httpError("Invalid payment ID");
+  }
+  const intent = await PaymentIntent.findById(paymentIntentId);
+  if (!intent || (studentId && intent.studentId.toString() !== studentId.toString())) {
+    throw httpError("Payment not found", 404);
+  }
+  if (!INVOICED_STATUSES.includes(intent.status)) {
+    throw httpError("No invoice is available until the payment succeeds", 409);
+  }
+
+  const invoice = await issuePaymentInvoice(intent);
+  const pdfBuffer = await generatePaymentInvoice(invoice);
+  return { invoice, pdfBuffer };
+};
@@ -0,0 +1,369 @@
+import mongoose from "mongoose";
+import Test from "../models/test.js";
+import TestSeries from "../models/testSeries.js";
+import Student from "../models/student.js";
+import TestAttempt from "../models/testAttempt.js";
+import { areResultsReleased, getResultsReleaseTime } from "../util/testSchedule.js";
+import { httpError } from "../util/http.js";
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+const toObjectId = (value) =>
+  value instanceof mongoose.Types.ObjectId
+    ? value
+    : new mongoose.Types.ObjectId(value.toString());
+
+// Order in which a student's submitted attempts are considered; the first counts
+const COUNTED_ATTEMPT_SORT = {
+  first: { submittedAt: 1 },
+  latest: { submittedAt: -1 },
+  best: { score: -1, submittedAt: 1 },
+};
+
+const countedAttemptComparators = {
+  first: (a, b) => new Date(a.submittedAt) - new Date(b.submittedAt),
+  latest: (a, b) => new Date(b.submittedAt) - new Date(a.submittedAt),
+  best: (a, b) =>
+    b.score - a.score || new Date(a.submittedAt) - new Date(b.submittedAt),
+};
+
+/**
+ * Pick the attempt that counts under a test's counting policy from rows
+ * with `score` and `submittedAt` (TestAttempts or Student.results entries).
+ * @param {Array<Object>} attempts
+ * @param {string} [policy] - first | best | latest (default)
+ * @returns {Object|null}
+ */
+export const pickCountedAttempt = (attempts, policy = "latest") => {
+  const compare =
+    countedAttemptComparators[policy] || countedAttemptComparators.latest;
+  return [...attempts].sort(compare)[0] || null;
+};
+
+const aggregateCountedAttempts = (testIds, policy) =>
+  TestAttempt.aggregate([
+    {
+      $match: {
+        testId: { $in: testIds },
+        status: "submitted",
+        invalidatedAt: null,
+      },
+    },
+    { $sort: COUNTED_ATTEMPT_SORT[policy] || COUNTED_ATTEMPT_SORT.latest },
+    {
+      $group: {
+        _id: { studentId: "$studentId", testId: "$testId" },
+        attemptId: { $first: "$_id" },
+        attemptNumber: { $first: "$attemptNumber" },
+        attempts: { $sum: 1 },
+        score: { $first: "$score" },
+        totalMarks: { $first: "$totalMarks" },
+        percentage: { $first: "$percentage" },
+        submittedAt: { $first: "$submittedAt" },
+        timeTaken: {
+          $first: { $subtract: ["$submittedAt", "$startedAt"] },
+        },
+      },
+    },
+    {
+      $project: {
+        _id: 0,
+        studentId: "$_id.studentId",
+        testId: "$_id.testId",
+        attemptId: 1,
+        attemptNumber: 1,
+        attempts: 1,
+        score: 1,
+        totalMarks: 1,
+        percentage: 1,
+        submittedAt: 1,
+        timeTaken: 1,
+      },
+    },
+  ]);
+
+/**
+ * Load the attempt that counts for each student on each of the given tests.
+ * Only submitted attempts that have not been invalidated are considered;
+ * each test's attemptCountingPolicy decides whether the first, best or
+ * latest submission counts.
+ * @returns {Promise<Array<{studentId, testId, attemptId, attemptNumber, attempts, score, totalMarks, percentage, timeTaken}>>}
+ */
+export const getCountedAttempts = async (testIds) => {
+  const tests = await Test.find({ _id: { $in: testIds.map(toObjectId) } })
+    .select("attemptCountingPolicy")
+    .lean();
+
+  const byPolicy = new Map();
+  tests.forEach((test) => {
+    const policy = test.attemptCountingPolicy || "latest";
+    byPolicy.set(policy, [...(byPolicy.get(policy) || []), test._id]);
+  });
+
+  const groups = await Promise.all(
+    [...byPolicy].map(([policy, ids]) => aggregateCountedAttempts(ids, policy))
+  );
+  return groups.flat();
+};
+
+/**
+ * Sort rows by score (ties broken by time taken) and assign competition
+ * ranks (equal scores share a rank) and percentiles. The percentile is the
+ * share of participants who scored at or below the row's score.
+ */
+export const rankStandings = (rows) => {
+  const sorted = [...rows].sort(
+    (a, b) => b.score - a.score || (a.timeTaken || 0) - (b.timeTaken || 0)
+  );
+  const total = sorted.length;
+
+  let currentRank = 0;
+  return sorted.map((row, index) => {
+    if (index === 0 || row.score !== sorted[index - 1].score) {
+      currentRank = index + 1;
+    }
+    return {
+      ...row,
+      rank: currentRank,
+      percentile: roundTo2(((total - currentRank + 1) / total) * 100),
+    };
+  });
+};
+
+const buildStats = (standings) => {
+  if (!standings.length) {
+    return {
+      totalParticipants: 0,
+      topperScore: null,
+      averageScore: null,
+      lowestScore: null,
+    };
+  }
+
+  const scores = standings.map((row) => row.score);
+  return {
+    totalParticipants: standings.length,
+    topperScore: scores[0],
+    averageScore: roundTo2(
+      scores.reduce((sum, score) => sum + score, 0) / scores.length
+    ),
+    lowestScore: scores[scores.length - 1],
+  };
+};
+
+const attachStudents = async (rows) => {
+  const students = await Student.find({
+    _id: { $in: rows.map((row) => row.studentId) },
+  })
+    .select("name username image")
+    .lean();
+  const byId = new Map(students.map((s) => [s._id.toString(), s]));
+
+  return rows.map((row) => {
+    const student = byId.get(row.studentId.toString());
+    return {
+      ...row,
+      student: student
+        ? {
+            id: student._id,
+            name: student.name,
+            username: student.username,
+            image: student.image,
+          }
+        : null,
+    };
+  });
+};
+
+const paginate = (items, page, limit) => {
+  const currentPage = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const skip = (currentPage - 1) * pageSize;
+  const totalPages = Math.ceil(items.length / pageSize);
+
+  return {
+    items: items.slice(skip, skip + pageSize),
+    pagination: {
+      currentPage,
+      totalPages,
+      totalEntries: items.length,
+      hasNextPage: currentPage < totalPages,
+      hasPrevPage: currentPage > 1,
+    },
+  };
+};
+
+const buildPosition = (standings, studentId) => {
+  const key = studentId.toString();
+  const mine = standings.find((row) => row.studentId.toString() === key);
+  if (!mine) {
+    return null;
+  }
+
+  const topper = standings[0];
+  const stats = buildStats(standings);
+  return {
+    ...mine,
+    totalParticipants: stats.totalParticipants,
+    averageScore: stats.averageScore,
+    topper: {
+      studentId: topper.studentId,
+      score: topper.score,
+      percentage: topper.percentage,
+    },
+    scoreGapToTopper: roundTo2(topper.score - mine.score),
+    scoreAboveAverage: roundTo2(mine.score - stats.averageScore),
+  };
+};
+
+const assertResultsReleased = (test) => {
+  if (!areResultsReleased(test)) {
+    throw httpError(
+      `Results for this test will be released at ${getResultsReleaseTime(test).toISOString()}`,
+      403
+    );
+  }
+};
+
+/**
+ * Ranked standings of every student's counted attempt on a test,
+ * regardless of whether its results have been released.
+ */
+export const getTestStandings = async (testId) => {
+  const test = await Test.findById(testId).select(
+    "title overallMarks educatorID testSeriesID attemptCountingPolicy startsAt endsAt resultsReleaseAt"
+  );
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+
+  const standings = rankStandings(await getCountedAttempts([test._id]));
+  return { test, standings };
+};
+
+/**
+ * Paginated leaderboard for a single test.
+ */
+export const getTestLeaderboard = async (testId, { page, limit } = {}) => {
+  const { test, standings } = await getTestStandings(testId);
+  assertResultsReleased(test);
+  const { items, pagination } = paginate(standings, page, limit);
+
+  return {
+    test: {
+      id: test._id,
+      title: test.title,
+      overallMarks: test.overallMarks,
+      attemptCountingPolicy: test.attemptCountingPolicy,
+    },
+    stats: buildStats(standings),
+    leaderboard: await attachStudents(items),
+    pagination,
+  };
+};
+
+/**
+ * A student's rank, percentile and topper comparison on a test.
+ * Returns null when the student has no submitted attempt.
+ * @param {Object} [options]
+ * @param {boolean} [options.includeUnreleased] - Skip the result-release check (internal use)
+ */
+export const getTestPosition = async (
+  testId,
+  studentId,
+  { includeUnreleased = false } = {}
+) => {
+  const { test, standings } = await getTestStandings(testId);
+  if (!includeUnreleased) {
+    assertResultsReleased(test);
+  }
+  return buildPosition(standings, studentId);
+};
+
+const getTestSeriesStandings = async (testSeriesId) => {
+  const testSeries = await TestSeries.findById(testSeriesId).select(
+    "title tests educatorId"
+  );
+  if (!testSeries) {
+    throw httpError("Test series not found", 404);
+  }
+
+  // Tests may be linked from either side of the relationship
+  const tests = await Test.find({
+    $or: [{ _id: { $in: testSeries.tests } }, { testSeriesID: testSeries._id }],
+  }).select("_id startsAt endsAt resultsReleaseAt");
+  // Tests whose results are withheld do not count yet
+  const testIds = tests
+    .filter((test) => areResultsReleased(test))
+    .map((test) => test._id);
+
+  const rows = testIds.length ? await getCountedAttempts(testIds) : [];
+  const byStudent = new Map();
+  rows.forEach((row) => {
+    const key = row.studentId.toString();
+    const entry = byStudent.get(key) || {
+      studentId: row.studentId,
+      score: 0,
+      totalMarks: 0,
+      testsAttempted: 0,
+      timeTaken: 0,
+    };
+    entry.score += row.score;
+    entry.totalMarks += row.totalMarks;
+    entry.testsAttempted += 1;
+    entry.timeTaken += row.timeTaken || 0;
+    byStudent.set(key, entry);
+  });
+
+  const standings = rankStandings(
+    [...byStudent.values()].map((entry) => ({
+      ...entry,
+      score: roundTo2(entry.score),
+      percentage: entry.totalMarks
+        ? roundTo2((entry.score / entry.totalMarks) * 100)
+        : 0,
+    }))
+  );
+
+  return { testSeries, totalTests: testIds.length, standings };
+};
+
+/**
+ * Paginated cumulative leaderboard across all tests of a test series.
+ */
+export const getTestSeriesLeaderboard = async (
+  testSeriesId,
+  { page, limit } = {}
+) => {
+  const { testSeries, totalTests, standings } = await getTestSeriesStandings(
+    testSeriesId
+  );
+  const { items, pagination } = paginate(standings, page, limit);
+
+  return {
+    testSeries: { id: testSeries._id, title: testSeries.title, totalTests },
+    stats: buildStats(standings),
+    leaderboard: await attachStudents(items),
+    pagination,
+  };
+};
+
+/**
+ * A student's cumulative position in a test series.
+ * Returns null when the student has not submitted any of its tests.
+ */
+export const getTestSeriesPosition = async (testSeriesId, studentId) => {
+  const { standings } = await getTestSeriesStandings(testSeriesId);
+  return buildPosition(standings, studentId);
+};
+
+export default {
+  pickCountedAttempt,
+  getCountedAttempts,
+  rankStandings,
+  getTestStandings,
+  getTestLeaderboard,
+  getTestPosition,
+  getTestSeriesLeaderboard,
+  getTestSeriesPosition,
+};
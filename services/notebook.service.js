@@ -0,0 +1,389 @@
+import mongoose from "mongoose";
+import Student from "../models/student.js";
+import Question from "../models/question.js";
+import Test from "../models/test.js";
+import TestAttempt from "../models/testAttempt.js";
+import PracticeSession from "../models/practiceSession.js";
+import QuestionBookmark from "../models/questionBookmark.js";
+import { getUnreleasedTests } from "./testSchedule.service.js";
+import { startQuestionListPractice } from "./practice.service.js";
+import { toStudentQuestionView } from "./testAttempt.service.js";
+import { areResultsReleased } from "../util/testSchedule.js";
+import { httpError } from "../util/http.js";
+
+const MAX_PRACTICE_QUESTIONS = 50;
+
+const paginate = (items, page, limit) => {
+  const currentPage = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const skip = (currentPage - 1) * pageSize;
+  const totalPages = Math.ceil(items.length / pageSize);
+
+  return {
+    items: items.slice(skip, skip + pageSize),
+    pagination: {
+      currentPage,
+      totalPages,
+      totalEntries: items.length,
+      hasNextPage: currentPage < totalPages,
+      hasPrevPage: currentPage > 1,
+    },
+  };
+};
+
+const isAttemptedRow = (row) =>
+  (row.response !== undefined && row.response !== null) ||
+  (row.selected !== undefined && row.selected !== null);
+
+const matchesFilters = (question, { subject, topic, difficulty }) =>
+  (!subject || (question.subject || []).includes(subject)) &&
+  (!topic || (question.topics || []).includes(topic)) &&
+  (!difficulty || question.difficulty === difficulty);
+
+/**
+ * Tests whose answer keys students may see: review and results enabled
+ * and results released.
+ */
+const getReviewableTestIds = async (testIds) => {
+  if (!testIds.length) {
+    return new Set();
+  }
+  const tests = await Test.find({ _id: { $in: testIds } })
+    .select("allowReview showResult startsAt endsAt resultsReleaseAt")
+    .lean();
+  return new Set(
+    tests
+      .filter((test) => test.allowReview && test.showResult && areResultsReleased(test))
+      .map((test) => test._id.toString())
+  );
+};
+
+// The question without its answer key, plus the key when a source test allows review
+const toNotebookQuestion = (question, canSeeAnswer) => {
+  const view = toStudentQuestionView(question);
+  return canSeeAnswer
+    ? {
+        ...view,
+        correctOptions: question.correctOptions,
+        explanation: question.explanation,
+      }
+    : view;
+};
+
+const loadQuestions = async (questionIds) => {
+  const questions = await Question.find({ _id: { $in: questionIds } }).populate(
+    "passage",
+    "title content image"
+  );
+  return new Map(questions.map((question) => [question._id.toString(), question]));
+};
+
+const findStudentBookmark = async (bookmarkId, studentId) => {
+  if (!mongoose.Types.ObjectId.isValid(bookmarkId)) {
+    throw httpError("Invalid bookmark ID");
+  }
+  const bookmark = await QuestionBookmark.findById(bookmarkId);
+  if (!bookmark || bookmark.studentId.toString() !== studentId.toString()) {
+    throw httpError("Bookmark not found", 404);
+  }
+  return bookmark;
+};
+
+/**
+ * Bookmark a question from one of the student's submitted attempts.
+ * Bookmarking it again updates the note.
+ */
+export const addBookmark = async (studentId, { attemptId, questionId, note }) => {
+  const attempt = await TestAttempt.findById(attemptId).select(
+    "studentId testId status questionOrder"
+  );
+  if (!attempt || attempt.studentId.toString() !== studentId.toString()) {
+    throw httpError("Attempt not found", 404);
+  }
+  if (attempt.status !== "submitted") {
+    throw httpError("Questions can be bookmarked once the attempt is submitted", 409);
+  }
+  if (!attempt.questionOrder.some((id) => id.toString() === questionId.toString())) {
+    throw httpError("This question is not part of the attempt");
+  }
+
+  const update = { attemptId: attempt._id, testId: attempt.testId };
+  if (note !== undefined) {
+    update.note = note;
+  }
+  return QuestionBookmark.findOneAndUpdate(
+    { studentId, questionId },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+export const updateBookmarkNote = async (studentId, bookmarkId, note) => {
+  const bookmark = await findStudentBookmark(bookmarkId, studentId);
+  bookmark.note = note;
+  await bookmark.save();
+  return bookmark;
+};
+
+export const removeBookmark = async (studentId, bookmarkId) => {
+  const bookmark = await findStudentBookmark(bookmarkId, studentId);
+  await bookmark.deleteOne();
+  return bookmark;
+};
+
+/**
+ * The student's bookmarks, newest first, with each question and the note.
+ * @param {Object} filters - { subject?, topic?, difficulty?, page?, limit? }
+ */
+export const listBookmarks = async (studentId, filters = {}) => {
+  const bookmarks = await QuestionBookmark.find({ studentId })
+    .sort({ createdAt: -1 })
+    .lean();
+  const [questions, reviewable] = await Promise.all([
+    loadQuestions(bookmarks.map((bookmark) => bookmark.questionId)),
+    getReviewableTestIds(bookmarks.map((bookmark) => bookmark.testId).filter(Boolean)),
+  ]);
+
+  const entries = bookmarks
+    .filter((bookmark) => {
+      const question = questions.get(bookmark.questionId.toString());
+      return question && matchesFilters(question, filters);
+    })
+    .map((bookmark) => ({
+      bookmarkId: bookmark._id,
+      note: bookmark.note,
+      attemptId: bookmark.attemptId,
+      testId: bookmark.testId,
+      createdAt: bookmark.createdAt,
+      updatedAt: bookmark.updatedAt,
+      question: toNotebookQuestion(
+        questions.get(bookmark.questionId.toString()),
+        bookmark.testId && reviewable.has(bookmark.testId.toString())
+      ),
+    }));
+
+  const { items, pagination } = paginate(entries, filters.page, filters.limit);
+  return { bookmarks: items, pagination };
+};
+
+/**
+ * Every question the student answered incorrectly in a released test,
+ * built from Student.results[].questionBreakdown. A mistake is resolved once
+ * the question is answered correctly later, in a test or in practice.
+ */
+const collectMistakes = async (studentId) => {
+  const student = await Student.findById(studentId).select("results").lean();
+  if (!student) {
+    throw httpError("Student not found", 404);
+  }
+
+  const results = student.results || [];
+  const unreleased = await getUnreleasedTests(
+    results.map((result) => result.testId).filter(Boolean)
+  );
+
+  const mistakes = new Map();
+  const lastCorrectAt = new Map();
+  results
+    .filter((result) => !unreleased.has(result.testId?.toString()))
+    .forEach((result) => {
+      const takenAt = new Date(result.submittedAt || result.completedAt || 0);
+      (result.questionBreakdown || []).forEach((row) => {
+        const key = row.questionId?.toString();
+        if (!key || !isAttemptedRow(row)) return;
+
+        if (row.isCorrect) {
+          if (!lastCorrectAt.has(key) || lastCorrectAt.get(key) < takenAt) {
+            lastCorrectAt.set(key, takenAt);
+          }
+          return;
+        }
+
+        const entry = mistakes.get(key) || {
+          questionId: row.questionId,
+          timesWrong: 0,
+          lastWrongAt: null,
+          lastResponse: null,
+          tests: [],
+        };
+        entry.timesWrong += 1;
+        if (!entry.lastWrongAt || entry.lastWrongAt < takenAt) {
+          entry.lastWrongAt = takenAt;
+          entry.lastResponse = row.response ?? row.selected ?? null;
+        }
+        entry.tests.push({
+          testId: result.testId,
+          testTitle: result.testTitle,
+          attemptId: result.attemptId,
+          takenAt,
+        });
+        mistakes.set(key, entry);
+      });
+    });
+
+  if (mistakes.size) {
+    const practised = await PracticeSession.aggregate([
+      { $match: { studentId: new mongoose.Types.ObjectId(studentId.toString()) } },
+      { $unwind: "$answers" },
+      {
+        $match: {
+          "answers.isCorrect": true,
+          "answers.questionId": {
+            $in: [...mistakes.values()].map((entry) => entry.questionId),
+          },
+        },
+      },
+      { $group: { _id: "$answers.questionId", answeredAt: { $max: "$answers.answeredAt" } } },
+    ]);
+    practised.forEach(({ _id, answeredAt }) => {
+      const key = _id.toString();
+      if (!lastCorrectAt.has(key) || lastCorrectAt.get(key) < answeredAt) {
+        lastCorrectAt.set(key, answeredAt);
+      }
+    });
+  }
+
+  return [...mistakes.values()].map((entry) => ({
+    ...entry,
+    isResolved:
+      lastCorrectAt.has(entry.questionId.toString()) &&
+      lastCorrectAt.get(entry.questionId.toString()) > entry.lastWrongAt,
+  }));
+};
+
+const filterMistakes = (mistakes, questions, filters) =>
+  mistakes
+    .filter((entry) => {
+      const question = questions.get(entry.questionId.toString());
+      return (
+        question &&
+        matchesFilters(question, filters) &&
+        (filters.includeResolved || !entry.isResolved)
+      );
+    })
+    .sort((a, b) => b.lastWrongAt - a.lastWrongAt);
+
+const countBy = (entries, questions, pick) => {
+  const counts = new Map();
+  entries.forEach((entry) => {
+    const question = questions.get(entry.questionId.toString());
+    pick(question).filter(Boolean).forEach((value) => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return [...counts]
+    .map(([name, count]) => ({ name, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * The mistake notebook: incorrectly answered questions, most recent first,
+ * with how often and where they went wrong, the student's note if the
+ * question is bookmarked, and subject/topic counts for filtering.
+ * @param {Object} filters - { subject?, topic?, difficulty?, includeResolved?, page?, limit? }
+ */
+export const getMistakeNotebook = async (studentId, filters = {}) => {
+  const mistakes = await collectMistakes(studentId);
+  const questionIds = mistakes.map((entry) => entry.questionId);
+  const [questions, bookmarks, reviewable] = await Promise.all([
+    loadQuestions(questionIds),
+    QuestionBookmark.find({ studentId, questionId: { $in: questionIds } })
+      .select("questionId note")
+      .lean(),
+    getReviewableTestIds([
+      ...new Set(
+        mistakes.flatMap((entry) => entry.tests.map((test) => test.testId?.toString()))
+      ),
+    ].filter(Boolean)),
+  ]);
+  const bookmarkByQuestion = new Map(
+    bookmarks.map((bookmark) => [bookmark.questionId.toString(), bookmark])
+  );
+
+  const open = mistakes.filter(
+    (entry) => !entry.isResolved && questions.has(entry.questionId.toString())
+  );
+  const matching = filterMistakes(mistakes, questions, filters);
+  const { items, pagination } = paginate(matching, filters.page, filters.limit);
+
+  return {
+    summary: {
+      total: mistakes.length,
+      unresolved: open.length,
+      bySubject: countBy(open, questions, (question) => question.subject || []),
+      byTopic: countBy(open, questions, (question) => question.topics || []),
+    },
+    mistakes: items.map((entry) => {
+      const key = entry.questionId.toString();
+      const bookmark = bookmarkByQuestion.get(key);
+      return {
+        questionId: entry.questionId,
+        timesWrong: entry.timesWrong,
+        lastWrongAt: entry.lastWrongAt,
+        lastResponse: entry.lastResponse,
+        isResolved: entry.isResolved,
+        tests: entry.tests,
+        bookmarkId: bookmark?._id || null,
+        note: bookmark?.note || null,
+        question: toNotebookQuestion(
+          questions.get(key),
+          entry.tests.some((test) => reviewable.has(test.testId?.toString()))
+        ),
+      };
+    }),
+    pagination,
+  };
+};
+
+/**
+ * Re-practise notebook questions as a custom practice session.
+ * @param {Object} options - { source: "mistakes" | "bookmarks", subject?, topic?,
+ *   difficulty?, includeResolved?, limit? }
+ */
+export const startNotebookPractice = async (studentId, options = {}) => {
+  const { source = "mistakes", subject } = options;
+  const limit = Math.min(
+    MAX_PRACTICE_QUESTIONS,
+    Math.max(1, parseInt(options.limit) || 20)
+  );
+
+  let questionIds;
+  if (source === "bookmarks") {
+    const bookmarks = await QuestionBookmark.find({ studentId })
+      .sort({ createdAt: -1 })
+      .select("questionId")
+      .lean();
+    const questions = await loadQuestions(bookmarks.map((bookmark) => bookmark.questionId));
+    questionIds = bookmarks
+      .filter((bookmark) => {
+        const question = questions.get(bookmark.questionId.toString());
+        return question?.isActive && matchesFilters(question, options);
+      })
+      .map((bookmark) => bookmark.questionId);
+  } else {
+    const mistakes = await collectMistakes(studentId);
+    const questions = await loadQuestions(mistakes.map((entry) => entry.questionId));
+    questionIds = filterMistakes(mistakes, questions, options)
+      .filter((entry) => questions.get(entry.questionId.toString()).isActive)
+      .map((entry) => entry.questionId);
+  }
+
+  if (!questionIds.length) {
+    throw httpError("No questions in your notebook match these filters", 404);
+  }
+
+  return startQuestionListPractice(studentId, {
+    source,
+    subject,
+    questionIds: questionIds.slice(0, limit),
+  });
+};
+
+export default {
+  addBookmark,
+  updateBookmarkNote,
+  removeBookmark,
+  listBookmarks,
+  getMistakeNotebook,
+  startNotebookPractice,
+};
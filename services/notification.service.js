@@ -1,11 +1,13 @@
 import mongoose from "mongoose";
 import Notification from "../models/notification.js";
 import Educator from "../models/educator.js";
+import Student from "../models/student.js";
 import Course from "../models/course.js";
 import Webinar from "../models/webinar.js";
 import Post from "../models/post.js";
 import TestSeries from "../models/testSeries.js";
 import LiveClass from "../models/liveClass.js";
+import Test from "../models/test.js";
 
 class NotificationService {
   constructor() {
@@ -52,6 +54,34 @@ class NotificationService {
           contentData.title
         }" on ${this.formatDate(contentData.classTiming)}`,
       },
+      mock_test: {
+        title: `Mock Test Scheduled!`,
+        message: `${educatorName} has scheduled "${
+          contentData.title
+        }" on ${this.formatDate(contentData.startsAt)}`,
+      },
+      test_result: {
+        title: `Results Are Out!`,
+        message: `Results for ${educatorName}'s "${contentData.title}" are now available`,
+      },
+      test_regrade: {
+        title: `Result Updated`,
+        message: `${educatorName} corrected the answer key of a question in "${contentData.title}"; your result has been regraded`,
+      },
+      course_installment: {
+        upcoming: {
+          title: `Instalment Due`,
+          message: `Instalment ${contentData.installmentNumber} of ₹${contentData.amount} for "${contentData.title}" is due on ${this.formatDate(contentData.dueDate)}`,
+        },
+        overdue: {
+          title: `Instalment Overdue`,
+          message: `Instalment ${contentData.installmentNumber} of ₹${contentData.amount} for "${contentData.title}" is overdue; pay it by ${this.formatDate(contentData.graceEndsAt)} to keep your access`,
+        },
+        suspended: {
+          title: `Course Access Suspended`,
+          message: `Instalment ${contentData.installmentNumber} of ₹${contentData.amount} for "${contentData.title}" is unpaid, so your access is suspended until you pay it`,
+        },
+      }[contentData.notice],
     };
 
     return templates[type] || { title: "New Update", message: "Check it out!" };
@@ -97,94 +127,129 @@ class NotificationService {
         return { success: true, notificationsSent: 0 };
       }
 
-      // Generate notification template
-      const template = this.getNotificationTemplate(
+      return await this.sendToRecipients(
+        educator,
+        educator.followers,
         type,
-        educator.fullName,
         contentData
       );
+    } catch (error) {
+      console.error("Error notifying followers:", error);
+      throw error;
+    }
+  }
+
+  // Create and deliver one notification per student (documents with
+  // preferences, or bare ids) on behalf of an educator
+  async sendToRecipients(educator, recipients, type, contentData) {
+    // Generate notification template
+    const template = this.getNotificationTemplate(
+      type,
+      educator.fullName,
+      contentData
+    );
 
-      const metadata = this.buildNotificationMetadata(type, contentData);
+    const metadata = this.buildNotificationMetadata(type, contentData);
 
-      // Create notifications for all followers
-      const notifications = [];
-      const onlineStudents = [];
+    // Create a notification for every recipient
+    const notifications = [];
+    const onlineStudents = [];
 
-      for (const followerEntry of educator.followers) {
-        const followerId = this.resolveId(followerEntry);
-        if (!followerId) {
-          continue;
-        }
+    for (const recipientEntry of recipients) {
+      const recipientId = this.resolveId(recipientEntry);
+      if (!recipientId) {
+        continue;
+      }
 
-        const followerPreferences =
-          followerEntry?.preferences?.notifications?.push !== false;
-        const pushEnabled =
-          typeof followerEntry === "object" && followerEntry !== null
-            ? followerPreferences
-            : true;
-
-        if (!pushEnabled) {
-          console.log(
-            `Push notifications disabled for student: ${followerId}`
-          );
-          continue;
-        }
+      const recipientPreferences =
+        recipientEntry?.preferences?.notifications?.push !== false;
+      const pushEnabled =
+        typeof recipientEntry === "object" && recipientEntry !== null
+          ? recipientPreferences
+          : true;
 
-        const notification = await this.createNotification({
-          recipient: followerId,
-          sender: educatorId,
-          type,
-          title: template.title,
-          message: template.message,
-          metadata,
-        });
+      if (!pushEnabled) {
+        console.log(
+          `Push notifications disabled for student: ${recipientId}`
+        );
+        continue;
+      }
 
-        notifications.push(notification);
+      const notification = await this.createNotification({
+        recipient: recipientId,
+        sender: educator._id,
+        type,
+        title: template.title,
+        message: template.message,
+        metadata,
+      });
 
-        if (this.io) {
-          const studentSocketId = this.getSocketIdByUserId(followerId);
-          if (studentSocketId) {
-            this.io.to(studentSocketId).emit("notification", {
+      notifications.push(notification);
+
+      if (this.io) {
+        const studentSocketId = this.getSocketIdByUserId(recipientId);
+        if (studentSocketId) {
+          this.io.to(studentSocketId).emit("notification", {
+            type,
+            notification: {
+              _id: notification._id,
+              title: template.title,
+              message: template.message,
               type,
-              notification: {
-                _id: notification._id,
-                title: template.title,
-                message: template.message,
-                type,
-                metadata: this.normalizeMetadata(metadata, type),
-                isRead: false,
-                createdAt: notification.createdAt,
-                sender: {
-                  _id: educatorId,
-                  fullName: educator.fullName,
-                  username: educator.username,
-                  profilePicture:
-                    educator.profilePicture ||
-                    this.resolveMediaUrl(educator.image),
-                },
+              metadata: this.normalizeMetadata(metadata, type),
+              isRead: false,
+              createdAt: notification.createdAt,
+              sender: {
+                _id: educator._id,
+                fullName: educator.fullName,
+                username: educator.username,
+                profilePicture:
+                  educator.profilePicture ||
+                  this.resolveMediaUrl(educator.image),
               },
-            });
+            },
+          });
 
-            notification.deliveredAt = new Date();
-            await notification.save();
+          notification.deliveredAt = new Date();
+          await notification.save();
 
-            onlineStudents.push(followerId);
-          }
+          onlineStudents.push(recipientId);
         }
       }
+    }
 
-      console.log(
-        `Sent ${notifications.length} notifications (${onlineStudents.length} delivered in real-time)`
+    console.log(
+      `Sent ${notifications.length} notifications (${onlineStudents.length} delivered in real-time)`
+    );
+
+    return {
+      success: true,
+      notificationsSent: notifications.length,
+      deliveredInRealTime: onlineStudents.length,
+      notifications,
+    };
+  }
+
+  // Notify specific students, e.g. those whose test results were regraded
+  async notifyStudents(studentIds, educatorId, type, contentData) {
+    try {
+      const educator = await Educator.findById(educatorId).select(
+        "fullName username profilePicture image slug"
+      );
+      if (!educator) {
+        throw new Error("Educator not found");
+      }
+
+      const students = await Student.find({ _id: { $in: studentIds } }).select(
+        "preferences deviceToken"
       );
+      if (!students.length) {
+        return { success: true, notificationsSent: 0 };
+      }
 
-      return {
-        success: true,
-        notificationsSent: notifications.length,
-        deliveredInRealTime: onlineStudents.length,
-        notifications,
-      };
+      return await this.sendToRecipients(educator, students, type, contentData);
     } catch (error) {
-      console.error("Error notifying followers:", error);
+      console.error("Error notifying students:", error);
       throw error;
     }
   }
@@ -408,6 +473,18 @@ class NotificationService {
         metadata.duration = contentData?.classDuration || null;
         metadata.price = this.resolveNumber(contentData?.liveClassesFee);
         break;
+      case "mock_test":
+      case "test_result":
+      case "test_regrade":
+        metadata.testId = resourceId;
+        metadata.scheduledDate = this.resolveDate(contentData?.startsAt);
+        metadata.duration = contentData?.duration || null;
+        break;
+      case "course_installment":
+        metadata.courseId = resourceId;
+        metadata.price = this.resolveNumber(contentData?.amount);
+        metadata.scheduledDate = this.resolveDate(contentData?.dueDate);
+        break;
       default:
         break;
     }
@@ -661,6 +738,10 @@ class NotificationService {
       post: "/posts/",
       test_series: "/student-test-series/",
       live_class: "/1-1-live-class/",
+      mock_test: "/student-tests/",
+      test_result: "/student-tests/",
+      test_regrade: "/student-tests/",
+      course_installment: "/details/course/",
     };
 
     const baseRoute = baseRouteMap[type];
@@ -765,6 +846,7 @@ class NotificationService {
   getFallbackResourceId(type, metadata = {}) {
     switch (type) {
       case "course":
+      case "course_installment":
         return metadata.courseId || null;
       case "webinar":
         return metadata.webinarId || null;
@@ -774,6 +856,10 @@ class NotificationService {
         return metadata.testSeriesId || null;
       case "live_class":
         return metadata.liveClassId || null;
+      case "mock_test":
+      case "test_result":
+      case "test_regrade":
+        return metadata.testId || null;
       default:
         return metadata.resourceId || metadata.entityId || null;
     }
@@ -786,6 +872,10 @@ class NotificationService {
       post: "metadata.postId",
       test_series: "metadata.testSeriesId",
       live_class: "metadata.liveClassId",
+      mock_test: "metadata.testId",
+      test_result: "metadata.testId",
+      test_regrade: "metadata.testId",
+      course_installment: "metadata.courseId",
     };
 
     return map[type] || null;
@@ -798,6 +888,10 @@ class NotificationService {
       post: new Set(),
       test_series: new Set(),
       live_class: new Set(),
+      mock_test: new Set(),
+      test_result: new Set(),
+      test_regrade: new Set(),
+      course_installment: new Set(),
     };
 
     notifications.forEach((notification) => {
@@ -818,6 +912,7 @@ class NotificationService {
         metadata.postId,
         metadata.testSeriesId,
         metadata.liveClassId,
+        metadata.testId,
         notification.entityId,
         notification.contentId,
       ];
@@ -849,6 +944,7 @@ class NotificationService {
       "postId",
       "testSeriesId",
       "liveClassId",
+      "testId",
     ];
 
     for (const key of fallbackKeys) {
@@ -875,10 +971,16 @@ class NotificationService {
 
     const buckets = this.collectResourceIds(normalized);
 
-    const [courses, webinars, posts, testSeries, liveClasses] =
+    const testIds = [
+      ...buckets.mock_test,
+      ...buckets.test_result,
+      ...buckets.test_regrade,
+    ];
+    const courseIds = [...buckets.course, ...buckets.course_installment];
+    const [courses, webinars, posts, testSeries, liveClasses, tests] =
       await Promise.all([
-        buckets.course.size
-          ? Course.find({ _id: { $in: Array.from(buckets.course) } })
+        courseIds.length
+          ? Course.find({ _id: { $in: courseIds } })
               .select(
                 "title slug description image courseThumbnail fees startDate courseType validDate"
               )
@@ -910,10 +1012,19 @@ class NotificationService {
               )
               .lean()
           : [],
+        testIds.length
+          ? Test.find({ _id: { $in: testIds }, isActive: true })
+              .select("title slug description image startsAt endsAt resultsReleaseAt duration")
+              .lean()
+          : [],
       ]);
 
+    const testMap = new Map(tests.map((doc) => [this.resolveId(doc), doc]));
+    const courseMap = new Map(courses.map((doc) => [this.resolveId(doc), doc]));
+
     const resourceMaps = {
-      course: new Map(courses.map((doc) => [this.resolveId(doc), doc])),
+      course: courseMap,
+      course_installment: courseMap,
       webinar: new Map(webinars.map((doc) => [this.resolveId(doc), doc])),
       post: new Map(posts.map((doc) => [this.resolveId(doc), doc])),
       test_series: new Map(
@@ -922,6 +1033,9 @@ class NotificationService {
       live_class: new Map(
         liveClasses.map((doc) => [this.resolveId(doc), doc])
       ),
+      mock_test: testMap,
+      test_result: testMap,
+      test_regrade: testMap,
     };
 
     const pruneTargets = [];
@@ -1120,6 +1234,16 @@ class NotificationService {
           this.resolveNumber(resource.liveClassesFee) ||
           this.resolveNumber(metadata.price);
         break;
+      case "mock_test":
+      case "test_result":
+      case "test_regrade":
+        snapshot.startsAt = this.resolveISODate(
+          resource.startsAt || metadata.scheduledDate
+        );
+        snapshot.endsAt = this.resolveISODate(resource.endsAt);
+        snapshot.resultsReleaseAt = this.resolveISODate(resource.resultsReleaseAt);
+        snapshot.duration = resource.duration || metadata.duration || null;
+        break;
       default:
         break;
     }
@@ -1202,6 +1326,10 @@ class NotificationService {
       post: "Post",
       test_series: "Test Series",
       live_class: "Live Class",
+      mock_test: "Mock Test",
+      test_result: "Test Result",
+      test_regrade: "Result Update",
+      course_installment: "Instalment",
       broadcast_message: "Message",
     };
 
@@ -0,0 +1,330 @@
+import mongoose from "mongoose";
+import Test from "../models/test.js";
+import { isEnrolledForTest } from "./testSchedule.service.js";
+import { normalizeResponse } from "./grading.service.js";
+import { loadAttemptQuestions } from "./questionVersion.service.js";
+import {
+  ATTEMPT_GRACE_SECONDS,
+  buildSectionSummary,
+  finalizeIfOverdue,
+  getAttemptForStudent,
+  startAttempt,
+  submitAttempt,
+} from "./testAttempt.service.js";
+import {
+  encryptOfflinePayload,
+  getAnswerLogSigningKey,
+  getOfflinePackageKey,
+  isAnswerLogSignatureValid,
+} from "../util/offlinePackage.js";
+import {
+  areResultsReleased,
+  getResultsReleaseTime,
+  isScheduledTest,
+} from "../util/testSchedule.js";
+import { httpError } from "../util/http.js";
+
+// Device clocks may be off by this much before a timestamp is rejected
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const MAX_LOG_ANSWERS = 500;
+
+const parseDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// The test's time runs from when the package was opened, cut short if the
+// package expires first
+const getTimeUpAt = (attempt, test) =>
+  new Date(
+    Math.min(
+      attempt.offlinePackage.startedAt.getTime() + test.duration * 60 * 1000,
+      attempt.offlinePackage.expiresAt.getTime()
+    )
+  );
+
+/**
+ * Download a test of an enrolled test series for offline use. Starts an
+ * offline attempt (or returns the one already waiting to be synced) and
+ * packs the answer-stripped questions, encrypted with a per-attempt key.
+ * The keys to open the package and sign its answer log are only released
+ * by startOfflineAttempt, when the student begins the test.
+ */
+export const buildOfflinePackage = async (testId, studentId) => {
+  if (!mongoose.Types.ObjectId.isValid(testId)) {
+    throw httpError("Invalid test ID");
+  }
+
+  const test = await Test.findById(testId).select("testSeriesID isActive");
+  if (!test || !test.isActive) {
+    throw httpError("Test not found", 404);
+  }
+  if (!test.testSeriesID) {
+    throw httpError("Offline packages are only available for tests in a test series");
+  }
+  if (!(await isEnrolledForTest(test, studentId))) {
+    throw httpError("Enrol in the test series to download this test", 403);
+  }
+
+  const { attempt, test: fullTest, questions } = await startAttempt(
+    testId,
+    studentId,
+    { mode: "offline" }
+  );
+
+  const attemptId = attempt._id.toString();
+  const { ciphertext, ...encryption } = encryptOfflinePayload(attemptId, {
+    attemptId,
+    test: {
+      id: fullTest._id,
+      title: fullTest.title,
+      instructions: fullTest.instructions,
+      duration: fullTest.duration,
+      overallMarks: fullTest.overallMarks,
+      markingType: fullTest.markingType,
+      negativeMarking: fullTest.negativeMarking,
+      negativeMarkingRatio: fullTest.negativeMarkingRatio,
+    },
+    sections: buildSectionSummary(attempt, fullTest),
+    questions,
+  });
+
+  return {
+    attemptId: attempt._id,
+    testId: fullTest._id,
+    attemptNumber: attempt.attemptNumber,
+    duration: fullTest.duration,
+    issuedAt: attempt.offlinePackage.issuedAt,
+    expiresAt: attempt.offlinePackage.expiresAt,
+    syncDeadline: attempt.deadline,
+    encryption,
+    payload: ciphertext,
+    startedAt: attempt.offlinePackage.startedAt || null,
+  };
+};
+
+/**
+ * Begin a downloaded offline attempt. The start time is recorded on the
+ * server, since the test's time runs from it, and the keys are released:
+ * decryptionKey opens the package and signingKey signs the answer log.
+ * Asking again returns the same start time and keys, so a device that lost
+ * them can carry on.
+ */
+export const startOfflineAttempt = async (attemptId, studentId, now = new Date()) => {
+  const attempt = await getAttemptForStudent(attemptId, studentId);
+  if (attempt.mode !== "offline") {
+    throw httpError("Only offline attempts are started from a package", 409);
+  }
+  if (await finalizeIfOverdue(attempt, now)) {
+    throw httpError("This attempt has already been submitted", 409);
+  }
+
+  if (!attempt.offlinePackage.startedAt) {
+    if (now.getTime() > attempt.offlinePackage.expiresAt.getTime()) {
+      throw httpError(
+        `This offline package expired at ${attempt.offlinePackage.expiresAt.toISOString()}`,
+        409
+      );
+    }
+    attempt.offlinePackage.startedAt = now;
+    attempt.startedAt = now;
+    await attempt.save();
+  }
+
+  const test = await Test.findById(attempt.testId).select("duration");
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+
+  const key = attempt._id.toString();
+  return {
+    attemptId: attempt._id,
+    startedAt: attempt.offlinePackage.startedAt,
+    timeUpAt: getTimeUpAt(attempt, test),
+    syncDeadline: attempt.deadline,
+    decryptionKey: getOfflinePackageKey(key),
+    signingKey: getAnswerLogSigningKey(key),
+  };
+};
+
+/**
+ * Keep the answers that can be graded: known questions, readable responses
+ * and answeredAt inside [startedAt, acceptedUntil]. When a question was
+ * answered more than once the latest answer wins (log order breaks ties).
+ */
+const collectLogAnswers = async (attempt, entries, startedAt, acceptedUntil) => {
+  const questions = await loadAttemptQuestions(attempt);
+  const questionById = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  const timed = entries
+    .map((entry, index) => ({ entry, index, answeredAt: parseDate(entry?.answeredAt) }))
+    .sort(
+      (a, b) =>
+        (a.answeredAt?.getTime() ?? 0) - (b.answeredAt?.getTime() ?? 0) ||
+        a.index - b.index
+    );
+
+  const answers = new Map();
+  let dropped = 0;
+  timed.forEach(({ entry, answeredAt }) => {
+    const questionId = entry?.questionId?.toString();
+    const question = questionId && questionById.get(questionId);
+    const isInWindow =
+      answeredAt &&
+      answeredAt.getTime() >= startedAt.getTime() - CLOCK_SKEW_MS &&
+      answeredAt.getTime() <= acceptedUntil.getTime();
+    const hasResponse =
+      entry?.response !== undefined && entry?.response !== null && entry?.response !== "";
+    const response = question ? normalizeResponse(question, entry.response) : null;
+
+    if (!question || !isInWindow || (hasResponse && response === null)) {
+      dropped += 1;
+      return;
+    }
+
+    const timeSpent = Number(entry.timeSpent);
+    answers.set(questionId, {
+      questionId: question._id,
+      response,
+      timeSpent: Number.isFinite(timeSpent) && timeSpent >= 0 ? timeSpent : 0,
+      answeredAt,
+    });
+  });
+
+  return { answers: [...answers.values()], dropped };
+};
+
+/**
+ * Grade an offline attempt from its signed answer log.
+ *
+ * The log is the exact JSON string the app signed:
+ * { attemptId, startedAt, submittedAt, answers: [{ questionId, response, timeSpent, answeredAt }] }
+ * with signature = hex HMAC-SHA256 of that string, keyed with the signingKey
+ * released when the attempt was started. startedAt is kept as the device's
+ * reading only; the attempt's time runs from the recorded start.
+ *
+ * Conflicts resolve the same way every time:
+ * - the first log accepted for an attempt stands; replaying it returns the
+ *   same result, any other log is rejected with 409
+ * - a log arriving after the sync deadline is rejected; the attempt has
+ *   already been graded with no answers
+ * - a scheduled test's logs are rejected once its results are released,
+ *   because the answer key is public by then
+ * - answers given after the test's time ran out (duration from the recorded
+ *   start, or the package expiry if sooner) are dropped, and the attempt
+ *   counts as submitted when time ran out
+ * @returns {Promise<{attempt, result, duplicate: boolean}>}
+ */
+export const syncOfflineAttempt = async (
+  attemptId,
+  studentId,
+  { log, signature },
+  now = new Date()
+) => {
+  const attempt = await getAttemptForStudent(attemptId, studentId);
+  if (attempt.mode !== "offline") {
+    throw httpError("Only offline attempts can be synced", 409);
+  }
+
+  const key = attempt._id.toString();
+  if (!attempt.offlinePackage?.startedAt) {
+    throw httpError("This offline attempt was never started", 409);
+  }
+  if (!isAnswerLogSignatureValid(key, log, signature)) {
+    throw httpError("Answer log signature is invalid");
+  }
+
+  if (attempt.status === "submitted") {
+    if (attempt.offlineSync?.signature === signature) {
+      return { attempt, result: null, duplicate: true };
+    }
+    throw httpError(
+      `This attempt was already submitted at ${attempt.submittedAt.toISOString()}; the first submission stands`,
+      409
+    );
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(log);
+  } catch (error) {
+    throw httpError("Answer log is not valid JSON");
+  }
+  if (parsed?.attemptId?.toString() !== key) {
+    throw httpError("Answer log belongs to another attempt");
+  }
+
+  if (await finalizeIfOverdue(attempt, now)) {
+    throw httpError(
+      "The sync deadline for this attempt has passed; it was graded without the answer log",
+      409
+    );
+  }
+
+  const startedAt = attempt.offlinePackage.startedAt;
+  const submittedAt = parseDate(parsed.submittedAt);
+  if (!submittedAt) {
+    throw httpError("Answer log needs a valid submittedAt time");
+  }
+  if (!Array.isArray(parsed.answers) || parsed.answers.length > MAX_LOG_ANSWERS) {
+    throw httpError(`Answer log answers must be an array of at most ${MAX_LOG_ANSWERS}`);
+  }
+
+  if (submittedAt.getTime() < startedAt.getTime() - CLOCK_SKEW_MS) {
+    throw httpError("Answer log is submitted before the attempt was started");
+  }
+  if (submittedAt.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+    throw httpError("Answer log is submitted in the future; check the device clock");
+  }
+
+  const test = await Test.findById(attempt.testId).select(
+    "duration startsAt endsAt resultsReleaseAt"
+  );
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+  if (isScheduledTest(test) && areResultsReleased(test, now)) {
+    throw httpError(
+      `Results for this test were released at ${getResultsReleaseTime(test).toISOString()}; answer logs are no longer accepted`,
+      409
+    );
+  }
+  const timeUpAt = getTimeUpAt(attempt, test);
+  const acceptedUntil = new Date(timeUpAt.getTime() + ATTEMPT_GRACE_SECONDS * 1000);
+
+  const { answers, dropped } = await collectLogAnswers(
+    attempt,
+    parsed.answers,
+    startedAt,
+    acceptedUntil
+  );
+
+  attempt.answers = answers;
+  attempt.offlineSync = {
+    syncedAt: now,
+    signature,
+    deviceStartedAt: parseDate(parsed.startedAt),
+    deviceSubmittedAt: submittedAt,
+    answersReceived: parsed.answers.length,
+    answersDropped: dropped,
+  };
+
+  // The attempt counts as submitted no later than when its time ran out
+  const { result } = await submitAttempt(attempt, {
+    submissionType: "offline",
+    submittedAt: new Date(
+      Math.max(
+        startedAt.getTime(),
+        Math.min(submittedAt.getTime(), timeUpAt.getTime())
+      )
+    ),
+  });
+  return { attempt, result, duplicate: false };
+};
+
+export default {
+  buildOfflinePackage,
+  startOfflineAttempt,
+  syncOfflineAttempt,
+};
@@ -1,14 +1,84 @@
+import mongoose from "mongoose";
 import PaymentIntent from "../models/paymentIntent.js";
 import Course from "../models/course.js";
 import Webinar from "../models/webinar.js";
 import TestSeries from "../models/testSeries.js";
 import Test from "../models/test.js";
 import Payout from "../models/payout.js";
+import Refund from "../models/refund.js";
 
 const COMMISSION_PERCENTAGE = process.env.COMMISSION_PERCENTAGE
   ? parseInt(process.env.COMMISSION_PERCENTAGE)
   : 20;
 
+// Part of a payment the educator's share is worked out on. A platform coupon
+// is paid for by the platform, so its discount is added back; an educator
+// coupon simply lowers the price. Refunds take off their proportion of it
+const getPayoutBase = (payment, paidAmount) => {
+  const amount = Number(payment.amount) || 0;
+  if (!amount) {
+    return 0;
+  }
+  const platformDiscount =
+    payment.coupon?.fundedBy === "platform"
+      ? Number(payment.coupon.discountAmount) || 0
+      : 0;
+  return Math.round(((amount + platformDiscount) * paidAmount) / amount);
+};
+
+const getNetAmount = (payment) =>
+  getPayoutBase(
+    payment,
+    Math.max(0, (Number(payment.amount) || 0) - (Number(payment.refundedAmount) || 0))
+  );
+
+// Refund shares carried into this month because the payment's own month
+// had already been paid out, plus whatever earlier months' payouts were too
+// small to recover
+const getCarriedDeduction = async (educatorId, month, year) => {
+  const monthKey = year * 12 + month;
+  const [row] = await Refund.aggregate([
+    { $match: { status: "processed" } },
+    { $unwind: "$payoutReversals" },
+    {
+      $match: {
+        "payoutReversals.educatorId": new mongoose.Types.ObjectId(educatorId.toString()),
+        "payoutReversals.isCarriedForward": true,
+      },
+    },
+    {
+      $project: {
+        amount: "$payoutReversals.amount",
+        monthKey: {
+          $add: [{ $multiply: ["$payoutReversals.year", 12] }, "$payoutReversals.month"],
+        },
+      },
+    },
+    { $match: { monthKey: { $lte: monthKey } } },
+    { $group: { _id: null, total: { $sum: "$amount" } } },
+  ]);
+
+  const earlierPayouts = await Payout.find({
+    educatorId,
+    payoutCheckId: { $not: /_ADJ$/ },
+    $or: [{ year: { $lt: year } }, { year, month: { $lt: month } }],
+  }).select("deductionAmount unrecoveredAmount");
+  const recovered = earlierPayouts.reduce(
+    (sum, payout) => sum + (payout.deductionAmount || 0) - (payout.unrecoveredAmount || 0),
+    0
+  );
+
+  return Math.max(0, (row?.total || 0) - recovered);
+};
+
+// Take the carried deduction off a month's payable amount. What the month
+// cannot cover stays on the payout as unrecovered and moves to the next one
+const applyDeduction = (payout, payable, deduction) => {
+  payout.deductionAmount = deduction;
+  payout.amount = Math.max(0, payable - deduction);
+  payout.unrecoveredAmount = Math.max(0, deduction - payable);
+};
+
 const getEducatorIdFromProduct = async (productId, productType) => {
   try {
     let product;
@@ -32,6 +102,30 @@ const getEducatorIdFromProduct = async (productId, productType) => {
   }
 };
 
+/**
+ * Educators paid from a payment and the part of an amount each one earns.
+ * Bundles carry their split in the product snapshot; anything left over
+ * from rounding goes to the last educator in it.
+ * @returns {Promise<Array<{educatorId: string, amount: number}>>}
+ */
+const getPaymentShares = async (payment, amount) => {
+  const split = payment.productSnapshot?.revenueSplit;
+  if (split?.length) {
+    let allocated = 0;
+    return split.map((entry, index) => {
+      const share =
+        index === split.length - 1
+          ? amount - allocated
+          : Math.round((amount * entry.percent) / 100);
+      allocated += share;
+      return { educatorId: entry.educatorId.toString(), amount: share };
+    });
+  }
+
+  const educatorId = await getEducatorIdFromProduct(payment.productId, payment.productType);
+  return educatorId ? [{ educatorId: educatorId.toString(), amount }] : [];
+};
+
 export const calculatePayoutsForMonth = async (month, year) => {
   const startDate = new Date(year, month - 1, 1);
   const endDate = new Date(year, month, 0, 23, 59, 59);
@@ -48,25 +142,21 @@ export const calculatePayoutsForMonth = async (month, year) => {
   const educatorRevenueMap = {};
 
   for (const payment of successfulPayments) {
-    const { productId, productType, amount } = payment;
+    // Find educators; a bundle can pay several
+    const shares = await getPaymentShares(payment, getNetAmount(payment));
 
-    // Find educator
-    const educatorIdObj = await getEducatorIdFromProduct(productId, productType);
-    
-    if (!educatorIdObj) continue;
+    for (const { educatorId, amount } of shares) {
+      if (!educatorRevenueMap[educatorId]) {
+        educatorRevenueMap[educatorId] = { gross: 0, commission: 0, payable: 0 };
+      }
 
-    const educatorId = educatorIdObj.toString();
+      const commission = Math.round((amount * COMMISSION_PERCENTAGE) / 100);
+      const payable = amount - commission;
 
-    if (!educatorRevenueMap[educatorId]) {
-      educatorRevenueMap[educatorId] = { gross: 0, commission: 0, payable: 0 };
+      educatorRevenueMap[educatorId].gross += amount;
+      educatorRevenueMap[educatorId].commission += commission;
+      educatorRevenueMap[educatorId].payable += payable;
     }
-
-    const commission = Math.round((amount * COMMISSION_PERCENTAGE) / 100);
-    const payable = amount - commission;
-
-    educatorRevenueMap[educatorId].gross += amount;
-    educatorRevenueMap[educatorId].commission += commission;
-    educatorRevenueMap[educatorId].payable += payable;
   }
 
   // 3. Create or Update Payout Records
@@ -76,19 +166,20 @@ export const calculatePayoutsForMonth = async (month, year) => {
     const payoutCheckId = `PAYOUT_${year}_${month}_${educatorId}`;
 
     let payout = await Payout.findOne({ payoutCheckId });
+    const deduction = await getCarriedDeduction(educatorId, month, year);
 
     if (payout) {
       if (payout.status === "pending") {
         payout.grossAmount = data.gross;
         payout.commissionAmount = data.commission;
-        payout.amount = data.payable;
+        applyDeduction(payout, data.payable, deduction);
         await payout.save();
         payoutRecords.push(payout);
+        await refreshLaterPayouts(educatorId, month, year);
       }
     } else {
-      payout = await Payout.create({
+      payout = new Payout({
         educatorId,
-        amount: data.payable,
         grossAmount: data.gross,
         commissionAmount: data.commission,
         month,
@@ -97,17 +188,17 @@ export const calculatePayoutsForMonth = async (month, year) => {
         scheduledDate: new Date(),
         status: "pending",
       });
+      applyDeduction(payout, data.payable, deduction);
+      await payout.save();
       payoutRecords.push(payout);
+      await refreshLaterPayouts(educatorId, month, year);
     }
   }
 
   return payoutRecords;
 };
 
-export const upsertMonthlyPayoutForEducator = async ({ educatorId, month, year }) => {
-  if (!educatorId || !month || !year) {
-    return null;
-  }
+const upsertMonthPayout = async ({ educatorId, month, year }) => {
 
   const startDate = new Date(year, month - 1, 1);
   const endDate = new Date(year, month, 0, 23, 59, 59);
@@ -115,7 +206,9 @@ export const upsertMonthlyPayoutForEducator = async ({ educatorId, month, year }
   const successfulPayments = await PaymentIntent.find({
     status: "succeeded",
     createdAt: { $gte: startDate, $lte: endDate },
-  }).select("productId productType amount createdAt");
+  }).select(
+    "productId productType amount refundedAmount coupon productSnapshot.revenueSplit createdAt"
+  );
 
   const payoutCheckId = `PAYOUT_${year}_${month}_${educatorId}`;
   let payout = await Payout.findOne({ payoutCheckId });
@@ -130,16 +223,16 @@ export const upsertMonthlyPayoutForEducator = async ({ educatorId, month, year }
         continue;
       }
 
-      const ownerId = await getEducatorIdFromProduct(
-        payment.productId,
-        payment.productType
+      const shares = await getPaymentShares(payment, getNetAmount(payment));
+      const share = shares.find(
+        (entry) => entry.educatorId === educatorId.toString()
       );
 
-      if (!ownerId || ownerId.toString() !== educatorId.toString()) {
+      if (!share) {
         continue;
       }
 
-      const amount = Number(payment.amount) || 0;
+      const amount = share.amount;
       const entryCommission = Math.round((amount * COMMISSION_PERCENTAGE) / 100);
       gross += amount;
       commission += entryCommission;
@@ -151,13 +244,15 @@ export const upsertMonthlyPayoutForEducator = async ({ educatorId, month, year }
 
   if (!payout) {
     const totals = await computeTotals();
-    if (totals.gross <= 0) {
+    const deduction = await getCarriedDeduction(educatorId, month, year);
+    // A month without sales still gets a record when a refund is carried
+    // into it, so the deduction is held until a later month can recover it
+    if (totals.gross <= 0 && deduction <= 0) {
       return null;
     }
 
-    payout = await Payout.create({
+    payout = new Payout({
       educatorId,
-      amount: totals.payable,
       grossAmount: totals.gross,
       commissionAmount: totals.commission,
       month,
@@ -166,14 +261,17 @@ export const upsertMonthlyPayoutForEducator = async ({ educatorId, month, year }
       scheduledDate: new Date(),
       status: "pending",
     });
+    applyDeduction(payout, totals.payable, deduction);
+    await payout.save();
     return payout;
   }
 
   if (payout.status === "pending") {
     const totals = await computeTotals();
+    const deduction = await getCarriedDeduction(educatorId, month, year);
     payout.grossAmount = totals.gross;
     payout.commissionAmount = totals.commission;
-    payout.amount = totals.payable;
+    applyDeduction(payout, totals.payable, deduction);
     await payout.save();
     return payout;
   }
@@ -214,3 +312,110 @@ export const upsertMonthlyPayoutForEducator = async ({ educatorId, month, year }
 
   return adjustment;
 };
+
+// Changing one month's payout changes how much deduction it leaves for the
+// months after it, so any of those still pending are recomputed in order
+const refreshLaterPayouts = async (educatorId, month, year) => {
+  const laterPayouts = await Payout.find({
+    educatorId,
+    status: "pending",
+    payoutCheckId: { $not: /_ADJ$/ },
+    $or: [{ year: { $gt: year } }, { year, month: { $gt: month } }],
+  })
+    .select("month year")
+    .sort({ year: 1, month: 1 });
+
+  for (const later of laterPayouts) {
+    await upsertMonthPayout({ educatorId, month: later.month, year: later.year });
+  }
+};
+
+export const upsertMonthlyPayoutForEducator = async ({ educatorId, month, year }) => {
+  if (!educatorId || !month || !year) {
+    return null;
+  }
+
+  const payout = await upsertMonthPayout({ educatorId, month, year });
+  await refreshLaterPayouts(educatorId, month, year);
+  return payout;
+};
+
+const isPayoutOpen = (payout) => !payout || payout.status === "pending";
+
+// Month a refund share comes off an educator's payouts, and whether it had
+// to be carried forward because the payment's own payout already went out
+const getReversalMonth = async (educatorId, paidAt, now) => {
+  const month = paidAt.getMonth() + 1;
+  const year = paidAt.getFullYear();
+  const payoutCheckId = `PAYOUT_${year}_${month}_${educatorId}`;
+  const payout = await Payout.findOne({ payoutCheckId });
+
+  // Sales after a closed payout are settled by its adjustment payout instead
+  let settled = !isPayoutOpen(payout);
+  if (settled && paidAt > (payout.updatedAt || payout.createdAt)) {
+    const adjustment = await Payout.findOne({ payoutCheckId: `${payoutCheckId}_ADJ` });
+    settled = !isPayoutOpen(adjustment);
+  }
+  if (!settled) {
+    return { month, year, isCarriedForward: false };
+  }
+
+  const current = await Payout.findOne({
+    payoutCheckId: `PAYOUT_${now.getFullYear()}_${now.getMonth() + 1}_${educatorId}`,
+  });
+  if (isPayoutOpen(current)) {
+    return { month: now.getMonth() + 1, year: now.getFullYear(), isCarriedForward: true };
+  }
+  const next = new Date(now.getFullYear(), now.getMonth() + 1, 1);
+  return { month: next.getMonth() + 1, year: next.getFullYear(), isCarriedForward: true };
+};
+
+/**
+ * Take the educators' share of a processed refund back from their payouts.
+ * While the payout covering the payment is still pending it is simply
+ * recomputed from the reduced payment. Once that payout has gone out, the
+ * share is carried forward and deducted from the earliest month, starting
+ * with the current one, whose payout is still open. A bundle refund is
+ * reversed for each educator in its revenue split.
+ * @param {Object} refund - Refund document with the refunded amount set
+ * @param {Object} intent - PaymentIntent the refund was issued against
+ * @returns {Promise<Array>} The payoutReversals recorded on the refund
+ */
+export const reversePayoutShare = async (refund, intent, now = new Date()) => {
+  if (!refund.amount) {
+    return [];
+  }
+
+  let shares = await getPaymentShares(intent, getPayoutBase(intent, refund.amount));
+  const snapshotEducator =
+    intent.productSnapshot?.educator?._id || intent.productSnapshot?.educator;
+  if (!shares.length && snapshotEducator) {
+    shares = [
+      {
+        educatorId: snapshotEducator.toString(),
+        amount: getPayoutBase(intent, refund.amount),
+      },
+    ];
+  }
+
+  const paidAt = intent.createdAt || now;
+  const reversals = [];
+  for (const { educatorId, amount } of shares) {
+    const commission = Math.round((amount * COMMISSION_PERCENTAGE) / 100);
+    const target = await getReversalMonth(educatorId, paidAt, now);
+    reversals.push({
+      educatorId,
+      amount: amount - commission,
+      ...target,
+      appliedAt: now,
+    });
+  }
+
+  refund.payoutReversals = reversals;
+  await refund.save();
+
+  for (const { educatorId, month, year } of reversals) {
+    await upsertMonthlyPayoutForEducator({ educatorId, month, year });
+  }
+  return refund.payoutReversals;
+};
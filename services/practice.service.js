@@ -0,0 +1,418 @@
+import Question from "../models/question.js";
+import PracticeSession from "../models/practiceSession.js";
+import TopicMastery, { INITIAL_MASTERY } from "../models/topicMastery.js";
+import { gradeQuestion } from "./grading.service.js";
+import { toStudentQuestionView } from "./testAttempt.service.js";
+import { getUnreleasedTestIds, getUnreleasedTests } from "./testSchedule.service.js";
+import { httpError } from "../util/http.js";
+
+// Mastery at which practice moves on to the next difficulty
+const MEDIUM_MASTERY = 0.45;
+const HARD_MASTERY = 0.75;
+
+// How strongly one answer moves mastery (Elo-style K factor)
+const MASTERY_STEP = 0.15;
+
+// Where each difficulty sits on the mastery scale
+const DIFFICULTY_LEVEL = { Easy: 0.3, Medium: 0.55, Hard: 0.8 };
+
+// Every topic keeps some chance of being picked, even when mastered
+const MIN_TOPIC_WEIGHT = 0.1;
+
+const MAX_TOPICS = 200;
+const MAX_COUNTED_SECONDS = 3600;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+const round = (value) => Math.round(value * 1000) / 1000;
+
+export const targetDifficulty = (mastery) => {
+  if (mastery >= HARD_MASTERY) return "Hard";
+  if (mastery >= MEDIUM_MASTERY) return "Medium";
+  return "Easy";
+};
+
+// Harder questions first when the target is Hard, easier first when Easy
+const difficultyFallbacks = (target) =>
+  ({
+    Easy: ["Easy", "Medium", "Hard"],
+    Medium: ["Medium", "Easy", "Hard"],
+    Hard: ["Hard", "Medium", "Easy"],
+  })[target];
+
+/**
+ * New mastery after an answer. The expected score depends on how mastery
+ * compares with the question's difficulty, so a correct Hard answer raises
+ * mastery more than a correct Easy one and a wrong Easy answer costs more.
+ * @param {number} mastery - Current mastery (0-1)
+ * @param {string} difficulty - Easy | Medium | Hard
+ * @param {number} score - Share of full marks earned (0-1)
+ */
+export const updateMastery = (mastery, difficulty, score) => {
+  const level = DIFFICULTY_LEVEL[difficulty] ?? DIFFICULTY_LEVEL.Medium;
+  const expected = 1 / (1 + Math.exp(-8 * (mastery - level)));
+  return round(clamp(mastery + MASTERY_STEP * (score - expected)));
+};
+
+// Questions of tests whose results are withheld are left out, since
+// practice reveals the answer key
+const baseQuestionFilter = (session, unreleasedTestIds) => {
+  const filter = {
+    isActive: true,
+    subject: session.subject,
+    tests: { $nin: unreleasedTestIds },
+  };
+  if (session.specialization) filter.specialization = session.specialization;
+  if (session.class) filter.class = session.class;
+  return filter;
+};
+
+const pickWeightedTopic = (topics, masteryByTopic) => {
+  const weights = topics.map(
+    (topic) => 1 - (masteryByTopic.get(topic) ?? INITIAL_MASTERY) + MIN_TOPIC_WEIGHT
+  );
+  let roll = Math.random() * weights.reduce((sum, weight) => sum + weight, 0);
+  for (let i = 0; i < topics.length; i += 1) {
+    roll -= weights[i];
+    if (roll <= 0) return topics[i];
+  }
+  return topics[topics.length - 1];
+};
+
+const sampleQuestionId = async (filter) => {
+  const [sample] = await Question.aggregate([
+    { $match: filter },
+    { $sample: { size: 1 } },
+    { $project: { _id: 1 } },
+  ]);
+  return sample?._id || null;
+};
+
+// Next question of a fixed-list session that is still in the bank
+const selectQueuedQuestion = async (session, unreleasedTestIds) => {
+  const answered = new Set(session.answers.map((answer) => answer.questionId.toString()));
+  for (const questionId of session.questionQueue) {
+    if (answered.has(questionId.toString())) continue;
+    const question = await Question.findOne({
+      _id: questionId,
+      tests: { $nin: unreleasedTestIds },
+    }).populate("passage", "title content image");
+    if (question) return question;
+  }
+  return null;
+};
+
+/**
+ * Choose the next practice question: a topic weighted towards low mastery,
+ * then a difficulty matching the student's mastery of that topic, falling
+ * back to other difficulties and finally to any topic in scope.
+ * Fixed-list sessions serve their queue in order instead.
+ * @returns {Promise<Object|null>} Question document, or null when the scope is exhausted
+ */
+export const selectNextQuestion = async (session) => {
+  const unreleasedTestIds = await getUnreleasedTestIds();
+  if (session.source !== "adaptive") {
+    return selectQueuedQuestion(session, unreleasedTestIds);
+  }
+
+  const base = baseQuestionFilter(session, unreleasedTestIds);
+  const served = session.answers.map((answer) => answer.questionId);
+  base._id = { $nin: served };
+
+  const scopeTopics = session.topics.length
+    ? session.topics
+    : (await Question.distinct("topics", baseQuestionFilter(session, unreleasedTestIds)))
+        .filter(Boolean)
+        .slice(0, MAX_TOPICS);
+
+  const masteries = await TopicMastery.find({
+    studentId: session.studentId,
+    subject: session.subject,
+    topic: { $in: scopeTopics },
+  })
+    .select("topic mastery")
+    .lean();
+  const masteryByTopic = new Map(masteries.map((entry) => [entry.topic, entry.mastery]));
+
+  let questionId = null;
+  const remainingTopics = [...scopeTopics];
+  while (!questionId && remainingTopics.length) {
+    const topic = pickWeightedTopic(remainingTopics, masteryByTopic);
+    remainingTopics.splice(remainingTopics.indexOf(topic), 1);
+
+    const target = targetDifficulty(masteryByTopic.get(topic) ?? INITIAL_MASTERY);
+    for (const difficulty of difficultyFallbacks(target)) {
+      questionId = await sampleQuestionId({ ...base, topics: topic, difficulty });
+      if (questionId) break;
+    }
+  }
+
+  if (!questionId && !session.topics.length) {
+    // Questions without topics are still worth practising
+    questionId = await sampleQuestionId(base);
+  }
+  if (!questionId) {
+    return null;
+  }
+
+  return Question.findById(questionId).populate("passage", "title content image");
+};
+
+const serveQuestion = async (session) => {
+  const question = await selectNextQuestion(session);
+  session.currentQuestion = question?._id;
+  session.currentServedAt = question ? new Date() : undefined;
+  return question;
+};
+
+const sessionSummary = (session) => ({
+  _id: session._id,
+  source: session.source,
+  subject: session.subject,
+  topics: session.topics,
+  status: session.status,
+  answered: session.answers.length,
+  correct: session.answers.filter((answer) => answer.isCorrect).length,
+  total: session.source === "adaptive" ? null : session.questionQueue.length,
+  startedAt: session.createdAt,
+  endedAt: session.endedAt,
+});
+
+const findStudentSession = async (sessionId, studentId) => {
+  const session = await PracticeSession.findById(sessionId);
+  if (!session || session.studentId.toString() !== studentId.toString()) {
+    throw httpError("Practice session not found", 404);
+  }
+  return session;
+};
+
+/**
+ * Start a practice session and serve its first question. Any earlier
+ * active session of the student is ended.
+ */
+export const startPracticeSession = async (
+  studentId,
+  { subject, topics = [], specialization, class: className }
+) => {
+  await PracticeSession.updateMany(
+    { studentId, status: "active" },
+    { $set: { status: "ended", endedAt: new Date() }, $unset: { currentQuestion: 1 } }
+  );
+
+  const session = new PracticeSession({
+    studentId,
+    subject,
+    topics,
+    specialization,
+    class: className,
+  });
+  const question = await serveQuestion(session);
+  if (!question) {
+    throw httpError("No practice questions match this subject and topics", 404);
+  }
+  await session.save();
+
+  return { session: sessionSummary(session), question: toStudentQuestionView(question) };
+};
+
+/**
+ * Start a session that replays a fixed list of questions, e.g. from the
+ * mistake notebook. Answers still update topic mastery.
+ * @param {Object} options - { source: "mistakes" | "bookmarks", questionIds, subject? }
+ */
+export const startQuestionListPractice = async (
+  studentId,
+  { source, questionIds, subject }
+) => {
+  await PracticeSession.updateMany(
+    { studentId, status: "active" },
+    { $set: { status: "ended", endedAt: new Date() }, $unset: { currentQuestion: 1 } }
+  );
+
+  const session = new PracticeSession({
+    studentId,
+    source,
+    subject,
+    questionQueue: questionIds,
+  });
+  const question = await serveQuestion(session);
+  if (!question) {
+    throw httpError("None of these questions are available to practise", 404);
+  }
+  await session.save();
+
+  return { session: sessionSummary(session), question: toStudentQuestionView(question) };
+};
+
+/**
+ * Current state of a session with the question waiting for an answer
+ */
+export const getPracticeSession = async (sessionId, studentId) => {
+  const session = await findStudentSession(sessionId, studentId);
+  const question = session.currentQuestion
+    ? await Question.findById(session.currentQuestion).populate(
+        "passage",
+        "title content image"
+      )
+    : null;
+
+  return {
+    session: sessionSummary(session),
+    question: question ? toStudentQuestionView(question) : null,
+  };
+};
+
+const recordMastery = async (studentId, subject, question, score, isCorrect) => {
+  const topics = subject
+    ? [...new Set((question.topics || []).filter(Boolean))]
+    : [];
+  const changes = [];
+
+  for (const topic of topics) {
+    const entry =
+      (await TopicMastery.findOne({ studentId, subject, topic })) ||
+      new TopicMastery({ studentId, subject, topic });
+    const before = entry.mastery;
+
+    entry.mastery = updateMastery(before, question.difficulty, score);
+    entry.attempts += 1;
+    entry.correct += isCorrect ? 1 : 0;
+    const tally = entry.byDifficulty?.[question.difficulty];
+    if (tally) {
+      tally.attempts += 1;
+      tally.correct += isCorrect ? 1 : 0;
+    }
+    entry.lastPracticedAt = new Date();
+    await entry.save();
+
+    changes.push({ topic, before, after: entry.mastery });
+  }
+  return changes;
+};
+
+/**
+ * Grade the answer to the current question, update topic mastery and
+ * serve the next question. Practice is graded on a 0-1 scale and is never
+ * written to Student.results.
+ */
+export const answerPracticeQuestion = async (
+  sessionId,
+  studentId,
+  { questionId, response }
+) => {
+  const session = await findStudentSession(sessionId, studentId);
+  if (session.status !== "active") {
+    throw httpError("This practice session has ended", 409);
+  }
+  if (!session.currentQuestion || session.currentQuestion.toString() !== questionId) {
+    throw httpError("This is not the question currently being practised", 409);
+  }
+
+  const question = await Question.findById(questionId);
+  if (!question) {
+    throw httpError("Question no longer exists", 404);
+  }
+
+  const graded = gradeQuestion(question, response, {
+    positive: 1,
+    negative: 0,
+    partial: question.marks?.partial,
+  });
+  const score = clamp(graded.marksAwarded);
+  const timeSpent = Math.min(
+    MAX_COUNTED_SECONDS,
+    Math.round((Date.now() - (session.currentServedAt?.getTime() || Date.now())) / 1000)
+  );
+
+  session.answers.push({
+    questionId: question._id,
+    response: graded.response,
+    isCorrect: graded.isCorrect,
+    score,
+    difficulty: question.difficulty,
+    topics: question.topics,
+    timeSpent,
+  });
+
+  // Fixed-list sessions may mix subjects; mastery follows the question's own
+  const mastery = await recordMastery(
+    session.studentId,
+    session.subject || question.subject?.[0],
+    question,
+    score,
+    graded.isCorrect
+  );
+
+  const next = await serveQuestion(session);
+  if (!next) {
+    session.status = "ended";
+    session.endedAt = new Date();
+  }
+  await session.save();
+
+  // The question may have joined a scheduled test since it was served
+  const isKeyWithheld = (await getUnreleasedTests(question.tests || [])).size > 0;
+
+  return {
+    result: {
+      questionId: question._id,
+      isCorrect: graded.isCorrect,
+      score,
+      response: graded.response,
+      ...(isKeyWithheld
+        ? {}
+        : {
+            correctAnswer: graded.correctAnswer,
+            explanation: question.explanation,
+            explanationImages: question.explanationImages,
+          }),
+    },
+    mastery,
+    session: sessionSummary(session),
+    nextQuestion: next ? toStudentQuestionView(next) : null,
+  };
+};
+
+export const endPracticeSession = async (sessionId, studentId) => {
+  const session = await findStudentSession(sessionId, studentId);
+  if (session.status === "active") {
+    session.status = "ended";
+    session.endedAt = new Date();
+    session.currentQuestion = undefined;
+    session.currentServedAt = undefined;
+    await session.save();
+  }
+  return sessionSummary(session);
+};
+
+/**
+ * The student's topic mastery, weakest first
+ */
+export const getTopicMastery = async (studentId, { subject } = {}) => {
+  const filter = { studentId };
+  if (subject) filter.subject = subject;
+
+  const entries = await TopicMastery.find(filter).sort({ mastery: 1 }).lean();
+  return entries.map((entry) => ({
+    subject: entry.subject,
+    topic: entry.topic,
+    mastery: entry.mastery,
+    level: targetDifficulty(entry.mastery),
+    attempts: entry.attempts,
+    correct: entry.correct,
+    accuracy: entry.attempts ? round(entry.correct / entry.attempts) : 0,
+    byDifficulty: entry.byDifficulty,
+    lastPracticedAt: entry.lastPracticedAt,
+  }));
+};
+
+export default {
+  targetDifficulty,
+  updateMastery,
+  selectNextQuestion,
+  startPracticeSession,
+  startQuestionListPractice,
+  getPracticeSession,
+  answerPracticeQuestion,
+  endPracticeSession,
+  getTopicMastery,
+};
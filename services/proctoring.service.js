@@ -0,0 +1,383 @@
+import mongoose from "mongoose";
+import Test from "../models/test.js";
+import TestAttempt from "../models/testAttempt.js";
+import { ATTEMPT_GRACE_SECONDS, getAttemptForStudent } from "./testAttempt.service.js";
+import { httpError } from "../util/http.js";
+
+// Attempts scoring at least this much are flagged for review
+export const PROCTORING_FLAG_THRESHOLD = process.env.PROCTORING_FLAG_THRESHOLD
+  ? parseInt(process.env.PROCTORING_FLAG_THRESHOLD)
+  : 40;
+
+// Suspicion points per event
+const EVENT_WEIGHTS = {
+  "tab-switch": 4,
+  "fullscreen-exit": 4,
+  "app-background": 3,
+  copy: 5,
+  paste: 8,
+  "multiple-sessions": 25,
+};
+
+// Events where the student was away from the test; longer absences weigh more
+const AWAY_EVENT_TYPES = ["tab-switch", "fullscreen-exit", "app-background"];
+const AWAY_SECONDS_PER_POINT = 30;
+const MAX_AWAY_POINTS_PER_EVENT = 10;
+
+// No single kind of event can push the score past this on its own
+const MAX_POINTS_PER_TYPE = 50;
+
+const MAX_EVENTS_PER_ATTEMPT = 2000;
+const MAX_SESSIONS_PER_ATTEMPT = 20;
+// A second client reporting within this long of another counts as concurrent
+const CONCURRENT_SESSION_WINDOW_MS = 2 * 60 * 1000;
+
+// Heavy attempt fields left out of review listings
+const LISTING_EXCLUDED_FIELDS =
+  "-answers -gradedQuestions -questionOrder -sectionProgress -proctoringEvents -proctoringSessions";
+
+const eventPoints = (event) => {
+  const base = EVENT_WEIGHTS[event.type] || 0;
+  if (!AWAY_EVENT_TYPES.includes(event.type)) {
+    return base;
+  }
+  const awayPoints = Math.floor((event.durationSeconds || 0) / AWAY_SECONDS_PER_POINT);
+  return base + Math.min(MAX_AWAY_POINTS_PER_EVENT, awayPoints);
+};
+
+/**
+ * Per-type counts, time away and suspicion points for a list of events.
+ */
+export const summarizeProctoringEvents = (events = []) => {
+  const byType = {};
+  events.forEach((event) => {
+    const entry = byType[event.type] || { count: 0, awaySeconds: 0, points: 0 };
+    entry.count += 1;
+    entry.awaySeconds += event.durationSeconds || 0;
+    entry.points += eventPoints(event);
+    byType[event.type] = entry;
+  });
+  Object.values(byType).forEach((entry) => {
+    entry.points = Math.min(MAX_POINTS_PER_TYPE, entry.points);
+  });
+  return byType;
+};
+
+/**
+ * Suspicion score (0-100) of an attempt's proctoring events.
+ */
+export const computeSuspicionScore = (events = []) => {
+  const total = Object.values(summarizeProctoringEvents(events)).reduce(
+    (sum, entry) => sum + entry.points,
+    0
+  );
+  return Math.min(100, total);
+};
+
+const applySuspicionScore = (attempt) => {
+  attempt.suspicionScore = computeSuspicionScore(attempt.proctoringEvents);
+  attempt.isFlagged = attempt.suspicionScore >= PROCTORING_FLAG_THRESHOLD;
+};
+
+const pushEvents = (attempt, events) => {
+  const room = Math.max(0, MAX_EVENTS_PER_ATTEMPT - attempt.proctoringEvents.length);
+  const accepted = events.slice(0, room);
+  attempt.proctoringEvents.push(...accepted);
+  return accepted.length;
+};
+
+/**
+ * Remember the client reporting on the attempt. Returns a server-side
+ * "multiple-sessions" event when another client reported only moments ago.
+ */
+const registerSession = (attempt, { sessionId, ip, userAgent }, now) => {
+  if (!sessionId) {
+    return null;
+  }
+
+  const session = attempt.proctoringSessions.find(
+    (entry) => entry.sessionId === sessionId
+  );
+  if (session) {
+    session.lastSeenAt = now;
+    return null;
+  }
+
+  const concurrent = attempt.proctoringSessions.find(
+    (entry) => now.getTime() - entry.lastSeenAt.getTime() <= CONCURRENT_SESSION_WINDOW_MS
+  );
+  if (attempt.proctoringSessions.length < MAX_SESSIONS_PER_ATTEMPT) {
+    attempt.proctoringSessions.push({
+      sessionId,
+      ip,
+      userAgent: userAgent?.slice(0, 300),
+      firstSeenAt: now,
+      lastSeenAt: now,
+    });
+  }
+
+  return concurrent
+    ? {
+        type: "multiple-sessions",
+        occurredAt: now,
+        receivedAt: now,
+        sessionId,
+        source: "server",
+        details: `Session ${sessionId} reported while session ${concurrent.sessionId} was active`,
+      }
+    : null;
+};
+
+// Events are accepted while the attempt runs and briefly after submission,
+// so clients can flush what they buffered offline
+const isAcceptingEvents = (attempt, now) =>
+  attempt.status === "in-progress" ||
+  (attempt.submittedAt &&
+    now.getTime() - attempt.submittedAt.getTime() <= ATTEMPT_GRACE_SECONDS * 1000);
+
+/**
+ * Store proctoring events reported by the student's client and recompute
+ * the attempt's suspicion score.
+ * @param {Array<{type, occurredAt?, durationSeconds?, details?}>} events
+ * @param {Object} [client] - { sessionId, ip, userAgent } of the reporting client
+ * @returns {Promise<{accepted: number}>}
+ */
+export const recordProctoringEvents = async (
+  attemptId,
+  studentId,
+  events,
+  client = {},
+  now = new Date()
+) => {
+  const attempt = await getAttemptForStudent(attemptId, studentId);
+  if (!isAcceptingEvents(attempt, now)) {
+    throw httpError("This attempt is no longer accepting proctoring events", 409);
+  }
+
+  const normalized = events.map((event) => {
+    const occurredAt = event.occurredAt ? new Date(event.occurredAt) : now;
+    return {
+      type: event.type,
+      // Client clocks drift; never trust a timestamp from the future
+      occurredAt: occurredAt > now ? now : occurredAt,
+      receivedAt: now,
+      durationSeconds: event.durationSeconds || 0,
+      sessionId: client.sessionId,
+      source: "client",
+      details: event.details,
+    };
+  });
+  const sessionEvent = registerSession(attempt, client, now);
+  if (sessionEvent) {
+    normalized.unshift(sessionEvent);
+  }
+
+  const accepted = pushEvents(attempt, normalized);
+  applySuspicionScore(attempt);
+  await attempt.save();
+
+  return { accepted };
+};
+
+/**
+ * Record an event the server observed itself, e.g. a second socket joining
+ * a running attempt. Attempts that are no longer running are left alone.
+ */
+export const recordServerProctoringEvent = async (attemptId, event, now = new Date()) => {
+  const attempt = await TestAttempt.findById(attemptId);
+  if (!attempt || attempt.status !== "in-progress") {
+    return null;
+  }
+
+  pushEvents(attempt, [
+    { ...event, occurredAt: now, receivedAt: now, source: "server" },
+  ]);
+  applySuspicionScore(attempt);
+  await attempt.save();
+  return attempt;
+};
+
+/**
+ * Tests whose attempts the reviewer may see: admins see every test,
+ * educators only their own.
+ * @returns {Promise<Array|null>} Test IDs, or null for no restriction
+ */
+const getReviewableTestIds = async (reviewer, testId) => {
+  if (testId) {
+    if (!mongoose.Types.ObjectId.isValid(testId)) {
+      throw httpError("Invalid test ID");
+    }
+    const test = await Test.findById(testId).select("educatorID");
+    if (!test) {
+      throw httpError("Test not found", 404);
+    }
+    if (
+      reviewer.userType === "educator" &&
+      test.educatorID?.toString() !== reviewer.userId.toString()
+    ) {
+      throw httpError("You can only review attempts on your own tests", 403);
+    }
+    return [test._id];
+  }
+
+  if (reviewer.userType === "admin") {
+    return null;
+  }
+  return Test.find({ educatorID: reviewer.userId }).distinct("_id");
+};
+
+const findReviewableAttempt = async (attemptId, reviewer, select) => {
+  if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+    throw httpError("Invalid attempt ID");
+  }
+
+  const attempt = await TestAttempt.findById(attemptId)
+    .select(select)
+    .populate("studentId", "name username email image")
+    .populate("testId", "title slug educatorID");
+  if (!attempt) {
+    throw httpError("Attempt not found", 404);
+  }
+  if (
+    reviewer.userType === "educator" &&
+    attempt.testId?.educatorID?.toString() !== reviewer.userId.toString()
+  ) {
+    throw httpError("You can only review attempts on your own tests", 403);
+  }
+  return attempt;
+};
+
+const toReviewSummary = (attempt) => ({
+  attemptId: attempt._id,
+  test: attempt.testId
+    ? { id: attempt.testId._id, title: attempt.testId.title, slug: attempt.testId.slug }
+    : null,
+  student: attempt.studentId
+    ? {
+        id: attempt.studentId._id,
+        name: attempt.studentId.name,
+        username: attempt.studentId.username,
+        email: attempt.studentId.email,
+        image: attempt.studentId.image,
+      }
+    : null,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  submittedAt: attempt.submittedAt,
+  score: attempt.score,
+  totalMarks: attempt.totalMarks,
+  suspicionScore: attempt.suspicionScore,
+  isFlagged: attempt.isFlagged,
+  review: attempt.proctoringReview,
+  invalidatedAt: attempt.invalidatedAt,
+  invalidationReason: attempt.invalidationReason,
+});
+
+/**
+ * Attempts for proctoring review, most suspicious first.
+ * @param {Object} reviewer - req.auth ({ userId, userType })
+ * @param {Object} filters - { testId?, flagged?, reviewStatus?, minScore?, invalidated?, page?, limit? }
+ */
+export const listProctoredAttempts = async (reviewer, filters = {}) => {
+  const testIds = await getReviewableTestIds(reviewer, filters.testId);
+
+  const query = {};
+  if (testIds) {
+    query.testId = { $in: testIds };
+  }
+  if (filters.flagged !== undefined) {
+    query.isFlagged = filters.flagged;
+  }
+  if (filters.reviewStatus) {
+    query["proctoringReview.status"] = filters.reviewStatus;
+  }
+  if (filters.minScore !== undefined) {
+    query.suspicionScore = { $gte: filters.minScore };
+  }
+  if (filters.invalidated !== undefined) {
+    query.invalidatedAt = filters.invalidated ? { $ne: null } : null;
+  }
+
+  const currentPage = Math.max(1, parseInt(filters.page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(filters.limit) || 20));
+
+  const [attempts, total] = await Promise.all([
+    TestAttempt.find(query)
+      .select(LISTING_EXCLUDED_FIELDS)
+      .populate("studentId", "name username email image")
+      .populate("testId", "title slug educatorID")
+      .sort({ suspicionScore: -1, startedAt: -1 })
+      .skip((currentPage - 1) * pageSize)
+      .limit(pageSize),
+    TestAttempt.countDocuments(query),
+  ]);
+  const totalPages = Math.ceil(total / pageSize);
+
+  return {
+    attempts: attempts.map(toReviewSummary),
+    pagination: {
+      currentPage,
+      totalPages,
+      totalEntries: total,
+      hasNextPage: currentPage < totalPages,
+      hasPrevPage: currentPage > 1,
+    },
+  };
+};
+
+/**
+ * Everything recorded while an attempt ran: events in order, a per-type
+ * breakdown of the suspicion score and the clients that reported.
+ */
+export const getAttemptProctoring = async (attemptId, reviewer) => {
+  const attempt = await findReviewableAttempt(
+    attemptId,
+    reviewer,
+    "-answers -gradedQuestions -questionOrder -sectionProgress"
+  );
+
+  const events = [...attempt.proctoringEvents].sort(
+    (a, b) => a.occurredAt - b.occurredAt
+  );
+  return {
+    ...toReviewSummary(attempt),
+    flagThreshold: PROCTORING_FLAG_THRESHOLD,
+    breakdown: summarizeProctoringEvents(events),
+    sessions: attempt.proctoringSessions,
+    events,
+  };
+};
+
+/**
+ * Record an educator's or admin's verdict on an attempt's proctoring signals.
+ * @param {Object} review - { status: "cleared" | "confirmed" | "pending", notes? }
+ */
+export const reviewProctoredAttempt = async (attemptId, reviewer, { status, notes }) => {
+  const attempt = await findReviewableAttempt(
+    attemptId,
+    reviewer,
+    LISTING_EXCLUDED_FIELDS
+  );
+
+  attempt.proctoringReview = {
+    status,
+    notes,
+    reviewedBy: reviewer.userId,
+    reviewerModel: reviewer.userType === "admin" ? "Admin" : "Educator",
+    reviewedAt: new Date(),
+  };
+  await attempt.save();
+
+  return toReviewSummary(attempt);
+};
+
+export default {
+  summarizeProctoringEvents,
+  computeSuspicionScore,
+  recordProctoringEvents,
+  recordServerProctoringEvent,
+  listProctoredAttempts,
+  getAttemptProctoring,
+  reviewProctoredAttempt,
+};
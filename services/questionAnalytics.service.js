@@ -0,0 +1,263 @@
+import Test from "../models/test.js";
+import Question from "../models/question.js";
+import TestAttempt from "../models/testAttempt.js";
+import { getCountedAttempts } from "./leaderboard.service.js";
+import { httpError } from "../util/http.js";
+
+// Share of scorers at each end compared by the discrimination index (Kelley's 27%)
+const DISCRIMINATION_GROUP_RATIO = 0.27;
+
+const roundTo2 = (value) => Math.round(value * 100) / 100;
+
+const ratio = (part, whole) => (whole ? roundTo2((part / whole) * 100) : null);
+
+// Matrix-match responses are counted per row/column pair, e.g. "A-P"
+const responseKeys = (response) => {
+  if (response === null || response === undefined) return [];
+  if (typeof response === "object" && !Array.isArray(response)) {
+    return Object.entries(response).flatMap(([row, columns]) =>
+      (Array.isArray(columns) ? columns : [columns]).map(
+        (column) => `${row}-${column}`
+      )
+    );
+  }
+  return (Array.isArray(response) ? response : [response]).map(String);
+};
+
+const createBucket = () => ({
+  served: 0,
+  attempted: 0,
+  correct: 0,
+  totalTimeSpent: 0,
+  optionCounts: {},
+  wrongOptionCounts: {},
+  upperGroupSize: 0,
+  upperCorrect: 0,
+  lowerGroupSize: 0,
+  lowerCorrect: 0,
+});
+
+const mergeBucket = (target, source) => {
+  [
+    "served",
+    "attempted",
+    "correct",
+    "totalTimeSpent",
+    "upperGroupSize",
+    "upperCorrect",
+    "lowerGroupSize",
+    "lowerCorrect",
+  ].forEach((field) => {
+    target[field] += source[field];
+  });
+  ["optionCounts", "wrongOptionCounts"].forEach((field) => {
+    Object.entries(source[field]).forEach(([key, count]) => {
+      target[field][key] = (target[field][key] || 0) + count;
+    });
+  });
+  return target;
+};
+
+/**
+ * Accumulate raw per-question counters from a test's graded attempts.
+ * Upper and lower groups are the top and bottom scorers on that test.
+ * @param {Array<{score, gradedQuestions}>} attempts
+ * @returns {Map<string, Object>} questionId -> counters
+ */
+const accumulateQuestionStats = (attempts) => {
+  const buckets = new Map();
+  const sorted = [...attempts].sort((a, b) => b.score - a.score);
+  const groupSize =
+    sorted.length >= 2
+      ? Math.max(1, Math.round(sorted.length * DISCRIMINATION_GROUP_RATIO))
+      : 0;
+
+  sorted.forEach((attempt, index) => {
+    const inUpper = index < groupSize;
+    const inLower = groupSize > 0 && index >= sorted.length - groupSize;
+
+    attempt.gradedQuestions.forEach((graded) => {
+      const key = graded.questionId.toString();
+      const bucket = buckets.get(key) || createBucket();
+
+      bucket.served += 1;
+      if (inUpper) {
+        bucket.upperGroupSize += 1;
+        if (graded.isCorrect) bucket.upperCorrect += 1;
+      }
+      if (inLower) {
+        bucket.lowerGroupSize += 1;
+        if (graded.isCorrect) bucket.lowerCorrect += 1;
+      }
+
+      if (graded.isAttempted) {
+        bucket.attempted += 1;
+        bucket.totalTimeSpent += graded.timeSpent || 0;
+
+        const correctKeys = new Set(responseKeys(graded.correctAnswer));
+        responseKeys(graded.response).forEach((option) => {
+          bucket.optionCounts[option] = (bucket.optionCounts[option] || 0) + 1;
+          if (!graded.isCorrect && !correctKeys.has(option)) {
+            bucket.wrongOptionCounts[option] =
+              (bucket.wrongOptionCounts[option] || 0) + 1;
+          }
+        });
+      }
+      if (graded.isCorrect) {
+        bucket.correct += 1;
+      }
+
+      buckets.set(key, bucket);
+    });
+  });
+
+  return buckets;
+};
+
+/**
+ * Turn raw counters into the metrics reported to educators.
+ */
+const summarizeBucket = (bucket) => {
+  const [mostPickedWrongOption, mostPickedWrongCount] = Object.entries(
+    bucket.wrongOptionCounts
+  ).sort((a, b) => b[1] - a[1])[0] || [null, 0];
+
+  const hasGroups = bucket.upperGroupSize > 0 && bucket.lowerGroupSize > 0;
+
+  return {
+    served: bucket.served,
+    attempted: bucket.attempted,
+    correct: bucket.correct,
+    attemptRate: ratio(bucket.attempted, bucket.served),
+    accuracy: ratio(bucket.correct, bucket.attempted),
+    averageTimeSpent: bucket.attempted
+      ? roundTo2(bucket.totalTimeSpent / bucket.attempted)
+      : null,
+    optionDistribution: bucket.optionCounts,
+    mostPickedWrongOption,
+    mostPickedWrongCount,
+    // Ranges from -1 to 1; higher means top scorers answer it correctly far
+    // more often than bottom scorers
+    discriminationIndex: hasGroups
+      ? roundTo2(
+          bucket.upperCorrect / bucket.upperGroupSize -
+            bucket.lowerCorrect / bucket.lowerGroupSize
+        )
+      : null,
+  };
+};
+
+const loadCountedAttemptDocs = async (testIds) => {
+  const counted = await getCountedAttempts(testIds);
+  if (!counted.length) {
+    return [];
+  }
+
+  return TestAttempt.find({
+    _id: { $in: counted.map((row) => row.attemptId) },
+  })
+    .select("testId score gradedQuestions")
+    .lean();
+};
+
+const assertCanAnalyze = (ownerId, auth) => {
+  if (auth?.userType === "educator" && ownerId?.toString() !== auth.userId.toString()) {
+    throw httpError("You can only view analytics for your own content", 403);
+  }
+};
+
+/**
+ * Per-question analytics for every question of a test.
+ */
+export const getTestQuestionAnalytics = async (testId, auth) => {
+  const test = await Test.findById(testId).select(
+    "title educatorID questions"
+  );
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+  assertCanAnalyze(test.educatorID, auth);
+
+  const attempts = await loadCountedAttemptDocs([test._id]);
+  const buckets = accumulateQuestionStats(attempts);
+  const questions = await Question.find({ _id: { $in: test.questions } })
+    .select("title questionType difficulty topics correctOptions")
+    .lean();
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  return {
+    test: { id: test._id, title: test.title },
+    totalParticipants: attempts.length,
+    questions: test.questions.map((questionId) => {
+      const key = questionId.toString();
+      const question = byId.get(key);
+      return {
+        questionId,
+        title: question?.title,
+        questionType: question?.questionType,
+        difficulty: question?.difficulty,
+        topics: question?.topics || [],
+        correctOptions: question?.correctOptions,
+        ...summarizeBucket(buckets.get(key) || createBucket()),
+      };
+    }),
+  };
+};
+
+/**
+ * Analytics for one question across every test it is linked to,
+ * with a per-test breakdown and pooled totals.
+ */
+export const getQuestionAnalyticsAcrossTests = async (questionId, auth) => {
+  const question = await Question.findById(questionId)
+    .select("title questionType difficulty topics correctOptions educatorId tests")
+    .lean();
+  if (!question) {
+    throw httpError("Question not found", 404);
+  }
+  assertCanAnalyze(question.educatorId, auth);
+
+  // Question.tests may lag behind Test.questions, so check both directions
+  const tests = await Test.find({
+    $or: [{ _id: { $in: question.tests || [] } }, { questions: question._id }],
+  })
+    .select("title")
+    .lean();
+
+  const attempts = await loadCountedAttemptDocs(tests.map((t) => t._id));
+  const key = question._id.toString();
+  const overall = createBucket();
+
+  const perTest = tests.map((test) => {
+    const testAttempts = attempts.filter(
+      (attempt) => attempt.testId.toString() === test._id.toString()
+    );
+    const bucket =
+      accumulateQuestionStats(testAttempts).get(key) || createBucket();
+    mergeBucket(overall, bucket);
+    return {
+      testId: test._id,
+      title: test.title,
+      participants: testAttempts.length,
+      ...summarizeBucket(bucket),
+    };
+  });
+
+  return {
+    question: {
+      id: question._id,
+      title: question.title,
+      questionType: question.questionType,
+      difficulty: question.difficulty,
+      topics: question.topics || [],
+      correctOptions: question.correctOptions,
+    },
+    overall: summarizeBucket(overall),
+    tests: perTest,
+  };
+};
+
+export default {
+  getTestQuestionAnalytics,
+  getQuestionAnalyticsAcrossTests,
+};
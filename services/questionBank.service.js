@@ -0,0 +1,946 @@
+import Question, { OPTION_KEYS } from "../models/question.js";
+import Educator from "../models/educator.js";
+import { assertValidQuestionPayload } from "../util/validation.js";
+import { QUESTION_BANK_FORMATS } from "../util/constants.js";
+import {
+  cdata,
+  childElements,
+  decodeEntities,
+  escapeXml,
+  findAll,
+  firstChild,
+  parseXml,
+  textContent,
+} from "../util/xml.js";
+import { httpError } from "../util/http.js";
+
+// List-II keys for matrix-match questions, as printed in JEE papers
+const MATRIX_COLUMN_KEYS = ["P", "Q", "R", "S", "T", "U", "V", "W"];
+
+const MAX_EXPORT_QUESTIONS = 2000;
+
+const FILE_DETAILS = {
+  "moodle-xml": { extension: "xml", contentType: "application/xml" },
+  gift: { extension: "gift.txt", contentType: "text/plain; charset=utf-8" },
+  qti: { extension: "qti.xml", contentType: "application/xml" },
+};
+
+const roundTo5 = (value) => Math.round(value * 100000) / 100000;
+
+const lastPathSegment = (value = "") =>
+  value
+    .split("/")
+    .map((part) => part.trim())
+    .filter((part) => part && !part.startsWith("$"))
+    .pop();
+
+/**
+ * Convert the HTML produced by Moodle editors into Markdown-ish text,
+ * keeping sub/superscripts as LaTeX.
+ */
+const htmlToText = (html = "") =>
+  decodeEntities(
+    html
+      .replace(/<sub>(.*?)<\/sub>/gi, (_, value) => `$_{${value}}$`)
+      .replace(/<sup>(.*?)<\/sup>/gi, (_, value) => `$^{${value}}$`)
+      .replace(/<br\s*\/?>/gi, "\n")
+      .replace(/<\/(p|div|li|h\d)>/gi, "\n")
+      .replace(/<[^>]+>/g, "")
+  )
+    .replace(/\n{3,}/g, "\n\n")
+    .trim();
+
+const assignOptionKeys = (choices) => {
+  if (choices.length > OPTION_KEYS.length) {
+    throw new Error(`At most ${OPTION_KEYS.length} options are supported`);
+  }
+  return choices.map((choice, index) => ({ ...choice, key: OPTION_KEYS[index] }));
+};
+
+const buildChoicePayload = (choices, isSingle) => {
+  const keyed = assignOptionKeys(choices);
+  const options = Object.fromEntries(keyed.map((c) => [c.key, c.text]));
+  const correct = keyed.filter((c) => c.weight > 0);
+  if (!correct.length) {
+    throw new Error("No correct option");
+  }
+
+  if (isSingle) {
+    const best = correct.reduce((a, b) => (b.weight > a.weight ? b : a));
+    return { questionType: "single-select", options, correctOptions: best.key };
+  }
+  return {
+    questionType: "multi-select",
+    options,
+    correctOptions: correct.map((c) => c.key),
+  };
+};
+
+const buildMatrixPayload = (pairs, extraColumns = []) => {
+  const columnTexts = [
+    ...new Set([...pairs.map((p) => p.column), ...extraColumns]),
+  ];
+  if (pairs.length > OPTION_KEYS.length || columnTexts.length > MATRIX_COLUMN_KEYS.length) {
+    throw new Error("Too many matrix rows or columns");
+  }
+  const columns = columnTexts.map((text, index) => ({
+    key: MATRIX_COLUMN_KEYS[index],
+    text,
+  }));
+  const rows = pairs.map((pair, index) => ({ key: OPTION_KEYS[index], text: pair.row }));
+  const keyByText = new Map(columns.map((c) => [c.text, c.key]));
+
+  return {
+    questionType: "matrix-match",
+    matrix: { rows, columns },
+    correctOptions: Object.fromEntries(
+      pairs.map((pair, index) => [OPTION_KEYS[index], [keyByText.get(pair.column)]])
+    ),
+  };
+};
+
+// ==================== Moodle XML ====================
+
+const moodleText = (node) => {
+  const text = textContent(firstChild(node, "text"));
+  return node?.attributes?.format === "html" ? htmlToText(text) : text.trim();
+};
+
+const mapMoodleQuestion = (question) => {
+  const type = question.attributes.type;
+  const answers = childElements(question, "answer");
+  let payload;
+
+  if (type === "multichoice") {
+    const isSingle =
+      textContent(firstChild(question, "single")).trim() !== "false";
+    payload = buildChoicePayload(
+      answers.map((answer) => ({
+        text: moodleText(answer),
+        weight: Number(answer.attributes.fraction) || 0,
+      })),
+      isSingle
+    );
+  } else if (type === "truefalse") {
+    const trueAnswer = answers.find(
+      (answer) => moodleText(answer).toLowerCase() === "true"
+    );
+    payload = {
+      questionType: "single-select",
+      options: { A: "True", B: "False" },
+      correctOptions: Number(trueAnswer?.attributes.fraction) > 0 ? "A" : "B",
+    };
+  } else if (type === "numerical") {
+    const answer = answers.find((a) => Number(a.attributes.fraction) === 100);
+    const value = Number(moodleText(answer));
+    if (!answer || !Number.isFinite(value)) {
+      throw new Error("Numerical question needs a fully correct numeric answer");
+    }
+    payload = {
+      questionType: "numeric",
+      correctOptions: value,
+      tolerance: Math.abs(Number(textContent(firstChild(answer, "tolerance")))) || 0,
+    };
+  } else if (type === "matching") {
+    const subquestions = childElements(question, "subquestion").map((sub) => ({
+      row: moodleText(sub),
+      column: textContent(firstChild(firstChild(sub, "answer"), "text")).trim(),
+    }));
+    // Subquestions without text are distractor answers
+    payload = buildMatrixPayload(
+      subquestions.filter((sub) => sub.row),
+      subquestions.filter((sub) => !sub.row).map((sub) => sub.column)
+    );
+  } else {
+    throw new Error(`Unsupported Moodle question type "${type}"`);
+  }
+
+  const grade = Number(textContent(firstChild(question, "defaultgrade")));
+  return {
+    ...payload,
+    title: moodleText(firstChild(question, "questiontext")),
+    explanation: moodleText(firstChild(question, "generalfeedback")),
+    marks: { positive: grade > 0 ? grade : 1, negative: 0 },
+    tags: findAll(firstChild(question, "tags"), "tag")
+      .map((tag) => textContent(firstChild(tag, "text")).trim())
+      .filter(Boolean),
+  };
+};
+
+const parseMoodleXml = (content) => {
+  const document = parseXml(content);
+  const quiz = findAll(document, "quiz")[0];
+  if (!quiz) {
+    throw httpError("Moodle XML must have a <quiz> root element");
+  }
+
+  const items = [];
+  let category;
+  childElements(quiz, "question").forEach((question) => {
+    if (question.attributes.type === "category") {
+      category = lastPathSegment(
+        textContent(firstChild(firstChild(question, "category"), "text"))
+      );
+      return;
+    }
+
+    const row = items.length + 1;
+    const name = textContent(firstChild(firstChild(question, "name"), "text")).trim();
+    try {
+      const payload = mapMoodleQuestion(question);
+      items.push({ row, name, payload, topics: category ? [category] : [] });
+    } catch (error) {
+      items.push({ row, name, error: error.message });
+    }
+  });
+  return items;
+};
+
+const moodleTextNode = (tag, text, attributes = "") =>
+  `<${tag}${attributes} format="markdown"><text>${cdata(text)}</text></${tag}>`;
+
+const toMoodleQuestion = (question, text) => {
+  const name = `<name><text>${escapeXml(question.slug || question._id)}</text></name>`;
+  const common = [
+    name,
+    moodleTextNode("questiontext", text),
+    moodleTextNode("generalfeedback", question.explanation || ""),
+    `<defaultgrade>${question.marks?.positive ?? 1}</defaultgrade>`,
+  ];
+  const tags = (question.tags || []).length
+    ? `<tags>${question.tags
+        .map((tag) => `<tag><text>${escapeXml(tag)}</text></tag>`)
+        .join("")}</tags>`
+    : "";
+  const answer = (fraction, body, extra = "") =>
+    `<answer fraction="${roundTo5(fraction)}" format="markdown"><text>${cdata(body)}</text>${extra}</answer>`;
+
+  switch (question.questionType) {
+    case "single-select":
+    case "assertion-reason":
+    case "multi-select": {
+      const keys = OPTION_KEYS.filter((key) => question.options?.[key]);
+      const correct = [].concat(question.correctOptions);
+      const isSingle = question.questionType !== "multi-select";
+      const wrongCount = keys.length - correct.length;
+      const answers = keys.map((key) => {
+        if (correct.includes(key)) {
+          return answer(100 / (isSingle ? 1 : correct.length), question.options[key]);
+        }
+        return answer(isSingle || !wrongCount ? 0 : -100 / wrongCount, question.options[key]);
+      });
+      return `<question type="multichoice">${common.join("")}<single>${isSingle}</single><shuffleanswers>false</shuffleanswers>${answers.join("")}${tags}</question>`;
+    }
+    case "integer":
+    case "numeric": {
+      const { value, tolerance } = toValueAndTolerance(question);
+      return `<question type="numerical">${common.join("")}${answer(
+        100,
+        String(value),
+        `<tolerance>${tolerance}</tolerance>`
+      )}${tags}</question>`;
+    }
+    case "matrix-match": {
+      const pairs = toSingleColumnPairs(question);
+      const subquestions = pairs.map(
+        ({ row, column }) =>
+          `<subquestion format="markdown"><text>${cdata(row)}</text><answer><text>${escapeXml(column)}</text></answer></subquestion>`
+      );
+      return `<question type="matching">${common.join("")}${subquestions.join("")}${tags}</question>`;
+    }
+    default:
+      throw new Error(`Cannot export question type "${question.questionType}"`);
+  }
+};
+
+// ==================== GIFT ====================
+
+// Escaped GIFT control characters are swapped for private-use placeholders while parsing
+const GIFT_SPECIALS = ["~", "=", "#", "{", "}", ":"];
+const GIFT_PLACEHOLDER_BASE = 0xe000;
+
+const protectGiftEscapes = (text) =>
+  text.replace(/\\([~=#{}:])/g, (_, char) =>
+    String.fromCharCode(GIFT_PLACEHOLDER_BASE + GIFT_SPECIALS.indexOf(char))
+  );
+
+const restoreGiftEscapes = (text = "") =>
+  text
+    .replace(/[\uE000-\uE005]/g, (char) =>
+      GIFT_SPECIALS[char.charCodeAt(0) - GIFT_PLACEHOLDER_BASE]
+    )
+    .replace(/\\n/g, "\n")
+    .trim();
+
+const escapeGift = (text = "") =>
+  String(text).replace(/([~=#{}:])/g, "\\$1").replace(/\n/g, "\\n");
+
+const stripGiftFeedback = (text) => text.split("#")[0];
+
+const parseGiftText = (text) => {
+  const format = text.match(/^\s*\[(html|markdown|plain|moodle)\]/i);
+  const body = format ? text.slice(format[0].length) : text;
+  const restored = restoreGiftEscapes(body);
+  return format?.[1].toLowerCase() === "html" ? htmlToText(restored) : restored;
+};
+
+const parseGiftAnswers = (answerBlock) => {
+  const [answersPart, generalFeedback] = answerBlock.split("####");
+  const answers = answersPart.trim();
+
+  if (!answers) {
+    throw new Error("Essay questions are not supported");
+  }
+
+  if (answers.startsWith("#")) {
+    const numeric = answers.slice(1).trim();
+    const first = numeric
+      .split(/(?==)/)
+      .map((part) => stripGiftFeedback(part.replace(/^=(%100%)?/, "")).trim())
+      .find(Boolean);
+    const range = first.match(/^(-?[\d.]+)\.\.(-?[\d.]+)$/);
+    if (range) {
+      return {
+        generalFeedback,
+        payload: {
+          questionType: "numeric",
+          correctOptions: { min: Number(range[1]), max: Number(range[2]) },
+        },
+      };
+    }
+    const [value, tolerance] = first.split(":").map(Number);
+    if (!Number.isFinite(value)) {
+      throw new Error("Numeric answer is not a number");
+    }
+    return {
+      generalFeedback,
+      payload: {
+        questionType: "numeric",
+        correctOptions: value,
+        tolerance: Math.abs(tolerance) || 0,
+      },
+    };
+  }
+
+  const trueFalse = answers.match(/^(T|TRUE|F|FALSE)\b/i);
+  if (trueFalse) {
+    return {
+      generalFeedback,
+      payload: {
+        questionType: "single-select",
+        options: { A: "True", B: "False" },
+        correctOptions: trueFalse[1].toUpperCase().startsWith("T") ? "A" : "B",
+      },
+    };
+  }
+
+  const entries = answers
+    .split(/(?=[=~])/)
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+
+  if (entries.some((entry) => entry.includes("->"))) {
+    const pairs = entries.map((entry) => {
+      const [row, column] = entry.slice(1).split("->");
+      return {
+        row: restoreGiftEscapes(row),
+        column: restoreGiftEscapes(stripGiftFeedback(column || "")),
+      };
+    });
+    return {
+      generalFeedback,
+      payload: buildMatrixPayload(
+        pairs.filter((pair) => pair.row),
+        pairs.filter((pair) => !pair.row).map((pair) => pair.column)
+      ),
+    };
+  }
+
+  const choices = entries.map((entry) => {
+    const weightMatch = entry.slice(1).match(/^\s*%(-?[\d.]+)%/);
+    const text = weightMatch
+      ? entry.slice(1).slice(weightMatch[0].length)
+      : entry.slice(1);
+    const weight = weightMatch
+      ? Number(weightMatch[1])
+      : entry.startsWith("=")
+      ? 100
+      : 0;
+    return { text: restoreGiftEscapes(stripGiftFeedback(text)), weight };
+  });
+
+  if (!choices.some((choice) => choice.weight <= 0)) {
+    throw new Error("Short-answer questions are not supported");
+  }
+
+  const hasWeights = entries.some((entry) => /^~\s*%/.test(entry));
+  const fullyCorrect = choices.filter((choice) => choice.weight >= 100).length;
+  return {
+    generalFeedback,
+    payload: buildChoicePayload(choices, !hasWeights && fullyCorrect === 1),
+  };
+};
+
+const parseGift = (content) => {
+  const items = [];
+  let category;
+  const lines = content
+    .replace(/\r\n?/g, "\n")
+    .split("\n")
+    .filter((line) => !line.trim().startsWith("//"));
+
+  const blocks = [];
+  let current = [];
+  lines.forEach((line) => {
+    if (line.trim()) {
+      current.push(line);
+    } else if (current.length) {
+      blocks.push(current.join("\n"));
+      current = [];
+    }
+  });
+  if (current.length) blocks.push(current.join("\n"));
+
+  blocks.forEach((block) => {
+    const categoryMatch = block.match(/^\s*\$CATEGORY:\s*(.+)$/m);
+    if (categoryMatch) {
+      category = lastPathSegment(categoryMatch[1]);
+      block = block.replace(categoryMatch[0], "");
+      if (!block.trim()) return;
+    }
+
+    const row = items.length + 1;
+    let protectedBlock = protectGiftEscapes(block.trim());
+    const nameMatch = protectedBlock.match(/^::(.*?)::/s);
+    const name = nameMatch ? restoreGiftEscapes(nameMatch[1]) : undefined;
+    if (nameMatch) protectedBlock = protectedBlock.slice(nameMatch[0].length);
+
+    try {
+      const open = protectedBlock.indexOf("{");
+      const close = protectedBlock.lastIndexOf("}");
+      if (open === -1 || close < open) {
+        throw new Error("Missing answer block { ... }");
+      }
+
+      const before = protectedBlock.slice(0, open);
+      const after = protectedBlock.slice(close + 1);
+      const { payload, generalFeedback } = parseGiftAnswers(
+        protectedBlock.slice(open + 1, close)
+      );
+      const title = parseGiftText(after.trim() ? `${before} _____ ${after}` : before);
+
+      items.push({
+        row,
+        name,
+        topics: category ? [category] : [],
+        payload: {
+          ...payload,
+          title,
+          explanation: generalFeedback ? restoreGiftEscapes(generalFeedback) : "",
+        },
+      });
+    } catch (error) {
+      items.push({ row, name, error: error.message });
+    }
+  });
+
+  return items;
+};
+
+const toGiftQuestion = (question, text) => {
+  const header = `::${escapeGift(question.slug || question._id)}::[markdown]${escapeGift(text)}`;
+  const feedback = question.explanation
+    ? ` ####${escapeGift(question.explanation)}`
+    : "";
+
+  switch (question.questionType) {
+    case "single-select":
+    case "assertion-reason": {
+      const keys = OPTION_KEYS.filter((key) => question.options?.[key]);
+      const answers = keys.map(
+        (key) =>
+          `${key === question.correctOptions ? "=" : "~"}${escapeGift(question.options[key])}`
+      );
+      return `${header} {\n${answers.join("\n")}${feedback}\n}`;
+    }
+    case "multi-select": {
+      const keys = OPTION_KEYS.filter((key) => question.options?.[key]);
+      const correct = [].concat(question.correctOptions);
+      const wrongCount = keys.length - correct.length;
+      const answers = keys.map((key) => {
+        const weight = correct.includes(key)
+          ? 100 / correct.length
+          : wrongCount
+          ? -100 / wrongCount
+          : 0;
+        return `~%${roundTo5(weight)}%${escapeGift(question.options[key])}`;
+      });
+      return `${header} {\n${answers.join("\n")}${feedback}\n}`;
+    }
+    case "integer":
+    case "numeric": {
+      const { value, tolerance } = toValueAndTolerance(question);
+      return `${header} {#${value}:${tolerance}${feedback}}`;
+    }
+    case "matrix-match": {
+      const pairs = toSingleColumnPairs(question).map(
+        ({ row, column }) => `=${escapeGift(row)} -> ${escapeGift(column)}`
+      );
+      return `${header} {\n${pairs.join("\n")}${feedback}\n}`;
+    }
+    default:
+      throw new Error(`Cannot export question type "${question.questionType}"`);
+  }
+};
+
+// ==================== IMS QTI (2.1 and 3.0) ====================
+
+// QTI 3 uses kebab-case names with a "qti-" prefix; map them onto QTI 2.1 names
+const normalizeQtiNames = (node) => {
+  if (typeof node === "string") return node;
+  let name = node.name.split(":").pop();
+  if (name.startsWith("qti-")) {
+    name = name
+      .slice(4)
+      .replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+  }
+  const attributes = Object.fromEntries(
+    Object.entries(node.attributes).map(([key, value]) => [
+      key.replace(/-([a-z])/g, (_, char) => char.toUpperCase()),
+      value,
+    ])
+  );
+  return { name, attributes, children: node.children.map(normalizeQtiNames) };
+};
+
+const INTERACTION_NAMES = [
+  "choiceInteraction",
+  "textEntryInteraction",
+  "extendedTextInteraction",
+  "matchInteraction",
+];
+
+// Item body text without the interactions themselves
+const qtiBodyText = (node) => {
+  if (typeof node === "string") return node;
+  if (INTERACTION_NAMES.includes(node.name) || node.name === "modalFeedback") {
+    return "";
+  }
+  const text = node.children.map(qtiBodyText).join("");
+  return ["p", "div", "br", "li"].includes(node.name) ? `${text}\n` : text;
+};
+
+const mapQtiItem = (item) => {
+  const body = firstChild(item, "itemBody");
+  const declaration =
+    childElements(item, "responseDeclaration").find(
+      (d) => d.attributes.identifier === "RESPONSE"
+    ) || firstChild(item, "responseDeclaration");
+  const correctValues = findAll(firstChild(declaration, "correctResponse"), "value").map(
+    (value) => textContent(value).trim()
+  );
+  if (!correctValues.length) {
+    throw new Error("Item has no correctResponse");
+  }
+
+  const [choice] = findAll(body, "choiceInteraction");
+  const [match] = findAll(body, "matchInteraction");
+  const [textEntry] = [
+    ...findAll(body, "textEntryInteraction"),
+    ...findAll(body, "extendedTextInteraction"),
+  ];
+  const prompt = textContent(firstChild(choice || match || textEntry, "prompt")).trim();
+  let payload;
+
+  if (choice) {
+    const choices = findAll(choice, "simpleChoice").map((simple) => ({
+      identifier: simple.attributes.identifier,
+      text: textContent(simple).trim(),
+    }));
+    const isSingle =
+      declaration.attributes.cardinality === "single" ||
+      choice.attributes.maxChoices === "1";
+    payload = buildChoicePayload(
+      choices.map((c) => ({
+        text: c.text,
+        weight: correctValues.includes(c.identifier) ? 100 : 0,
+      })),
+      isSingle
+    );
+  } else if (match) {
+    const [rowSet, columnSet] = childElements(match, "simpleMatchSet").map((set) =>
+      findAll(set, "simpleAssociableChoice").map((c) => ({
+        identifier: c.attributes.identifier,
+        text: textContent(c).trim(),
+      }))
+    );
+    if (!rowSet || !columnSet) {
+      throw new Error("matchInteraction needs two simpleMatchSet elements");
+    }
+    if (rowSet.length > OPTION_KEYS.length || columnSet.length > MATRIX_COLUMN_KEYS.length) {
+      throw new Error("Too many matrix rows or columns");
+    }
+    const rowKey = new Map(rowSet.map((r, i) => [r.identifier, OPTION_KEYS[i]]));
+    const columnKey = new Map(columnSet.map((c, i) => [c.identifier, MATRIX_COLUMN_KEYS[i]]));
+    const correctOptions = {};
+    correctValues.forEach((pair) => {
+      const [rowId, columnId] = pair.split(/\s+/);
+      const row = rowKey.get(rowId);
+      const column = columnKey.get(columnId);
+      if (!row || !column) {
+        throw new Error(`Unknown directedPair "${pair}"`);
+      }
+      correctOptions[row] = [...(correctOptions[row] || []), column].sort();
+    });
+    payload = {
+      questionType: "matrix-match",
+      matrix: {
+        rows: rowSet.map((r) => ({ key: rowKey.get(r.identifier), text: r.text })),
+        columns: columnSet.map((c) => ({ key: columnKey.get(c.identifier), text: c.text })),
+      },
+      correctOptions,
+    };
+  } else if (textEntry) {
+    const value = Number(correctValues[0]);
+    if (!Number.isFinite(value)) {
+      throw new Error("Only numeric text-entry items are supported");
+    }
+    const toleranceNode = findAll(firstChild(item, "responseProcessing"), "equal")[0];
+    const tolerance = Number(
+      (toleranceNode?.attributes.tolerance || "").split(/\s+/)[0]
+    );
+    payload =
+      declaration.attributes.baseType === "integer" && !(tolerance > 0)
+        ? { questionType: "integer", correctOptions: value }
+        : {
+            questionType: "numeric",
+            correctOptions: value,
+            tolerance: Math.abs(tolerance) || 0,
+          };
+  } else {
+    throw new Error("Unsupported QTI interaction");
+  }
+
+  const stem = [qtiBodyText(body).trim(), prompt].filter(Boolean).join("\n\n");
+  return {
+    ...payload,
+    title: stem.replace(/\n{3,}/g, "\n\n") || item.attributes.title,
+    explanation: childElements(item, "modalFeedback")
+      .map((feedback) => textContent(feedback).trim())
+      .join("\n\n"),
+  };
+};
+
+const parseQti = (content) => {
+  const document = normalizeQtiNames(parseXml(content));
+  const assessmentItems = findAll(document, "assessmentItem");
+  if (!assessmentItems.length) {
+    throw httpError("No QTI assessmentItem elements found");
+  }
+
+  return assessmentItems.map((item, index) => {
+    const row = index + 1;
+    const name = item.attributes.title || item.attributes.identifier;
+    try {
+      return { row, name, payload: mapQtiItem(item), topics: [] };
+    } catch (error) {
+      return { row, name, error: error.message };
+    }
+  });
+};
+
+const qtiText = (text) => `<div>${escapeXml(text)}</div>`;
+
+const toQtiItem = (question, text) => {
+  const identifier = `q-${question._id}`;
+  const feedback = question.explanation
+    ? `<modalFeedback outcomeIdentifier="FEEDBACK" identifier="explanation" showHide="show">${escapeXml(question.explanation)}</modalFeedback>`
+    : "";
+  const outcomes =
+    '<outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"><defaultValue><value>0</value></defaultValue></outcomeDeclaration>' +
+    '<outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>';
+  const matchCorrect =
+    '<responseProcessing template="http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct"/>';
+  const wrap = (declaration, interaction, processing = matchCorrect) =>
+    `<assessmentItem xmlns="http://www.imsglobal.org/xsd/imsqti_v2p1" identifier="${identifier}" title="${escapeXml(
+      question.slug || identifier
+    )}" adaptive="false" timeDependent="false">${declaration}${outcomes}<itemBody>${qtiText(
+      text
+    )}${interaction}</itemBody>${processing}${feedback}</assessmentItem>`;
+  const values = (list) => list.map((value) => `<value>${escapeXml(value)}</value>`).join("");
+
+  switch (question.questionType) {
+    case "single-select":
+    case "assertion-reason":
+    case "multi-select": {
+      const keys = OPTION_KEYS.filter((key) => question.options?.[key]);
+      const correct = [].concat(question.correctOptions);
+      const isSingle = question.questionType !== "multi-select";
+      const choices = keys
+        .map(
+          (key) =>
+            `<simpleChoice identifier="${key}">${escapeXml(question.options[key])}</simpleChoice>`
+        )
+        .join("");
+      return wrap(
+        `<responseDeclaration identifier="RESPONSE" cardinality="${
+          isSingle ? "single" : "multiple"
+        }" baseType="identifier"><correctResponse>${values(correct)}</correctResponse></responseDeclaration>`,
+        `<choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${
+          isSingle ? 1 : 0
+        }">${choices}</choiceInteraction>`
+      );
+    }
+    case "integer":
+    case "numeric": {
+      const { value, tolerance } = toValueAndTolerance(question);
+      const baseType = question.questionType === "integer" ? "integer" : "float";
+      const processing = `<responseProcessing><responseCondition><responseIf><equal toleranceMode="absolute" tolerance="${tolerance} ${tolerance}"><variable identifier="RESPONSE"/><correct identifier="RESPONSE"/></equal><setOutcomeValue identifier="SCORE"><baseValue baseType="float">1</baseValue></setOutcomeValue></responseIf></responseCondition></responseProcessing>`;
+      return wrap(
+        `<responseDeclaration identifier="RESPONSE" cardinality="single" baseType="${baseType}"><correctResponse>${values([
+          value,
+        ])}</correctResponse></responseDeclaration>`,
+        '<p><textEntryInteraction responseIdentifier="RESPONSE"/></p>',
+        processing
+      );
+    }
+    case "matrix-match": {
+      const rows = question.matrix?.rows || [];
+      const columns = question.matrix?.columns || [];
+      const pairs = Object.entries(question.correctOptions || {}).flatMap(
+        ([row, cols]) => [].concat(cols).map((col) => `${row} ${col}`)
+      );
+      const set = (entries, matchMax) =>
+        `<simpleMatchSet>${entries
+          .map(
+            (entry) =>
+              `<simpleAssociableChoice identifier="${escapeXml(entry.key)}" matchMax="${matchMax}">${escapeXml(
+                entry.text
+              )}</simpleAssociableChoice>`
+          )
+          .join("")}</simpleMatchSet>`;
+      return wrap(
+        `<responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair"><correctResponse>${values(
+          pairs
+        )}</correctResponse></responseDeclaration>`,
+        `<matchInteraction responseIdentifier="RESPONSE" shuffle="false" maxAssociations="${
+          rows.length * columns.length
+        }">${set(rows, columns.length)}${set(columns, rows.length)}</matchInteraction>`
+      );
+    }
+    default:
+      throw new Error(`Cannot export question type "${question.questionType}"`);
+  }
+};
+
+// ==================== Export helpers ====================
+
+const toValueAndTolerance = (question) => {
+  const key = question.correctOptions;
+  if (key && typeof key === "object") {
+    return {
+      value: roundTo5((Number(key.min) + Number(key.max)) / 2),
+      tolerance: roundTo5((Number(key.max) - Number(key.min)) / 2),
+    };
+  }
+  return { value: Number(key), tolerance: Number(question.tolerance) || 0 };
+};
+
+// Moodle matching and GIFT can only express one column per row
+const toSingleColumnPairs = (question) => {
+  const columnText = new Map(
+    (question.matrix?.columns || []).map((c) => [c.key, c.text])
+  );
+  return (question.matrix?.rows || []).map((row) => {
+    const columns = [].concat(question.correctOptions?.[row.key] || []);
+    if (columns.length !== 1) {
+      throw new Error(
+        "Matrix-match rows with several correct columns cannot be exported to this format"
+      );
+    }
+    return { row: row.text, column: columnText.get(columns[0]) };
+  });
+};
+
+// Question text as exported: passage first, assertion/reason appended
+const buildExportText = (question) => {
+  const parts = [];
+  if (question.passage?.content) parts.push(question.passage.content);
+  parts.push(question.title);
+  if (question.questionType === "assertion-reason") {
+    parts.push(`Assertion: ${question.assertion}`, `Reason: ${question.reason}`);
+  }
+  return parts.join("\n\n");
+};
+
+const EXPORT_WRITERS = {
+  "moodle-xml": {
+    write: toMoodleQuestion,
+    wrap: (entries, skipped) =>
+      `<?xml version="1.0" encoding="UTF-8"?>\n<quiz>\n${skipped
+        .map((s) => `<!-- Skipped ${escapeXml(s.id)}: ${escapeXml(s.error)} -->\n`)
+        .join("")}${entries.join("\n")}\n</quiz>\n`,
+  },
+  gift: {
+    write: toGiftQuestion,
+    wrap: (entries, skipped) =>
+      `${skipped.map((s) => `// Skipped ${s.id}: ${s.error}\n`).join("")}${entries.join(
+        "\n\n"
+      )}\n`,
+  },
+  qti: {
+    write: toQtiItem,
+    // Each child is a standalone QTI 2.1 assessmentItem
+    wrap: (entries, skipped) =>
+      `<?xml version="1.0" encoding="UTF-8"?>\n<assessmentItems>\n${skipped
+        .map((s) => `<!-- Skipped ${escapeXml(s.id)}: ${escapeXml(s.error)} -->\n`)
+        .join("")}${entries.join("\n")}\n</assessmentItems>\n`,
+  },
+};
+
+const PARSERS = {
+  "moodle-xml": parseMoodleXml,
+  gift: parseGift,
+  qti: parseQti,
+};
+
+// ==================== Public API ====================
+
+/**
+ * Import questions from Moodle XML, GIFT or IMS QTI.
+ * With dryRun every question is parsed and validated but nothing is saved;
+ * otherwise valid questions are created and invalid ones reported.
+ * @param {Object} params
+ * @param {string} params.format - One of QUESTION_BANK_FORMATS
+ * @param {string} params.content - File contents
+ * @param {string} params.educatorId - Owner of the imported questions
+ * @param {Object} params.defaults - subject, specialization, class, difficulty, topics
+ *   applied to every question (these formats do not carry them)
+ * @param {boolean} params.dryRun
+ */
+export const importQuestions = async ({
+  format,
+  content,
+  educatorId,
+  defaults = {},
+  dryRun = true,
+}) => {
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw httpError(`Unsupported format. Use one of: ${QUESTION_BANK_FORMATS.join(", ")}`);
+  }
+
+  let items;
+  try {
+    items = parse(content);
+  } catch (error) {
+    throw httpError(error.message, error.statusCode || 400);
+  }
+
+  const valid = [];
+  const created = [];
+  const failed = [];
+
+  for (const item of items) {
+    if (item.error) {
+      failed.push({ row: item.row, name: item.name, error: item.error });
+      continue;
+    }
+
+    try {
+      const payload = {
+        ...item.payload,
+        educatorId,
+        subject: defaults.subject,
+        specialization: defaults.specialization,
+        class: defaults.class,
+        difficulty: defaults.difficulty || "Medium",
+        topics: [...new Set([...(defaults.topics || []), ...item.topics])],
+      };
+      assertValidQuestionPayload(payload);
+
+      const question = new Question(payload);
+      await question.validate();
+
+      if (dryRun) {
+        valid.push({
+          row: item.row,
+          name: item.name,
+          title: question.title.slice(0, 120),
+          questionType: question.questionType,
+        });
+        continue;
+      }
+
+      await question.save();
+      created.push({ row: item.row, name: item.name, id: question._id });
+    } catch (error) {
+      failed.push({ row: item.row, name: item.name, error: error.message });
+    }
+  }
+
+  if (created.length) {
+    await Educator.findByIdAndUpdate(educatorId, {
+      $addToSet: { questions: { $each: created.map((c) => c.id) } },
+    });
+  }
+
+  return {
+    dryRun,
+    total: items.length,
+    valid: dryRun ? valid.length : created.length,
+    inserted: created.length,
+    failed: failed.length,
+    details: dryRun ? { valid, failed } : { created, failed },
+  };
+};
+
+/**
+ * Export an educator's questions (or a chosen set) to Moodle XML, GIFT or QTI.
+ * Questions a format cannot represent are listed in `skipped` and noted
+ * as comments in the file.
+ * @returns {Promise<{ fileName, contentType, content, exported, skipped }>}
+ */
+export const exportQuestions = async ({ format, educatorId, ids }) => {
+  const writer = EXPORT_WRITERS[format];
+  if (!writer) {
+    throw httpError(`Unsupported format. Use one of: ${QUESTION_BANK_FORMATS.join(", ")}`);
+  }
+
+  const filter = { isActive: true };
+  if (educatorId) filter.educatorId = educatorId;
+  if (ids?.length) filter._id = { $in: ids };
+  if (!filter.educatorId && !filter._id) {
+    throw httpError("Provide an educatorId or question ids to export");
+  }
+
+  const questions = await Question.find(filter)
+    .populate("passage", "content")
+    .sort({ createdAt: 1 })
+    .limit(MAX_EXPORT_QUESTIONS)
+    .lean();
+
+  const entries = [];
+  const skipped = [];
+  questions.forEach((question) => {
+    try {
+      entries.push(writer.write(question, buildExportText(question)));
+    } catch (error) {
+      skipped.push({ id: question._id.toString(), error: error.message });
+    }
+  });
+
+  const { extension, contentType } = FILE_DETAILS[format];
+  return {
+    fileName: `questions-${Date.now()}.${extension}`,
+    contentType,
+    content: writer.wrap(entries, skipped),
+    exported: entries.length,
+    skipped,
+  };
+};
+
+export default {
+  importQuestions,
+  exportQuestions,
+};
@@ -0,0 +1,305 @@
+import mongoose from "mongoose";
+import Question from "../models/question.js";
+import Test from "../models/test.js";
+import TestAttempt from "../models/testAttempt.js";
+import Educator from "../models/educator.js";
+import {
+  computeContentHash,
+  jaccardSimilarity,
+  questionShingles,
+} from "../util/questionSimilarity.js";
+import { httpError } from "../util/http.js";
+
+// Shingle overlap above which two questions are reported as probable duplicates
+export const DUPLICATE_SIMILARITY_THRESHOLD = 0.8;
+
+const MAX_MATCHES = 5;
+
+// Shingles shared by more questions than this are too common to find candidates with
+const MAX_POSTING_LIST = 500;
+
+const INDEX_FIELDS =
+  "title questionType options matrix assertion reason contentHash educatorId";
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * In-memory similarity index over one educator's active questions.
+ * Bulk paths build it once and add each created question so rows in the
+ * same upload are also checked against each other.
+ */
+export const createDuplicateIndex = (questions = []) => {
+  const entries = [];
+  const byShingle = new Map();
+
+  const add = (question) => {
+    const entry = {
+      id: question._id?.toString(),
+      title: question.title,
+      questionType: question.questionType,
+      contentHash: question.contentHash || computeContentHash(question),
+      shingles: questionShingles(question),
+    };
+    entries.push(entry);
+    entry.shingles.forEach((shingle) => {
+      if (!byShingle.has(shingle)) byShingle.set(shingle, []);
+      byShingle.get(shingle).push(entry);
+    });
+    return entry;
+  };
+
+  const candidatesFor = (shingles) => {
+    const candidates = new Set();
+    shingles.forEach((shingle) => {
+      const posting = byShingle.get(shingle);
+      if (posting && posting.length <= MAX_POSTING_LIST) {
+        posting.forEach((entry) => candidates.add(entry));
+      }
+    });
+    return candidates;
+  };
+
+  /**
+   * Probable duplicates of a question (saved or not), best match first.
+   * @returns {Array<{ questionId, title, similarity, exact }>}
+   */
+  const findMatches = (
+    question,
+    { threshold = DUPLICATE_SIMILARITY_THRESHOLD, excludeId, limit = MAX_MATCHES } = {}
+  ) => {
+    const contentHash = computeContentHash(question);
+    const shingles = questionShingles(question);
+    const exclude = excludeId?.toString();
+
+    return [...candidatesFor(shingles)]
+      .filter(
+        (entry) =>
+          entry.id !== exclude && entry.questionType === question.questionType
+      )
+      .map((entry) => {
+        const exact = entry.contentHash === contentHash;
+        return {
+          questionId: entry.id,
+          title: entry.title,
+          similarity: exact ? 1 : round(jaccardSimilarity(shingles, entry.shingles)),
+          exact,
+        };
+      })
+      .filter((match) => match.exact || match.similarity >= threshold)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, limit);
+  };
+
+  questions.forEach(add);
+  return { entries, add, findMatches, candidatesFor };
+};
+
+/**
+ * Load the duplicate index for an educator's active question bank.
+ */
+export const loadDuplicateIndex = async (educatorId) => {
+  const questions = await Question.find({ educatorId, isActive: true })
+    .select(INDEX_FIELDS)
+    .lean();
+  return createDuplicateIndex(questions);
+};
+
+/**
+ * Probable duplicates of a question within its educator's bank.
+ */
+export const findDuplicateQuestions = async (question, options = {}) => {
+  if (!question.educatorId) {
+    return [];
+  }
+  const index = await loadDuplicateIndex(question.educatorId);
+  return index.findMatches(question, { excludeId: question._id, ...options });
+};
+
+/**
+ * Group an educator's questions into clusters of probable duplicates.
+ * Clusters are connected components of the "similar to" relation, so a
+ * cluster may contain pairs below the threshold linked through a third question.
+ */
+export const getDuplicateClusters = async (
+  educatorId,
+  { threshold = DUPLICATE_SIMILARITY_THRESHOLD } = {}
+) => {
+  const index = await loadDuplicateIndex(educatorId);
+  const parent = new Map(index.entries.map((entry) => [entry.id, entry.id]));
+  const find = (id) => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+
+  const pairs = [];
+  index.entries.forEach((entry) => {
+    index.candidatesFor(entry.shingles).forEach((other) => {
+      if (other.id <= entry.id || other.questionType !== entry.questionType) {
+        return;
+      }
+      const exact = other.contentHash === entry.contentHash;
+      const similarity = exact ? 1 : jaccardSimilarity(entry.shingles, other.shingles);
+      if (exact || similarity >= threshold) {
+        pairs.push({ a: entry.id, b: other.id, similarity });
+        parent.set(find(entry.id), find(other.id));
+      }
+    });
+  });
+
+  const groups = new Map();
+  pairs.forEach((pair) => {
+    const root = find(pair.a);
+    if (!groups.has(root)) groups.set(root, { ids: new Set(), similarities: [] });
+    const group = groups.get(root);
+    group.ids.add(pair.a).add(pair.b);
+    group.similarities.push(pair.similarity);
+  });
+
+  if (!groups.size) {
+    return [];
+  }
+
+  const questionIds = [...groups.values()].flatMap((group) => [...group.ids]);
+  const questions = await Question.find({ _id: { $in: questionIds } })
+    .select("title slug questionType difficulty tests createdAt")
+    .lean();
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  return [...groups.values()]
+    .map((group) => {
+      const members = [...group.ids]
+        .map((id) => byId.get(id))
+        .filter(Boolean)
+        .map((question) => ({
+          _id: question._id,
+          title: question.title,
+          slug: question.slug,
+          questionType: question.questionType,
+          difficulty: question.difficulty,
+          testCount: question.tests?.length || 0,
+          createdAt: question.createdAt,
+        }))
+        // Suggested question to keep first: most used, then oldest
+        .sort(
+          (a, b) =>
+            b.testCount - a.testCount || new Date(a.createdAt) - new Date(b.createdAt)
+        );
+      return {
+        suggestedKeepId: members[0]?._id,
+        maxSimilarity: round(Math.max(...group.similarities)),
+        minSimilarity: round(Math.min(...group.similarities)),
+        questions: members,
+      };
+    })
+    .filter((cluster) => cluster.questions.length > 1)
+    .sort((a, b) => b.questions.length - a.questions.length);
+};
+
+const replaceIds = (ids, mergeSet, keepId) => {
+  const seen = new Set();
+  return ids
+    .map((id) => (mergeSet.has(id.toString()) ? keepId : id))
+    .filter((id) => {
+      const key = id.toString();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+/**
+ * Merge duplicate questions into one. Every test that used a merged question
+ * now uses the kept one (in its sections too), the kept question inherits
+ * their `tests` references, and the merged questions are deactivated with
+ * `mergedInto` pointing at the kept question so past attempts still resolve.
+ */
+export const mergeDuplicateQuestions = async ({ educatorId, keepId, mergeIds }) => {
+  const mergeSet = new Set(
+    mergeIds.map((id) => id.toString()).filter((id) => id !== keepId.toString())
+  );
+  if (!mergeSet.size) {
+    throw httpError("Provide at least one question to merge other than the kept one");
+  }
+
+  const questions = await Question.find({
+    _id: { $in: [keepId, ...mergeSet] },
+    isActive: true,
+  });
+  const keep = questions.find((q) => q._id.toString() === keepId.toString());
+  const merged = questions.filter((q) => mergeSet.has(q._id.toString()));
+
+  if (!keep || merged.length !== mergeSet.size) {
+    throw httpError("One or more questions were not found", 404);
+  }
+  if (
+    educatorId &&
+    questions.some((q) => q.educatorId.toString() !== educatorId.toString())
+  ) {
+    throw httpError("You can only merge questions from your own bank", 403);
+  }
+  if (new Set(questions.map((q) => q.educatorId.toString())).size > 1) {
+    throw httpError("Questions from different educators cannot be merged");
+  }
+  if (merged.some((q) => q.questionType !== keep.questionType)) {
+    throw httpError("Only questions of the same type can be merged");
+  }
+
+  const mergedIds = merged.map((q) => q._id);
+  const tests = await Test.find({ questions: { $in: mergedIds } });
+
+  // Swapping questions under a running attempt would lose its answers
+  const runningAttempt = await TestAttempt.exists({
+    testId: { $in: tests.map((test) => test._id) },
+    status: "in-progress",
+  });
+  if (runningAttempt) {
+    throw httpError(
+      "A test using these questions has attempts in progress; merge once they are submitted",
+      409
+    );
+  }
+
+  for (const test of tests) {
+    if (test.sections?.length) {
+      test.sections.forEach((section) => {
+        section.questions = replaceIds(section.questions, mergeSet, keep._id);
+      });
+    }
+    test.questions = replaceIds(test.questions, mergeSet, keep._id);
+    await test.save();
+  }
+
+  const testIds = new Map(
+    [keep, ...merged]
+      .flatMap((q) => q.tests)
+      .concat(tests.map((test) => test._id))
+      .map((id) => [id.toString(), new mongoose.Types.ObjectId(id.toString())])
+  );
+  keep.tests = [...testIds.values()];
+  await keep.save();
+
+  await Question.updateMany(
+    { _id: { $in: mergedIds } },
+    { $set: { isActive: false, mergedInto: keep._id, tests: [] } }
+  );
+  await Educator.findByIdAndUpdate(keep.educatorId, {
+    $pull: { questions: { $in: mergedIds } },
+  });
+
+  return {
+    keptQuestionId: keep._id,
+    mergedQuestionIds: mergedIds,
+    testsUpdated: tests.map((test) => test._id),
+  };
+};
+
+export default {
+  createDuplicateIndex,
+  loadDuplicateIndex,
+  findDuplicateQuestions,
+  getDuplicateClusters,
+  mergeDuplicateQuestions,
+};
@@ -0,0 +1,208 @@
+import mongoose from "mongoose";
+import Test from "../models/test.js";
+import Question from "../models/question.js";
+import QuestionVersion from "../models/questionVersion.js";
+import QuestionRegrade from "../models/questionRegrade.js";
+import TestAttempt from "../models/testAttempt.js";
+import notificationService from "./notification.service.js";
+import { regradeAttempt } from "./testAttempt.service.js";
+import { writeTestRanks } from "./testSchedule.service.js";
+import { getAttemptVersionPins } from "./questionVersion.service.js";
+import { areResultsReleased } from "../util/testSchedule.js";
+import { httpError } from "../util/http.js";
+
+const loadManagedQuestion = async (questionId, auth) => {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) {
+    throw httpError("Invalid question ID");
+  }
+
+  const question = await Question.findById(questionId);
+  if (!question) {
+    throw httpError("Question not found", 404);
+  }
+  if (
+    auth?.userType === "educator" &&
+    question.educatorId?.toString() !== auth.userId.toString()
+  ) {
+    throw httpError("You can only regrade your own questions", 403);
+  }
+  return question;
+};
+
+const setGradedVersion = (attempt, questionId, version) => {
+  const entry = attempt.questionVersions.find(
+    (item) => item.questionId.toString() === questionId.toString()
+  );
+  if (entry) {
+    entry.gradedVersion = version;
+  } else {
+    // Served before versioning, so the student saw version 1
+    attempt.questionVersions.push({ questionId, version: 1, gradedVersion: version });
+  }
+};
+
+/**
+ * Regrade every submitted attempt that was graded with an earlier version
+ * of a question against its current answer key. Students keep seeing the
+ * version they were served; only the key and marks change. Attempts served
+ * a version of a different question type are skipped. Ranks of released
+ * tests are recomputed, affected students are notified and the run is
+ * recorded as a QuestionRegrade.
+ * @param {Object} auth - req.auth of the admin or owning educator
+ * @param {Object} [options] - { reason, source: "manual" (default) | "challenge" }
+ */
+export const regradeQuestion = async (
+  questionId,
+  auth,
+  { reason, source = "manual" } = {}
+) => {
+  const question = await loadManagedQuestion(questionId, auth);
+  const toVersion = question.version || 1;
+  const key = question._id.toString();
+
+  const candidates = await TestAttempt.find({
+    questionOrder: question._id,
+    status: "submitted",
+  });
+  const attempts = candidates.filter(
+    (attempt) => getAttemptVersionPins(attempt).get(key).gradedVersion < toVersion
+  );
+  if (!attempts.length) {
+    throw httpError(
+      "No submitted attempts were graded with an earlier version of this question",
+      409
+    );
+  }
+
+  const seenVersions = [
+    ...new Set(attempts.map((attempt) => getAttemptVersionPins(attempt).get(key).version)),
+  ];
+  const snapshots = await QuestionVersion.find({
+    questionId: question._id,
+    version: { $in: seenVersions },
+  })
+    .select("version content.questionType")
+    .lean();
+  const typeByVersion = new Map(
+    snapshots.map((entry) => [entry.version, entry.content?.questionType])
+  );
+
+  const testIds = [...new Set(attempts.map((attempt) => attempt.testId.toString()))];
+  const tests = await Test.find({ _id: { $in: testIds } });
+  const testById = new Map(tests.map((test) => [test._id.toString(), test]));
+
+  const now = new Date();
+  const changes = [];
+  let skipped = 0;
+  for (const attempt of attempts) {
+    const test = testById.get(attempt.testId.toString());
+    const pin = getAttemptVersionPins(attempt).get(key);
+    const seenType = typeByVersion.get(pin.version) || question.questionType;
+    if (!test || seenType !== question.questionType) {
+      skipped += 1;
+      continue;
+    }
+
+    setGradedVersion(attempt, question._id, toVersion);
+    const { before } = await regradeAttempt(attempt, test, now);
+    changes.push({
+      attemptId: attempt._id,
+      studentId: attempt.studentId,
+      testId: attempt.testId,
+      fromVersion: pin.gradedVersion,
+      scoreBefore: before.score,
+      scoreAfter: attempt.score,
+      percentageBefore: before.percentage,
+      percentageAfter: attempt.percentage,
+    });
+  }
+
+  // Withheld results get their ranks and notification on release instead
+  let studentsNotified = 0;
+  const regradedTestIds = [...new Set(changes.map((change) => change.testId.toString()))];
+  for (const testId of regradedTestIds) {
+    const test = testById.get(testId);
+    if (!areResultsReleased(test, now)) {
+      continue;
+    }
+
+    const studentIds = [
+      ...new Set(
+        changes
+          .filter((change) => change.testId.toString() === testId)
+          .map((change) => change.studentId.toString())
+      ),
+    ];
+    try {
+      await writeTestRanks(test);
+      const { notificationsSent } = await notificationService.notifyStudents(
+        studentIds,
+        test.educatorID,
+        "test_regrade",
+        {
+          _id: test._id,
+          title: test.title,
+          slug: test.slug,
+          description: test.description,
+          image: test.image,
+          startsAt: test.startsAt,
+          duration: test.duration,
+        }
+      );
+      studentsNotified += notificationsSent;
+    } catch (error) {
+      console.error(`Error publishing regrade for test ${testId}:`, error);
+    }
+  }
+
+  return QuestionRegrade.create({
+    questionId: question._id,
+    toVersion,
+    performedBy: auth.userId,
+    performerModel: auth.userType === "admin" ? "Admin" : "Educator",
+    reason,
+    source,
+    testIds: regradedTestIds,
+    attemptsRegraded: changes.length,
+    attemptsSkipped: skipped,
+    studentsNotified,
+    changes,
+  });
+};
+
+/**
+ * Regrade audit of a question, newest first.
+ */
+export const listQuestionRegrades = async (questionId, auth, { page = 1, limit = 20 } = {}) => {
+  const question = await loadManagedQuestion(questionId, auth);
+
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const filter = { questionId: question._id };
+  const [regrades, total] = await Promise.all([
+    QuestionRegrade.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("performedBy", "fullName username email")
+      .lean(),
+    QuestionRegrade.countDocuments(filter),
+  ]);
+
+  const totalPages = Math.ceil(total / pageSize);
+  return {
+    regrades,
+    pagination: {
+      currentPage: pageNumber,
+      totalPages,
+      totalEntries: total,
+      hasNextPage: pageNumber < totalPages,
+      hasPrevPage: pageNumber > 1,
+    },
+  };
+};
+
+export default {
+  regradeQuestion,
+  listQuestionRegrades,
+};
@@ -0,0 +1,244 @@
+import mongoose from "mongoose";
+import Question from "../models/question.js";
+import QuestionVersion from "../models/questionVersion.js";
+import TestAttempt from "../models/testAttempt.js";
+import { httpError } from "../util/http.js";
+
+// What a student sees or is graded on; editing any of these on a question
+// already served in an attempt starts a new version
+export const QUESTION_VERSIONED_FIELDS = [
+  "title",
+  "questionType",
+  "questionImage",
+  "questionImages",
+  "options",
+  "optionImages",
+  "correctOptions",
+  "tolerance",
+  "matrix",
+  "assertion",
+  "reason",
+  "passage",
+  "marks",
+  "explanation",
+  "explanationImages",
+];
+
+// Taken from the version an attempt is graded with rather than the one it saw
+const ANSWER_KEY_FIELDS = [
+  "correctOptions",
+  "tolerance",
+  "marks",
+  "explanation",
+  "explanationImages",
+];
+
+const pick = (source, fields) =>
+  Object.fromEntries(
+    fields.filter((field) => source[field] !== undefined).map((field) => [field, source[field]])
+  );
+
+/**
+ * Plain copy of the versioned fields of a question document.
+ */
+export const buildQuestionSnapshot = (question) => {
+  const plain = question.toObject
+    ? question.toObject({ depopulate: true, virtuals: false })
+    : question;
+  return pick(plain, QUESTION_VERSIONED_FIELDS);
+};
+
+const getChangedFields = (before, after) => {
+  const previous = buildQuestionSnapshot(before);
+  const next = buildQuestionSnapshot(after);
+  return QUESTION_VERSIONED_FIELDS.filter(
+    (field) => JSON.stringify(previous[field]) !== JSON.stringify(next[field])
+  );
+};
+
+/**
+ * Apply an edit to a question, keeping the version students were served.
+ * If the question appears in any attempt, its current content is stored as
+ * a QuestionVersion before the edit runs, and an edit that changes a
+ * versioned field bumps Question.version. Unused questions are edited in place.
+ * @param {Function} applyUpdate - Runs the edit, resolves to the updated question or null
+ * @returns {Promise<{question, versioned: boolean, previousVersion?: number}|null>}
+ */
+export const reviseQuestion = async (questionId, applyUpdate) => {
+  const before = await Question.findById(questionId);
+  if (!before) {
+    return null;
+  }
+
+  const version = before.version || 1;
+  const isServed = await TestAttempt.exists({ questionOrder: before._id });
+  if (isServed) {
+    await QuestionVersion.updateOne(
+      { questionId: before._id, version },
+      { $setOnInsert: { content: buildQuestionSnapshot(before) } },
+      { upsert: true }
+    );
+  }
+
+  const question = await applyUpdate();
+  if (!question) {
+    return null;
+  }
+
+  const changedFields = getChangedFields(before, question);
+  if (!isServed || !changedFields.length) {
+    return { question, versioned: false };
+  }
+
+  await Promise.all([
+    Question.updateOne({ _id: before._id }, { $set: { version: version + 1 } }),
+    QuestionVersion.updateOne(
+      { questionId: before._id, version },
+      { $set: { changedFields, replacedAt: new Date() } }
+    ),
+  ]);
+  question.version = version + 1;
+  return { question, versioned: true, previousVersion: version };
+};
+
+/**
+ * Version of each question an attempt was served and graded with, keyed by
+ * question id string. Questions served before versioning count as version 1.
+ */
+export const getAttemptVersionPins = (attempt) => {
+  const pins = new Map(
+    (attempt.questionVersions || []).map((entry) => [
+      entry.questionId.toString(),
+      {
+        version: entry.version || 1,
+        gradedVersion: entry.gradedVersion || entry.version || 1,
+      },
+    ])
+  );
+  (attempt.questionOrder || []).forEach((id) => {
+    if (!pins.has(id.toString())) {
+      pins.set(id.toString(), { version: 1, gradedVersion: 1 });
+    }
+  });
+  return pins;
+};
+
+/**
+ * Load an attempt's questions in the order they were served, as they stood
+ * at the version the student saw, with the answer key of the version the
+ * attempt is graded with. Versions with no stored snapshot fall back to the
+ * live question.
+ * @param {Object} [options] - { populatePassage: also load passage title, content and image }
+ */
+export const loadAttemptQuestions = async (attempt, { populatePassage = false } = {}) => {
+  const questions = await Question.find({ _id: { $in: attempt.questionOrder } });
+  const pins = getAttemptVersionPins(attempt);
+
+  const wanted = [];
+  questions.forEach((question) => {
+    const current = question.version || 1;
+    const pin = pins.get(question._id.toString());
+    new Set([pin.version, pin.gradedVersion]).forEach((version) => {
+      if (version !== current) {
+        wanted.push({ questionId: question._id, version });
+      }
+    });
+  });
+
+  const snapshots = wanted.length
+    ? await QuestionVersion.find({ $or: wanted }).lean()
+    : [];
+  const snapshotByKey = new Map(
+    snapshots.map((entry) => [`${entry.questionId}:${entry.version}`, entry.content])
+  );
+
+  const resolved = questions.map((question) => {
+    const key = question._id.toString();
+    const pin = pins.get(key);
+    const seen = snapshotByKey.get(`${key}:${pin.version}`);
+    const graded = snapshotByKey.get(`${key}:${pin.gradedVersion}`);
+    if (!seen && !graded) {
+      return question;
+    }
+
+    const live = question.toObject({ depopulate: true, virtuals: false });
+    const gradedKey = graded
+      ? pick(graded, ANSWER_KEY_FIELDS)
+      : pin.gradedVersion === (question.version || 1)
+      ? pick(live, ANSWER_KEY_FIELDS)
+      : {};
+    return Question.hydrate({
+      ...live,
+      ...(seen || {}),
+      ...gradedKey,
+      version: seen ? pin.version : live.version,
+    });
+  });
+
+  if (populatePassage) {
+    await Question.populate(resolved, {
+      path: "passage",
+      select: "title content image",
+    });
+  }
+
+  const byId = new Map(resolved.map((q) => [q._id.toString(), q]));
+  return attempt.questionOrder.map((id) => byId.get(id.toString())).filter(Boolean);
+};
+
+/**
+ * Earlier versions of a question, newest first, with the live one on top.
+ */
+export const listQuestionVersions = async (questionId, auth) => {
+  if (!mongoose.Types.ObjectId.isValid(questionId)) {
+    throw httpError("Invalid question ID");
+  }
+
+  const question = await Question.findById(questionId);
+  if (!question) {
+    throw httpError("Question not found", 404);
+  }
+  if (
+    auth?.userType === "educator" &&
+    question.educatorId?.toString() !== auth.userId.toString()
+  ) {
+    throw httpError("You can only view versions of your own questions", 403);
+  }
+
+  const current = question.version || 1;
+  const versions = await QuestionVersion.find({
+    questionId: question._id,
+    version: { $lt: current },
+  })
+    .sort({ version: -1 })
+    .lean();
+
+  return {
+    questionId: question._id,
+    currentVersion: current,
+    versions: [
+      {
+        version: current,
+        isCurrent: true,
+        content: buildQuestionSnapshot(question),
+        updatedAt: question.updatedAt,
+      },
+      ...versions.map((entry) => ({
+        version: entry.version,
+        isCurrent: false,
+        content: entry.content,
+        changedFields: entry.changedFields,
+        replacedAt: entry.replacedAt,
+      })),
+    ],
+  };
+};
+
+export default {
+  QUESTION_VERSIONED_FIELDS,
+  buildQuestionSnapshot,
+  reviseQuestion,
+  getAttemptVersionPins,
+  loadAttemptQuestions,
+  listQuestionVersions,
+};
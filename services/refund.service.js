@@ -0,0 +1,363 @@
+import mongoose from "mongoose";
+import Refund from "../models/refund.js";
+import PaymentIntent from "../models/paymentIntent.js";
+import { getRazorpayClient } from "../config/razorpay.js";
+import { unenrollStudentFromProduct } from "./enrollment.service.js";
+import { reversePayoutShare } from "./payout.service.js";
+import {
+  cancelInstallmentEnrollment,
+  isInstallmentPlanRefunded,
+} from "./installment.service.js";
+import { releaseCouponRedemption } from "./coupon.service.js";
+import { httpError } from "../util/http.js";
+
+// A payment may only be refunded while one refund at a time is in flight
+const OPEN_REFUND_STATUSES = ["requested", "processing"];
+
+const paginate = (page, limit, total) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    totalEntries: total,
+    hasNextPage: page < totalPages,
+    hasPrevPage: page > 1,
+  };
+};
+
+const toPaise = (rupees) => Math.round(Number(rupees) * 100);
+
+const getRefundableAmount = (intent) =>
+  Math.max(0, intent.amount - (intent.refundedAmount || 0));
+
+const loadRefund = async (refundId) => {
+  if (!mongoose.Types.ObjectId.isValid(refundId)) {
+    throw httpError("Invalid refund ID");
+  }
+  const refund = await Refund.findById(refundId);
+  if (!refund) {
+    throw httpError("Refund not found", 404);
+  }
+  return refund;
+};
+
+/**
+ * Ask for a payment to be refunded. Without an amount the whole of what is
+ * still refundable is requested.
+ * @param {Object} payload - { reason, amount?: rupees }
+ */
+export const requestRefund = async (studentId, paymentIntentId, { reason, amount } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentIntentId)) {
+    throw httpError("Invalid payment ID");
+  }
+
+  const intent = await PaymentIntent.findById(paymentIntentId);
+  if (!intent || intent.studentId.toString() !== studentId.toString()) {
+    throw httpError("Payment not found", 404);
+  }
+  if (intent.status !== "succeeded") {
+    throw httpError("Only successful payments can be refunded");
+  }
+
+  const open = await Refund.exists({
+    paymentIntentId: intent._id,
+    status: { $in: OPEN_REFUND_STATUSES },
+  });
+  if (open) {
+    throw httpError("A refund for this payment is already in progress", 409);
+  }
+
+  const refundable = getRefundableAmount(intent);
+  const requestedAmount = amount !== undefined ? toPaise(amount) : refundable;
+  if (requestedAmount < 1 || requestedAmount > refundable) {
+    throw httpError(`Refund amount must be between 0.01 and ${refundable / 100}`);
+  }
+
+  return Refund.create({
+    paymentIntentId: intent._id,
+    studentId,
+    reason,
+    requestedAmount,
+  });
+};
+
+/**
+ * A student's refund requests, newest first.
+ */
+export const listStudentRefunds = async (studentId, { page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const filter = { studentId };
+
+  const [refunds, total] = await Promise.all([
+    Refund.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .select("-payoutReversals -reviewedBy")
+      .populate("paymentIntentId", "productType productId productSnapshot.title amount currency createdAt")
+      .lean(),
+    Refund.countDocuments(filter),
+  ]);
+
+  return { refunds, pagination: paginate(pageNumber, pageSize, total) };
+};
+
+/**
+ * Admin queue of refunds, oldest first so requests are handled in turn.
+ * @param {Object} filters - { status (default "requested"), page, limit }
+ */
+export const listRefundQueue = async ({ status = "requested", page = 1, limit = 20 } = {}) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const filter = status === "all" ? {} : { status };
+
+  const [refunds, total] = await Promise.all([
+    Refund.find(filter)
+      .sort({ createdAt: 1 })
+      .skip((pageNumber - 1) * pageSize)
+      .limit(pageSize)
+      .populate("studentId", "name username email")
+      .populate(
+        "paymentIntentId",
+        "productType productId productSnapshot amount refundedAmount status razorpayPaymentId createdAt"
+      )
+      .populate("reviewedBy", "fullName email")
+      .lean(),
+    Refund.countDocuments(filter),
+  ]);
+
+  return { refunds, pagination: paginate(pageNumber, pageSize, total) };
+};
+
+/**
+ * Settle a refund Razorpay has processed: record it on the payment, remove
+ * the student from the product when nothing is left paid, and take the
+ * educator's share back from their payouts. Safe to call more than once,
+ * even concurrently: the webhook and approveRefund race to mark the refund
+ * processed, and only the call that does so settles it.
+ */
+const finalizeRefund = async (current) => {
+  if (current.status === "processed") {
+    return current;
+  }
+
+  // The webhook may have filled these in on the document it was passed
+  const settled = { status: "processed", processedAt: new Date() };
+  if (current.razorpayRefundId) settled.razorpayRefundId = current.razorpayRefundId;
+  if (current.amount) settled.amount = current.amount;
+  const refund = await Refund.findOneAndUpdate(
+    { _id: current._id, status: { $ne: "processed" } },
+    { $set: settled, $unset: { failureReason: 1 } },
+    { new: true }
+  );
+  if (!refund) {
+    return Refund.findById(current._id);
+  }
+
+  const intent = await PaymentIntent.findById(refund.paymentIntentId);
+
+  intent.refundedAmount = Math.min(intent.amount, (intent.refundedAmount || 0) + refund.amount);
+  intent.lastEvent = "refund.processed";
+  const isFullRefund = intent.refundedAmount >= intent.amount;
+  if (isFullRefund) {
+    intent.status = "refunded";
+  }
+  await intent.save();
+
+  // An instalment is only part of what the student paid for the course, so
+  // the plan ends only once all of its paid instalments are refunded
+  let isProductRefunded = isFullRefund;
+  if (isFullRefund && intent.installment?.enrollmentId) {
+    try {
+      isProductRefunded = await isInstallmentPlanRefunded(intent.installment.enrollmentId);
+    } catch (error) {
+      console.error(`Error checking instalment plan for refund ${refund._id}:`, error);
+      isProductRefunded = false;
+    }
+  }
+
+  if (isProductRefunded) {
+    try {
+      await unenrollStudentFromProduct(intent.productType, intent.productId, intent.studentId);
+      refund.unenrolledAt = new Date();
+      await refund.save();
+      if (intent.installment?.enrollmentId) {
+        await cancelInstallmentEnrollment(intent.installment.enrollmentId);
+      }
+    } catch (error) {
+      console.error(`Error unenrolling student for refund ${refund._id}:`, error);
+    }
+  }
+
+  // A refunded order no longer counts against the coupon's usage limit
+  if (isProductRefunded) {
+    try {
+      await releaseCouponRedemption(intent);
+    } catch (error) {
+      console.error(`Error releasing coupon redemption for refund ${refund._id}:`, error);
+    }
+  }
+
+  try {
+    await reversePayoutShare(refund, intent);
+  } catch (error) {
+    console.error(`Error reversing payout share for refund ${refund._id}:`, error);
+  }
+
+  return refund;
+};
+
+const markRefundFailed = async (current, reason) => {
+  if (current.status === "processed" || current.status === "failed") {
+    return current;
+  }
+  const failed = { status: "failed", failureReason: reason || "Refund failed" };
+  if (current.razorpayRefundId) failed.razorpayRefundId = current.razorpayRefundId;
+  const refund = await Refund.findOneAndUpdate(
+    { _id: current._id, status: { $nin: ["processed", "failed"] } },
+    { $set: failed },
+    { new: true }
+  );
+  return refund || Refund.findById(current._id);
+};
+
+/**
+ * Approve a request and issue the refund through Razorpay. The admin may
+ * lower the amount; a failed refund can be approved again to retry it.
+ * The refund is claimed as processing before Razorpay is called, so two
+ * approvals cannot both issue it; the claim is undone if Razorpay refuses.
+ * @param {Object} payload - { amount?: rupees, note }
+ */
+export const approveRefund = async (refundId, adminId, { amount, note } = {}) => {
+  const refund = await loadRefund(refundId);
+  if (!["requested", "failed"].includes(refund.status)) {
+    throw httpError(`Refund is already ${refund.status}`, 409);
+  }
+
+  const intent = await PaymentIntent.findById(refund.paymentIntentId);
+  if (!intent || intent.status !== "succeeded" || !intent.razorpayPaymentId) {
+    throw httpError("Payment can no longer be refunded", 409);
+  }
+
+  const refundable = getRefundableAmount(intent);
+  const refundAmount =
+    amount !== undefined ? toPaise(amount) : Math.min(refund.requestedAmount, refundable);
+  if (refundAmount < 1 || refundAmount > refundable) {
+    throw httpError(`Refund amount must be between 0.01 and ${refundable / 100}`);
+  }
+
+  const review = {
+    amount: refundAmount,
+    reviewedBy: adminId,
+    reviewedAt: new Date(),
+  };
+  if (note !== undefined) {
+    review.adminNote = note;
+  }
+  const claimed = await Refund.findOneAndUpdate(
+    { _id: refund._id, status: { $in: ["requested", "failed"] } },
+    { $set: { ...review, status: "processing" }, $unset: { failureReason: 1 } },
+    { new: true }
+  );
+  if (!claimed) {
+    throw httpError("Refund is already being processed", 409);
+  }
+
+  let razorpayRefund;
+  try {
+    razorpayRefund = await getRazorpayClient().payments.refund(intent.razorpayPaymentId, {
+      amount: refundAmount,
+      speed: "normal",
+      receipt: `refund_${refund._id}`,
+      notes: {
+        refundId: refund._id.toString(),
+        paymentIntentId: intent._id.toString(),
+      },
+    });
+  } catch (error) {
+    const reason = error?.error?.description || error.message;
+    console.error(`Razorpay refund failed for ${refund._id}:`, reason);
+    // Nothing was issued, so the refund goes back to where it was
+    const restore = { status: refund.status };
+    if (refund.failureReason) {
+      restore.failureReason = refund.failureReason;
+    }
+    await Refund.updateOne({ _id: refund._id, status: "processing" }, { $set: restore });
+    throw httpError(`Razorpay refused the refund: ${reason}`, 502);
+  }
+
+  // save() writes only the id, so a webhook that already settled the
+  // refund is not overwritten
+  claimed.razorpayRefundId = razorpayRefund.id;
+  await claimed.save();
+
+  if (razorpayRefund.status === "processed") {
+    return finalizeRefund(claimed);
+  }
+  if (razorpayRefund.status === "failed") {
+    return markRefundFailed(claimed, razorpayRefund.error_description);
+  }
+  return claimed;
+};
+
+export const rejectRefund = async (refundId, adminId, { note } = {}) => {
+  const refund = await loadRefund(refundId);
+  if (refund.status !== "requested") {
+    throw httpError(`Refund is already ${refund.status}`, 409);
+  }
+
+  refund.status = "rejected";
+  refund.reviewedBy = adminId;
+  refund.reviewedAt = new Date();
+  refund.adminNote = note;
+  return refund.save();
+};
+
+/**
+ * Apply a refund.processed or refund.failed webhook. Refunds are matched by
+ * Razorpay refund id, falling back to the refundId note set on approval.
+ * @returns {Promise<Object|null>} The refund, or null when it is not ours
+ */
+export const handleRefundWebhook = async (eventName, refundEntity) => {
+  if (!refundEntity?.id) {
+    return null;
+  }
+
+  let refund = await Refund.findOne({ razorpayRefundId: refundEntity.id });
+  const noteId = refundEntity.notes?.refundId;
+  if (!refund && noteId && mongoose.Types.ObjectId.isValid(noteId)) {
+    refund = await Refund.findById(noteId);
+  }
+  if (!refund) {
+    return null;
+  }
+
+  if (!refund.razorpayRefundId) {
+    refund.razorpayRefundId = refundEntity.id;
+  }
+  if (!refund.amount && refundEntity.amount) {
+    refund.amount = refundEntity.amount;
+  }
+
+  if (eventName === "refund.processed") {
+    return finalizeRefund(refund);
+  }
+  if (eventName === "refund.failed") {
+    return markRefundFailed(refund, refundEntity.error_description);
+  }
+
+  if (refund.isModified()) {
+    await refund.save();
+  }
+  return refund;
+};
+
+export default {
+  requestRefund,
+  listStudentRefunds,
+  listRefundQueue,
+  approveRefund,
+  rejectRefund,
+  handleRefundWebhook,
+};
@@ -192,6 +192,171 @@ export const sendPayoutInvoiceEmail = async ({ to, payout, educator, pdfBuffer }
   return data;
 };
 
+/**
+ * Send a student the tax invoice for a purchase
+ */
+export const sendPaymentInvoiceEmail = async ({ to, invoice, pdfBuffer }) => {
+  const resend = getResendClient();
+
+  const amountFormatted = (Number(invoice?.totalAmount || 0) / 100).toFixed(2);
+
+  const html = `
+    <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+        <h1 style="color: white; margin: 0; font-size: 28px;">FacultyPedia</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0;">Thank you for your purchase</p>
+      </div>
+      <div style="background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
+        <h2 style="color: #333; margin-top: 0;">Hi ${invoice?.buyer?.name || "there"},</h2>
+        <p style="color: #555; font-size: 16px; line-height: 1.6;">
+          Your payment was successful. Here is your tax invoice.
+        </p>
+        <div style="background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 25px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="color: #666; padding: 8px 0; border-bottom: 1px solid #e0e0e0;">Invoice:</td>
+              <td style="color: #333; font-weight: bold; padding: 8px 0; border-bottom: 1px solid #e0e0e0; text-align: right;">${invoice?.invoiceNumber || "N/A"}</td>
+            </tr>
+            <tr>
+              <td style="color: #666; padding: 8px 0; border-bottom: 1px solid #e0e0e0;">Item:</td>
+              <td style="color: #333; font-weight: bold; padding: 8px 0; border-bottom: 1px solid #e0e0e0; text-align: right;">${invoice?.item?.description || ""}</td>
+            </tr>
+            <tr>
+              <td style="color: #666; padding: 8px 0;">Amount paid:</td>
+              <td style="color: #667eea; font-weight: bold; font-size: 20px; padding: 8px 0; text-align: right;">₹${amountFormatted}</td>
+            </tr>
+          </table>
+        </div>
+        <p style="color: #555; font-size: 14px;">
+          📎 The invoice is attached to this email. You can also download it from your payment history.
+        </p>
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 25px 0;">
+        <p style="color: #aaa; font-size: 12px; text-align: center; margin: 0;">
+          © ${new Date().getFullYear()} FacultyPedia. All rights reserved.
+        </p>
+      </div>
+    </div>
+  `;
+
+  const emailPayload = {
+    from: getFromEmail(),
+    to,
+    subject: `Invoice ${invoice?.invoiceNumber || ""} for your FacultyPedia purchase`,
+    html,
+  };
+
+  if (pdfBuffer) {
+    emailPayload.attachments = [
+      {
+        filename: `${(invoice?.invoiceNumber || "invoice").replace(/\//g, "-")}.pdf`,
+        content: pdfBuffer.toString("base64"),
+      },
+    ];
+  }
+
+  const { data, error } = await resend.emails.send(emailPayload);
+
+  if (error) {
+    console.error("Resend error (payment invoice):", error);
+    throw new Error(`Failed to send invoice email: ${error.message}`);
+  }
+
+  return data;
+};
+
+/**
+ * Remind a student of an instalment of a course they are paying for in
+ * instalments: before it falls due, once it is overdue, or when their
+ * access has been suspended for it
+ * @param {string} kind - "upcoming" | "overdue" | "suspended"
+ */
+export const sendInstallmentReminderEmail = async ({
+  to,
+  studentName,
+  courseTitle,
+  installment,
+  installmentCount,
+  kind,
+  graceEndsAt,
+}) => {
+  const resend = getResendClient();
+
+  const amountFormatted = (Number(installment?.amount || 0) / 100).toFixed(2);
+  const formatDate = (date) =>
+    date
+      ? new Date(date).toLocaleDateString("en-IN", {
+          day: "numeric",
+          month: "short",
+          year: "numeric",
+        })
+      : "N/A";
+
+  const copy = {
+    upcoming: {
+      subject: `Instalment ${installment?.number} for ${courseTitle} is due on ${formatDate(installment?.dueDate)}`,
+      text: `Instalment ${installment?.number} of ${installmentCount} for <strong>${courseTitle}</strong> is due soon. Pay it on time to keep your access to the course.`,
+    },
+    overdue: {
+      subject: `Instalment ${installment?.number} for ${courseTitle} is overdue`,
+      text: `Instalment ${installment?.number} of ${installmentCount} for <strong>${courseTitle}</strong> is overdue. Pay it by <strong>${formatDate(graceEndsAt)}</strong> or your access to the course will be suspended.`,
+    },
+    suspended: {
+      subject: `Your access to ${courseTitle} is suspended`,
+      text: `Instalment ${installment?.number} of ${installmentCount} for <strong>${courseTitle}</strong> is still unpaid, so your access to the course has been suspended. It is restored as soon as you pay.`,
+    },
+  }[kind];
+
+  const html = `
+    <div style="font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); padding: 30px; border-radius: 10px 10px 0 0; text-align: center;">
+        <h1 style="color: white; margin: 0; font-size: 28px;">FacultyPedia</h1>
+        <p style="color: rgba(255,255,255,0.9); margin: 10px 0 0 0;">Instalment reminder</p>
+      </div>
+      <div style="background: #ffffff; padding: 30px; border: 1px solid #e0e0e0; border-top: none; border-radius: 0 0 10px 10px;">
+        <h2 style="color: #333; margin-top: 0;">Hi ${studentName || "there"},</h2>
+        <p style="color: #555; font-size: 16px; line-height: 1.6;">${copy.text}</p>
+        <div style="background: #f8f9fa; border-radius: 8px; padding: 20px; margin: 25px 0;">
+          <table style="width: 100%; border-collapse: collapse;">
+            <tr>
+              <td style="color: #666; padding: 8px 0; border-bottom: 1px solid #e0e0e0;">Instalment:</td>
+              <td style="color: #333; font-weight: bold; padding: 8px 0; border-bottom: 1px solid #e0e0e0; text-align: right;">${installment?.number} of ${installmentCount}</td>
+            </tr>
+            <tr>
+              <td style="color: #666; padding: 8px 0; border-bottom: 1px solid #e0e0e0;">Due date:</td>
+              <td style="color: #333; font-weight: bold; padding: 8px 0; border-bottom: 1px solid #e0e0e0; text-align: right;">${formatDate(installment?.dueDate)}</td>
+            </tr>
+            <tr>
+              <td style="color: #666; padding: 8px 0;">Amount due:</td>
+              <td style="color: #667eea; font-weight: bold; font-size: 20px; padding: 8px 0; text-align: right;">₹${amountFormatted}</td>
+            </tr>
+          </table>
+        </div>
+        <p style="color: #555; font-size: 14px;">
+          You can pay from the instalments section of your payments page.
+        </p>
+        <hr style="border: none; border-top: 1px solid #e0e0e0; margin: 25px 0;">
+        <p style="color: #aaa; font-size: 12px; text-align: center; margin: 0;">
+          © ${new Date().getFullYear()} FacultyPedia. All rights reserved.
+        </p>
+      </div>
+    </div>
+  `;
+
+  const { data, error } = await resend.emails.send({
+    from: getFromEmail(),
+    to,
+    subject: copy.subject,
+    html,
+  });
+
+  if (error) {
+    console.error("Resend error (instalment reminder):", error);
+    throw new Error(`Failed to send instalment reminder: ${error.message}`);
+  }
+
+  return data;
+};
+
 /**
  * Send bank details updated notification
  */
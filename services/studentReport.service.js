@@ -0,0 +1,370 @@
+import Student from "../models/student.js";
+import Question from "../models/question.js";
+import Course from "../models/course.js";
+import Video from "../models/video.js";
+import StudyMaterial from "../models/studyMaterial.js";
+import { getUnreleasedTests } from "./testSchedule.service.js";
+import { httpError } from "../util/http.js";
+
+// Topics seen in fewer questions than this are too thin to call weak
+const MIN_TOPIC_QUESTIONS = 3;
+const WEAKEST_TOPIC_COUNT = 3;
+// Most recent tests compared against earlier ones for a topic's trend
+const RECENT_TEST_WINDOW = 3;
+
+const RECOMMENDED_QUESTIONS = 5;
+const RECOMMENDED_VIDEOS = 3;
+const RECOMMENDED_MATERIALS = 3;
+
+const DIFFICULTIES = ["Easy", "Medium", "Hard"];
+
+const percent = (part, whole) =>
+  whole ? Math.round((part / whole) * 10000) / 100 : 0;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+const createTally = () => ({ total: 0, attempted: 0, correct: 0, incorrect: 0 });
+
+const addToTally = (tally, row) => {
+  tally.total += 1;
+  if (row.isAttempted) {
+    tally.attempted += 1;
+    if (row.isCorrect) tally.correct += 1;
+    else tally.incorrect += 1;
+  }
+};
+
+// accuracy: correct out of attempted; score: correct out of every question seen
+const finishTally = (tally) => ({
+  ...tally,
+  unattempted: tally.total - tally.attempted,
+  accuracy: percent(tally.correct, tally.attempted),
+  score: percent(tally.correct, tally.total),
+});
+
+const isAttemptedRow = (row) =>
+  (row.response !== undefined && row.response !== null) ||
+  (row.selected !== undefined && row.selected !== null);
+
+/**
+ * Flatten Student.results[].questionBreakdown into one row per answered
+ * question, tagged with the question's subject, topics and difficulty.
+ */
+const buildAnswerRows = async (results) => {
+  const questionIds = [
+    ...new Set(
+      results.flatMap((result) =>
+        (result.questionBreakdown || [])
+          .map((row) => row.questionId?.toString())
+          .filter(Boolean)
+      )
+    ),
+  ];
+  const questions = await Question.find({ _id: { $in: questionIds } })
+    .select("subject topics difficulty")
+    .lean();
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  return results.flatMap((result) => {
+    const takenAt = result.submittedAt || result.completedAt;
+    return (result.questionBreakdown || [])
+      .map((row) => {
+        const question = byId.get(row.questionId?.toString());
+        if (!question) return null;
+        return {
+          resultId: result._id?.toString(),
+          testId: result.testId,
+          testTitle: result.testTitle,
+          takenAt,
+          questionId: question._id,
+          subject: question.subject?.[0] || "unknown",
+          topics: (question.topics || []).filter(Boolean),
+          difficulty: question.difficulty || "Medium",
+          isAttempted: isAttemptedRow(row),
+          isCorrect: Boolean(row.isCorrect),
+        };
+      })
+      .filter(Boolean);
+  });
+};
+
+const topicTrend = (rows) => {
+  const byResult = new Map();
+  rows.forEach((row) => {
+    if (!byResult.has(row.resultId)) {
+      byResult.set(row.resultId, { takenAt: row.takenAt, tally: createTally() });
+    }
+    addToTally(byResult.get(row.resultId).tally, row);
+  });
+
+  const tests = [...byResult.values()].sort(
+    (a, b) => new Date(a.takenAt) - new Date(b.takenAt)
+  );
+  if (tests.length < 2) {
+    return { direction: "insufficient-data", recentScore: null, earlierScore: null };
+  }
+
+  const splitAt = Math.max(1, tests.length - RECENT_TEST_WINDOW);
+  const combine = (list) =>
+    list.reduce(
+      (sum, { tally }) => ({
+        correct: sum.correct + tally.correct,
+        total: sum.total + tally.total,
+      }),
+      { correct: 0, total: 0 }
+    );
+  const earlier = combine(tests.slice(0, splitAt));
+  const recent = combine(tests.slice(splitAt));
+  const earlierScore = percent(earlier.correct, earlier.total);
+  const recentScore = percent(recent.correct, recent.total);
+  const delta = recentScore - earlierScore;
+
+  return {
+    direction: delta > 5 ? "improving" : delta < -5 ? "declining" : "steady",
+    recentScore,
+    earlierScore,
+  };
+};
+
+const aggregateRows = (rows) => {
+  const subjects = new Map();
+  const topics = new Map();
+  const difficulties = new Map(DIFFICULTIES.map((level) => [level, createTally()]));
+
+  rows.forEach((row) => {
+    if (!subjects.has(row.subject)) subjects.set(row.subject, createTally());
+    addToTally(subjects.get(row.subject), row);
+    if (difficulties.has(row.difficulty)) addToTally(difficulties.get(row.difficulty), row);
+
+    row.topics.forEach((topic) => {
+      const key = `${row.subject}\u0000${topic}`;
+      if (!topics.has(key)) {
+        topics.set(key, {
+          subject: row.subject,
+          topic,
+          tally: createTally(),
+          byDifficulty: Object.fromEntries(DIFFICULTIES.map((level) => [level, createTally()])),
+          rows: [],
+        });
+      }
+      const entry = topics.get(key);
+      addToTally(entry.tally, row);
+      if (entry.byDifficulty[row.difficulty]) addToTally(entry.byDifficulty[row.difficulty], row);
+      entry.rows.push(row);
+    });
+  });
+
+  return {
+    bySubject: [...subjects].map(([subject, tally]) => ({
+      subject,
+      ...finishTally(tally),
+    })),
+    byDifficulty: [...difficulties].map(([difficulty, tally]) => ({
+      difficulty,
+      ...finishTally(tally),
+    })),
+    byTopic: [...topics.values()].map((entry) => ({
+      subject: entry.subject,
+      topic: entry.topic,
+      ...finishTally(entry.tally),
+      byDifficulty: Object.fromEntries(
+        Object.entries(entry.byDifficulty).map(([level, tally]) => [
+          level,
+          finishTally(tally),
+        ])
+      ),
+      trend: topicTrend(entry.rows),
+    })),
+  };
+};
+
+// Score per test over time, overall and per subject
+const buildTimeline = (rows) => {
+  const byResult = new Map();
+  rows.forEach((row) => {
+    if (!byResult.has(row.resultId)) {
+      byResult.set(row.resultId, {
+        testId: row.testId,
+        testTitle: row.testTitle,
+        takenAt: row.takenAt,
+        overall: createTally(),
+        subjects: new Map(),
+      });
+    }
+    const entry = byResult.get(row.resultId);
+    addToTally(entry.overall, row);
+    if (!entry.subjects.has(row.subject)) entry.subjects.set(row.subject, createTally());
+    addToTally(entry.subjects.get(row.subject), row);
+  });
+
+  return [...byResult.values()]
+    .sort((a, b) => new Date(a.takenAt) - new Date(b.takenAt))
+    .map((entry) => {
+      const overall = finishTally(entry.overall);
+      return {
+        testId: entry.testId,
+        testTitle: entry.testTitle,
+        takenAt: entry.takenAt,
+        accuracy: overall.accuracy,
+        score: overall.score,
+        subjects: [...entry.subjects].map(([subject, tally]) => {
+          const finished = finishTally(tally);
+          return { subject, accuracy: finished.accuracy, score: finished.score };
+        }),
+      };
+    });
+};
+
+const enrolledCourseScope = async (student) => {
+  const courseIds = (student.courses || [])
+    .map((entry) => entry.courseId)
+    .filter(Boolean);
+  if (!courseIds.length) {
+    return { courseIds: [], videoIds: [], educatorIds: [] };
+  }
+
+  const courses = await Course.find({ _id: { $in: courseIds } })
+    .select("videos educatorID")
+    .lean();
+  return {
+    courseIds,
+    videoIds: courses.flatMap((course) => course.videos || []),
+    educatorIds: [...new Set(courses.map((course) => course.educatorID?.toString()))]
+      .filter(Boolean),
+  };
+};
+
+const recommendForTopic = async (weakTopic, scope, seenQuestionIds) => {
+  const topicPattern = new RegExp(escapeRegex(weakTopic.topic), "i");
+
+  const questionFilter = {
+    isActive: true,
+    subject: weakTopic.subject,
+    topics: weakTopic.topic,
+    _id: { $nin: seenQuestionIds },
+  };
+  if (scope.educatorIds.length) {
+    questionFilter.educatorId = { $in: scope.educatorIds };
+  }
+  // Start from the level where the student is losing marks
+  const focusDifficulty =
+    DIFFICULTIES.find(
+      (level) =>
+        weakTopic.byDifficulty[level].total > 0 &&
+        weakTopic.byDifficulty[level].score < 60
+    ) || "Easy";
+
+  const courseFilter = {
+    $or: [
+      { courseId: { $in: scope.courseIds } },
+      { courseIds: { $in: scope.courseIds } },
+    ],
+  };
+
+  const [focused, videos, materials] = await Promise.all([
+    Question.find({ ...questionFilter, difficulty: focusDifficulty })
+      .select("title slug questionType difficulty topics")
+      .limit(RECOMMENDED_QUESTIONS)
+      .lean(),
+    scope.courseIds.length
+      ? Video.find({
+          $and: [
+            { $or: [...courseFilter.$or, { _id: { $in: scope.videoIds } }] },
+            { title: topicPattern },
+          ],
+        })
+          .select("title links courseId")
+          .limit(RECOMMENDED_VIDEOS)
+          .lean()
+      : [],
+    scope.courseIds.length
+      ? StudyMaterial.find({
+          $and: [
+            courseFilter,
+            {
+              $or: [
+                { tags: topicPattern },
+                { title: topicPattern },
+                { description: topicPattern },
+              ],
+            },
+          ],
+        })
+          .select("title description fileType courseId tags")
+          .limit(RECOMMENDED_MATERIALS)
+          .lean()
+      : [],
+  ]);
+
+  let questions = focused;
+  if (questions.length < RECOMMENDED_QUESTIONS) {
+    const more = await Question.find({
+      ...questionFilter,
+      _id: { $nin: [...seenQuestionIds, ...focused.map((q) => q._id)] },
+    })
+      .select("title slug questionType difficulty topics")
+      .limit(RECOMMENDED_QUESTIONS - questions.length)
+      .lean();
+    questions = [...questions, ...more];
+  }
+
+  return { focusDifficulty, questions, videos, studyMaterials: materials };
+};
+
+/**
+ * Weakness report built from every released result of a student: accuracy by
+ * subject, topic and difficulty, a per-test timeline, the weakest topics
+ * and study recommendations from the student's enrolled courses.
+ * Accuracy counts attempted questions only; `score` also counts skipped ones,
+ * and weak topics are ranked by score.
+ */
+export const buildWeaknessReport = async (studentId) => {
+  const student = await Student.findById(studentId)
+    .select("results courses name username")
+    .lean();
+  if (!student) {
+    throw httpError("Student not found", 404);
+  }
+
+  // Invalidated results and those still withheld by a scheduled test's
+  // release time stay out
+  const results = (student.results || []).filter((result) => !result.isInvalidated);
+  const unreleased = await getUnreleasedTests(
+    results.map((result) => result.testId).filter(Boolean)
+  );
+  const rows = await buildAnswerRows(
+    results.filter((result) => !unreleased.has(result.testId?.toString()))
+  );
+  const { bySubject, byDifficulty, byTopic } = aggregateRows(rows);
+
+  const weakestTopics = byTopic
+    .filter((topic) => topic.total >= MIN_TOPIC_QUESTIONS)
+    .sort((a, b) => a.score - b.score || b.total - a.total)
+    .slice(0, WEAKEST_TOPIC_COUNT);
+
+  const scope = await enrolledCourseScope(student);
+  const seenQuestionIds = [...new Set(rows.map((row) => row.questionId.toString()))];
+  const recommendations = await Promise.all(
+    weakestTopics.map(async (topic) => ({
+      subject: topic.subject,
+      topic: topic.topic,
+      score: topic.score,
+      accuracy: topic.accuracy,
+      trend: topic.trend,
+      ...(await recommendForTopic(topic, scope, seenQuestionIds)),
+    }))
+  );
+
+  return {
+    student: { id: student._id, name: student.name, username: student.username },
+    testsAnalysed: new Set(rows.map((row) => row.resultId)).size,
+    questionsAnalysed: rows.length,
+    bySubject,
+    byDifficulty,
+    byTopic: byTopic.sort((a, b) => a.score - b.score),
+    timeline: buildTimeline(rows),
+    weakestTopics: recommendations,
+  };
+};
+
+export default { buildWeaknessReport };
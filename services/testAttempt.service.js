@@ -0,0 +1,1260 @@
+import mongoose from "mongoose";
+import Test from "../models/test.js";
+import Question from "../models/question.js";
+import Student from "../models/student.js";
+import TestAttempt from "../models/testAttempt.js";
+import { pickCountedAttempt } from "./leaderboard.service.js";
+import { assertTestWindowOpen, writeTestRanks } from "./testSchedule.service.js";
+import {
+  OPTION_KEYS,
+  buildSubjectScores,
+  gradeAttempt,
+  normalizeResponse,
+  roundMarks,
+} from "./grading.service.js";
+import {
+  areResultsReleased,
+  getResultsReleaseTime,
+  isQuestionPaperOpen,
+  withholdResultFields,
+} from "../util/testSchedule.js";
+import { getOfflineWindow } from "../util/offlinePackage.js";
+import { loadAttemptQuestions } from "./questionVersion.service.js";
+import { httpError } from "../util/http.js";
+
+// Answers arriving shortly after the deadline (network latency) are still accepted
+export const ATTEMPT_GRACE_SECONDS = process.env.TEST_ATTEMPT_GRACE_SECONDS
+  ? parseInt(process.env.TEST_ATTEMPT_GRACE_SECONDS)
+  : 30;
+
+// Fields that must never reach a student while an attempt is running
+const HIDDEN_QUESTION_FIELDS = ["correctOptions", "explanation", "explanationImages"];
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Strip the answer key from a question before serving it to a student.
+ */
+export const toStudentQuestionView = (question) => {
+  const plain = question.toObject ? question.toObject() : { ...question };
+  HIDDEN_QUESTION_FIELDS.forEach((field) => {
+    delete plain[field];
+  });
+  delete plain.tests;
+  return plain;
+};
+
+/**
+ * Strip answer keys from a test document (or plain object) whose questions
+ * are populated. A scheduled test that has not started yet loses its questions.
+ */
+export const toStudentTestView = (test) => {
+  const plain = test.toObject ? test.toObject() : { ...test };
+  if (!isQuestionPaperOpen(plain)) {
+    plain.questions = [];
+    plain.sections = (plain.sections || []).map((section) => ({
+      ...section,
+      questions: [],
+    }));
+    return plain;
+  }
+  if (Array.isArray(plain.questions)) {
+    plain.questions = plain.questions.map((question) =>
+      question && !(question instanceof mongoose.Types.ObjectId)
+        ? toStudentQuestionView(question)
+        : question
+    );
+  }
+  return plain;
+};
+
+// A retake in progress must not be answered from an earlier attempt's key
+const hasAttemptInProgress = (testId, studentId) =>
+  TestAttempt.exists({ testId, studentId, status: "in-progress" });
+
+/**
+ * Decide whether the caller may see a test's answer key and explanations.
+ * Admins and the owning educator always can; a student only after
+ * submitting an attempt, only while no other attempt is in progress, and
+ * only if the test allows review and results.
+ * @param {Object} test - Test document (educatorID may be populated)
+ * @param {Object} [auth] - req.auth as set by the auth middlewares
+ */
+export const canViewAnswerKey = async (test, auth) => {
+  if (!auth?.userId) {
+    return false;
+  }
+
+  if (auth.userType === "admin") {
+    return true;
+  }
+
+  if (auth.userType === "educator") {
+    const ownerId = test.educatorID?._id || test.educatorID;
+    return Boolean(ownerId) && ownerId.toString() === auth.userId.toString();
+  }
+
+  if (auth.userType === "student") {
+    if (!test.allowReview || !test.showResult || !areResultsReleased(test)) {
+      return false;
+    }
+    const [submitted, inProgress] = await Promise.all([
+      TestAttempt.exists({
+        testId: test._id,
+        studentId: auth.userId,
+        status: "submitted",
+      }),
+      hasAttemptInProgress(test._id, auth.userId),
+    ]);
+    return Boolean(submitted) && !inProgress;
+  }
+
+  return false;
+};
+
+/**
+ * Build the post-submission review of an attempt: every question with the
+ * student's response, the correct answer, explanation and marks awarded.
+ */
+export const getAttemptReview = async (attempt) => {
+  if (attempt.status !== "submitted") {
+    throw httpError("Review is available after the attempt is submitted", 409);
+  }
+
+  const test = await Test.findById(attempt.testId);
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+
+  if (!test.allowReview || !test.showResult) {
+    throw httpError("Review is not enabled for this test", 403);
+  }
+
+  assertResultsReleased(test);
+
+  if (await hasAttemptInProgress(test._id, attempt.studentId)) {
+    throw httpError(
+      "Review is unavailable while another attempt on this test is in progress",
+      409
+    );
+  }
+
+  // Questions as the student saw them, even if they have been edited since
+  const questions = await loadAttemptQuestions(attempt, { populatePassage: true });
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  return attempt.gradedQuestions.map((graded) => {
+    const question = byId.get(graded.questionId.toString());
+    const plain = question ? question.toObject() : { _id: graded.questionId };
+    delete plain.tests;
+    return {
+      ...plain,
+      response: graded.response,
+      correctAnswer: graded.correctAnswer,
+      isAttempted: graded.isAttempted,
+      isCorrect: graded.isCorrect,
+      isEvaluated: graded.isEvaluated,
+      sectionId: graded.sectionId,
+      marksAwarded: graded.marksAwarded,
+      maxMarks: graded.maxMarks,
+      timeSpent: graded.timeSpent,
+    };
+  });
+};
+
+const loadTestQuestions = async (test) => {
+  const questions = await Question.find({
+    _id: { $in: test.questions },
+  }).populate("passage", "title content image");
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+  // Preserve the test's question order and drop dangling references
+  return test.questions
+    .map((id) => byId.get(id.toString()))
+    .filter(Boolean);
+};
+
+/**
+ * Build the order questions are served in. Sectioned tests keep their
+ * sections in sequence and only shuffle within a section.
+ */
+const buildQuestionOrder = (test, questions) => {
+  const available = new Set(questions.map((q) => q._id.toString()));
+  const arrange = (ids) => (test.shuffleQuestions ? shuffle(ids) : ids);
+
+  if (!test.sections?.length) {
+    return arrange(questions.map((q) => q._id));
+  }
+
+  return test.sections.flatMap((section) =>
+    arrange(section.questions.filter((id) => available.has(id.toString())))
+  );
+};
+
+const orderQuestions = (questions, questionOrder) => {
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+  return questionOrder.map((id) => byId.get(id.toString())).filter(Boolean);
+};
+
+const assertResultsReleased = (test) => {
+  if (!areResultsReleased(test)) {
+    throw httpError(
+      `Results for this test will be released at ${getResultsReleaseTime(test).toISOString()}`,
+      403
+    );
+  }
+};
+
+/**
+ * Strip the scores from a graded attempt's response data while the test's
+ * results are withheld.
+ */
+export const withholdUnreleasedResult = async (attempt, data) => {
+  const test = await Test.findById(attempt.testId).select(
+    "startsAt endsAt resultsReleaseAt"
+  );
+  return !test || areResultsReleased(test) ? data : withholdResultFields(data, test);
+};
+
+// Question breakdown fields that give away the answer key or a response
+const ANSWER_KEY_BREAKDOWN_FIELDS = ["correct", "response", "selected"];
+
+const resultTestId = (item) => (item.testId?._id || item.testId)?.toString();
+
+/**
+ * A student's stored results and test summaries as the caller may see them.
+ * Scores of tests whose results are not released are withheld, and each
+ * question breakdown keeps the answer key and responses only when
+ * canViewAnswerKey lets the caller see that test's key. Students never see
+ * another student's responses.
+ * @param {Object} student - Plain student object with results and tests
+ * @param {Object} [auth] - req.auth of the caller, if any
+ * @returns {Promise<{results: Array, tests: Array}>}
+ */
+export const getVisibleStudentResults = async (student, auth) => {
+  const results = student.results || [];
+  const tests = student.tests || [];
+  const testIds = [
+    ...new Set([...results, ...tests].map(resultTestId).filter(Boolean)),
+  ];
+  const testDocs = testIds.length
+    ? await Test.find({ _id: { $in: testIds } })
+        .select("educatorID allowReview showResult startsAt endsAt resultsReleaseAt")
+        .lean()
+    : [];
+  const testsById = new Map(testDocs.map((test) => [test._id.toString(), test]));
+
+  const isOtherStudent =
+    auth?.userType === "student" &&
+    auth.userId.toString() !== student._id.toString();
+  const visibleKeys = new Set();
+  if (!isOtherStudent) {
+    await Promise.all(
+      testDocs.map(async (test) => {
+        if (await canViewAnswerKey(test, auth)) {
+          visibleKeys.add(test._id.toString());
+        }
+      })
+    );
+  }
+
+  const toVisible = (item) => {
+    const testId = resultTestId(item);
+    const test = testsById.get(testId);
+    if (test && !areResultsReleased(test)) {
+      return withholdResultFields(item, test);
+    }
+    if (!item.questionBreakdown || visibleKeys.has(testId)) {
+      return item;
+    }
+    return {
+      ...item,
+      questionBreakdown: item.questionBreakdown.map((row) => {
+        const visible = { ...row };
+        ANSWER_KEY_BREAKDOWN_FIELDS.forEach((field) => delete visible[field]);
+        return visible;
+      }),
+    };
+  };
+
+  return { results: results.map(toVisible), tests: tests.map(toVisible) };
+};
+
+export const getAttemptForStudent = async (attemptId, studentId) => {
+  if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+    throw httpError("Invalid attempt ID");
+  }
+
+  const attempt = await TestAttempt.findById(attemptId);
+  if (!attempt) {
+    throw httpError("Attempt not found", 404);
+  }
+
+  if (attempt.studentId.toString() !== studentId.toString()) {
+    throw httpError("This attempt belongs to another student", 403);
+  }
+
+  return attempt;
+};
+
+/**
+ * Offline attempts take no answers, section moves or submissions online;
+ * they are submitted by syncing their answer log.
+ */
+export const assertOnlineAttempt = (attempt) => {
+  if (attempt.mode === "offline") {
+    throw httpError(
+      "This attempt is being taken offline; sync its answer log to submit it",
+      409
+    );
+  }
+};
+
+// Sections with their own duration are taken one after another
+const hasTimedSections = (test) =>
+  Boolean(test.sections?.some((section) => section.duration > 0));
+
+const openSection = (attempt, section, startedAt) => {
+  const deadline = section.duration
+    ? new Date(
+        Math.min(
+          startedAt.getTime() + section.duration * 60 * 1000,
+          attempt.deadline.getTime()
+        )
+      )
+    : attempt.deadline;
+  attempt.sectionProgress.push({ sectionId: section._id, startedAt, deadline });
+};
+
+/**
+ * Close timed sections whose window (plus grace) has passed and open the
+ * next one from the moment the previous one ended. Returns the section
+ * progress entry that is open now, or null when the test has no timed sections.
+ */
+export const syncSectionProgress = (attempt, test, now = new Date()) => {
+  if (!hasTimedSections(test)) {
+    return null;
+  }
+
+  if (!attempt.sectionProgress.length) {
+    openSection(attempt, test.sections[0], attempt.startedAt);
+  }
+
+  let current = attempt.getCurrentSection();
+  while (
+    current &&
+    now.getTime() > current.deadline.getTime() + ATTEMPT_GRACE_SECONDS * 1000
+  ) {
+    const index = test.sections.findIndex(
+      (section) => section._id.toString() === current.sectionId.toString()
+    );
+    const next = test.sections[index + 1];
+    if (!next) {
+      break;
+    }
+    current.closedAt = current.deadline;
+    openSection(attempt, next, current.deadline);
+    current = attempt.getCurrentSection();
+  }
+
+  return current;
+};
+
+/**
+ * Describe a test's sections for the attempt screen, including which timed
+ * section is currently open.
+ */
+export const buildSectionSummary = (attempt, test) => {
+  if (!test.sections?.length) {
+    return [];
+  }
+
+  const order = attempt.questionOrder.map((id) => id.toString());
+  const current = attempt.getCurrentSection();
+  return test.sections.map((section) => {
+    const key = section._id.toString();
+    const inSection = new Set(section.questions.map((id) => id.toString()));
+    const progress = attempt.sectionProgress.find(
+      (entry) => entry.sectionId.toString() === key
+    );
+    return {
+      sectionId: section._id,
+      name: section.name,
+      subject: section.subject,
+      duration: section.duration,
+      maxAttempts: section.maxAttempts,
+      instructions: section.instructions,
+      questions: order.filter((id) => inSection.has(id)),
+      startedAt: progress?.startedAt,
+      deadline: progress?.deadline,
+      closedAt: progress?.closedAt,
+      isCurrent: Boolean(current && current.sectionId.toString() === key),
+    };
+  });
+};
+
+/**
+ * Close the current timed section early and move on to the next one.
+ */
+export const advanceSection = async (attempt) => {
+  if (attempt.status !== "in-progress") {
+    throw httpError("Attempt has already been submitted", 409);
+  }
+  assertOnlineAttempt(attempt);
+
+  if (await finalizeIfOverdue(attempt)) {
+    throw httpError(
+      "Time is up for this attempt; it has been submitted automatically",
+      410
+    );
+  }
+
+  const test = await Test.findById(attempt.testId);
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+
+  const now = new Date();
+  const current = syncSectionProgress(attempt, test, now);
+  if (!current) {
+    throw httpError("This test does not have timed sections");
+  }
+
+  const index = test.sections.findIndex(
+    (section) => section._id.toString() === current.sectionId.toString()
+  );
+  const next = test.sections[index + 1];
+  if (!next) {
+    throw httpError("This is the last section; submit the attempt instead", 409);
+  }
+
+  current.closedAt = now;
+  openSection(attempt, next, now);
+  await attempt.save();
+  return { attempt, test };
+};
+
+/**
+ * Start (or resume) a student's attempt on a test. Returns the attempt
+ * together with the answer-stripped questions in the order they are served.
+ * A student has at most one running attempt per test, online or offline.
+ * @param {Object} [options] - { mode: "online" (default) | "offline" }
+ */
+export const startAttempt = async (testId, studentId, { mode = "online" } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(testId)) {
+    throw httpError("Invalid test ID");
+  }
+
+  const test = await Test.findById(testId);
+  if (!test || !test.isActive) {
+    throw httpError("Test not found", 404);
+  }
+
+  const questions = await loadTestQuestions(test);
+  if (!questions.length) {
+    throw httpError("Test has no questions");
+  }
+
+  let attempt = await TestAttempt.findOne({
+    studentId,
+    testId: test._id,
+    status: "in-progress",
+  });
+
+  // An abandoned attempt whose time ran out is graded before a new one starts
+  if (attempt && (await finalizeIfOverdue(attempt))) {
+    attempt = null;
+  }
+
+  if (attempt && attempt.mode !== mode) {
+    throw httpError(
+      attempt.mode === "offline"
+        ? "An offline attempt on this test is waiting to be synced"
+        : "Finish your online attempt on this test first",
+      409
+    );
+  }
+
+  const isResumed = Boolean(attempt);
+  if (!attempt) {
+    const previousAttempts = await TestAttempt.countDocuments({
+      studentId,
+      testId: test._id,
+    });
+    await assertTestWindowOpen(test, studentId);
+    if (
+      test.maxAttemptsPerStudent &&
+      previousAttempts >= test.maxAttemptsPerStudent
+    ) {
+      throw httpError(
+        `You have used all ${test.maxAttemptsPerStudent} attempts allowed for this test`,
+        403
+      );
+    }
+
+    const startedAt = new Date();
+    attempt = new TestAttempt({
+      studentId,
+      testId: test._id,
+      testSeriesId: test.testSeriesID,
+      attemptNumber: previousAttempts + 1,
+      mode,
+      questionOrder: buildQuestionOrder(test, questions),
+      questionVersions: questions.map((question) => ({
+        questionId: question._id,
+        version: question.version || 1,
+      })),
+      startedAt,
+    });
+    if (mode === "offline") {
+      const { expiresAt, syncDeadline } = getOfflineWindow(test, startedAt);
+      attempt.offlinePackage = { issuedAt: startedAt, expiresAt };
+      attempt.deadline = syncDeadline;
+    } else {
+      // Scheduled tests end for everyone at endsAt, however late they started
+      attempt.deadline = new Date(
+        Math.min(
+          startedAt.getTime() + test.duration * 60 * 1000,
+          test.endsAt ? test.endsAt.getTime() : Infinity
+        )
+      );
+      syncSectionProgress(attempt, test, startedAt);
+    }
+    try {
+      await attempt.save();
+    } catch (error) {
+      // A concurrent request started the attempt first; resume that one
+      if (error.code === 11000) {
+        return startAttempt(testId, studentId, { mode });
+      }
+      throw error;
+    }
+  } else if (mode === "online" && hasTimedSections(test)) {
+    const sectionCount = attempt.sectionProgress.length;
+    syncSectionProgress(attempt, test);
+    if (attempt.sectionProgress.length !== sectionCount) {
+      await attempt.save();
+    }
+  }
+
+  // A resumed attempt keeps the question versions it was first served
+  const served = isResumed
+    ? await loadAttemptQuestions(attempt, { populatePassage: true })
+    : orderQuestions(questions, attempt.questionOrder);
+  return {
+    attempt,
+    test,
+    questions: served.map(toStudentQuestionView),
+  };
+};
+
+/**
+ * Save one or more answers on an in-progress attempt.
+ * @param {Array<{questionId, response, timeSpent?}>} answers
+ */
+export const saveAnswers = async (attempt, answers) => {
+  if (attempt.status !== "in-progress") {
+    throw httpError("Attempt has already been submitted", 409);
+  }
+  assertOnlineAttempt(attempt);
+
+  if (!Array.isArray(answers) || !answers.length) {
+    throw httpError("answers must be a non-empty array");
+  }
+
+  if (await finalizeIfOverdue(attempt)) {
+    throw httpError(
+      "Time is up for this attempt; it has been submitted automatically",
+      410
+    );
+  }
+
+  const questions = await loadAttemptQuestions(attempt);
+  const questionById = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  // In tests with timed sections only the open section accepts answers
+  let openQuestionIds = null;
+  const test = await Test.findById(attempt.testId).select("sections");
+  const currentSection = test && syncSectionProgress(attempt, test);
+  if (currentSection) {
+    const section = test.sections.id(currentSection.sectionId);
+    openQuestionIds = new Set(
+      (section?.questions || []).map((id) => id.toString())
+    );
+  }
+
+  for (const answer of answers) {
+    const questionId = answer?.questionId?.toString();
+    const question = questionId && questionById.get(questionId);
+    if (!question) {
+      throw httpError(`Question ${questionId} is not part of this attempt`);
+    }
+
+    if (openQuestionIds && !openQuestionIds.has(questionId)) {
+      throw httpError(
+        `Question ${questionId} belongs to a section that is not open`,
+        403
+      );
+    }
+
+    const hasResponse =
+      answer.response !== undefined &&
+      answer.response !== null &&
+      answer.response !== "";
+    const response = normalizeResponse(question, answer.response);
+    if (hasResponse && response === null) {
+      throw httpError(`Invalid response for question ${questionId}`);
+    }
+
+    const timeSpent = Number(answer.timeSpent);
+    attempt.setAnswer(
+      questionId,
+      response,
+      Number.isFinite(timeSpent) && timeSpent >= 0 ? timeSpent : undefined
+    );
+  }
+
+  await attempt.save();
+  return attempt;
+};
+
+const toOptionIndex = (key) => OPTION_KEYS.indexOf(key);
+
+// Legacy numeric `selected` / `correct` fields of Student.results[].questionBreakdown
+const toBreakdownValues = (questionType, graded) => {
+  const { response, correctAnswer } = graded;
+
+  if (questionType === "integer") {
+    return {
+      selected: response ?? undefined,
+      correct: correctAnswer === null ? [] : [correctAnswer],
+    };
+  }
+
+  if (questionType === "numeric") {
+    const range = correctAnswer
+      ? [...new Set([correctAnswer.min, correctAnswer.max])]
+      : [];
+    return { selected: response ?? undefined, correct: range };
+  }
+
+  if (questionType === "matrix-match") {
+    return { selected: undefined, correct: [] };
+  }
+
+  const correctList = Array.isArray(correctAnswer)
+    ? correctAnswer
+    : correctAnswer === null
+    ? []
+    : [correctAnswer];
+  return {
+    selected: typeof response === "string" ? toOptionIndex(response) : undefined,
+    correct: correctList.map(toOptionIndex),
+  };
+};
+
+const buildQuestionBreakdown = (gradedQuestions, questions) => {
+  const byId = new Map(questions.map((q) => [q._id.toString(), q]));
+
+  return gradedQuestions.map((graded) => {
+    const question = byId.get(graded.questionId.toString());
+
+    return {
+      questionId: graded.questionId,
+      ...toBreakdownValues(question?.questionType, graded),
+      response: graded.response,
+      isCorrect: graded.isCorrect,
+      marksAwarded: graded.marksAwarded,
+      timeSpent: graded.timeSpent,
+      text: question?.title?.slice(0, 1000),
+    };
+  });
+};
+
+// Student.tests keeps one summary per test, describing the counted attempt
+const buildTestSummary = (result, startedAt, attempts) => {
+  const finishedAt = result.submittedAt || result.completedAt;
+  const timeTakenMinutes = Math.ceil(
+    (finishedAt.getTime() - startedAt.getTime()) / 60000
+  );
+  return {
+    testId: result.testId,
+    attemptedAt: startedAt,
+    score: Math.max(0, result.score),
+    totalMarks: result.totalMarks,
+    percentage: Math.min(100, Math.max(0, result.percentage)),
+    status: "completed",
+    timeTaken: Math.max(0, timeTakenMinutes),
+    attempts,
+  };
+};
+
+/**
+ * Flag the result that counts on a test under Test.attemptCountingPolicy
+ * (invalidated results never count), rebuild the student's summary for the
+ * test and recompute progress.testsTaken and progress.avgScore.
+ * @param {Object} [knownAttempt] - Attempt already in memory, saves a lookup
+ */
+const refreshCountedResult = async (student, test, knownAttempt) => {
+  const testKey = test._id.toString();
+  const testResults = student.results.filter(
+    (item) => item.testId && item.testId.toString() === testKey
+  );
+  const counted = pickCountedAttempt(
+    testResults.filter((item) => !item.isInvalidated),
+    test.attemptCountingPolicy
+  );
+  testResults.forEach((item) => {
+    item.isCounted = item === counted;
+  });
+
+  const existingTestIndex = student.tests.findIndex(
+    (item) => item.testId && item.testId.toString() === testKey
+  );
+  if (existingTestIndex >= 0) {
+    student.tests.splice(existingTestIndex, 1);
+  }
+  if (counted) {
+    const countedAttempt =
+      knownAttempt && counted.attemptId?.toString() === knownAttempt._id.toString()
+        ? knownAttempt
+        : counted.attemptId &&
+          (await TestAttempt.findById(counted.attemptId).select("startedAt"));
+    student.tests.unshift(
+      buildTestSummary(
+        counted,
+        countedAttempt?.startedAt || counted.submittedAt || counted.completedAt,
+        testResults.length
+      )
+    );
+  }
+
+  // Results written before attempts were kept individually have no flag and count
+  const countedResults = student.results.filter((item) => item.isCounted !== false);
+  student.progress.testsTaken = countedResults.length;
+  const aggregatePercent = countedResults.reduce((sum, item) => {
+    return sum + (Number(item.percentage) || 0);
+  }, 0);
+  student.progress.avgScore = countedResults.length
+    ? aggregatePercent / countedResults.length
+    : 0;
+};
+
+/**
+ * Write a graded attempt into the student's results and test history.
+ * Every attempt keeps its own result; Test.attemptCountingPolicy decides
+ * which one is flagged as counted and feeds progress.avgScore. Ranks are
+ * written separately by writeTestRanks: on submission when the test's
+ * results are already out, otherwise when they are released.
+ * @param {Object} [options] - { isRegrade: replace the existing result in
+ *   place, keeping its rank }
+ */
+export const recordAttemptResult = async (
+  attempt,
+  test,
+  questions,
+  grading,
+  { isRegrade = false } = {}
+) => {
+  const student = await Student.findById(attempt.studentId);
+  if (!student) {
+    throw httpError("Student not found", 404);
+  }
+
+  const submittedAt = attempt.submittedAt || new Date();
+  const resultData = {
+    attemptId: attempt._id,
+    testId: test._id,
+    testSeriesId: test.testSeriesID,
+    testTitle: test.title?.slice(0, 200),
+    attemptNumber: attempt.attemptNumber,
+    score: attempt.score,
+    totalMarks: attempt.totalMarks,
+    percentage: attempt.percentage,
+    correct: attempt.correct,
+    incorrect: attempt.incorrect,
+    unattempted: attempt.unattempted,
+    questionBreakdown: buildQuestionBreakdown(
+      attempt.gradedQuestions,
+      questions
+    ),
+    submittedAt,
+    completedAt: submittedAt,
+    subjects: buildSubjectScores(test, questions, grading),
+  };
+
+  const attemptKey = attempt._id.toString();
+  const existingResultIndex = student.results.findIndex(
+    (item) => item.attemptId && item.attemptId.toString() === attemptKey
+  );
+  if (isRegrade && existingResultIndex >= 0) {
+    const existing = student.results[existingResultIndex];
+    resultData.rank = existing.rank;
+    resultData.percentile = existing.percentile;
+    resultData.isInvalidated = existing.isInvalidated;
+    student.results.splice(existingResultIndex, 1, resultData);
+  } else {
+    if (existingResultIndex >= 0) {
+      student.results.splice(existingResultIndex, 1);
+    }
+    student.results.unshift(resultData);
+  }
+
+  await refreshCountedResult(student, test, attempt);
+
+  await student.save();
+  return student.results.find(
+    (item) => item.attemptId && item.attemptId.toString() === attemptKey
+  );
+};
+
+const getGradingFields = (grading) => ({
+  gradedQuestions: grading.gradedQuestions,
+  sectionScores: grading.sectionScores,
+  score: grading.score,
+  totalMarks: grading.totalMarks,
+  percentage: grading.totalMarks
+    ? roundMarks((grading.score / grading.totalMarks) * 100)
+    : 0,
+  correct: grading.correct,
+  incorrect: grading.incorrect,
+  unattempted: grading.unattempted,
+});
+
+/**
+ * Re-rank a test whose results are already out after a new submission.
+ * Only the submitting student's progress.rank moves; a failure is logged
+ * and the ranks are written again on the next submission.
+ */
+const refreshReleasedRanks = async (test, attempt, result) => {
+  if (!areResultsReleased(test)) {
+    return;
+  }
+  try {
+    const standings = await writeTestRanks(test, { updateProgress: false });
+    const row = standings.find(
+      (entry) => entry.attemptId.toString() === attempt._id.toString()
+    );
+    if (row) {
+      result.rank = row.rank;
+      result.percentile = row.percentile;
+      await Student.updateOne(
+        { _id: attempt.studentId },
+        { $set: { "progress.rank": row.rank } }
+      );
+    }
+  } catch (error) {
+    console.error(`Error ranking test ${test._id} after a submission:`, error);
+  }
+};
+
+const applyGrading = (attempt, grading) => {
+  attempt.set(getGradingFields(grading));
+};
+
+/**
+ * Grade an in-progress attempt against the answer key, persist the graded
+ * attempt and record the result on the student.
+ * @param {Object} options - { submissionType: "manual" | "auto" | "offline",
+ *   submittedAt: defaults to now; offline syncs pass the answer log's time }
+ */
+export const submitAttempt = async (
+  attempt,
+  { submissionType = "manual", submittedAt = new Date() } = {}
+) => {
+  if (attempt.status !== "in-progress") {
+    throw httpError("Attempt has already been submitted", 409);
+  }
+
+  const test = await Test.findById(attempt.testId);
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+
+  const questions = await loadAttemptQuestions(attempt);
+  const grading = gradeAttempt(test, questions, attempt.answers);
+
+  // Claim the attempt and store its grade in one atomic write, so a manual
+  // submit and the expiry sweep can never grade the same attempt twice and
+  // a failure while grading leaves it in progress to be submitted again.
+  // Unsaved changes the caller made (e.g. an offline sync's answers) go too
+  const fields = {
+    ...Object.fromEntries(
+      attempt.directModifiedPaths().map((path) => [path, attempt.get(path)])
+    ),
+    ...getGradingFields(grading),
+    status: "submitted",
+    submittedAt,
+    submissionType,
+  };
+  const claim = await TestAttempt.updateOne(
+    { _id: attempt._id, status: "in-progress" },
+    { $set: fields }
+  );
+  if (!claim.modifiedCount) {
+    throw httpError("Attempt has already been submitted", 409);
+  }
+
+  attempt.set(fields);
+  Object.keys(fields).forEach((path) => attempt.unmarkModified(path));
+
+  const result = await recordAttemptResult(attempt, test, questions, grading);
+  await refreshReleasedRanks(test, attempt, result);
+
+  return { attempt, result };
+};
+
+/**
+ * Grade a submitted attempt again, e.g. after a question's answer key was
+ * corrected, and rewrite the student's result for it. The caller sets the
+ * attempt's questionVersions to the versions to grade with first.
+ * @returns {Promise<{attempt, before: {score, percentage}}>}
+ */
+export const regradeAttempt = async (attempt, test, now = new Date()) => {
+  if (attempt.status !== "submitted") {
+    throw httpError("Only submitted attempts can be regraded", 409);
+  }
+
+  const before = { score: attempt.score, percentage: attempt.percentage };
+  const questions = await loadAttemptQuestions(attempt);
+  const grading = gradeAttempt(test, questions, attempt.answers);
+  applyGrading(attempt, grading);
+  attempt.regradedAt = now;
+  await attempt.save();
+
+  await recordAttemptResult(attempt, test, questions, grading, { isRegrade: true });
+  return { attempt, before };
+};
+
+/**
+ * Auto-submit an in-progress attempt whose deadline and grace window have
+ * passed. Returns true when the attempt was (or already is) submitted.
+ */
+export const finalizeIfOverdue = async (attempt, now = new Date()) => {
+  if (attempt.status !== "in-progress") {
+    return true;
+  }
+
+  if (!attempt.isOverdue(ATTEMPT_GRACE_SECONDS, now)) {
+    return false;
+  }
+
+  try {
+    await submitAttempt(attempt, { submissionType: "auto" });
+  } catch (error) {
+    if (error.statusCode !== 409) {
+      throw error;
+    }
+    attempt.status = "submitted";
+  }
+  return true;
+};
+
+/**
+ * Grade every abandoned attempt whose time has run out.
+ * Returns the attempts that were submitted by this run.
+ */
+export const autoSubmitOverdueAttempts = async (now = new Date()) => {
+  const cutoff = new Date(now.getTime() - ATTEMPT_GRACE_SECONDS * 1000);
+  const overdue = await TestAttempt.find({
+    status: "in-progress",
+    deadline: { $lt: cutoff },
+  }).limit(100);
+
+  const submitted = [];
+  for (const attempt of overdue) {
+    try {
+      await submitAttempt(attempt, { submissionType: "auto" });
+      submitted.push(attempt);
+    } catch (error) {
+      if (error.statusCode !== 409) {
+        console.error(`Error auto-submitting attempt ${attempt._id}:`, error);
+      }
+    }
+  }
+
+  return submitted;
+};
+
+/**
+ * Invalidate a submitted attempt (admin action). It drops out of leaderboards
+ * and the student's counted results; under the test's counting policy the
+ * student's next valid attempt counts instead.
+ */
+export const invalidateAttempt = async (attemptId, adminId, reason) => {
+  if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+    throw httpError("Invalid attempt ID");
+  }
+
+  const attempt = await TestAttempt.findById(attemptId).select(
+    "-answers -gradedQuestions -questionOrder -sectionProgress -proctoringEvents"
+  );
+  if (!attempt) {
+    throw httpError("Attempt not found", 404);
+  }
+  if (attempt.status !== "submitted") {
+    throw httpError("Only submitted attempts can be invalidated", 409);
+  }
+  if (attempt.invalidatedAt) {
+    throw httpError("Attempt has already been invalidated", 409);
+  }
+
+  attempt.invalidatedAt = new Date();
+  attempt.invalidatedBy = adminId;
+  attempt.invalidationReason = reason;
+  await attempt.save();
+
+  const [test, student] = await Promise.all([
+    Test.findById(attempt.testId).select("attemptCountingPolicy"),
+    Student.findById(attempt.studentId),
+  ]);
+  if (test && student) {
+    const result = student.results.find(
+      (item) => item.attemptId?.toString() === attempt._id.toString()
+    );
+    if (result) {
+      result.isInvalidated = true;
+      result.rank = undefined;
+      result.percentile = undefined;
+    }
+    await refreshCountedResult(student, test);
+    await student.save();
+  }
+
+  return attempt;
+};
+
+const summarizeAttempt = (attempt, countedId) => ({
+  attemptId: attempt._id,
+  attemptNumber: attempt.attemptNumber,
+  status: attempt.status,
+  startedAt: attempt.startedAt,
+  submittedAt: attempt.submittedAt,
+  submissionType: attempt.submissionType,
+  score: attempt.score,
+  totalMarks: attempt.totalMarks,
+  percentage: attempt.percentage,
+  correct: attempt.correct,
+  incorrect: attempt.incorrect,
+  unattempted: attempt.unattempted,
+  timeTakenSeconds: attempt.submittedAt
+    ? Math.round((attempt.submittedAt - attempt.startedAt) / 1000)
+    : null,
+  sectionScores: attempt.sectionScores,
+  isCounted: Boolean(countedId) && attempt._id.toString() === countedId.toString(),
+  isInvalidated: Boolean(attempt.invalidatedAt),
+});
+
+const findTestForHistory = async (testId) => {
+  if (!mongoose.Types.ObjectId.isValid(testId)) {
+    throw httpError("Invalid test ID");
+  }
+  const test = await Test.findById(testId).select(
+    "title overallMarks maxAttemptsPerStudent attemptCountingPolicy allowReview showResult startsAt endsAt resultsReleaseAt"
+  );
+  if (!test) {
+    throw httpError("Test not found", 404);
+  }
+  return test;
+};
+
+/**
+ * Every attempt a student has made on a test, oldest first, with the one
+ * counted by Test.attemptCountingPolicy flagged and the attempts left.
+ * Invalidated attempts still use up an attempt but never count.
+ */
+export const getAttemptHistory = async (testId, studentId) => {
+  const test = await findTestForHistory(testId);
+  const attempts = await TestAttempt.find({ testId: test._id, studentId })
+    .select(
+      "-answers -gradedQuestions -questionOrder -sectionProgress -proctoringEvents -proctoringSessions"
+    )
+    .sort({ attemptNumber: 1, startedAt: 1 });
+
+  const counted = pickCountedAttempt(
+    attempts.filter(
+      (attempt) => attempt.status === "submitted" && !attempt.invalidatedAt
+    ),
+    test.attemptCountingPolicy
+  );
+
+  return {
+    test: {
+      id: test._id,
+      title: test.title,
+      overallMarks: test.overallMarks,
+      maxAttemptsPerStudent: test.maxAttemptsPerStudent ?? null,
+      attemptCountingPolicy: test.attemptCountingPolicy,
+    },
+    attemptsUsed: attempts.length,
+    attemptsRemaining: test.maxAttemptsPerStudent
+      ? Math.max(0, test.maxAttemptsPerStudent - attempts.length)
+      : null,
+    countedAttemptId: counted?._id || null,
+    attempts: attempts.map((attempt) => {
+      const summary = summarizeAttempt(attempt, counted?._id);
+      return areResultsReleased(test) ? summary : withholdResultFields(summary, test);
+    }),
+  };
+};
+
+const questionChange = (first, last) => {
+  if (!first || !last) return "not-served";
+  if (!first.isCorrect && last.isCorrect) return "improved";
+  if (first.isCorrect && !last.isCorrect) return "regressed";
+  return "unchanged";
+};
+
+/**
+ * Compare a student's submitted attempts on a test side by side: scores,
+ * section scores and, when the test allows review, how each question went
+ * in every attempt. Without attemptIds all submitted attempts are compared.
+ * @param {Array<string>} [attemptIds] - Attempts to compare (at least two)
+ */
+export const compareAttempts = async (testId, studentId, attemptIds) => {
+  const test = await findTestForHistory(testId);
+  assertResultsReleased(test);
+  const submitted = await TestAttempt.find({
+    testId: test._id,
+    studentId,
+    status: "submitted",
+  }).sort({ attemptNumber: 1, submittedAt: 1 });
+
+  let attempts = submitted;
+  if (attemptIds?.length) {
+    const wanted = new Set(attemptIds.map((id) => id.toString()));
+    attempts = submitted.filter((attempt) => wanted.has(attempt._id.toString()));
+    if (attempts.length !== wanted.size) {
+      throw httpError("One or more attempts were not found for this test", 404);
+    }
+  }
+  if (attempts.length < 2) {
+    throw httpError("At least two submitted attempts are needed to compare");
+  }
+
+  const counted = pickCountedAttempt(
+    submitted.filter((attempt) => !attempt.invalidatedAt),
+    test.attemptCountingPolicy
+  );
+  const summaries = attempts.map((attempt, index) => ({
+    ...summarizeAttempt(attempt, counted?._id),
+    scoreChange:
+      index > 0 ? roundMarks(attempt.score - attempts[index - 1].score) : null,
+  }));
+
+  const sectionNames = [
+    ...new Set(
+      attempts.flatMap((attempt) =>
+        attempt.sectionScores.map((section) => section.name)
+      )
+    ),
+  ];
+  const sections = sectionNames.map((name) => ({
+    name,
+    scores: attempts.map((attempt) => {
+      const section = attempt.sectionScores.find((entry) => entry.name === name);
+      return section
+        ? { attemptId: attempt._id, score: section.score, totalMarks: section.totalMarks }
+        : { attemptId: attempt._id, score: null, totalMarks: null };
+    }),
+  }));
+
+  const comparison = {
+    test: {
+      id: test._id,
+      title: test.title,
+      overallMarks: test.overallMarks,
+      attemptCountingPolicy: test.attemptCountingPolicy,
+    },
+    countedAttemptId: counted?._id || null,
+    attempts: summaries,
+    sections,
+  };
+
+  // Question-level outcomes follow the same rules as the attempt review
+  if (
+    !test.allowReview ||
+    !test.showResult ||
+    (await hasAttemptInProgress(test._id, studentId))
+  ) {
+    return { ...comparison, questions: null };
+  }
+
+  const questionIds = [
+    ...new Set(
+      attempts.flatMap((attempt) => attempt.questionOrder.map((id) => id.toString()))
+    ),
+  ];
+  const questions = await Question.find({ _id: { $in: questionIds } })
+    .select("title questionType difficulty topics")
+    .lean();
+  const questionById = new Map(questions.map((q) => [q._id.toString(), q]));
+  const gradedByAttempt = attempts.map(
+    (attempt) =>
+      new Map(
+        attempt.gradedQuestions.map((graded) => [graded.questionId.toString(), graded])
+      )
+  );
+
+  const rows = questionIds.map((questionId) => {
+    const outcomes = gradedByAttempt.map((graded) => graded.get(questionId) || null);
+    const question = questionById.get(questionId);
+    return {
+      questionId,
+      title: question?.title?.slice(0, 300),
+      questionType: question?.questionType,
+      difficulty: question?.difficulty,
+      topics: question?.topics,
+      attempts: outcomes.map((outcome, index) => ({
+        attemptId: attempts[index]._id,
+        response: outcome?.response ?? null,
+        isAttempted: Boolean(outcome?.isAttempted),
+        isCorrect: Boolean(outcome?.isCorrect),
+        marksAwarded: outcome?.marksAwarded ?? null,
+        timeSpent: outcome?.timeSpent ?? null,
+      })),
+      change: questionChange(outcomes[0], outcomes[outcomes.length - 1]),
+    };
+  });
+
+  const countChange = (change) => rows.filter((row) => row.change === change).length;
+  return {
+    ...comparison,
+    questions: rows,
+    questionChanges: {
+      improved: countChange("improved"),
+      regressed: countChange("regressed"),
+      unchanged: countChange("unchanged"),
+    },
+  };
+};
+
+export default {
+  toStudentQuestionView,
+  toStudentTestView,
+  canViewAnswerKey,
+  getAttemptReview,
+  withholdUnreleasedResult,
+  getVisibleStudentResults,
+  getAttemptForStudent,
+  assertOnlineAttempt,
+  syncSectionProgress,
+  buildSectionSummary,
+  advanceSection,
+  startAttempt,
+  saveAnswers,
+  recordAttemptResult,
+  submitAttempt,
+  regradeAttempt,
+  finalizeIfOverdue,
+  autoSubmitOverdueAttempts,
+  invalidateAttempt,
+  getAttemptHistory,
+  compareAttempts,
+};
@@ -0,0 +1,292 @@
+import Question from "../models/question.js";
+import Test from "../models/test.js";
+import TestAttempt from "../models/testAttempt.js";
+import TestSeries from "../models/testSeries.js";
+import Educator from "../models/educator.js";
+import TestBlueprint, { BLUEPRINT_DIFFICULTIES } from "../models/testBlueprint.js";
+import { generateUniqueSlug } from "../util/slugHelper.js";
+import { httpError } from "../util/http.js";
+
+const SUBJECT_NAMES = {
+  biology: "Biology",
+  physics: "Physics",
+  mathematics: "Mathematics",
+  chemistry: "Chemistry",
+  english: "English",
+  hindi: "Hindi",
+};
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * Split `total` across keys in proportion to their weights, using the
+ * largest remainder so the parts always add up to `total`.
+ * @returns {Object<string, number>}
+ */
+export const allocateByWeight = (total, weights) => {
+  const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+  const weightSum = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  if (!weightSum) return {};
+
+  const parts = entries.map(([key, weight]) => {
+    const exact = (total * weight) / weightSum;
+    return { key, count: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+  let left = total - parts.reduce((sum, part) => sum + part.count, 0);
+  [...parts]
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach((part) => {
+      if (left > 0) {
+        part.count += 1;
+        left -= 1;
+      }
+    });
+
+  return Object.fromEntries(parts.map((part) => [part.key, part.count]));
+};
+
+export const findOwnedBlueprint = async (blueprintId, educatorId) => {
+  const blueprint = await TestBlueprint.findOne({ _id: blueprintId, isActive: true });
+  if (!blueprint) {
+    throw httpError("Blueprint not found", 404);
+  }
+  if (blueprint.educatorId.toString() !== educatorId.toString()) {
+    throw httpError("You can only use your own blueprints", 403);
+  }
+  return blueprint;
+};
+
+export const assertOwnedTestSeries = async (testSeriesId, educatorId) => {
+  if (!testSeriesId) return null;
+  const testSeries = await TestSeries.findById(testSeriesId).select(
+    "educatorId enrolledStudents tests"
+  );
+  if (!testSeries) {
+    throw httpError("Test series not found", 404);
+  }
+  if (testSeries.educatorId.toString() !== educatorId.toString()) {
+    throw httpError("You can only generate tests for your own test series", 403);
+  }
+  return testSeries;
+};
+
+/**
+ * Question ids the target students have already seen: everything served
+ * to them in any attempt, plus the questions of the series' existing tests
+ * and earlier variants of this blueprint.
+ */
+const collectSeenQuestionIds = async (blueprint, testSeries, studentIds = []) => {
+  const students = [
+    ...new Set(
+      [...(testSeries?.enrolledStudents || []), ...studentIds].map((id) => id.toString())
+    ),
+  ];
+  const testIds = [...(testSeries?.tests || []), ...blueprint.generatedTests];
+
+  const [attempted, inTests] = await Promise.all([
+    students.length
+      ? TestAttempt.distinct("questionOrder", { studentId: { $in: students } })
+      : [],
+    testIds.length ? Test.distinct("questions", { _id: { $in: testIds } }) : [],
+  ]);
+
+  return new Set([...attempted, ...inTests].map((id) => id.toString()));
+};
+
+/**
+ * Pick one subject's questions: the requested difficulty mix from unseen
+ * questions first, then unseen questions of other difficulties, then seen ones.
+ */
+const pickSubjectQuestions = (pool, targets, seen, picked) => {
+  const available = (question) => !picked.has(question._id.toString());
+  const isUnseen = (question) => !seen.has(question._id.toString());
+  const chosen = [];
+  const shortfalls = [];
+
+  const take = (candidates, count) => {
+    const taken = candidates.filter(available).slice(0, count);
+    taken.forEach((question) => {
+      picked.add(question._id.toString());
+      chosen.push(question);
+    });
+    return taken.length;
+  };
+
+  let deficit = 0;
+  BLUEPRINT_DIFFICULTIES.forEach((difficulty) => {
+    const requested = targets[difficulty] || 0;
+    if (!requested) return;
+    const got = take(
+      pool.filter((q) => q.difficulty === difficulty && isUnseen(q)),
+      requested
+    );
+    if (got < requested) {
+      shortfalls.push({ difficulty, requested, available: got });
+      deficit += requested - got;
+    }
+  });
+
+  if (deficit) {
+    deficit -= take(pool.filter(isUnseen), deficit);
+  }
+  let reusedSeen = 0;
+  if (deficit) {
+    reusedSeen = take(pool, deficit);
+    deficit -= reusedSeen;
+  }
+
+  return { chosen, shortfalls, reusedSeen, missing: deficit };
+};
+
+/**
+ * Assemble and save a new Test from a blueprint. Every subject becomes a
+ * section whose marking spreads totalMarks evenly over the questions.
+ * @param {Object} blueprint - TestBlueprint document
+ * @param {Object} options
+ * @param {string} [options.title] - Title of the generated test
+ * @param {Array<string>} [options.studentIds] - Extra students whose seen questions are avoided
+ * @returns {Promise<{ test, report }>}
+ */
+export const generateTestFromBlueprint = async (
+  blueprint,
+  { title, studentIds = [] } = {}
+) => {
+  // Sections carry one mark per question, so an uneven split would leave
+  // the generated test short of (or over) its overall marks
+  if (blueprint.totalMarks % blueprint.questionCount !== 0) {
+    throw httpError(
+      `totalMarks (${blueprint.totalMarks}) must be divisible by questionCount (${blueprint.questionCount})`,
+      422
+    );
+  }
+  const marksPerQuestion = blueprint.totalMarks / blueprint.questionCount;
+
+  const testSeries = await assertOwnedTestSeries(
+    blueprint.testSeriesId,
+    blueprint.educatorId
+  );
+  const seen = blueprint.avoidSeenQuestions
+    ? await collectSeenQuestionIds(blueprint, testSeries, studentIds)
+    : new Set();
+
+  const subjectCounts = allocateByWeight(
+    blueprint.questionCount,
+    Object.fromEntries(blueprint.subjects.map((subject) => [subject, 1]))
+  );
+  const mix = Object.fromEntries(
+    BLUEPRINT_DIFFICULTIES.map((level) => [level, blueprint.difficultyMix?.[level] || 0])
+  );
+
+  const picked = new Set();
+  const sections = [];
+  const report = { subjects: [], seenQuestionsAvoided: seen.size };
+
+  for (const subject of blueprint.subjects) {
+    const count = subjectCounts[subject] || 0;
+    if (!count) continue;
+
+    const filter = {
+      educatorId: blueprint.educatorId,
+      isActive: true,
+      subject,
+    };
+    if (blueprint.topics?.length) filter.topics = { $in: blueprint.topics };
+    if (blueprint.specialization?.length) {
+      filter.specialization = { $in: blueprint.specialization };
+    }
+    if (blueprint.class?.length) filter.class = { $in: blueprint.class };
+
+    const pool = shuffle(await Question.find(filter).select("_id difficulty").lean());
+    const targets = allocateByWeight(count, mix);
+    const result = pickSubjectQuestions(pool, targets, seen, picked);
+
+    report.subjects.push({
+      subject,
+      requested: count,
+      selected: result.chosen.length,
+      difficulty: Object.fromEntries(
+        BLUEPRINT_DIFFICULTIES.map((level) => [
+          level,
+          result.chosen.filter((q) => q.difficulty === level).length,
+        ])
+      ),
+      shortfalls: result.shortfalls,
+      reusedSeenQuestions: result.reusedSeen,
+      missing: result.missing,
+    });
+
+    sections.push({
+      name: SUBJECT_NAMES[subject] || subject,
+      subject,
+      questions: result.chosen.map((q) => q._id),
+      marking: {
+        positive: marksPerQuestion,
+        negative: blueprint.negativeMarks || 0,
+      },
+    });
+  }
+
+  const missing = report.subjects.filter((entry) => entry.missing > 0);
+  if (missing.length) {
+    throw httpError(
+      "Not enough questions in the bank to fill this blueprint",
+      422,
+      report
+    );
+  }
+
+  const variant = blueprint.generatedTests.length + 1;
+  const testTitle = title || `${blueprint.title} - Variant ${variant}`;
+  const test = await Test.create({
+    title: testTitle,
+    description: blueprint.description || `Generated from blueprint "${blueprint.title}"`,
+    subjects: blueprint.subjects,
+    class: blueprint.class,
+    specialization: blueprint.specialization,
+    duration: blueprint.duration,
+    overallMarks: blueprint.totalMarks,
+    markingType: "per_question",
+    sections,
+    isTestSeriesSpecific: Boolean(testSeries),
+    testSeriesID: testSeries?._id,
+    educatorID: blueprint.educatorId,
+    instructions: blueprint.instructions,
+    negativeMarking: blueprint.negativeMarks > 0,
+    shuffleQuestions: blueprint.shuffleQuestions,
+    slug: await generateUniqueSlug(Test, testTitle),
+  });
+
+  await Promise.all([
+    Question.updateMany(
+      { _id: { $in: test.questions } },
+      { $addToSet: { tests: test._id } }
+    ),
+    Educator.findByIdAndUpdate(blueprint.educatorId, {
+      $push: { tests: test._id },
+    }),
+    testSeries
+      ? TestSeries.findByIdAndUpdate(testSeries._id, {
+          $addToSet: { tests: test._id },
+        })
+      : null,
+  ]);
+
+  blueprint.generatedTests.push(test._id);
+  await blueprint.save();
+
+  return { test, report };
+};
+
+export default {
+  allocateByWeight,
+  findOwnedBlueprint,
+  assertOwnedTestSeries,
+  generateTestFromBlueprint,
+};
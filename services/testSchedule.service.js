@@ -0,0 +1,260 @@
+import mongoose from "mongoose";
+import Test from "../models/test.js";
+import TestSeries from "../models/testSeries.js";
+import Student from "../models/student.js";
+import TestAttempt from "../models/testAttempt.js";
+import notificationService from "./notification.service.js";
+import { getTestStandings } from "./leaderboard.service.js";
+import {
+  areResultsReleased,
+  getResultsReleaseTime,
+  getTestWindowState,
+  isScheduledTest,
+} from "../util/testSchedule.js";
+import { httpError } from "../util/http.js";
+
+/**
+ * Whether the student may take a scheduled test: tests that belong to a
+ * test series are reserved for its enrolled students.
+ */
+export const isEnrolledForTest = async (test, studentId) => {
+  if (!test.testSeriesID) {
+    return true;
+  }
+  const enrolled = await TestSeries.exists({
+    _id: test.testSeriesID,
+    enrolledStudents: studentId,
+  });
+  return Boolean(enrolled);
+};
+
+/**
+ * Throw unless a new attempt may be started now. Unscheduled tests are
+ * always open; scheduled ones only to enrolled students inside the window.
+ */
+export const assertTestWindowOpen = async (test, studentId, now = new Date()) => {
+  if (!isScheduledTest(test)) {
+    return;
+  }
+
+  if (!(await isEnrolledForTest(test, studentId))) {
+    throw httpError("Enrol in the test series to take this test", 403);
+  }
+
+  const state = getTestWindowState(test, now);
+  if (state === "upcoming" || state === "waiting-room") {
+    throw httpError(
+      `This test starts at ${new Date(test.startsAt).toISOString()}`,
+      403
+    );
+  }
+  if (state === "closed") {
+    throw httpError("This test window has closed", 403);
+  }
+};
+
+/**
+ * Waiting-room view of a test: its window, the server clock and whether
+ * the student can start (or is already taking) it.
+ */
+export const getWaitingRoom = async (testId, studentId, now = new Date()) => {
+  if (!mongoose.Types.ObjectId.isValid(testId)) {
+    throw httpError("Invalid test ID");
+  }
+
+  const test = await Test.findById(testId).select(
+    "title slug instructions duration overallMarks testSeriesID startsAt endsAt resultsReleaseAt isActive"
+  );
+  if (!test || !test.isActive) {
+    throw httpError("Test not found", 404);
+  }
+
+  const [isEnrolled, inProgress] = await Promise.all([
+    isEnrolledForTest(test, studentId),
+    TestAttempt.exists({ testId: test._id, studentId, status: "in-progress" }),
+  ]);
+  const state = getTestWindowState(test, now);
+
+  return {
+    test: {
+      id: test._id,
+      title: test.title,
+      slug: test.slug,
+      instructions: test.instructions,
+      duration: test.duration,
+      overallMarks: test.overallMarks,
+      testSeriesId: test.testSeriesID,
+    },
+    state,
+    serverTime: now,
+    startsAt: test.startsAt || null,
+    endsAt: test.endsAt || null,
+    resultsReleaseAt: getResultsReleaseTime(test),
+    secondsToStart: test.startsAt
+      ? Math.max(0, Math.ceil((test.startsAt.getTime() - now.getTime()) / 1000))
+      : 0,
+    isEnrolled,
+    hasAttemptInProgress: Boolean(inProgress),
+    canStart: isEnrolled && (state === "open" || state === "live"),
+  };
+};
+
+/**
+ * The given tests whose results are still withheld, keyed by id string.
+ */
+export const getUnreleasedTests = async (testIds, now = new Date()) => {
+  if (!testIds.length) {
+    return new Map();
+  }
+  const tests = await Test.find({ _id: { $in: testIds } })
+    .select("startsAt endsAt resultsReleaseAt")
+    .lean();
+  return new Map(
+    tests
+      .filter((test) => !areResultsReleased(test, now))
+      .map((test) => [test._id.toString(), test])
+  );
+};
+
+/**
+ * IDs of tests whose results are not released yet, so their questions and
+ * answer keys can be kept out of practice until then.
+ */
+export const getUnreleasedTestIds = (now = new Date()) =>
+  Test.distinct("_id", {
+    $or: [
+      { resultsReleaseAt: { $gt: now } },
+      { resultsReleaseAt: null, startsAt: { $ne: null }, endsAt: { $gt: now } },
+    ],
+  });
+
+/**
+ * Tell the educator's followers that a mock test has been scheduled.
+ * Failures are logged; they never block saving the test.
+ */
+export const announceScheduledTest = async (test) => {
+  try {
+    await notificationService.notifyFollowers(test.educatorID, "mock_test", {
+      _id: test._id,
+      title: test.title,
+      slug: test.slug,
+      description: test.description,
+      image: test.image,
+      startsAt: test.startsAt,
+      duration: test.duration,
+    });
+    await Test.updateOne(
+      { _id: test._id },
+      { $set: { scheduleNotifiedAt: new Date() } }
+    );
+  } catch (error) {
+    console.error("Error announcing scheduled test:", error);
+  }
+};
+
+/**
+ * Ranks for a test whose results have been released, written onto the
+ * counted result of every participant. Runs at release, after a regrade and
+ * on each submission to a test whose results are already out.
+ * @param {Object} [options] - { updateProgress: also store each rank as the
+ *   participant's progress.rank, i.e. the rank on their latest released test }
+ * @returns {Promise<Array>} The standings that were written
+ */
+export const writeTestRanks = async (test, { updateProgress = true } = {}) => {
+  const { standings } = await getTestStandings(test._id);
+  if (!standings.length) {
+    return standings;
+  }
+
+  await Student.bulkWrite(
+    standings.map((row) => ({
+      updateOne: {
+        filter: { _id: row.studentId, "results.attemptId": row.attemptId },
+        update: {
+          $set: {
+            "results.$.rank": row.rank,
+            "results.$.percentile": row.percentile,
+            ...(updateProgress && { "progress.rank": row.rank }),
+          },
+        },
+      },
+    }))
+  );
+  return standings;
+};
+
+/**
+ * Release results whose time has come: final ranks are written to the
+ * participants' results and the educator's followers are notified.
+ * Scheduled tests with attempts still being graded wait for the next run.
+ * @returns {Promise<Array>} Tests released by this run
+ */
+export const releaseDueResults = async (now = new Date()) => {
+  const due = await Test.find({
+    isActive: true,
+    resultsNotifiedAt: null,
+    $or: [
+      { resultsReleaseAt: { $lte: now } },
+      { resultsReleaseAt: null, startsAt: { $ne: null }, endsAt: { $lte: now } },
+    ],
+  })
+    .select("title slug description image educatorID startsAt endsAt resultsReleaseAt duration")
+    .limit(20);
+
+  const released = [];
+  for (const test of due) {
+    // Attempts of a scheduled test still running at endsAt are graded first.
+    // Offline attempts may sync much later and join the standings when they do
+    const pending =
+      isScheduledTest(test) &&
+      (await TestAttempt.exists({
+        testId: test._id,
+        status: "in-progress",
+        mode: { $ne: "offline" },
+      }));
+    if (pending) {
+      continue;
+    }
+
+    try {
+      // Ranks are written before the release is claimed, so a failure here
+      // leaves the test for the next run. Writing them twice is harmless
+      await writeTestRanks(test);
+
+      // Claim the release so overlapping runs never notify twice
+      const claim = await Test.updateOne(
+        { _id: test._id, resultsNotifiedAt: null },
+        { $set: { resultsNotifiedAt: now } }
+      );
+      if (!claim.modifiedCount) {
+        continue;
+      }
+
+      await notificationService.notifyFollowers(test.educatorID, "test_result", {
+        _id: test._id,
+        title: test.title,
+        slug: test.slug,
+        description: test.description,
+        image: test.image,
+        startsAt: test.startsAt,
+        duration: test.duration,
+      });
+      released.push(test);
+    } catch (error) {
+      console.error(`Error releasing results for test ${test._id}:`, error);
+    }
+  }
+
+  return released;
+};
+
+export default {
+  isEnrolledForTest,
+  assertTestWindowOpen,
+  getWaitingRoom,
+  getUnreleasedTests,
+  getUnreleasedTestIds,
+  announceScheduledTest,
+  writeTestRanks,
+  releaseDueResults,
+};
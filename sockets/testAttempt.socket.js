@@ -0,0 +1,197 @@
+import {
+  authenticateSocket,
+  studentOnly,
+} from "../middleware/socket.auth.middleware.js";
+import {
+  autoSubmitOverdueAttempts,
+  finalizeIfOverdue,
+  getAttemptForStudent,
+  withholdUnreleasedResult,
+} from "../services/testAttempt.service.js";
+import { releaseDueResults } from "../services/testSchedule.service.js";
+import { recordServerProctoringEvent } from "../services/proctoring.service.js";
+
+const SYNC_INTERVAL_MS = process.env.TEST_ATTEMPT_SYNC_INTERVAL_MS
+  ? parseInt(process.env.TEST_ATTEMPT_SYNC_INTERVAL_MS)
+  : 15000;
+
+const roomFor = (attemptId) => `attempt:${attemptId}`;
+
+const buildTimeSync = (attemptId, deadline, now = new Date()) => ({
+  attemptId,
+  serverTime: now,
+  deadline,
+  remainingSeconds: Math.max(
+    0,
+    Math.floor((deadline.getTime() - now.getTime()) / 1000)
+  ),
+});
+
+// Scores are left out while the test's results are withheld
+const buildSubmittedPayload = (attempt) =>
+  withholdUnreleasedResult(attempt, {
+    attemptId: attempt._id,
+    status: attempt.status,
+    submissionType: attempt.submissionType,
+    submittedAt: attempt.submittedAt,
+    score: attempt.score,
+    totalMarks: attempt.totalMarks,
+    percentage: attempt.percentage,
+  });
+
+/**
+ * Initialize the test attempt namespace. Students join a room per attempt
+ * (join_attempt: { attemptId, sessionId? }) and receive periodic server-clock
+ * syncs, a "time_up" event when the deadline passes and "attempt_submitted"
+ * once the attempt has been graded. Joining with a sessionId other than one
+ * already in the room is recorded as a "multiple-sessions" proctoring event.
+ * @param {Server} io - Socket.IO server instance
+ */
+export const initializeTestAttemptNamespace = (io) => {
+  const attemptNamespace = io.of("/test-attempts");
+
+  // attemptId -> { deadline, timeUpSent } for attempts with a connected client
+  const trackedAttempts = new Map();
+
+  attemptNamespace.use(authenticateSocket);
+  attemptNamespace.use(studentOnly);
+
+  attemptNamespace.on("connection", (socket) => {
+    socket.emit("connected", {
+      message: "Connected to test attempt service",
+      userId: socket.userId,
+    });
+
+    socket.on("join_attempt", async (data = {}) => {
+      try {
+        const { attemptId } = data;
+        if (!attemptId) {
+          socket.emit("error", { message: "Attempt ID is required" });
+          return;
+        }
+
+        const attempt = await getAttemptForStudent(attemptId, socket.userId);
+        await finalizeIfOverdue(attempt);
+
+        if (attempt.status === "submitted") {
+          socket.emit("attempt_submitted", await buildSubmittedPayload(attempt));
+          return;
+        }
+
+        const key = attempt._id.toString();
+        // A client with another session already in the room is a second tab or device
+        const sessionId = data.sessionId?.toString().slice(0, 100);
+        const others = sessionId
+          ? await attemptNamespace.in(roomFor(key)).fetchSockets()
+          : [];
+        const isConcurrent = others.some(
+          (other) =>
+            other.data.attemptSessionId &&
+            other.data.attemptSessionId !== sessionId
+        );
+        socket.data.attemptSessionId = sessionId;
+        socket.join(roomFor(key));
+        if (isConcurrent) {
+          await recordServerProctoringEvent(key, {
+            type: "multiple-sessions",
+            sessionId,
+            details: "Another session joined while the attempt was open elsewhere",
+          });
+        }
+        trackedAttempts.set(key, {
+          deadline: attempt.deadline,
+          timeUpSent: false,
+        });
+
+        socket.emit("time_sync", buildTimeSync(key, attempt.deadline));
+      } catch (error) {
+        console.error("Error joining test attempt:", error);
+        socket.emit("error", { message: error.message });
+      }
+    });
+
+    socket.on("sync_time", (data = {}) => {
+      const key = data.attemptId?.toString();
+      const tracked = key && trackedAttempts.get(key);
+      if (!tracked || !socket.rooms.has(roomFor(key))) {
+        socket.emit("error", { message: "Join the attempt before syncing" });
+        return;
+      }
+
+      socket.emit("time_sync", buildTimeSync(key, tracked.deadline));
+    });
+
+    socket.on("leave_attempt", (data = {}) => {
+      if (data.attemptId) {
+        socket.leave(roomFor(data.attemptId.toString()));
+      }
+    });
+
+    socket.on("error", (error) => {
+      console.error(`Test attempt socket error for user ${socket.userId}:`, error);
+    });
+  });
+
+  let isSweeping = false;
+
+  const tick = async () => {
+    const now = new Date();
+
+    for (const [key, tracked] of trackedAttempts) {
+      const room = roomFor(key);
+      if (!attemptNamespace.adapter.rooms.get(room)?.size) {
+        trackedAttempts.delete(key);
+        continue;
+      }
+
+      attemptNamespace.to(room).emit("time_sync", buildTimeSync(key, tracked.deadline, now));
+
+      if (!tracked.timeUpSent && tracked.deadline <= now) {
+        tracked.timeUpSent = true;
+        attemptNamespace.to(room).emit("time_up", {
+          attemptId: key,
+          deadline: tracked.deadline,
+          serverTime: now,
+        });
+      }
+    }
+
+    // Skip the sweep if the previous one is still grading
+    if (isSweeping) {
+      return;
+    }
+
+    isSweeping = true;
+    try {
+      const submitted = await autoSubmitOverdueAttempts(now);
+      for (const attempt of submitted) {
+        const key = attempt._id.toString();
+        attemptNamespace
+          .to(roomFor(key))
+          .emit("attempt_submitted", await buildSubmittedPayload(attempt));
+        trackedAttempts.delete(key);
+      }
+    } catch (error) {
+      console.error("Error auto-submitting overdue attempts:", error);
+    }
+
+    // Scheduled tests whose release time has passed publish their results
+    try {
+      await releaseDueResults(now);
+    } catch (error) {
+      console.error("Error releasing test results:", error);
+    } finally {
+      isSweeping = false;
+    }
+  };
+
+  const timer = setInterval(tick, SYNC_INTERVAL_MS);
+  // Do not keep the process alive just for the sweep
+  timer.unref?.();
+
+  console.log("Test attempt socket initialized at /test-attempts namespace");
+
+  return attemptNamespace;
+};
+
+export default initializeTestAttemptNamespace;
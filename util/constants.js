@@ -13,3 +13,58 @@ export const STUDY_MATERIAL_FILE_TYPES = [
   "LINK",
   "OTHER",
 ];
+
+// Extra images allowed on a question and on its explanation
+export const MAX_QUESTION_IMAGES = 5;
+
+// Interchange formats accepted by question bank import/export
+export const QUESTION_BANK_FORMATS = ["moodle-xml", "gift", "qti"];
+
+// Which of a student's attempts on a test counts for ranks and averages
+export const ATTEMPT_COUNTING_POLICIES = ["first", "best", "latest"];
+
+// Signals a test client reports while an attempt is running
+export const PROCTORING_EVENT_TYPES = [
+  "tab-switch",
+  "fullscreen-exit",
+  "app-background",
+  "copy",
+  "paste",
+  "multiple-sessions",
+];
+
+// Verdict of an educator or admin on an attempt's proctoring signals
+export const PROCTORING_REVIEW_STATUSES = ["pending", "cleared", "confirmed"];
+
+// Lifecycle of a student's dispute of a question's answer key
+export const ANSWER_CHALLENGE_STATUSES = ["pending", "accepted", "rejected"];
+
+// Lifecycle of a student's refund request: reviewed by an admin, then
+// issued through Razorpay and settled by its refund webhooks
+export const REFUND_STATUSES = [
+  "requested",
+  "rejected",
+  "processing",
+  "processed",
+  "failed",
+];
+
+// How a coupon takes money off: a percentage of the price or a flat rupee amount
+export const COUPON_DISCOUNT_TYPES = ["percentage", "flat"];
+
+// Products that can be sold together in a bundle
+export const BUNDLE_ITEM_TYPES = ["course", "testSeries", "webinar", "liveClass"];
+
+// Where a student paying for a course in instalments stands: pending until
+// the first instalment is paid, suspended while one is overdue past the
+// grace period
+export const INSTALLMENT_ENROLLMENT_STATUSES = [
+  "pending",
+  "active",
+  "suspended",
+  "completed",
+  "cancelled",
+];
+
+// Most instalments a course's payment plan may be split into
+export const MAX_COURSE_INSTALLMENTS = 12;
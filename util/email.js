@@ -34,6 +34,16 @@ export const sendInvoiceEmail = async ({ to, payout, educator, pdfBuffer }) => {
   return resendService.sendPayoutInvoiceEmail({ to, payout, educator, pdfBuffer });
 };
 
+export const sendPaymentInvoiceEmail = async ({ to, invoice, pdfBuffer }) => {
+  checkResendConfigured();
+  return resendService.sendPaymentInvoiceEmail({ to, invoice, pdfBuffer });
+};
+
+export const sendInstallmentReminderEmail = async (options) => {
+  checkResendConfigured();
+  return resendService.sendInstallmentReminderEmail(options);
+};
+
 export const sendBankDetailsUpdatedEmail = async ({ to, educator }) => {
   checkResendConfigured();
   return resendService.sendBankDetailsUpdatedNotification({ to, educator });
@@ -0,0 +1,47 @@
+import { validationResult } from "express-validator";
+
+/**
+ * An error a service throws for the client to see, carrying the HTTP status
+ * to answer with and, optionally, structured details.
+ */
+export const httpError = (message, statusCode = 400, details) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  if (details) error.details = details;
+  return error;
+};
+
+/**
+ * Answer 400 with express-validator's errors when there are any.
+ * @returns {boolean} Whether a response was sent
+ */
+export const respondValidationErrors = (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    res.status(400).json({
+      success: false,
+      message: "Validation errors",
+      errors: errors.array(),
+    });
+    return true;
+  }
+  return false;
+};
+
+/**
+ * Answer with an error thrown by a service. Errors without a status are
+ * unexpected: they are logged and the client only sees a generic message.
+ */
+export const respondServiceError = (res, error, logMessage) => {
+  const statusCode =
+    error.statusCode || (error.name === "ValidationError" ? 400 : 500);
+  if (statusCode >= 500) {
+    console.error(`${logMessage}:`, error);
+  }
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode >= 500 ? "Internal server error" : error.message,
+    error: statusCode >= 500 ? error.message : undefined,
+    details: error.details,
+  });
+};
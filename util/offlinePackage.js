@@ -0,0 +1,79 @@
+import crypto from "crypto";
+import { getOfflinePackageConfig } from "../config/offlinePackage.js";
+import { getResultsReleaseTime, isScheduledTest } from "./testSchedule.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const PACKAGE_CIPHER = "aes-256-gcm";
+
+// Keys are derived from the server secret so they never need to be stored
+const deriveKey = (attemptId, purpose) =>
+  crypto
+    .createHmac("sha256", getOfflinePackageConfig().secret)
+    .update(`${purpose}:${attemptId}`)
+    .digest();
+
+/**
+ * Window of an offline attempt issued at `issuedAt`: the test can be taken
+ * until expiresAt (a scheduled test's endsAt) and synced until syncDeadline.
+ * A scheduled test's logs must arrive before its results and answer key are
+ * released, since their timestamps come from the student's device.
+ */
+export const getOfflineWindow = (test, issuedAt) => {
+  const { validHours, syncGraceHours } = getOfflinePackageConfig();
+  const expiresAt = test.endsAt
+    ? new Date(test.endsAt)
+    : new Date(issuedAt.getTime() + validHours * HOUR_MS);
+  const graceEndsAt = expiresAt.getTime() + syncGraceHours * HOUR_MS;
+  const releaseAt = isScheduledTest(test) ? getResultsReleaseTime(test) : null;
+  return {
+    expiresAt,
+    syncDeadline: new Date(
+      releaseAt ? Math.min(graceEndsAt, releaseAt.getTime()) : graceEndsAt
+    ),
+  };
+};
+
+/**
+ * Encrypt a package payload with the attempt's key (AES-256-GCM).
+ * @returns {{ algorithm, iv, authTag, ciphertext }} Base64 strings
+ */
+export const encryptOfflinePayload = (attemptId, payload) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    PACKAGE_CIPHER,
+    deriveKey(attemptId, "package"),
+    iv
+  );
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(payload), "utf8"),
+    cipher.final(),
+  ]);
+  return {
+    algorithm: PACKAGE_CIPHER,
+    iv: iv.toString("base64"),
+    authTag: cipher.getAuthTag().toString("base64"),
+    ciphertext: ciphertext.toString("base64"),
+  };
+};
+
+export const getOfflinePackageKey = (attemptId) =>
+  deriveKey(attemptId, "package").toString("base64");
+
+export const getAnswerLogSigningKey = (attemptId) =>
+  deriveKey(attemptId, "answer-log").toString("base64");
+
+/**
+ * HMAC-SHA256 (hex) of the raw answer log string, keyed with the attempt's
+ * signing key as raw bytes.
+ */
+export const signAnswerLog = (attemptId, rawLog) =>
+  crypto
+    .createHmac("sha256", deriveKey(attemptId, "answer-log"))
+    .update(rawLog, "utf8")
+    .digest("hex");
+
+export const isAnswerLogSignatureValid = (attemptId, rawLog, signature) => {
+  const expected = Buffer.from(signAnswerLog(attemptId, rawLog), "hex");
+  const given = Buffer.from(String(signature), "hex");
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
@@ -0,0 +1,117 @@
+import crypto from "crypto";
+
+// Words that carry no meaning for duplicate detection
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "the",
+  "of",
+  "is",
+  "are",
+  "to",
+  "in",
+  "on",
+  "and",
+  "or",
+  "for",
+  "with",
+  "which",
+  "what",
+  "following",
+  "be",
+  "by",
+  "its",
+  "it",
+]);
+
+/**
+ * Normalise question text so formatting-only edits compare equal:
+ * lowercase, no Markdown/LaTeX delimiters, no punctuation, single spaces.
+ * Digits are kept because changing a value makes a different question.
+ */
+export const normalizeQuestionText = (text = "") =>
+  String(text)
+    .toLowerCase()
+    .replace(/\\\(|\\\)|\\\[|\\\]|\$/g, " ")
+    .replace(/\\(left|right|displaystyle|text|mathrm)\b/g, " ")
+    .replace(/[*_`~#>|]/g, " ")
+    .replace(/[^\p{L}\p{N}\\^.+\-=/]+/gu, " ")
+    .replace(/\.(?!\d)/g, " ")
+    .replace(/([\\^+\-=/])/g, " $1 ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const optionTexts = (question) => {
+  const options = question.options || {};
+  return Object.values(
+    typeof options.toObject === "function" ? options.toObject() : options
+  )
+    .filter((value) => typeof value === "string" && value.trim())
+    .map(normalizeQuestionText);
+};
+
+const matrixTexts = (question) =>
+  ["rows", "columns"].flatMap((list) =>
+    (question.matrix?.[list] || []).map((entry) => normalizeQuestionText(entry.text))
+  );
+
+const stemText = (question) =>
+  [question.title, question.assertion, question.reason]
+    .filter(Boolean)
+    .map(normalizeQuestionText)
+    .join(" ");
+
+/**
+ * Hash of the normalised stem and option set. Options are sorted so a
+ * re-upload with shuffled options still hashes the same.
+ */
+export const computeContentHash = (question) =>
+  crypto
+    .createHash("sha1")
+    .update(
+      [
+        question.questionType,
+        stemText(question),
+        ...optionTexts(question).sort(),
+        ...matrixTexts(question).sort(),
+      ].join("\u0000")
+    )
+    .digest("hex");
+
+/**
+ * Word unigrams and bigrams of the stem plus the options, as a Set.
+ */
+export const questionShingles = (question) => {
+  const shingles = new Set();
+  const addText = (text, prefix = "") => {
+    const words = text.split(" ").filter((word) => word && !STOP_WORDS.has(word));
+    words.forEach((word, index) => {
+      shingles.add(`${prefix}${word}`);
+      if (index > 0) shingles.add(`${prefix}${words[index - 1]} ${word}`);
+    });
+  };
+
+  addText(stemText(question));
+  // Options count separately so "2 m/s" as an option differs from "2 m/s" in the stem
+  [...optionTexts(question), ...matrixTexts(question)].forEach((text) =>
+    addText(text, "~")
+  );
+  return shingles;
+};
+
+export const jaccardSimilarity = (a, b) => {
+  if (!a.size && !b.size) return 1;
+  let shared = 0;
+  const [smaller, larger] = a.size < b.size ? [a, b] : [b, a];
+  smaller.forEach((item) => {
+    if (larger.has(item)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+};
+
+export default {
+  normalizeQuestionText,
+  computeContentHash,
+  questionShingles,
+  jaccardSimilarity,
+};
@@ -0,0 +1,356 @@
+// Question text, options and explanations are Markdown with inline ($...$,
+// \(...\)) and display ($$...$$, \[...\]) LaTeX, rendered client side.
+// A single $ follows pandoc's rule so prices like "costs $5" stay text: it
+// opens math only when followed by a non-space, non-digit character, and
+// closes it only when preceded by a non-space and not followed by a digit.
+
+// KaTeX commands that can load URLs or inject HTML attributes
+const DISALLOWED_LATEX_COMMANDS = [
+  "href",
+  "url",
+  "includegraphics",
+  "htmlClass",
+  "htmlId",
+  "htmlStyle",
+  "htmlData",
+  "input",
+  "include",
+  "write",
+];
+
+const MATH_DELIMITERS = [
+  { open: "$$", close: "$$" },
+  { open: "\\[", close: "\\]" },
+  { open: "\\(", close: "\\)" },
+  {
+    open: "$",
+    close: "$",
+    canOpen: (text, index) => /^[^\s\d]/.test(text.slice(index + 1)),
+    canClose: (text, index) =>
+      !/\s/.test(text[index - 1]) && !/\d/.test(text[index + 1] || ""),
+  },
+];
+
+// Inline link targets, allowing one level of parentheses, and reference
+// definitions such as "[1]: http://..."
+const LINK_TARGET_PATTERN = /(\]\(\s*)((?:[^()]|\([^()]*\))*)\)/g;
+const LINK_DEFINITION_PATTERN = /^(\s{0,3}\[[^\]]+\]:\s*)(\S+)/gm;
+const UNSAFE_URL_SCHEME = /^<?(?:javascript|vbscript|data):/i;
+
+// Blocks whose content must not survive even as text
+const DANGEROUS_BLOCK_PATTERN =
+  /<(script|style|iframe|object|embed)\b[\s\S]*?<\/\1\s*>/gi;
+
+// "<" that an HTML renderer would read as the start of a tag or comment
+const TAG_START_PATTERN = /<(?=[a-zA-Z/!?])/g;
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  apos: "'",
+  colon: ":",
+  gt: ">",
+  lpar: "(",
+  lt: "<",
+  newline: "\n",
+  quot: '"',
+  rpar: ")",
+  sol: "/",
+  tab: "\t",
+};
+
+const preview = (value) =>
+  value.length > 40 ? `${value.slice(0, 37)}...` : value;
+
+/**
+ * Split text into plain and math segments. Unclosed delimiters are reported
+ * instead of being silently treated as text.
+ * @returns {{ segments: Array<{ math: boolean, text: string, open?: string }>, error: string|null }}
+ */
+export const splitMathSegments = (text = "") => {
+  const segments = [];
+  let plain = "";
+  let index = 0;
+
+  while (index < text.length) {
+    if (text[index] === "\\" && text[index + 1] === "$") {
+      plain += "\\$";
+      index += 2;
+      continue;
+    }
+
+    if (text.startsWith("\\)", index) || text.startsWith("\\]", index)) {
+      return {
+        segments,
+        error: `Unexpected "${text.slice(index, index + 2)}" without a matching opening delimiter`,
+      };
+    }
+
+    const delimiter = MATH_DELIMITERS.find(
+      ({ open, canOpen }) =>
+        text.startsWith(open, index) && (!canOpen || canOpen(text, index))
+    );
+    if (!delimiter) {
+      plain += text[index];
+      index += 1;
+      continue;
+    }
+
+    const bodyStart = index + delimiter.open.length;
+    let end = bodyStart;
+    while (
+      end < text.length &&
+      !(
+        text.startsWith(delimiter.close, end) &&
+        (!delimiter.canClose || delimiter.canClose(text, end))
+      )
+    ) {
+      // Skip escaped characters such as \$ inside math
+      end += text[end] === "\\" ? 2 : 1;
+    }
+    if (end >= text.length) {
+      return {
+        segments,
+        error: `Unclosed "${delimiter.open}" math delimiter near "${preview(
+          text.slice(index)
+        )}"`,
+      };
+    }
+
+    if (plain) {
+      segments.push({ math: false, text: plain });
+      plain = "";
+    }
+    segments.push({
+      math: true,
+      open: delimiter.open,
+      text: text.slice(bodyStart, end),
+    });
+    index = end + delimiter.close.length;
+  }
+
+  if (plain) {
+    segments.push({ math: false, text: plain });
+  }
+  return { segments, error: null };
+};
+
+/**
+ * Check a single math expression for unbalanced braces, mismatched
+ * \begin/\end environments, unpaired \left/\right and unsafe commands.
+ * @returns {string|null} Error message
+ */
+export const findLatexExpressionError = (expression) => {
+  if (!expression.trim()) {
+    return "Empty math expression";
+  }
+
+  let depth = 0;
+  for (let i = 0; i < expression.length; i += 1) {
+    const char = expression[i];
+    if (char === "\\") {
+      i += 1; // escaped character or the first letter of a command
+      continue;
+    }
+    if (char === "{") depth += 1;
+    if (char === "}") depth -= 1;
+    if (depth < 0) {
+      return `Unexpected "}" in "${preview(expression)}"`;
+    }
+  }
+  if (depth !== 0) {
+    return `Unbalanced braces in "${preview(expression)}"`;
+  }
+
+  const environments = [];
+  const environmentPattern = /\\(begin|end)\s*\{([^}]*)\}/g;
+  let match;
+  while ((match = environmentPattern.exec(expression))) {
+    const [, kind, name] = match;
+    if (kind === "begin") {
+      environments.push(name);
+    } else if (environments.pop() !== name) {
+      return `\\end{${name}} does not match an open \\begin in "${preview(expression)}"`;
+    }
+  }
+  if (environments.length) {
+    return `\\begin{${environments.pop()}} is never closed`;
+  }
+
+  const lefts = (expression.match(/\\left(?![a-zA-Z])/g) || []).length;
+  const rights = (expression.match(/\\right(?![a-zA-Z])/g) || []).length;
+  if (lefts !== rights) {
+    return `Unpaired \\left/\\right in "${preview(expression)}"`;
+  }
+
+  if (/<[a-zA-Z/!?]/.test(expression)) {
+    return `HTML is not allowed in math expressions; write \\lt or "< " in "${preview(expression)}"`;
+  }
+
+  const commandPattern = /\\([a-zA-Z]+)/g;
+  while ((match = commandPattern.exec(expression))) {
+    if (DISALLOWED_LATEX_COMMANDS.includes(match[1])) {
+      return `\\${match[1]} is not allowed in math expressions`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Validate the LaTeX in a piece of rich text.
+ * @returns {string|null} Error message, or null when the text is well formed
+ */
+export const findLatexError = (text) => {
+  if (typeof text !== "string" || !text) {
+    return null;
+  }
+
+  const { segments, error } = splitMathSegments(text);
+  if (error) {
+    return error;
+  }
+
+  for (const segment of segments) {
+    if (segment.math) {
+      const expressionError = findLatexExpressionError(segment.text);
+      if (expressionError) {
+        return expressionError;
+      }
+    }
+  }
+  return null;
+};
+
+const decodeEntities = (text) =>
+  text.replace(/&(#x[\da-f]+|#\d+|[a-z]+);?/gi, (entity, name) => {
+    if (name[0] !== "#") {
+      return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+    }
+    const codePoint =
+      name[1].toLowerCase() === "x"
+        ? parseInt(name.slice(2), 16)
+        : parseInt(name.slice(1), 10);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : "";
+  });
+
+// Browsers ignore entities, whitespace and control characters when reading
+// a URL scheme, so "java&#115;cript:" is javascript: too
+const isUnsafeUrl = (url) =>
+  UNSAFE_URL_SCHEME.test(
+    decodeEntities(url).replace(/[\s\u0000-\u001f\u007f]/g, "")
+  );
+
+const sanitizePlainSegment = (text) =>
+  text
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(DANGEROUS_BLOCK_PATTERN, "")
+    // Escaped rather than stripped so text such as "a<b and b>c" survives
+    .replace(TAG_START_PATTERN, "&lt;")
+    .replace(LINK_TARGET_PATTERN, (link, open, target) =>
+      isUnsafeUrl(target) ? `${open}#)` : link
+    )
+    .replace(LINK_DEFINITION_PATTERN, (definition, label, target) =>
+      isUnsafeUrl(target) ? `${label}#` : definition
+    );
+
+// Inside math "<" and ">" become KaTeX's \lt and \gt, which render the same
+// but can never form an HTML tag
+const sanitizeMathSegment = (text) =>
+  text.replace(/</g, "\\lt ").replace(/>/g, "\\gt ");
+
+/**
+ * Make rich text safe to render: raw HTML is escaped so it shows as text,
+ * script-bearing Markdown links are neutralised, and "<" or ">" inside math
+ * is rewritten as \lt or \gt.
+ */
+export const sanitizeRichText = (text) => {
+  if (typeof text !== "string" || !text) {
+    return text;
+  }
+
+  const { segments, error } = splitMathSegments(text);
+  if (error) {
+    // Malformed math is rejected by validation; sanitise it all as text
+    return sanitizePlainSegment(text).trim();
+  }
+
+  return segments
+    .map((segment) => {
+      if (!segment.math) {
+        return sanitizePlainSegment(segment.text);
+      }
+      const close = MATH_DELIMITERS.find(
+        ({ open }) => open === segment.open
+      ).close;
+      return `${segment.open}${sanitizeMathSegment(segment.text)}${close}`;
+    })
+    .join("")
+    .trim();
+};
+
+// [label, getter, setter] for every rich-text field of a question
+const questionRichTextFields = (question) => {
+  const fields = [
+    ["title", question.title, (value) => (question.title = value)],
+    ["explanation", question.explanation, (value) => (question.explanation = value)],
+    ["assertion", question.assertion, (value) => (question.assertion = value)],
+    ["reason", question.reason, (value) => (question.reason = value)],
+  ];
+
+  const options = question.options;
+  if (options && typeof options === "object") {
+    Object.keys(options).forEach((key) => {
+      fields.push([
+        `options.${key}`,
+        options[key],
+        (value) => (options[key] = value),
+      ]);
+    });
+  }
+
+  ["rows", "columns"].forEach((list) => {
+    (question.matrix?.[list] || []).forEach((entry, index) => {
+      fields.push([
+        `matrix.${list}[${index}].text`,
+        entry?.text,
+        (value) => (entry.text = value),
+      ]);
+    });
+  });
+
+  return fields.filter(([, value]) => typeof value === "string");
+};
+
+/**
+ * Sanitise every rich-text field of a question (document or plain object) in place.
+ */
+export const sanitizeQuestionContent = (question) => {
+  questionRichTextFields(question).forEach(([, value, set]) => {
+    const sanitized = sanitizeRichText(value);
+    if (sanitized !== value) {
+      set(sanitized);
+    }
+  });
+  return question;
+};
+
+/**
+ * Throw when any rich-text field of a question contains malformed LaTeX.
+ */
+export const assertValidQuestionContent = (question) => {
+  for (const [label, value] of questionRichTextFields(question)) {
+    const error = findLatexError(value);
+    if (error) {
+      throw new Error(`Invalid LaTeX in ${label}: ${error}`);
+    }
+  }
+  return true;
+};
+
+export default {
+  splitMathSegments,
+  findLatexError,
+  sanitizeRichText,
+  sanitizeQuestionContent,
+  assertValidQuestionContent,
+};
@@ -0,0 +1,101 @@
+// Scheduled tests (e.g. all-India mocks) open a waiting room this long before they start
+export const TEST_WAITING_ROOM_MINUTES = process.env.TEST_WAITING_ROOM_MINUTES
+  ? parseInt(process.env.TEST_WAITING_ROOM_MINUTES)
+  : 30;
+
+// Score fields hidden from students until a test's results are released
+const RESULT_FIELDS = [
+  "score",
+  "percentage",
+  "correct",
+  "incorrect",
+  "unattempted",
+  "rank",
+  "percentile",
+  "sectionScores",
+  "questionBreakdown",
+  "subjects",
+  "scoreChange",
+  "result",
+];
+
+export const isScheduledTest = (test) => Boolean(test?.startsAt);
+
+/**
+ * When students get to see scores: the explicit release time, else the end
+ * of a scheduled test's window. Null means results are shown straight away.
+ */
+export const getResultsReleaseTime = (test) => {
+  if (test?.resultsReleaseAt) return new Date(test.resultsReleaseAt);
+  if (isScheduledTest(test) && test.endsAt) return new Date(test.endsAt);
+  return null;
+};
+
+export const areResultsReleased = (test, now = new Date()) => {
+  const releaseAt = getResultsReleaseTime(test);
+  return !releaseAt || now.getTime() >= releaseAt.getTime();
+};
+
+/**
+ * Where a test is in its window:
+ * "open" (not scheduled), "upcoming", "waiting-room", "live" or "closed".
+ */
+export const getTestWindowState = (test, now = new Date()) => {
+  if (!isScheduledTest(test)) return "open";
+
+  const startsAt = new Date(test.startsAt).getTime();
+  if (test.endsAt && now.getTime() >= new Date(test.endsAt).getTime()) {
+    return "closed";
+  }
+  if (now.getTime() >= startsAt) return "live";
+  if (startsAt - now.getTime() <= TEST_WAITING_ROOM_MINUTES * 60 * 1000) {
+    return "waiting-room";
+  }
+  return "upcoming";
+};
+
+// Questions of a scheduled test stay hidden from students until it starts
+export const isQuestionPaperOpen = (test, now = new Date()) =>
+  !["upcoming", "waiting-room"].includes(getTestWindowState(test, now));
+
+/**
+ * Check that a test's schedule fits together.
+ * @returns {string|null} Error message, or null when the schedule is valid
+ */
+export const getTestWindowError = ({ startsAt, endsAt, resultsReleaseAt, duration }) => {
+  if (!startsAt) {
+    return endsAt ? "End time requires a start time" : null;
+  }
+  if (!endsAt) {
+    return "Scheduled tests need an end time";
+  }
+
+  const start = new Date(startsAt).getTime();
+  const end = new Date(endsAt).getTime();
+  if (end <= start) {
+    return "End time must be after the start time";
+  }
+  if (duration && end - start < duration * 60 * 1000) {
+    return "The test window must be at least as long as the test duration";
+  }
+  if (resultsReleaseAt && new Date(resultsReleaseAt).getTime() < end) {
+    return "Results cannot be released before the test window closes";
+  }
+  return null;
+};
+
+/**
+ * Copy of a result or attempt summary without its scores, for students
+ * whose test results have not been released yet.
+ */
+export const withholdResultFields = (data, test) => {
+  const copy = { ...data };
+  RESULT_FIELDS.forEach((field) => {
+    delete copy[field];
+  });
+  return {
+    ...copy,
+    resultsWithheld: true,
+    resultsReleaseAt: getResultsReleaseTime(test),
+  };
+};
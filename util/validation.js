@@ -1,6 +1,20 @@
 import { body, param, query } from "express-validator";
-import { STUDY_MATERIAL_FILE_TYPES } from "./constants.js";
+import {
+  ANSWER_CHALLENGE_STATUSES,
+  ATTEMPT_COUNTING_POLICIES,
+  BUNDLE_ITEM_TYPES,
+  COUPON_DISCOUNT_TYPES,
+  MAX_COURSE_INSTALLMENTS,
+  MAX_QUESTION_IMAGES,
+  PROCTORING_EVENT_TYPES,
+  PROCTORING_REVIEW_STATUSES,
+  QUESTION_BANK_FORMATS,
+  REFUND_STATUSES,
+  STUDY_MATERIAL_FILE_TYPES,
+} from "./constants.js";
 import { isVimeoEmbedUrl } from "./vimeo.js";
+import { getTestWindowError } from "./testSchedule.js";
+import { assertValidQuestionContent, findLatexError } from "./richText.js";
 import {
   MAX_STUDY_MATERIAL_FILE_SIZE,
   determineStudyMaterialFileType,
@@ -65,14 +79,18 @@ export const VALID_QUESTION_TYPES = [
   "single-select",
   "multi-select",
   "integer",
+  "numeric",
+  "matrix-match",
+  "assertion-reason",
 ];
 export const VALID_DIFFICULTY_LEVELS = ["Easy", "Medium", "Hard"];
-export const VALID_OPTIONS = ["A", "B", "C", "D"];
+export const VALID_OPTIONS = ["A", "B", "C", "D", "E", "F", "G", "H"];
 export const VALID_PAYMENT_PRODUCTS = [
   "course",
   "testSeries",
   "webinar",
   "liveClass",
+  "bundle",
 ];
 
 // ==================== Custom Validators ====================
@@ -750,6 +768,265 @@ export const validateRevenue = [
 
 // ==================== Question Validators ====================
 
+const OPTION_BASED_QUESTION_TYPES = [
+  "single-select",
+  "multi-select",
+  "assertion-reason",
+];
+
+const isPlainObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+/**
+ * Check a question's options for its type. Options are keyed A–H, must
+ * start at A without gaps and need at least two entries. Assertion-reason
+ * questions fall back to the standard four choices when omitted.
+ */
+export const assertValidQuestionOptions = (options, questionType) => {
+  if (!OPTION_BASED_QUESTION_TYPES.includes(questionType)) {
+    return true;
+  }
+
+  if (options === undefined && questionType === "assertion-reason") {
+    return true;
+  }
+
+  if (!isPlainObject(options)) {
+    throw new Error("Options must be an object");
+  }
+
+  const keys = Object.keys(options).filter((key) => options[key]);
+  const invalidKeys = keys.filter((key) => !VALID_OPTIONS.includes(key));
+  if (invalidKeys.length > 0) {
+    throw new Error(
+      `Invalid option keys: ${invalidKeys.join(", ")}. Use ${VALID_OPTIONS.join(", ")}`
+    );
+  }
+
+  const required = questionType === "assertion-reason" ? 4 : 2;
+  if (keys.length < required) {
+    throw new Error(`At least ${required} options are required`);
+  }
+
+  const expected = VALID_OPTIONS.slice(0, keys.length);
+  const missingOptions = expected.filter((key) => !options[key]);
+  if (missingOptions.length > 0) {
+    throw new Error(`Missing required options: ${missingOptions.join(", ")}`);
+  }
+
+  return true;
+};
+
+/**
+ * Check a matrix-match question's List-I rows and List-II columns.
+ */
+export const assertValidMatrix = (matrix) => {
+  if (!isPlainObject(matrix)) {
+    throw new Error("Matrix-match questions require a matrix with rows and columns");
+  }
+
+  ["rows", "columns"].forEach((list) => {
+    const entries = matrix[list];
+    if (!Array.isArray(entries) || entries.length < 2) {
+      throw new Error(`Matrix ${list} must have at least 2 entries`);
+    }
+    const keys = entries.map((entry) => entry?.key);
+    if (
+      keys.some((key) => typeof key !== "string" || !key.trim()) ||
+      entries.some((entry) => typeof entry.text !== "string" || !entry.text.trim())
+    ) {
+      throw new Error(`Every matrix ${list} entry needs a key and text`);
+    }
+    if (new Set(keys.map((key) => key.trim().toUpperCase())).size !== keys.length) {
+      throw new Error(`Matrix ${list} keys must be unique`);
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Check that correctOptions has the shape required by the question type.
+ * @param {*} value - correctOptions
+ * @param {Object} question - The rest of the question (questionType, options, matrix)
+ */
+export const assertValidCorrectOptions = (value, question = {}) => {
+  const { questionType } = question;
+
+  if (questionType === "single-select" || questionType === "assertion-reason") {
+    const allowed = isPlainObject(question.options)
+      ? VALID_OPTIONS.filter((key) => question.options[key])
+      : VALID_OPTIONS.slice(0, 4);
+    if (typeof value !== "string" || !allowed.includes(value)) {
+      throw new Error(
+        `For ${questionType}, correctOptions must be one of ${allowed.join(", ")}`
+      );
+    }
+  } else if (questionType === "multi-select") {
+    const allowed = isPlainObject(question.options)
+      ? VALID_OPTIONS.filter((key) => question.options[key])
+      : VALID_OPTIONS;
+    if (
+      !Array.isArray(value) ||
+      value.length === 0 ||
+      !value.every((opt) => allowed.includes(opt))
+    ) {
+      throw new Error(
+        `For multi-select, correctOptions must be an array of valid options (${allowed.join(", ")})`
+      );
+    }
+  } else if (questionType === "integer") {
+    if (typeof value !== "number" || !Number.isInteger(value)) {
+      throw new Error(
+        "For integer type, correctOptions must be an integer number"
+      );
+    }
+  } else if (questionType === "numeric") {
+    const isNumber = typeof value === "number" && Number.isFinite(value);
+    const isRange =
+      isPlainObject(value) &&
+      Number.isFinite(value.min) &&
+      Number.isFinite(value.max) &&
+      value.min <= value.max;
+    if (!isNumber && !isRange) {
+      throw new Error(
+        "For numeric type, correctOptions must be a number or a { min, max } range"
+      );
+    }
+  } else if (questionType === "matrix-match") {
+    if (!isPlainObject(value) || Object.keys(value).length === 0) {
+      throw new Error(
+        "For matrix-match, correctOptions must map each row key to an array of column keys"
+      );
+    }
+    const rowKeys = (question.matrix?.rows || []).map((row) => row.key);
+    const columnKeys = (question.matrix?.columns || []).map((col) => col.key);
+    Object.entries(value).forEach(([row, columns]) => {
+      if (rowKeys.length && !rowKeys.includes(row)) {
+        throw new Error(`Unknown matrix row in correctOptions: ${row}`);
+      }
+      if (
+        !Array.isArray(columns) ||
+        columns.length === 0 ||
+        (columnKeys.length && !columns.every((col) => columnKeys.includes(col)))
+      ) {
+        throw new Error(
+          `Row ${row} of correctOptions must be a non-empty array of column keys`
+        );
+      }
+    });
+  }
+
+  return true;
+};
+
+const assertValidLatex = (value) => {
+  const error = findLatexError(value);
+  if (error) {
+    throw new Error(`Invalid LaTeX: ${error}`);
+  }
+  return true;
+};
+
+// Markdown/LaTeX in the title, options, explanation and other text fields,
+// plus the image attachments for the question, its options and explanation
+export const validateQuestionContent = [
+  body().custom((_, { req }) => assertValidQuestionContent(req.body)),
+
+  body(["questionImages", "explanationImages"])
+    .optional()
+    .isArray({ max: MAX_QUESTION_IMAGES })
+    .withMessage(`At most ${MAX_QUESTION_IMAGES} images are allowed`),
+
+  body(["questionImages.*", "explanationImages.*"])
+    .isURL()
+    .withMessage("Images must be valid URLs"),
+
+  body("optionImages")
+    .optional()
+    .custom((optionImages) => {
+      if (!isPlainObject(optionImages)) {
+        throw new Error("optionImages must be an object keyed by option");
+      }
+      Object.entries(optionImages).forEach(([key, url]) => {
+        if (!VALID_OPTIONS.includes(key)) {
+          throw new Error(`Invalid option key in optionImages: ${key}`);
+        }
+        if (url && !/^https?:\/\/\S+$/i.test(url)) {
+          throw new Error(`Image for option ${key} must be a valid URL`);
+        }
+      });
+      return true;
+    }),
+];
+
+// Same checks express-validator runs on POST /api/questions, for bulk and import paths
+export const assertValidQuestionPayload = (question) => {
+  if (!VALID_QUESTION_TYPES.includes(question.questionType)) {
+    throw new Error("invalid questionType");
+  }
+  if (question.questionType === "matrix-match") {
+    assertValidMatrix(question.matrix);
+  }
+  if (
+    question.questionType === "assertion-reason" &&
+    (!question.assertion || !question.reason)
+  ) {
+    throw new Error("assertion and reason are required");
+  }
+  if (question.options !== undefined) {
+    assertValidQuestionOptions(question.options, question.questionType);
+  }
+  assertValidCorrectOptions(question.correctOptions, question);
+  assertValidQuestionContent(question);
+};
+
+// Fields that only apply to some question types
+export const validateQuestionTypeFields = (isOptional = false) => [
+  body("tolerance")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Tolerance must be a non-negative number"),
+
+  body("matrix")
+    .if((value, { req }) =>
+      isOptional ? value !== undefined : req.body.questionType === "matrix-match"
+    )
+    .custom(assertValidMatrix),
+
+  body("assertion")
+    .if((value, { req }) =>
+      isOptional ? value !== undefined : req.body.questionType === "assertion-reason"
+    )
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Assertion-reason questions require an assertion")
+    .isLength({ max: 2000 })
+    .withMessage("Assertion cannot exceed 2000 characters"),
+
+  body("reason")
+    .if((value, { req }) =>
+      isOptional ? value !== undefined : req.body.questionType === "assertion-reason"
+    )
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Assertion-reason questions require a reason")
+    .isLength({ max: 2000 })
+    .withMessage("Reason cannot exceed 2000 characters"),
+
+  body("passage")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid passage ID format"),
+
+  body("marks.partial")
+    .optional()
+    .isBoolean()
+    .withMessage("Partial marking must be a boolean"),
+];
+
 // Validate question title
 export const validateQuestionTitle = (isOptional = false) => {
   const validator = body("title")
@@ -768,7 +1045,7 @@ export const validateQuestionType = (isOptional = false) => {
   const validator = body("questionType")
     .isIn(VALID_QUESTION_TYPES)
     .withMessage(
-      "Question type must be one of: single-select, multi-select, integer"
+      `Question type must be one of: ${VALID_QUESTION_TYPES.join(", ")}`
     );
 
   if (isOptional) {
@@ -814,26 +1091,9 @@ export const validateTopics = (isOptional = false) => {
 export const validateOptions = [
   body("options")
     .optional()
-    .custom((options, { req }) => {
-      if (req.body.questionType === "integer") {
-        return true; // Options not required for integer type
-      }
-
-      if (!options || typeof options !== "object") {
-        throw new Error("Options must be an object");
-      }
-
-      const requiredOptions = ["A", "B", "C", "D"];
-      const missingOptions = requiredOptions.filter((opt) => !options[opt]);
-
-      if (missingOptions.length > 0) {
-        throw new Error(
-          `Missing required options: ${missingOptions.join(", ")}`
-        );
-      }
-
-      return true;
-    }),
+    .custom((options, { req }) =>
+      assertValidQuestionOptions(options, req.body.questionType)
+    ),
 ];
 
 // Validate correct options
@@ -841,35 +1101,7 @@ export const validateCorrectOptions = [
   body("correctOptions")
     .notEmpty()
     .withMessage("Correct answer is required")
-    .custom((value, { req }) => {
-      const questionType = req.body.questionType;
-
-      if (questionType === "single-select") {
-        if (typeof value !== "string" || !VALID_OPTIONS.includes(value)) {
-          throw new Error(
-            "For single-select, correctOptions must be one of A, B, C, or D"
-          );
-        }
-      } else if (questionType === "multi-select") {
-        if (
-          !Array.isArray(value) ||
-          value.length === 0 ||
-          !value.every((opt) => VALID_OPTIONS.includes(opt))
-        ) {
-          throw new Error(
-            "For multi-select, correctOptions must be an array of valid options (A, B, C, D)"
-          );
-        }
-      } else if (questionType === "integer") {
-        if (typeof value !== "number" || !Number.isInteger(value)) {
-          throw new Error(
-            "For integer type, correctOptions must be an integer number"
-          );
-        }
-      }
-
-      return true;
-    }),
+    .custom((value, { req }) => assertValidCorrectOptions(value, req.body)),
 ];
 
 // Validate difficulty level
@@ -1048,12 +1280,174 @@ export const validateProductIdBody = [
 export const createPaymentOrderValidation = [
   ...validateProductIdBody,
   ...validatePaymentProductType,
+  body("couponCode")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage("couponCode must be 3-30 characters"),
 ];
 
 export const validatePaymentIntentIdParam = [
   param("id").isMongoId().withMessage("Invalid payment intent ID"),
 ];
 
+export const studentPaymentListValidation = [
+  query("status")
+    .optional()
+    .isIn(["created", "pending", "authorized", "succeeded", "failed", "refunded", "cancelled"])
+    .withMessage("Invalid payment status"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+];
+
+// Validation for comprehension passages
+export const createPassageValidation = [
+  body("content")
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Passage content is required")
+    .isLength({ max: 10000 })
+    .withMessage("Passage content cannot exceed 10000 characters")
+    .custom(assertValidLatex),
+  body("title")
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage("Passage title cannot exceed 200 characters"),
+  body("image").optional().isURL().withMessage("Passage image must be a valid URL"),
+  ...validateEducatorIdBody,
+];
+
+export const questionImageUploadValidation = [
+  param("id").isMongoId().withMessage("Invalid ID format"),
+  body("target")
+    .isIn(["question", "option", "explanation"])
+    .withMessage("target must be one of: question, option, explanation"),
+  body("option")
+    .if(body("target").equals("option"))
+    .isIn(VALID_OPTIONS)
+    .withMessage(`option must be one of: ${VALID_OPTIONS.join(", ")}`),
+];
+
+// Multipart forms send lists as "a,b,c"; JSON bodies may already send arrays
+const toList = (value) => {
+  if (value === undefined || value === null || value === "") return undefined;
+  const list = Array.isArray(value) ? value : String(value).split(",");
+  return list.map((item) => String(item).trim()).filter(Boolean);
+};
+
+export const importQuestionBankValidation = [
+  body("format")
+    .isIn(QUESTION_BANK_FORMATS)
+    .withMessage(`format must be one of: ${QUESTION_BANK_FORMATS.join(", ")}`),
+  body("dryRun")
+    .optional()
+    .isBoolean()
+    .withMessage("dryRun must be true or false")
+    .toBoolean(),
+  body("educatorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid educator ID format"),
+  body(["subject", "specialization", "class", "topics"]).customSanitizer(toList),
+  validateSubject(),
+  validateSpecialization(),
+  validateClass(),
+  body("topics").optional().isArray().withMessage("Topics must be an array"),
+  body("difficulty")
+    .optional()
+    .isIn(VALID_DIFFICULTY_LEVELS)
+    .withMessage(
+      `Difficulty must be one of: ${VALID_DIFFICULTY_LEVELS.join(", ")}`
+    ),
+];
+
+export const exportQuestionBankValidation = [
+  query("format")
+    .isIn(QUESTION_BANK_FORMATS)
+    .withMessage(`format must be one of: ${QUESTION_BANK_FORMATS.join(", ")}`),
+  query("educatorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid educator ID format"),
+  query("ids")
+    .optional()
+    .customSanitizer(toList)
+    .custom((ids) => ids.every((id) => /^[a-f\d]{24}$/i.test(id)))
+    .withMessage("ids must be a comma-separated list of question IDs"),
+];
+
+export const duplicateClustersValidation = [
+  query("educatorId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid educator ID format"),
+  query("threshold")
+    .optional()
+    .isFloat({ min: 0.5, max: 1 })
+    .withMessage("threshold must be between 0.5 and 1")
+    .toFloat(),
+];
+
+export const mergeDuplicatesValidation = [
+  body("keepId").isMongoId().withMessage("Invalid keepId format"),
+  body("mergeIds")
+    .isArray({ min: 1, max: 50 })
+    .withMessage("mergeIds must be an array of 1 to 50 question IDs"),
+  body("mergeIds.*").isMongoId().withMessage("Invalid question ID in mergeIds"),
+];
+
+export const regradeQuestionValidation = [
+  param("id").isMongoId().withMessage("Invalid ID format"),
+  body("reason")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage("reason cannot exceed 1000 characters"),
+];
+
+export const questionRegradeListValidation = [
+  param("id").isMongoId().withMessage("Invalid ID format"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+];
+
+export const updatePassageValidation = [
+  param("id").isMongoId().withMessage("Invalid ID format"),
+  body("content")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("Passage content cannot be empty")
+    .isLength({ max: 10000 })
+    .withMessage("Passage content cannot exceed 10000 characters")
+    .custom(assertValidLatex),
+  body("title")
+    .optional()
+    .isLength({ max: 200 })
+    .withMessage("Passage title cannot exceed 200 characters"),
+  body("image").optional().isURL().withMessage("Passage image must be a valid URL"),
+];
+
 // Complete validation array for creating question
 export const createQuestionValidation = [
   body("title")
@@ -1067,7 +1461,7 @@ export const createQuestionValidation = [
     .withMessage("Question type is required")
     .isIn(VALID_QUESTION_TYPES)
     .withMessage(
-      "Question type must be one of: single-select, multi-select, integer"
+      `Question type must be one of: ${VALID_QUESTION_TYPES.join(", ")}`
     ),
 
   body("educatorId")
@@ -1139,59 +1533,18 @@ export const createQuestionValidation = [
 
   body("options")
     .optional()
-    .custom((options, { req }) => {
-      if (req.body.questionType === "integer") {
-        return true;
-      }
-
-      if (!options || typeof options !== "object") {
-        throw new Error("Options must be an object");
-      }
-
-      const requiredOptions = ["A", "B", "C", "D"];
-      const missingOptions = requiredOptions.filter((opt) => !options[opt]);
-
-      if (missingOptions.length > 0) {
-        throw new Error(
-          `Missing required options: ${missingOptions.join(", ")}`
-        );
-      }
-
-      return true;
-    }),
+    .custom((options, { req }) =>
+      assertValidQuestionOptions(options, req.body.questionType)
+    ),
 
   body("correctOptions")
     .notEmpty()
     .withMessage("Correct answer is required")
-    .custom((value, { req }) => {
-      const questionType = req.body.questionType;
+    .custom((value, { req }) => assertValidCorrectOptions(value, req.body)),
 
-      if (questionType === "single-select") {
-        if (typeof value !== "string" || !VALID_OPTIONS.includes(value)) {
-          throw new Error(
-            "For single-select, correctOptions must be one of A, B, C, or D"
-          );
-        }
-      } else if (questionType === "multi-select") {
-        if (
-          !Array.isArray(value) ||
-          value.length === 0 ||
-          !value.every((opt) => VALID_OPTIONS.includes(opt))
-        ) {
-          throw new Error(
-            "For multi-select, correctOptions must be an array of valid options (A, B, C, D)"
-          );
-        }
-      } else if (questionType === "integer") {
-        if (typeof value !== "number" || !Number.isInteger(value)) {
-          throw new Error(
-            "For integer type, correctOptions must be an integer number"
-          );
-        }
-      }
+  ...validateQuestionTypeFields(),
 
-      return true;
-    }),
+  ...validateQuestionContent,
 
   body("difficulty")
     .isIn(VALID_DIFFICULTY_LEVELS)
@@ -1244,7 +1597,7 @@ export const updateQuestionValidation = [
     .optional()
     .isIn(VALID_QUESTION_TYPES)
     .withMessage(
-      "Question type must be one of: single-select, multi-select, integer"
+      `Question type must be one of: ${VALID_QUESTION_TYPES.join(", ")}`
     ),
 
   body("educatorId")
@@ -1325,60 +1678,20 @@ export const updateQuestionValidation = [
 
   body("options")
     .optional()
-    .custom((options, { req }) => {
-      if (req.body.questionType === "integer") {
-        return true;
-      }
-
-      if (!options || typeof options !== "object") {
-        throw new Error("Options must be an object");
-      }
-
-      const requiredOptions = ["A", "B", "C", "D"];
-      const missingOptions = requiredOptions.filter((opt) => !options[opt]);
-
-      if (missingOptions.length > 0) {
-        throw new Error(
-          `Missing required options: ${missingOptions.join(", ")}`
-        );
-      }
-
-      return true;
-    }),
+    .custom((options, { req }) =>
+      assertValidQuestionOptions(options, req.body.questionType)
+    ),
 
   body("correctOptions")
     .optional()
     .custom((value, { req }) => {
-      if (!value) return true; // Skip if not provided
+      if (value === undefined || value === null) return true; // Skip if not provided
+      return assertValidCorrectOptions(value, req.body);
+    }),
 
-      const questionType = req.body.questionType;
+  ...validateQuestionTypeFields(true),
 
-      if (questionType === "single-select") {
-        if (typeof value !== "string" || !VALID_OPTIONS.includes(value)) {
-          throw new Error(
-            "For single-select, correctOptions must be one of A, B, C, or D"
-          );
-        }
-      } else if (questionType === "multi-select") {
-        if (
-          !Array.isArray(value) ||
-          value.length === 0 ||
-          !value.every((opt) => VALID_OPTIONS.includes(opt))
-        ) {
-          throw new Error(
-            "For multi-select, correctOptions must be an array of valid options (A, B, C, D)"
-          );
-        }
-      } else if (questionType === "integer") {
-        if (typeof value !== "number" || !Number.isInteger(value)) {
-          throw new Error(
-            "For integer type, correctOptions must be an integer number"
-          );
-        }
-      }
-
-      return true;
-    }),
+  ...validateQuestionContent,
 
   body("difficulty")
     .optional()
@@ -1744,6 +2057,103 @@ export const validateTestSettings = [
     .optional()
     .isBoolean()
     .withMessage("Allow review must be a boolean"),
+
+  body("maxAttemptsPerStudent")
+    .optional({ values: "null" })
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Max attempts per student must be between 1 and 100")
+    .toInt(),
+
+  body("attemptCountingPolicy")
+    .optional()
+    .isIn(ATTEMPT_COUNTING_POLICIES)
+    .withMessage(
+      `Attempt counting policy must be one of: ${ATTEMPT_COUNTING_POLICIES.join(", ")}`
+    ),
+];
+
+// Validate scheduled window fields (null clears a field)
+export const validateTestSchedule = [
+  body(["startsAt", "endsAt", "resultsReleaseAt"])
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("Schedule times must be valid ISO 8601 dates")
+    .toDate(),
+];
+
+// Validate that a new test's window fits together
+export const validateTestWindow = [
+  body("startsAt").custom((startsAt, { req }) => {
+    const error = getTestWindowError(req.body);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  }),
+];
+
+// Validate Test sections
+export const validateTestSections = [
+  body("sections")
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage("Sections must be an array of at most 10 sections"),
+
+  body("sections.*.name")
+    .notEmpty()
+    .withMessage("Section name is required")
+    .isLength({ max: 100 })
+    .withMessage("Section name cannot exceed 100 characters")
+    .trim(),
+
+  body("sections.*.subject")
+    .optional()
+    .isIn(VALID_TEST_SUBJECTS)
+    .withMessage(`Section subject must be one of: ${VALID_TEST_SUBJECTS.join(", ")}`),
+
+  body("sections.*.questions")
+    .optional()
+    .isArray()
+    .withMessage("Section questions must be an array"),
+
+  body("sections.*.questions.*")
+    .isMongoId()
+    .withMessage("Each section question must be a valid question ID"),
+
+  body("sections.*.duration")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Section duration must be a positive number of minutes"),
+
+  body("sections.*.marking.positive")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Section positive marks must be a non-negative number"),
+
+  body("sections.*.marking.negative")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Section negative marks must be a non-negative number"),
+
+  body("sections.*.marking.partial")
+    .optional()
+    .isBoolean()
+    .withMessage("Section partial marking must be a boolean"),
+
+  body("sections.*.maxAttempts")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Section maxAttempts must be a positive integer")
+    .custom((maxAttempts, { req, path }) => {
+      const index = Number(path.match(/sections\[(\d+)\]/)?.[1]);
+      const questions = req.body.sections?.[index]?.questions || [];
+      if (maxAttempts > questions.length) {
+        throw new Error(
+          "Section maxAttempts cannot exceed the number of section questions"
+        );
+      }
+      return true;
+    }),
 ];
 
 // Complete validation for creating Test
@@ -1763,6 +2173,9 @@ export const createTestValidation = [
   ...validatePassingMarks,
   ...validateNegativeMarkingSettings,
   ...validateTestSettings,
+  ...validateTestSchedule,
+  ...validateTestWindow,
+  ...validateTestSections,
 ];
 
 // Complete validation for updating Test
@@ -1783,6 +2196,130 @@ export const updateTestValidation = [
   ...validatePassingMarks,
   ...validateNegativeMarkingSettings,
   ...validateTestSettings,
+  ...validateTestSchedule,
+  ...validateTestSections,
+];
+
+const optionalIf = (validator, isOptional) =>
+  isOptional ? validator.optional() : validator;
+
+const validateDifficultyMix = (isOptional = false) => {
+  const validator = body("difficultyMix")
+    .isObject()
+    .withMessage("difficultyMix must be an object of Easy/Medium/Hard percentages")
+    .custom((mix) => {
+      const unknown = Object.keys(mix).filter(
+        (level) => !VALID_DIFFICULTY_LEVELS.includes(level)
+      );
+      if (unknown.length) {
+        throw new Error(`Invalid difficulty levels: ${unknown.join(", ")}`);
+      }
+      if (
+        Object.values(mix).some(
+          (value) => typeof value !== "number" || value < 0 || value > 100
+        )
+      ) {
+        throw new Error("Difficulty percentages must be numbers from 0 to 100");
+      }
+      return true;
+    });
+
+  return optionalIf(validator, isOptional);
+};
+
+// Shared by create and update; cross-field rules (mix adds up to 100,
+// marks divisible by question count) are enforced by the model
+const testBlueprintFields = (isOptional) => [
+  validateTestTitle(isOptional),
+  body("description")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Description cannot exceed 1000 characters")
+    .trim(),
+  body("testSeriesId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid test series ID format"),
+  validateTestSubjects(isOptional),
+  validateTestClasses(isOptional),
+  validateTestSpecializations(isOptional),
+  body("topics").optional().isArray().withMessage("Topics must be an array"),
+  validateDifficultyMix(true),
+  optionalIf(
+    body("questionCount")
+      .isInt({ min: 1, max: 300 })
+      .withMessage("questionCount must be between 1 and 300")
+      .toInt(),
+    isOptional
+  ),
+  optionalIf(
+    body("totalMarks")
+      .isInt({ min: 1 })
+      .withMessage("totalMarks must be a positive integer")
+      .toInt()
+      .bail()
+      .custom((totalMarks, { req }) =>
+        req.body.questionCount === undefined ||
+        totalMarks % Number(req.body.questionCount) === 0
+      )
+      .withMessage("totalMarks must be divisible by questionCount"),
+    isOptional
+  ),
+  body("negativeMarks")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("negativeMarks cannot be negative")
+    .toFloat(),
+  validateTestDuration(isOptional),
+  body("instructions")
+    .optional()
+    .isLength({ max: 2000 })
+    .withMessage("Instructions cannot exceed 2000 characters"),
+  body(["shuffleQuestions", "avoidSeenQuestions"])
+    .optional()
+    .isBoolean()
+    .withMessage("Must be a boolean")
+    .toBoolean(),
+];
+
+const blueprintGenerationFields = [
+  body("testTitle")
+    .optional()
+    .isLength({ min: 3, max: 200 })
+    .withMessage("Test title must be between 3 and 200 characters")
+    .trim(),
+  body("studentIds")
+    .optional()
+    .isArray({ max: 5000 })
+    .withMessage("studentIds must be an array"),
+  body("studentIds.*").isMongoId().withMessage("Invalid student ID"),
+];
+
+export const createTestBlueprintValidation = [
+  ...testBlueprintFields(false),
+  body("generate").optional().isBoolean().withMessage("generate must be a boolean").toBoolean(),
+  ...blueprintGenerationFields,
+];
+
+export const updateTestBlueprintValidation = [
+  param("id").isMongoId().withMessage("Invalid blueprint ID format"),
+  ...testBlueprintFields(true),
+];
+
+export const generateFromBlueprintValidation = [
+  param("id").isMongoId().withMessage("Invalid blueprint ID format"),
+  ...blueprintGenerationFields,
+];
+
+export const testBlueprintIdValidation = [
+  param("id").isMongoId().withMessage("Invalid blueprint ID format"),
+];
+
+export const testBlueprintQueryValidation = [
+  query("testSeriesId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid test series ID format"),
 ];
 
 // Validation for Test question management operations
@@ -1793,6 +2330,10 @@ export const testQuestionManagementValidation = [
     .withMessage("Question ID is required")
     .isMongoId()
     .withMessage("Invalid question ID format"),
+  body("sectionId")
+    .optional()
+    .isMongoId()
+    .withMessage("Invalid section ID format"),
 ];
 
 // Validation for Test query parameters
@@ -1947,6 +2488,178 @@ export const testSlugValidation = [
     ),
 ];
 
+// ==================== Test Attempt Validations ====================
+
+// Validation for Test attempt ID parameter
+export const validateAttemptIdParam = [
+  param("attemptId").isMongoId().withMessage("Invalid attempt ID format"),
+];
+
+// Validation for starting a test attempt
+export const startTestAttemptValidation = [...validateTestId];
+
+// Validation for saving answers on a test attempt
+export const saveAttemptAnswersValidation = [
+  ...validateAttemptIdParam,
+  body("answers")
+    .isArray({ min: 1, max: 500 })
+    .withMessage("answers must be a non-empty array"),
+  body("answers.*.questionId")
+    .isMongoId()
+    .withMessage("Each answer must have a valid questionId"),
+  body("answers.*.timeSpent")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("timeSpent must be a non-negative number of seconds"),
+];
+
+// Validation for submitting a test attempt (final answers are optional)
+export const submitTestAttemptValidation = [
+  ...validateAttemptIdParam,
+  body("answers")
+    .optional()
+    .isArray({ max: 500 })
+    .withMessage("answers must be an array"),
+  body("answers.*.questionId")
+    .optional()
+    .isMongoId()
+    .withMessage("Each answer must have a valid questionId"),
+];
+
+// Validation for routes keyed by a test ID (attempt history, waiting room)
+export const validateTestIdParam = [
+  param("testId").isMongoId().withMessage("Invalid test ID format"),
+];
+
+// Validation for comparing attempts on a test (all submitted attempts by default)
+export const compareAttemptsValidation = [
+  ...validateTestIdParam,
+  query("attemptIds")
+    .optional()
+    .customSanitizer(toList)
+    .isArray({ min: 2, max: 10 })
+    .withMessage("attemptIds must list between 2 and 10 attempts")
+    .bail()
+    .custom((ids) => ids.every((id) => /^[a-f\d]{24}$/i.test(id)))
+    .withMessage("Invalid attempt ID format"),
+];
+
+// Validation for uploading the signed answer log of an offline attempt
+export const syncOfflineAttemptValidation = [
+  ...validateAttemptIdParam,
+  body("log")
+    .isString()
+    .isLength({ min: 2, max: 100000 })
+    .withMessage("log must be the answer log JSON string that was signed"),
+  body("signature")
+    .isString()
+    .matches(/^[a-f0-9]{64}$/i)
+    .withMessage("signature must be a hex HMAC-SHA256"),
+];
+
+// Validation for proctoring events reported by a test client
+export const proctoringEventsValidation = [
+  ...validateAttemptIdParam,
+  body("sessionId")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage("sessionId must be 1-100 characters"),
+  body("events")
+    .isArray({ min: 1, max: 100 })
+    .withMessage("events must be an array of 1-100 events"),
+  body("events.*.type")
+    .isIn(PROCTORING_EVENT_TYPES)
+    .withMessage(`Event type must be one of: ${PROCTORING_EVENT_TYPES.join(", ")}`),
+  body("events.*.occurredAt")
+    .optional()
+    .isISO8601()
+    .withMessage("occurredAt must be an ISO 8601 date")
+    .toDate(),
+  body("events.*.durationSeconds")
+    .optional()
+    .isFloat({ min: 0, max: 86400 })
+    .withMessage("durationSeconds must be a non-negative number of seconds")
+    .toFloat(),
+  body("events.*.details")
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage("details cannot exceed 500 characters"),
+];
+
+// Validation for listing attempts for proctoring review
+export const proctoringListValidation = [
+  query("testId").optional().isMongoId().withMessage("Invalid test ID format"),
+  query("flagged")
+    .optional()
+    .isBoolean()
+    .withMessage("flagged must be true or false")
+    .toBoolean(),
+  query("invalidated")
+    .optional()
+    .isBoolean()
+    .withMessage("invalidated must be true or false")
+    .toBoolean(),
+  query("reviewStatus")
+    .optional()
+    .isIn(PROCTORING_REVIEW_STATUSES)
+    .withMessage(`reviewStatus must be one of: ${PROCTORING_REVIEW_STATUSES.join(", ")}`),
+  query("minScore")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("minScore must be between 0 and 100")
+    .toFloat(),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+// Validation for an educator's or admin's proctoring verdict
+export const proctoringReviewValidation = [
+  ...validateAttemptIdParam,
+  body("status")
+    .isIn(PROCTORING_REVIEW_STATUSES)
+    .withMessage(`status must be one of: ${PROCTORING_REVIEW_STATUSES.join(", ")}`),
+  body("notes")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("notes cannot exceed 2000 characters"),
+];
+
+// Validation for invalidating a test attempt
+export const invalidateAttemptValidation = [
+  ...validateAttemptIdParam,
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 1000 })
+    .withMessage("reason must be 3-1000 characters"),
+];
+
+// ==================== Leaderboard Validations ====================
+
+// Validation for test / test series leaderboards
+export const leaderboardValidation = [
+  param("id").isMongoId().withMessage("Invalid ID format"),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
 // ==================== Student Validations ====================
 
 // Validate Student name
@@ -2610,8 +3323,68 @@ export const validateCertificateAvailable = [
 export const validateMaxStudents = [
   body("maxStudents")
     .optional()
-    .isInt({ min: 1 })
-    .withMessage("Max students must be at least 1"),
+    .isInt({ min: 1 })
+    .withMessage("Max students must be at least 1"),
+];
+
+// Validate the optional pay-in-instalments plan; the first instalment is
+// paid at checkout and the rest fall due in order after it
+export const validateCourseInstallmentPlan = [
+  body("installmentPlan")
+    .optional()
+    .isObject()
+    .withMessage("installmentPlan must be an object")
+    .custom((plan, { req }) => {
+      if (plan.enabled && !plan.installments?.length) {
+        throw new Error("An enabled instalment plan needs its instalments");
+      }
+      if (plan.installments?.length && req.body.fees !== undefined) {
+        const fees = Number(req.body.fees);
+        const price = fees - (fees * (Number(req.body.discount) || 0)) / 100;
+        const total = plan.installments.reduce(
+          (sum, installment) => sum + (Number(installment?.amount) || 0),
+          0
+        );
+        if (total < price) {
+          throw new Error("Instalments must add up to at least the course price");
+        }
+      }
+      return true;
+    }),
+  body("installmentPlan.enabled")
+    .optional()
+    .isBoolean()
+    .withMessage("installmentPlan.enabled must be a boolean")
+    .toBoolean(),
+  body("installmentPlan.installments")
+    .optional()
+    .isArray({ min: 2, max: MAX_COURSE_INSTALLMENTS })
+    .withMessage(`An instalment plan needs 2-${MAX_COURSE_INSTALLMENTS} instalments`)
+    .custom((installments) => {
+      installments.forEach((installment, index) => {
+        const days = Number(installment?.dueAfterDays);
+        if (index === 0 && days !== 0) {
+          throw new Error("The first instalment is paid at checkout, so its dueAfterDays must be 0");
+        }
+        if (index > 0 && !(days > Number(installments[index - 1]?.dueAfterDays))) {
+          throw new Error("Each instalment must fall due after the one before it");
+        }
+      });
+      return true;
+    }),
+  body("installmentPlan.installments.*.amount")
+    .isFloat({ min: 1 })
+    .withMessage("Each instalment must be at least 1")
+    .toFloat(),
+  body("installmentPlan.installments.*.dueAfterDays")
+    .isInt({ min: 0, max: 730 })
+    .withMessage("dueAfterDays must be between 0 and 730")
+    .toInt(),
+  body("installmentPlan.gracePeriodDays")
+    .optional()
+    .isInt({ min: 0, max: 90 })
+    .withMessage("gracePeriodDays must be between 0 and 90")
+    .toInt(),
 ];
 
 // Validate schedule fields
@@ -2958,6 +3731,7 @@ export const createCourseValidation = [
   ...validateCourseClassDuration,
   ...validateCourseClassTiming,
   ...validateMaxStudents,
+  ...validateCourseInstallmentPlan,
 ];
 
 // Complete validation array for updating course
@@ -2994,6 +3768,7 @@ export const updateCourseValidation = [
   ...validateCourseClassDuration,
   ...validateCourseClassTiming,
   ...validateMaxStudents,
+  ...validateCourseInstallmentPlan,
 ];
 
 // Validation for enrolling student
@@ -3966,3 +4741,544 @@ export const bulkCreateCoursesValidation = [
     .custom((value) => isValidObjectIdString(value))
     .withMessage("educatorID must be a valid ObjectId"),
 ];
+
+// ==================== Practice Validations ====================
+
+export const startPracticeValidation = [
+  body("subject")
+    .isIn(VALID_SUBJECTS)
+    .withMessage(`subject must be one of: ${VALID_SUBJECTS.join(", ")}`),
+  body("topics")
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage("topics must be an array of at most 50 topics"),
+  body("topics.*").isString().trim().notEmpty().withMessage("Invalid topic"),
+  body("specialization")
+    .optional()
+    .isIn(VALID_SPECIALIZATIONS)
+    .withMessage(
+      `specialization must be one of: ${VALID_SPECIALIZATIONS.join(", ")}`
+    ),
+  body("class")
+    .optional()
+    .isIn(VALID_CLASSES)
+    .withMessage(`class must be one of: ${VALID_CLASSES.join(", ")}`),
+];
+
+export const practiceSessionIdValidation = [
+  param("sessionId").isMongoId().withMessage("Invalid session ID format"),
+];
+
+export const practiceAnswerValidation = [
+  ...practiceSessionIdValidation,
+  body("questionId").isMongoId().withMessage("Invalid question ID format"),
+  body("response").exists().withMessage("response is required"),
+];
+
+export const topicMasteryQueryValidation = [
+  query("subject")
+    .optional()
+    .isIn(VALID_SUBJECTS)
+    .withMessage(`subject must be one of: ${VALID_SUBJECTS.join(", ")}`),
+];
+
+// ==================== Notebook Validations ====================
+
+const notebookFilterValidation = (location) => [
+  location("subject")
+    .optional()
+    .isIn(VALID_SUBJECTS)
+    .withMessage(`subject must be one of: ${VALID_SUBJECTS.join(", ")}`),
+  location("topic")
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage("topic must be a non-empty string"),
+  location("difficulty")
+    .optional()
+    .isIn(VALID_DIFFICULTY_LEVELS)
+    .withMessage(`difficulty must be one of: ${VALID_DIFFICULTY_LEVELS.join(", ")}`),
+  location("includeResolved")
+    .optional()
+    .isBoolean()
+    .withMessage("includeResolved must be true or false")
+    .toBoolean(),
+];
+
+export const bookmarkListValidation = [
+  ...notebookFilterValidation(query),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+];
+
+export const mistakeNotebookValidation = bookmarkListValidation;
+
+export const addBookmarkValidation = [
+  body("attemptId").isMongoId().withMessage("Invalid attempt ID format"),
+  body("questionId").isMongoId().withMessage("Invalid question ID format"),
+  body("note")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("note cannot exceed 2000 characters"),
+];
+
+export const updateBookmarkValidation = [
+  param("bookmarkId").isMongoId().withMessage("Invalid bookmark ID format"),
+  body("note")
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("note must be a string of at most 2000 characters"),
+];
+
+export const bookmarkIdValidation = [
+  param("bookmarkId").isMongoId().withMessage("Invalid bookmark ID format"),
+];
+
+export const notebookPracticeValidation = [
+  body("source")
+    .optional()
+    .isIn(["mistakes", "bookmarks"])
+    .withMessage("source must be mistakes or bookmarks"),
+  ...notebookFilterValidation(body),
+  body("limit")
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage("limit must be between 1 and 50")
+    .toInt(),
+];
+
+// ==================== Answer Challenge Validations ====================
+
+const challengePagingValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+];
+
+const challengeStatusValidation = query("status")
+  .optional()
+  .isIn(ANSWER_CHALLENGE_STATUSES)
+  .withMessage(`status must be one of: ${ANSWER_CHALLENGE_STATUSES.join(", ")}`);
+
+export const createChallengeValidation = [
+  body("attemptId").isMongoId().withMessage("Invalid attempt ID format"),
+  body("questionId").isMongoId().withMessage("Invalid question ID format"),
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage("reason must be 10-1000 characters"),
+  body("proposedAnswer").optional(),
+];
+
+export const studentChallengeListValidation = [
+  challengeStatusValidation,
+  ...challengePagingValidation,
+];
+
+export const challengeIdValidation = [
+  param("challengeId").isMongoId().withMessage("Invalid challenge ID format"),
+];
+
+export const challengeMessageValidation = [
+  ...challengeIdValidation,
+  body("message")
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 5000 })
+    .withMessage("message must be 1-5000 characters"),
+];
+
+export const challengeQueueValidation = [
+  challengeStatusValidation,
+  query("testId").optional().isMongoId().withMessage("Invalid test ID format"),
+  ...challengePagingValidation,
+];
+
+export const resolveChallengeValidation = [
+  ...challengeIdValidation,
+  body("decision")
+    .isIn(["accept", "reject"])
+    .withMessage("decision must be accept or reject"),
+  body("note")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("note cannot exceed 2000 characters"),
+  body("correctOptions")
+    .optional()
+    .custom((value, { req }) => req.body.decision === "accept")
+    .withMessage("correctOptions can only be sent when accepting"),
+  body("tolerance")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("tolerance must be a non-negative number")
+    .toFloat(),
+];
+
+// ==================== Refund Validations ====================
+
+const refundPagingValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+];
+
+const refundAmountValidation = body("amount")
+  .optional()
+  .isFloat({ min: 0.01 })
+  .withMessage("amount must be a positive number of rupees")
+  .toFloat();
+
+export const createRefundRequestValidation = [
+  ...validatePaymentIntentIdParam,
+  body("reason")
+    .isString()
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage("reason must be 10-1000 characters"),
+  refundAmountValidation,
+];
+
+export const studentRefundListValidation = [...refundPagingValidation];
+
+export const refundQueueValidation = [
+  query("status")
+    .optional()
+    .isIn([...REFUND_STATUSES, "all"])
+    .withMessage(`status must be one of: ${REFUND_STATUSES.join(", ")}, all`),
+  ...refundPagingValidation,
+];
+
+const refundIdValidation = param("refundId")
+  .isMongoId()
+  .withMessage("Invalid refund ID format");
+
+const refundNoteValidation = body("note")
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 1000 })
+  .withMessage("note cannot exceed 1000 characters");
+
+export const approveRefundValidation = [
+  refundIdValidation,
+  refundAmountValidation,
+  refundNoteValidation,
+];
+
+export const rejectRefundValidation = [refundIdValidation, refundNoteValidation];
+
+// ==================== Coupon Validations ====================
+
+const couponFieldValidation = (isUpdate) => [
+  body("description")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage("description cannot exceed 500 characters"),
+  body("discountType")
+    .if(() => !isUpdate)
+    .exists()
+    .withMessage("discountType is required"),
+  body("discountType")
+    .optional()
+    .isIn(COUPON_DISCOUNT_TYPES)
+    .withMessage(`discountType must be one of: ${COUPON_DISCOUNT_TYPES.join(", ")}`),
+  body("discountValue")
+    .if(() => !isUpdate)
+    .exists()
+    .withMessage("discountValue is required"),
+  body("discountValue")
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage("discountValue must be a positive number")
+    .toFloat(),
+  body("maxDiscount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("maxDiscount must be a non-negative number")
+    .toFloat(),
+  body("minOrderAmount")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("minOrderAmount must be a non-negative number")
+    .toFloat(),
+  body("products")
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage("products must be an array of at most 100 entries"),
+  body("products.*.productType")
+    .isIn(VALID_PAYMENT_PRODUCTS)
+    .withMessage("Unsupported product type"),
+  body("products.*.productId").isMongoId().withMessage("Invalid product ID format"),
+  body("productTypes")
+    .optional()
+    .isArray()
+    .withMessage("productTypes must be an array"),
+  body("productTypes.*")
+    .isIn(VALID_PAYMENT_PRODUCTS)
+    .withMessage("Unsupported product type"),
+  body("specializations")
+    .optional()
+    .isArray()
+    .withMessage("specializations must be an array"),
+  body("specializations.*")
+    .isIn(VALID_SPECIALIZATIONS)
+    .withMessage(`specializations must be among: ${VALID_SPECIALIZATIONS.join(", ")}`),
+  body("startsAt")
+    .optional()
+    .isISO8601()
+    .withMessage("startsAt must be a valid date")
+    .toDate(),
+  body("expiresAt")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("expiresAt must be a valid date")
+    .toDate()
+    .custom((value, { req }) => !req.body.startsAt || value > req.body.startsAt)
+    .withMessage("expiresAt must be after startsAt"),
+  body("usageLimit")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("usageLimit must be a positive integer")
+    .toInt(),
+  body("perStudentLimit")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("perStudentLimit must be a positive integer")
+    .toInt(),
+  body("firstPurchaseOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("firstPurchaseOnly must be a boolean")
+    .toBoolean(),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+];
+
+export const createCouponValidation = [
+  body("code")
+    .isString()
+    .trim()
+    .toUpperCase()
+    .matches(/^[A-Z0-9_-]{3,30}$/)
+    .withMessage("code must be 3-30 letters, digits, _ or -"),
+  ...couponFieldValidation(false),
+];
+
+export const updateCouponValidation = [
+  param("couponId").isMongoId().withMessage("Invalid coupon ID format"),
+  body("code").not().exists().withMessage("A coupon's code cannot be changed"),
+  ...couponFieldValidation(true),
+];
+
+export const couponListValidation = [
+  query("scope")
+    .optional()
+    .isIn(["platform", "educator"])
+    .withMessage("scope must be platform or educator"),
+  query("educatorId").optional().isMongoId().withMessage("Invalid educator ID format"),
+  query("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+  query("search").optional().isString().trim(),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+];
+
+export const previewCouponValidation = [
+  body("code")
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 30 })
+    .withMessage("code must be 3-30 characters"),
+  ...validateProductIdBody,
+  ...validatePaymentProductType,
+];
+
+// ==================== Bundle Validations ====================
+
+const bundleItemsValidation = [
+  body("items.*.productType")
+    .isIn(BUNDLE_ITEM_TYPES)
+    .withMessage(`Bundle items must be one of: ${BUNDLE_ITEM_TYPES.join(", ")}`),
+  body("items.*.productId").isMongoId().withMessage("Invalid product ID format"),
+  body("items.*.sharePercent")
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage("sharePercent must be between 0 and 100")
+    .toFloat(),
+];
+
+const bundleFieldValidation = [
+  body("description")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage("description cannot exceed 2000 characters"),
+  body("image").optional().isString().trim(),
+  body("validity")
+    .optional({ values: "null" })
+    .isISO8601()
+    .withMessage("validity must be a valid date")
+    .toDate(),
+  body("specialization")
+    .optional()
+    .isArray()
+    .withMessage("specialization must be an array"),
+  body("specialization.*")
+    .isIn(VALID_SPECIALIZATIONS)
+    .withMessage(`specialization must be among: ${VALID_SPECIALIZATIONS.join(", ")}`),
+  body("maxStudents")
+    .optional({ values: "null" })
+    .isInt({ min: 1 })
+    .withMessage("maxStudents must be a positive integer")
+    .toInt(),
+  body("isActive")
+    .optional()
+    .isBoolean()
+    .withMessage("isActive must be a boolean")
+    .toBoolean(),
+];
+
+export const bundleIdValidation = [
+  param("bundleId").isMongoId().withMessage("Invalid bundle ID format"),
+];
+
+export const createBundleValidation = [
+  body("title")
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage("title must be 3-200 characters"),
+  body("price")
+    .isFloat({ min: 1 })
+    .withMessage("price must be at least 1")
+    .toFloat(),
+  body("items")
+    .isArray({ min: 2, max: 50 })
+    .withMessage("A bundle needs 2-50 products"),
+  ...bundleItemsValidation,
+  ...bundleFieldValidation,
+];
+
+export const updateBundleValidation = [
+  ...bundleIdValidation,
+  body("title")
+    .optional()
+    .isString()
+    .trim()
+    .isLength({ min: 3, max: 200 })
+    .withMessage("title must be 3-200 characters"),
+  body("price")
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage("price must be at least 1")
+    .toFloat(),
+  body("items")
+    .optional()
+    .isArray({ min: 2, max: 50 })
+    .withMessage("A bundle needs 2-50 products"),
+  ...bundleItemsValidation,
+  ...bundleFieldValidation,
+];
+
+export const bundleListValidation = [
+  query("educatorId").optional().isMongoId().withMessage("Invalid educator ID format"),
+  query("specialization")
+    .optional()
+    .isIn(VALID_SPECIALIZATIONS)
+    .withMessage(`specialization must be one of: ${VALID_SPECIALIZATIONS.join(", ")}`),
+  query("search").optional().isString().trim(),
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+];
+
+// ==================== Instalment Validations ====================
+
+const installmentPagingValidation = [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("page must be a positive integer")
+    .toInt(),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("limit must be between 1 and 100")
+    .toInt(),
+];
+
+export const startInstallmentPlanValidation = [
+  body("courseId").isMongoId().withMessage("Invalid course ID format"),
+];
+
+export const installmentEnrollmentIdValidation = [
+  param("enrollmentId").isMongoId().withMessage("Invalid instalment plan ID format"),
+];
+
+export const studentInstallmentListValidation = [...installmentPagingValidation];
+
+export const installmentDuesValidation = [
+  query("status")
+    .optional()
+    .isIn(["active", "suspended"])
+    .withMessage("status must be one of: active, suspended"),
+  query("overdueOnly")
+    .optional()
+    .isBoolean()
+    .withMessage("overdueOnly must be a boolean")
+    .toBoolean(),
+  query("educatorId").optional().isMongoId().withMessage("Invalid educator ID format"),
+  query("courseId").optional().isMongoId().withMessage("Invalid course ID format"),
+  ...installmentPagingValidation,
+];
@@ -0,0 +1,177 @@
+// Minimal XML reader/writer for question bank interchange formats
+// (Moodle XML, IMS QTI). Handles elements, attributes, text, CDATA,
+// comments, processing instructions and the predefined/numeric entities.
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+};
+
+export const decodeEntities = (value = "") =>
+  value.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] === "#") {
+      const code =
+        entity[1].toLowerCase() === "x"
+          ? parseInt(entity.slice(2), 16)
+          : parseInt(entity.slice(1), 10);
+      // Out-of-range and surrogate references are not characters; keep them as text
+      const isCharacter =
+        code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff);
+      return isCharacter ? String.fromCodePoint(code) : match;
+    }
+    return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+  });
+
+export const escapeXml = (value = "") =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+export const cdata = (value = "") =>
+  `<![CDATA[${String(value).replace(/]]>/g, "]]]]><![CDATA[>")}]]>`;
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  const pattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes[match[1]] = decodeEntities(match[3] ?? match[4]);
+  }
+  return attributes;
+};
+
+// End of a start tag, skipping any ">" inside quoted attribute values
+const findTagEnd = (xml, from) => {
+  let quote = null;
+  for (let i = from; i < xml.length; i += 1) {
+    const char = xml[i];
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === ">") {
+      return i;
+    }
+  }
+  return -1;
+};
+
+/**
+ * Parse an XML document into a tree of
+ * { name, attributes, children: Array<node|string> }.
+ * Throws with the character offset on malformed input.
+ */
+export const parseXml = (xml) => {
+  const root = { name: "#document", attributes: {}, children: [] };
+  const stack = [root];
+  let index = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid XML at position ${index}: ${message}`);
+  };
+
+  while (index < xml.length) {
+    const current = stack[stack.length - 1];
+    const next = xml.indexOf("<", index);
+
+    if (next === -1 || next > index) {
+      const text = xml.slice(index, next === -1 ? xml.length : next);
+      if (text.trim()) current.children.push(decodeEntities(text));
+      index = next === -1 ? xml.length : next;
+      continue;
+    }
+
+    if (xml.startsWith("<!--", index)) {
+      const end = xml.indexOf("-->", index);
+      if (end === -1) fail("unterminated comment");
+      index = end + 3;
+    } else if (xml.startsWith("<![CDATA[", index)) {
+      const end = xml.indexOf("]]>", index);
+      if (end === -1) fail("unterminated CDATA section");
+      current.children.push(xml.slice(index + 9, end));
+      index = end + 3;
+    } else if (xml.startsWith("<?", index)) {
+      const end = xml.indexOf("?>", index);
+      if (end === -1) fail("unterminated processing instruction");
+      index = end + 2;
+    } else if (xml.startsWith("<!", index)) {
+      const end = xml.indexOf(">", index);
+      if (end === -1) fail("unterminated declaration");
+      index = end + 1;
+    } else if (xml.startsWith("</", index)) {
+      const end = xml.indexOf(">", index);
+      if (end === -1) fail("unterminated closing tag");
+      const name = xml.slice(index + 2, end).trim();
+      if (current.name !== name) {
+        fail(`expected </${current.name}> but found </${name}>`);
+      }
+      stack.pop();
+      index = end + 1;
+    } else {
+      const end = findTagEnd(xml, index);
+      if (end === -1) fail("unterminated tag");
+      let source = xml.slice(index + 1, end);
+      const selfClosing = source.endsWith("/");
+      if (selfClosing) source = source.slice(0, -1);
+      const [name] = source.trim().split(/\s+/, 1);
+      if (!name) fail("missing tag name");
+
+      const node = {
+        name,
+        attributes: parseAttributes(source.slice(name.length)),
+        children: [],
+      };
+      current.children.push(node);
+      if (!selfClosing) stack.push(node);
+      index = end + 1;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw new Error(`Invalid XML: <${stack[stack.length - 1].name}> is never closed`);
+  }
+  return root;
+};
+
+const localName = (name = "") => name.split(":").pop();
+
+export const childElements = (node, name) =>
+  (node?.children || []).filter(
+    (child) =>
+      typeof child !== "string" && (!name || localName(child.name) === name)
+  );
+
+export const firstChild = (node, name) => childElements(node, name)[0] || null;
+
+// Depth-first search for every element with the given (local) name
+export const findAll = (node, name, found = []) => {
+  childElements(node).forEach((child) => {
+    if (localName(child.name) === name) found.push(child);
+    findAll(child, name, found);
+  });
+  return found;
+};
+
+// Concatenated text content of a node and its descendants
+export const textContent = (node) => {
+  if (!node) return "";
+  if (typeof node === "string") return node;
+  return node.children.map(textContent).join("");
+};
+
+export default {
+  parseXml,
+  decodeEntities,
+  escapeXml,
+  cdata,
+  childElements,
+  firstChild,
+  findAll,
+  textContent,
+};